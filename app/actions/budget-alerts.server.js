@@ -0,0 +1,389 @@
+import 'dotenv/config';
+import mssql from "../mssql.server.js";
+import { getBudgetCategoryRemaining } from "./fhr-orders-refunds.server.js";
+import { getBudgetMonthOfDate } from "../utils/budget-month.js";
+import { AlertNotifier } from "../services/alert-notifier.service.js";
+
+/**
+ * Budget Alert Actions
+ * Raises an alert when a category's net spend for a budget month crosses a configured
+ * percentage of its full-month census-based budget.
+ *
+ * Database Schema:
+ * - shopify.budget_alert_thresholds - Alert percentages, optionally scoped to a location and/or category
+ * - shopify.budget_alert_events - Crossed thresholds, one per location, category, month and threshold
+ */
+
+/**
+ * Get the thresholds that apply to a location and category. The most specific scope
+ * with thresholds wins: location + category, location, category, then every location.
+ * @param {Array} thresholds - All threshold rows
+ * @param {string} locationId - Company location ID
+ * @param {number} categoryId - Budget category master ID
+ * @returns {Array<number>} Threshold percentages
+ */
+function getApplicableThresholds(thresholds, locationId, categoryId) {
+  const scopes = [
+    t => t.location_id === locationId && Number(t.category_id) === Number(categoryId),
+    t => t.location_id === locationId && t.category_id === null,
+    t => t.location_id === null && Number(t.category_id) === Number(categoryId),
+    t => t.location_id === null && t.category_id === null
+  ];
+
+  for (const inScope of scopes) {
+    const matching = thresholds.filter(inScope);
+    if (matching.length > 0) {
+      return matching.map(t => parseFloat(t.threshold_percent));
+    }
+  }
+
+  return [];
+}
+
+/**
+ * Get all alert thresholds with category names
+ * @returns {Promise<Array>} Threshold rows
+ */
+export async function getBudgetAlertThresholds() {
+  try {
+    return await mssql.query(`
+      SELECT
+        bat.id,
+        bat.location_id,
+        bat.category_id,
+        bcm.category_name,
+        bat.threshold_percent,
+        bat.created_by,
+        bat.created_at
+      FROM shopify.budget_alert_thresholds bat
+      LEFT JOIN shopify.budget_categories_master bcm ON bat.category_id = bcm.id
+      ORDER BY bat.location_id, bcm.category_name, bat.threshold_percent
+    `);
+  } catch (error) {
+    console.error("Error fetching budget alert thresholds:", error);
+    throw new Error(`Failed to fetch budget alert thresholds: ${error.message}`);
+  }
+}
+
+/**
+ * Add an alert threshold
+ * @param {Object} thresholdData - Threshold data
+ * @param {string} thresholdData.locationId - Company location ID (empty = every location)
+ * @param {string|number} thresholdData.categoryId - Budget category master ID (empty = every category)
+ * @param {string|number} thresholdData.thresholdPercent - Percentage of the budget (0-500)
+ * @param {string} thresholdData.createdBy - User who added the threshold
+ * @returns {Promise<Object>} Result object with success/error
+ */
+export async function createBudgetAlertThreshold(thresholdData) {
+  try {
+    const thresholdPercent = parseFloat(thresholdData.thresholdPercent);
+    if (isNaN(thresholdPercent) || thresholdPercent <= 0 || thresholdPercent > 500) {
+      return { success: false, error: "Threshold must be a percentage between 0 and 500" };
+    }
+
+    const params = {
+      locationId: thresholdData.locationId || null,
+      categoryId: thresholdData.categoryId || null,
+      thresholdPercent,
+      createdBy: thresholdData.createdBy || 'system'
+    };
+
+    const existing = await mssql.query(`
+      SELECT id FROM shopify.budget_alert_thresholds
+      WHERE ((location_id IS NULL AND @locationId IS NULL) OR location_id = @locationId)
+        AND ((category_id IS NULL AND @categoryId IS NULL) OR category_id = @categoryId)
+        AND threshold_percent = @thresholdPercent
+    `, params);
+
+    if (existing.length > 0) {
+      return { success: false, error: `A ${thresholdPercent}% threshold already exists for this scope` };
+    }
+
+    const result = await mssql.query(`
+      INSERT INTO shopify.budget_alert_thresholds (location_id, category_id, threshold_percent, created_by)
+      OUTPUT INSERTED.*
+      VALUES (@locationId, @categoryId, @thresholdPercent, @createdBy)
+    `, params);
+
+    return { success: true, data: result[0] };
+  } catch (error) {
+    console.error("Error creating budget alert threshold:", error);
+    return { success: false, error: `Failed to create alert threshold: ${error.message}` };
+  }
+}
+
+/**
+ * Delete an alert threshold
+ * @param {string|number} thresholdId - Threshold ID
+ * @returns {Promise<boolean>} Success status
+ */
+export async function deleteBudgetAlertThreshold(thresholdId) {
+  try {
+    const result = await mssql.execute(`
+      DELETE FROM shopify.budget_alert_thresholds WHERE id = @thresholdId
+    `, { thresholdId });
+
+    return result.rowsAffected && result.rowsAffected[0] > 0;
+  } catch (error) {
+    console.error("Error deleting budget alert threshold:", error);
+    throw new Error(`Failed to delete alert threshold: ${error.message}`);
+  }
+}
+
+/**
+ * Reconcile each assigned location's spend ledger for a budget month, compare its net
+ * category spend against the ledger's census-based budget and record an event for every
+ * newly crossed threshold.
+ * New events, and open events of the same month and locations whose delivery failed in
+ * an earlier run, are delivered through the configured alert notifier.
+ * @param {Object} options
+ * @param {string} options.budgetMonth - Budget month (MM-YYYY), defaults to the current month
+ * @param {Array<string>} options.locationIds - Locations to evaluate (defaults to all assigned locations)
+ * @returns {Promise<Object>} { budgetMonth, evaluatedLocations, alerts, resent, failed, notified, notificationError }
+ */
+export async function evaluateBudgetAlerts({ budgetMonth = null, locationIds = null } = {}) {
+  try {
+    const month = budgetMonth || getBudgetMonthOfDate();
+
+    let locations = locationIds;
+    if (!locations) {
+      const assigned = await mssql.query(`
+        SELECT DISTINCT bla.location_id
+        FROM shopify.budget_location_assignments bla
+        INNER JOIN shopify.budget b ON bla.budget_id = b.id
+        WHERE bla.status = 'active' AND b.status = 'active'
+      `);
+      locations = assigned.map(row => row.location_id);
+    }
+
+    const thresholds = await mssql.query(`
+      SELECT location_id, category_id, threshold_percent
+      FROM shopify.budget_alert_thresholds
+    `);
+
+    const alerts = [];
+    const failed = [];
+
+    for (const locationId of locations) {
+      try {
+        const ledger = await getBudgetCategoryRemaining(locationId, month, { reconcile: true });
+
+        for (const category of ledger) {
+          const categoryId = category.categoryId;
+          const budgetAmount = category.allocatedAmount;
+
+          // No census means no budget to compare against
+          if (!category.budgetAvailable || !(budgetAmount > 0)) continue;
+
+          const spentAmount = category.spentAmount;
+          const utilizationPercent = (spentAmount / budgetAmount) * 100;
+
+          const crossed = getApplicableThresholds(thresholds, locationId, categoryId)
+            .filter(thresholdPercent => utilizationPercent >= thresholdPercent);
+
+          for (const thresholdPercent of crossed) {
+            const inserted = await mssql.query(`
+              INSERT INTO shopify.budget_alert_events (
+                location_id, budget_month, category_id, threshold_percent,
+                budget_amount, spent_amount, utilization_percent
+              )
+              OUTPUT INSERTED.id
+              SELECT @locationId, @budgetMonth, @categoryId, @thresholdPercent,
+                @budgetAmount, @spentAmount, @utilizationPercent
+              WHERE NOT EXISTS (
+                SELECT 1 FROM shopify.budget_alert_events
+                WHERE location_id = @locationId
+                  AND budget_month = @budgetMonth
+                  AND category_id = @categoryId
+                  AND threshold_percent = @thresholdPercent
+              )
+            `, {
+              locationId,
+              budgetMonth: month,
+              categoryId,
+              thresholdPercent,
+              budgetAmount: budgetAmount.toFixed(2),
+              spentAmount: spentAmount.toFixed(2),
+              utilizationPercent: utilizationPercent.toFixed(2)
+            });
+
+            if (inserted.length > 0) {
+              alerts.push({
+                id: inserted[0].id,
+                locationId,
+                budgetMonth: month,
+                categoryName: category.categoryName,
+                thresholdPercent,
+                budgetAmount: budgetAmount.toFixed(2),
+                spentAmount: spentAmount.toFixed(2),
+                utilizationPercent: utilizationPercent.toFixed(2)
+              });
+            }
+          }
+        }
+      } catch (error) {
+        console.error(`Error evaluating budget alerts for location ${locationId}:`, error);
+        failed.push({ locationId, error: error.message });
+      }
+    }
+
+    // Events of the evaluated month and locations whose delivery failed in an earlier run
+    // are sent again with the new ones, since the dedup above never inserts them twice
+    const newIds = alerts.map(alert => alert.id);
+    const evaluated = new Set(locations.map(String));
+    const undelivered = await mssql.query(`
+      SELECT bae.id, bae.location_id, bae.budget_month, bcm.category_name, bae.threshold_percent,
+        bae.budget_amount, bae.spent_amount, bae.utilization_percent
+      FROM shopify.budget_alert_events bae
+      INNER JOIN shopify.budget_categories_master bcm ON bae.category_id = bcm.id
+      WHERE bae.notified_at IS NULL AND bae.status = 'open' AND bae.budget_month = @budgetMonth
+      ORDER BY bae.created_at
+    `, { budgetMonth: month });
+    const resent = undelivered
+      .filter(event => !newIds.includes(event.id) && evaluated.has(String(event.location_id)))
+      .map(event => ({
+        id: event.id,
+        locationId: event.location_id,
+        budgetMonth: event.budget_month,
+        categoryName: event.category_name,
+        thresholdPercent: parseFloat(event.threshold_percent),
+        budgetAmount: parseFloat(event.budget_amount).toFixed(2),
+        spentAmount: parseFloat(event.spent_amount).toFixed(2),
+        utilizationPercent: parseFloat(event.utilization_percent).toFixed(2)
+      }));
+
+    const toSend = [...resent, ...alerts];
+    let notificationError = null;
+    if (toSend.length > 0) {
+      const ids = toSend.map(alert => alert.id).join(',');
+
+      try {
+        await AlertNotifier.send(toSend);
+        await mssql.execute(`
+          UPDATE shopify.budget_alert_events
+          SET notified_at = GETUTCDATE(), notification_error = NULL
+          WHERE id IN (SELECT CAST(value AS BIGINT) FROM STRING_SPLIT(@ids, ','))
+        `, { ids });
+      } catch (error) {
+        notificationError = error.message;
+        await mssql.execute(`
+          UPDATE shopify.budget_alert_events
+          SET notification_error = @notificationError
+          WHERE id IN (SELECT CAST(value AS BIGINT) FROM STRING_SPLIT(@ids, ','))
+        `, { ids, notificationError });
+      }
+    }
+
+    return {
+      budgetMonth: month,
+      evaluatedLocations: locations.length - failed.length,
+      alerts,
+      resent,
+      failed,
+      notified: toSend.length > 0 && !notificationError,
+      notificationError
+    };
+  } catch (error) {
+    console.error("Error evaluating budget alerts:", error);
+    throw new Error(`Failed to evaluate budget alerts: ${error.message}`);
+  }
+}
+
+/**
+ * Get budget alert events for the alert inbox
+ * @param {Object} filters - Filter options
+ * @param {string} filters.status - open or acknowledged (all when empty)
+ * @param {string} filters.budgetMonth - Budget month (MM-YYYY)
+ * @param {string} filters.locationId - Company location ID
+ * @param {number} filters.page - Page number (1-based)
+ * @param {number} filters.limit - Events per page
+ * @returns {Promise<Object>} { events, total, openCount }
+ */
+export async function getBudgetAlertEvents(filters = {}) {
+  try {
+    const conditions = [];
+    const params = {};
+
+    if (filters.status) {
+      conditions.push('bae.status = @status');
+      params.status = filters.status;
+    }
+    if (filters.budgetMonth) {
+      conditions.push('bae.budget_month = @budgetMonth');
+      params.budgetMonth = filters.budgetMonth;
+    }
+    if (filters.locationId) {
+      conditions.push('bae.location_id = @locationId');
+      params.locationId = filters.locationId;
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const limit = parseInt(filters.limit) || 50;
+    const offset = ((parseInt(filters.page) || 1) - 1) * limit;
+
+    const [events, totals] = await Promise.all([
+      mssql.query(`
+        SELECT
+          bae.id,
+          bae.location_id,
+          cl.name as location_name,
+          bae.budget_month,
+          bae.category_id,
+          bcm.category_name,
+          bae.threshold_percent,
+          bae.budget_amount,
+          bae.spent_amount,
+          bae.utilization_percent,
+          bae.status,
+          bae.notified_at,
+          bae.notification_error,
+          bae.acknowledged_by,
+          bae.acknowledged_at,
+          bae.created_at
+        FROM shopify.budget_alert_events bae
+        INNER JOIN shopify.budget_categories_master bcm ON bae.category_id = bcm.id
+        LEFT JOIN shopify.company_location cl ON CAST(cl.id AS NVARCHAR(255)) = bae.location_id
+        ${whereClause}
+        ORDER BY bae.created_at DESC, bae.threshold_percent DESC
+        OFFSET ${offset} ROWS FETCH NEXT ${limit} ROWS ONLY
+      `, params),
+      mssql.query(`
+        SELECT
+          COUNT(*) as total,
+          (SELECT COUNT(*) FROM shopify.budget_alert_events WHERE status = 'open') as open_count
+        FROM shopify.budget_alert_events bae
+        ${whereClause}
+      `, params)
+    ]);
+
+    return {
+      events,
+      total: totals[0]?.total || 0,
+      openCount: totals[0]?.open_count || 0
+    };
+  } catch (error) {
+    console.error("Error fetching budget alert events:", error);
+    throw new Error(`Failed to fetch budget alert events: ${error.message}`);
+  }
+}
+
+/**
+ * Acknowledge an open budget alert event
+ * @param {string|number} eventId - Alert event ID
+ * @param {string} acknowledgedBy - User who acknowledged the alert
+ * @returns {Promise<boolean>} Success status
+ */
+export async function acknowledgeBudgetAlert(eventId, acknowledgedBy) {
+  try {
+    const result = await mssql.execute(`
+      UPDATE shopify.budget_alert_events
+      SET status = 'acknowledged', acknowledged_by = @acknowledgedBy, acknowledged_at = GETUTCDATE()
+      WHERE id = @eventId AND status = 'open'
+    `, { eventId, acknowledgedBy: acknowledgedBy || 'system' });
+
+    return result.rowsAffected && result.rowsAffected[0] > 0;
+  } catch (error) {
+    console.error("Error acknowledging budget alert:", error);
+    throw new Error(`Failed to acknowledge budget alert: ${error.message}`);
+  }
+}
@@ -12,7 +12,12 @@ import {
   assignBudgetToLocation,
   getBudgetAssignmentsByLocation,
   getBudgetAssignmentsByBudget,
-  getBudgetStats 
+  getBudgetStats,
+  submitBudgetForApproval,
+  approveBudget,
+  rejectBudget,
+  approveBudgetVersion,
+  rejectBudgetVersion
 } from "./fhr-budget.server.js";
 
 export async function loadBudgetData({ page, limit, search, category, view, includeBudgetStats = false }) {
@@ -135,7 +140,7 @@ export async function loadBudgetLocations() {
   }
 }
 
-export async function handleBudgetAction({ intent, formData }) {
+export async function handleBudgetAction({ intent, formData, actor }) {
   try {
     switch (intent) {
       case "create": {
@@ -147,7 +152,7 @@ export async function handleBudgetAction({ intent, formData }) {
           period: formData.get("period"),
           start_date: formData.get("start_date"),
           end_date: formData.get("end_date"),
-          status: formData.get("status") || "active"
+          createdBy: actor
         };
 
         const result = await createSimpleBudget(budgetData);
@@ -167,11 +172,15 @@ export async function handleBudgetAction({ intent, formData }) {
           period: formData.get("period"),
           start_date: formData.get("start_date"),
           end_date: formData.get("end_date"),
-          status: formData.get("status")
+          status: formData.get("status"),
+          updatedBy: actor
         };
 
         const result = await updateSimpleBudget(id, budgetData);
         if (result.success) {
+          if (result.ratesPending) {
+            return { success: "Budget updated; the new rate is submitted for approval and the current rate is used until then" };
+          }
           return { success: "Budget updated successfully" };
         }
         return { error: result.error || "Failed to update budget" };
@@ -213,6 +222,43 @@ export async function handleBudgetAction({ intent, formData }) {
         }
       }
 
+      case "submit":
+      case "approve":
+      case "reject": {
+        const id = formData.get("id");
+        const review = { actor, comment: formData.get("comment") };
+        const workflowAction = {
+          submit: submitBudgetForApproval,
+          approve: approveBudget,
+          reject: rejectBudget
+        }[intent];
+
+        const result = await workflowAction(id, review);
+        if (result.success) {
+          return {
+            success: {
+              submit: "Budget submitted for approval",
+              approve: "Budget approved",
+              reject: "Budget rejected"
+            }[intent]
+          };
+        }
+        return { error: result.error || `Failed to ${intent} budget` };
+      }
+
+      case "approveRates":
+      case "rejectRates": {
+        const review = { actor, comment: formData.get("comment") };
+        const result = intent === "approveRates"
+          ? await approveBudgetVersion(formData.get("versionId"), review)
+          : await rejectBudgetVersion(formData.get("versionId"), review);
+
+        if (result.success) {
+          return { success: intent === "approveRates" ? "New rates approved" : "New rates rejected" };
+        }
+        return { error: result.error || "Failed to review the new rates" };
+      }
+
       default:
         return { error: "Invalid action" };
     }
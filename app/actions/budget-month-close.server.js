@@ -0,0 +1,581 @@
+import 'dotenv/config';
+import mssql from "../mssql.server.js";
+import {
+  getMonthlyOrderProductsByCategoryWithRefundsByBudgetMonth,
+  reconcileBudgetCategorySpend
+} from "./fhr-orders-refunds.server.js";
+import { getBudgetMonthOfDate } from "../utils/budget-month.js";
+
+/**
+ * Budget Month Close Actions
+ * Closes a location's budget month once it is reported to corporate. Closing freezes
+ * order_budget_month of the month's orders and snapshots the category report and spend
+ * ledger, which the category report and spend reconciliation then use as they are.
+ * Orders and refunds that arrive for a closed month afterwards are recorded as
+ * exceptions and, under the close's late activity policy, redirected to the current
+ * open month or only flagged.
+ *
+ * Database Schema:
+ * - shopify.budget_month_closes - One close per location and budget month, with the report snapshot
+ * - shopify.budget_month_close_categories - Spend ledger figures per category at close
+ * - shopify.budget_month_close_exceptions - Late orders, refunds and budget month changes
+ */
+
+export const BUDGET_MONTH_CLOSE_POLICIES = ['redirect', 'flag'];
+
+const BUDGET_MONTH_PATTERN = /^(0[1-9]|1[0-2])-\d{4}$/;
+
+/**
+ * Get the late activity policy new closes get unless another is chosen
+ * (BUDGET_MONTH_CLOSE_POLICY, default flag)
+ * @returns {string} redirect or flag
+ */
+export function getDefaultBudgetMonthClosePolicy() {
+  const policy = (process.env.BUDGET_MONTH_CLOSE_POLICY || '').trim().toLowerCase();
+  return BUDGET_MONTH_CLOSE_POLICIES.includes(policy) ? policy : 'flag';
+}
+
+function toMonthIndex(budgetMonth) {
+  const [month, year] = budgetMonth.split('-').map(Number);
+  return year * 12 + month;
+}
+
+// Late activity is redirected to the current month, which can never be closed
+function getCurrentBudgetMonth() {
+  return getBudgetMonthOfDate();
+}
+
+/**
+ * Run a query on the given transaction, or on the pool without one
+ */
+async function runQuery(transaction, queryText, params = {}) {
+  if (!transaction) {
+    return mssql.query(queryText, params);
+  }
+
+  const request = transaction.request();
+  Object.entries(params).forEach(([name, value]) => request.input(name, value));
+  const result = await request.query(queryText);
+  return result.recordset;
+}
+
+async function addCloseException(transaction, exception) {
+  await runQuery(transaction, `
+    INSERT INTO shopify.budget_month_close_exceptions
+      (close_id, location_id, budget_month, activity_type, order_id, refund_id, amount, policy, redirected_to_month, detail)
+    SELECT @closeId, @locationId, @budgetMonth, @activityType, @orderId, @refundId, @amount, @policy, @redirectedToMonth, @detail
+    WHERE NOT EXISTS (
+      SELECT 1 FROM shopify.budget_month_close_exceptions
+      WHERE close_id = @closeId
+        AND activity_type = @activityType
+        AND order_id = @orderId
+        AND (refund_id = @refundId OR (refund_id IS NULL AND @refundId IS NULL))
+    )
+  `, {
+    closeId: exception.closeId,
+    locationId: exception.locationId,
+    budgetMonth: exception.budgetMonth,
+    activityType: exception.activityType,
+    orderId: exception.orderId,
+    refundId: exception.refundId || null,
+    amount: exception.amount ?? null,
+    policy: exception.policy,
+    redirectedToMonth: exception.redirectedToMonth || null,
+    detail: exception.detail || null
+  });
+
+  return exception;
+}
+
+/**
+ * Get the budget months of a location that are closed
+ * @param {string} locationId - Company location ID
+ * @param {Array<string>} budgetMonths - Budget months (MM-YYYY) to check
+ * @param {Object} transaction - Optional transaction to read in
+ * @returns {Promise<Array<Object>>} Closes: { id, budget_month, late_activity_policy }
+ */
+export async function getClosedBudgetMonths(locationId, budgetMonths, transaction = null) {
+  const months = [...new Set((budgetMonths || []).filter(Boolean))];
+  if (!locationId || months.length === 0) {
+    return [];
+  }
+
+  const params = { locationId: String(locationId) };
+  months.forEach((month, index) => { params[`month${index}`] = month; });
+
+  return runQuery(transaction, `
+    SELECT id, budget_month, late_activity_policy
+    FROM shopify.budget_month_closes
+    WHERE location_id = @locationId
+      AND status = 'closed'
+      AND budget_month IN (${months.map((month, index) => `@month${index}`).join(', ')})
+  `, params);
+}
+
+/**
+ * Decide the budget month of an order whose month is being set from Shopify or an
+ * integration, and record an exception when a closed month is involved:
+ * - an order in a closed month keeps it (the change is flagged)
+ * - an order landing in a closed month is redirected to the current month or flagged,
+ *   as the close's policy says
+ * The order itself is not updated; callers write the returned month.
+ * @param {Object} change - { orderId, previousBudgetMonth, budgetMonth, isNewOrder }
+ * @param {Object} transaction - Optional transaction the order is being written in
+ * @returns {Promise<Object>} { budgetMonth, exception } exception is null when no closed month is involved
+ */
+export async function applyBudgetMonthClosePolicy(change, transaction = null) {
+  const { orderId, previousBudgetMonth, budgetMonth, isNewOrder = false } = change;
+  const unchanged = { budgetMonth, exception: null };
+
+  const moved = isNewOrder || budgetMonth !== previousBudgetMonth;
+  if (!budgetMonth || !moved) {
+    return unchanged;
+  }
+
+  const orders = await runQuery(transaction, `
+    SELECT CAST(company_location_id AS NVARCHAR(255)) as company_location_id, total_price
+    FROM brdjdb.shopify.[order]
+    WHERE id = @orderId
+  `, { orderId });
+
+  const locationId = orders[0]?.company_location_id;
+  if (!locationId) {
+    return unchanged;
+  }
+
+  const closes = await getClosedBudgetMonths(locationId, [previousBudgetMonth, budgetMonth], transaction);
+  const closeOf = (month) => closes.find(close => close.budget_month === month);
+  const amount = orders[0].total_price;
+
+  const previousClose = !isNewOrder && previousBudgetMonth ? closeOf(previousBudgetMonth) : null;
+  if (previousClose) {
+    const exception = await addCloseException(transaction, {
+      closeId: previousClose.id,
+      locationId,
+      budgetMonth: previousBudgetMonth,
+      activityType: 'reassignment',
+      orderId,
+      amount,
+      policy: 'flag',
+      detail: `Budget month change to ${budgetMonth} ignored: ${previousBudgetMonth} is closed`
+    });
+    return { budgetMonth: previousBudgetMonth, exception };
+  }
+
+  const close = closeOf(budgetMonth);
+  if (!close) {
+    return unchanged;
+  }
+
+  const redirectedToMonth = close.late_activity_policy === 'redirect' ? getCurrentBudgetMonth() : null;
+  const exception = await addCloseException(transaction, {
+    closeId: close.id,
+    locationId,
+    budgetMonth,
+    activityType: 'order',
+    orderId,
+    amount,
+    policy: close.late_activity_policy,
+    redirectedToMonth,
+    detail: redirectedToMonth
+      ? `Order for closed month ${budgetMonth} counted in ${redirectedToMonth}`
+      : `Order landed in closed month ${budgetMonth}`
+  });
+
+  return { budgetMonth: redirectedToMonth || budgetMonth, exception };
+}
+
+/**
+ * Record refunds that arrive for an order in a closed budget month. Under the redirect
+ * policy the refunds are credited to the current month's spend ledger instead.
+ * @param {Object} refunds - { orderId, refundIds } refunds not seen before
+ * @param {Object} transaction - Optional transaction the refunds are being written in
+ * @returns {Promise<Object>} { redirectedBudgetMonth, exceptions }
+ */
+export async function recordLateRefunds({ orderId, refundIds = [] }, transaction = null) {
+  if (refundIds.length === 0) {
+    return { redirectedBudgetMonth: null, exceptions: [] };
+  }
+
+  const orders = await runQuery(transaction, `
+    SELECT
+      CAST(company_location_id AS NVARCHAR(255)) as company_location_id,
+      COALESCE(order_budget_month, FORMAT(created_at, 'MM-yyyy')) as budget_month
+    FROM brdjdb.shopify.[order]
+    WHERE id = @orderId
+  `, { orderId });
+
+  const order = orders[0];
+  const [close] = order
+    ? await getClosedBudgetMonths(order.company_location_id, [order.budget_month], transaction)
+    : [];
+
+  if (!close) {
+    return { redirectedBudgetMonth: null, exceptions: [] };
+  }
+
+  const redirectedBudgetMonth = close.late_activity_policy === 'redirect' ? getCurrentBudgetMonth() : null;
+  const exceptions = [];
+
+  for (const refundId of refundIds) {
+    const totals = await runQuery(transaction, `
+      SELECT SUM(subtotal) as amount
+      FROM brdjdb.shopify.order_line_refund
+      WHERE refund_id = @refundId
+    `, { refundId });
+
+    exceptions.push(await addCloseException(transaction, {
+      closeId: close.id,
+      locationId: order.company_location_id,
+      budgetMonth: order.budget_month,
+      activityType: 'refund',
+      orderId,
+      refundId,
+      amount: totals[0]?.amount ?? null,
+      policy: close.late_activity_policy,
+      redirectedToMonth: redirectedBudgetMonth,
+      detail: redirectedBudgetMonth
+        ? `Refund for closed month ${order.budget_month} credited to ${redirectedBudgetMonth}`
+        : `Refund landed in closed month ${order.budget_month}`
+    }));
+  }
+
+  return { redirectedBudgetMonth, exceptions };
+}
+
+/**
+ * Get budget month closes
+ * @param {Object} filters - { locationId, status }
+ * @returns {Promise<Array>} Closes with location name, category totals and open exception count
+ */
+export async function getBudgetMonthCloses(filters = {}) {
+  try {
+    const conditions = [];
+    const params = {};
+
+    if (filters.locationId) {
+      conditions.push('bmc.location_id = @locationId');
+      params.locationId = filters.locationId;
+    }
+    if (filters.status) {
+      conditions.push('bmc.status = @status');
+      params.status = filters.status;
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    return await mssql.query(`
+      SELECT
+        bmc.id,
+        bmc.location_id,
+        cl.name as location_name,
+        bmc.budget_month,
+        bmc.status,
+        bmc.late_activity_policy,
+        bmc.closed_by,
+        bmc.closed_at,
+        bmc.reopened_by,
+        bmc.reopened_at,
+        bmc.reopen_reason,
+        totals.allocated_amount,
+        totals.spent_amount,
+        (SELECT COUNT(*) FROM shopify.budget_month_close_exceptions bmce
+         WHERE bmce.close_id = bmc.id AND bmce.status = 'open') as open_exceptions
+      FROM shopify.budget_month_closes bmc
+      LEFT JOIN shopify.company_location cl ON CAST(cl.id AS NVARCHAR(255)) = bmc.location_id
+      OUTER APPLY (
+        SELECT SUM(allocated_amount) as allocated_amount, SUM(spent_amount) as spent_amount
+        FROM shopify.budget_month_close_categories
+        WHERE close_id = bmc.id
+      ) totals
+      ${whereClause}
+      ORDER BY RIGHT(bmc.budget_month, 4) DESC, LEFT(bmc.budget_month, 2) DESC, bmc.location_id
+    `, params);
+  } catch (error) {
+    console.error("Error fetching budget month closes:", error);
+    throw new Error(`Failed to fetch budget month closes: ${error.message}`);
+  }
+}
+
+/**
+ * Get the category figures snapshotted when a budget month was closed
+ * @param {string|number} closeId - Close ID
+ * @returns {Promise<Array>} Category rows
+ */
+export async function getBudgetMonthCloseCategories(closeId) {
+  try {
+    return await mssql.query(`
+      SELECT category_id, category_name, allocated_amount, gross_amount, refunded_amount,
+             spent_amount, remaining_amount
+      FROM shopify.budget_month_close_categories
+      WHERE close_id = @closeId
+      ORDER BY category_name
+    `, { closeId });
+  } catch (error) {
+    console.error("Error fetching budget month close categories:", error);
+    throw new Error(`Failed to fetch budget month close categories: ${error.message}`);
+  }
+}
+
+/**
+ * Close a location's budget month
+ * Rebuilds the month's spend ledger, sets order_budget_month on orders that only count
+ * toward the month through their creation date and snapshots the category report and
+ * ledger. Only months that have ended can be closed.
+ * @param {Object} closeData - { locationId, budgetMonth, policy, actor }
+ * @returns {Promise<Object>} { success, closeId, frozenOrders, categories } or { success: false, error }
+ */
+export async function closeBudgetMonth({ locationId, budgetMonth, policy, actor }) {
+  if (!locationId) {
+    return { success: false, error: "Location is required" };
+  }
+  if (!BUDGET_MONTH_PATTERN.test(budgetMonth || '')) {
+    return { success: false, error: "Budget month must be MM-YYYY" };
+  }
+  if (toMonthIndex(budgetMonth) >= toMonthIndex(getCurrentBudgetMonth())) {
+    return { success: false, error: `${budgetMonth} has not ended yet and cannot be closed` };
+  }
+
+  const latePolicy = policy || getDefaultBudgetMonthClosePolicy();
+  if (!BUDGET_MONTH_CLOSE_POLICIES.includes(latePolicy)) {
+    return { success: false, error: `Policy must be one of: ${BUDGET_MONTH_CLOSE_POLICIES.join(', ')}` };
+  }
+
+  try {
+    const [alreadyClosed] = await getClosedBudgetMonths(locationId, [budgetMonth]);
+    if (alreadyClosed) {
+      return { success: false, error: `${budgetMonth} is already closed for location ${locationId}` };
+    }
+
+    // Figures are taken as they are now: ledger first, then the report
+    await reconcileBudgetCategorySpend(locationId, budgetMonth);
+    const [month, year] = budgetMonth.split('-');
+    const report = await getMonthlyOrderProductsByCategoryWithRefundsByBudgetMonth({
+      companyLocationId: locationId,
+      month,
+      year
+    });
+
+    const pool = await mssql.getPool();
+    const transaction = pool.transaction();
+    let closeId;
+    let frozenOrders;
+
+    try {
+      await transaction.begin();
+
+      const frozen = await transaction.request()
+        .input('locationId', locationId)
+        .input('budgetMonth', budgetMonth)
+        .query(`
+          UPDATE brdjdb.shopify.[order]
+          SET order_budget_month = @budgetMonth
+          WHERE company_location_id = @locationId
+            AND order_budget_month IS NULL
+            AND FORMAT(created_at, 'MM-yyyy') = @budgetMonth
+        `);
+      frozenOrders = frozen.rowsAffected[0] || 0;
+
+      const closes = await transaction.request()
+        .input('locationId', locationId)
+        .input('budgetMonth', budgetMonth)
+        .input('policy', latePolicy)
+        .input('snapshot', JSON.stringify(report))
+        .input('actor', actor || 'system')
+        .query(`
+          MERGE shopify.budget_month_closes WITH (HOLDLOCK) AS target
+          USING (SELECT @locationId AS location_id, @budgetMonth AS budget_month) AS source
+          ON target.location_id = source.location_id AND target.budget_month = source.budget_month
+          WHEN MATCHED AND target.status = 'reopened' THEN UPDATE SET
+            status = 'closed',
+            late_activity_policy = @policy,
+            report_snapshot = @snapshot,
+            closed_by = @actor,
+            closed_at = GETUTCDATE(),
+            reopened_by = NULL,
+            reopened_at = NULL,
+            reopen_reason = NULL
+          WHEN NOT MATCHED THEN
+            INSERT (location_id, budget_month, status, late_activity_policy, report_snapshot, closed_by)
+            VALUES (@locationId, @budgetMonth, 'closed', @policy, @snapshot, @actor)
+          OUTPUT INSERTED.id;
+        `);
+
+      closeId = closes.recordset[0]?.id;
+      if (!closeId) {
+        throw new Error(`${budgetMonth} was closed for location ${locationId} in the meantime`);
+      }
+
+      await transaction.request()
+        .input('closeId', closeId)
+        .query(`DELETE FROM shopify.budget_month_close_categories WHERE close_id = @closeId`);
+
+      await transaction.request()
+        .input('closeId', closeId)
+        .input('locationId', locationId)
+        .input('budgetMonth', budgetMonth)
+        .query(`
+          INSERT INTO shopify.budget_month_close_categories
+            (close_id, budget_id, category_id, category_name, allocated_amount, gross_amount, refunded_amount, spent_amount)
+          SELECT @closeId, bcs.budget_id, bcs.category_id, bcm.category_name,
+                 bcs.allocated_amount, bcs.gross_amount, bcs.refunded_amount, bcs.spent_amount
+          FROM shopify.budget_category_spend bcs
+          INNER JOIN shopify.budget_categories_master bcm ON bcs.category_id = bcm.id
+          WHERE bcs.location_id = @locationId AND bcs.budget_month = @budgetMonth
+        `);
+
+      await transaction.commit();
+    } catch (transactionError) {
+      await transaction.rollback();
+      throw transactionError;
+    }
+
+    return {
+      success: true,
+      closeId,
+      frozenOrders,
+      categories: (report.categories || []).length
+    };
+  } catch (error) {
+    console.error("Error closing budget month:", error);
+    return { success: false, error: `Failed to close budget month: ${error.message}` };
+  }
+}
+
+/**
+ * Reopen a closed budget month
+ * Open exceptions of the close are resolved, redirected refunds move back to the month
+ * and the spend ledgers involved are rebuilt.
+ * @param {Object} reopenData - { closeId, reason, actor }
+ * @returns {Promise<Object>} { success, budgetMonth, locationId } or { success: false, error }
+ */
+export async function reopenBudgetMonth({ closeId, reason, actor }) {
+  if (!reason || !reason.trim()) {
+    return { success: false, error: "A reason is required to reopen a budget month" };
+  }
+
+  try {
+    const closes = await mssql.query(`
+      UPDATE shopify.budget_month_closes
+      SET status = 'reopened',
+          reopened_by = @actor,
+          reopened_at = GETUTCDATE(),
+          reopen_reason = @reason
+      OUTPUT INSERTED.location_id, INSERTED.budget_month
+      WHERE id = @closeId AND status = 'closed'
+    `, { closeId, actor: actor || 'system', reason: reason.trim() });
+
+    const close = closes[0];
+    if (!close) {
+      return { success: false, error: "Budget month is not closed" };
+    }
+
+    const redirected = await mssql.query(`
+      SELECT DISTINCT redirected_to_month
+      FROM shopify.budget_month_close_exceptions
+      WHERE close_id = @closeId AND activity_type = 'refund' AND redirected_to_month IS NOT NULL
+    `, { closeId });
+
+    await mssql.execute(`
+      UPDATE shopify.budget_month_close_exceptions
+      SET status = 'resolved',
+          resolved_by = @actor,
+          resolved_at = GETUTCDATE(),
+          resolution_note = 'Budget month reopened'
+      WHERE close_id = @closeId AND status = 'open'
+    `, { closeId, actor: actor || 'system' });
+
+    // The ledger of an open month is rebuilt by the nightly reconciliation if this fails
+    for (const budgetMonth of [close.budget_month, ...redirected.map(row => row.redirected_to_month)]) {
+      try {
+        await reconcileBudgetCategorySpend(close.location_id, budgetMonth);
+      } catch (spendError) {
+        console.error(`⚠️  Budget spend not reconciled for ${close.location_id} ${budgetMonth}:`, spendError);
+      }
+    }
+
+    return { success: true, locationId: close.location_id, budgetMonth: close.budget_month };
+  } catch (error) {
+    console.error("Error reopening budget month:", error);
+    return { success: false, error: `Failed to reopen budget month: ${error.message}` };
+  }
+}
+
+/**
+ * Get exceptions recorded for closed budget months
+ * @param {Object} filters - { status, locationId, page, limit }
+ * @returns {Promise<Object>} { exceptions, total, openCount }
+ */
+export async function getBudgetMonthCloseExceptions(filters = {}) {
+  try {
+    const conditions = [];
+    const params = {};
+
+    if (filters.status) {
+      conditions.push('bmce.status = @status');
+      params.status = filters.status;
+    }
+    if (filters.locationId) {
+      conditions.push('bmce.location_id = @locationId');
+      params.locationId = filters.locationId;
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const limit = parseInt(filters.limit) || 50;
+    const offset = ((parseInt(filters.page) || 1) - 1) * limit;
+
+    const [exceptions, totals] = await Promise.all([
+      mssql.query(`
+        SELECT
+          bmce.*,
+          o.order_number,
+          cl.name as location_name
+        FROM shopify.budget_month_close_exceptions bmce
+        LEFT JOIN brdjdb.shopify.[order] o ON o.id = bmce.order_id
+        LEFT JOIN shopify.company_location cl ON CAST(cl.id AS NVARCHAR(255)) = bmce.location_id
+        ${whereClause}
+        ORDER BY bmce.detected_at DESC
+        OFFSET ${offset} ROWS FETCH NEXT ${limit} ROWS ONLY
+      `, params),
+      mssql.query(`
+        SELECT
+          COUNT(*) as total,
+          (SELECT COUNT(*) FROM shopify.budget_month_close_exceptions WHERE status = 'open') as open_count
+        FROM shopify.budget_month_close_exceptions bmce
+        ${whereClause}
+      `, params)
+    ]);
+
+    return {
+      exceptions,
+      total: totals[0]?.total || 0,
+      openCount: totals[0]?.open_count || 0
+    };
+  } catch (error) {
+    console.error("Error fetching budget month close exceptions:", error);
+    throw new Error(`Failed to fetch budget month close exceptions: ${error.message}`);
+  }
+}
+
+/**
+ * Mark a closed-month exception as reviewed
+ * @param {Object} resolution - { exceptionId, note, actor }
+ * @returns {Promise<boolean>} Whether an open exception was resolved
+ */
+export async function resolveBudgetMonthCloseException({ exceptionId, note, actor }) {
+  try {
+    const result = await mssql.execute(`
+      UPDATE shopify.budget_month_close_exceptions
+      SET status = 'resolved',
+          resolved_by = @actor,
+          resolved_at = GETUTCDATE(),
+          resolution_note = @note
+      WHERE id = @exceptionId AND status = 'open'
+    `, { exceptionId, actor: actor || 'system', note: note?.trim() || null });
+
+    return result.rowsAffected && result.rowsAffected[0] > 0;
+  } catch (error) {
+    console.error("Error resolving budget month close exception:", error);
+    throw new Error(`Failed to resolve budget month close exception: ${error.message}`);
+  }
+}
@@ -0,0 +1,147 @@
+import 'dotenv/config';
+import mssql from "../mssql.server.js";
+import {
+  calculateBudgetFromCensus,
+  getMonthlyOrderProductsByCategoryWithRefundsByBudgetMonth
+} from "./fhr-orders-refunds.server.js";
+
+/**
+ * Budget Statement Actions
+ * The monthly budget-vs-actual statement of a facility (company location): its census,
+ * the PPD rate, budget, gross, refunded and net spend and variance of every budget
+ * category, and its top products. Rendered to PDF by app/services/budget-statement-pdf.service.js.
+ */
+
+// Products listed in the statement's appendix unless another number is requested
+const DEFAULT_TOP_PRODUCTS = 25;
+
+function toAmount(value) {
+  return value === null || value === undefined ? null : parseFloat(value) || 0;
+}
+
+/**
+ * Get the monthly budget statement of a facility.
+ * Figures come from the budget month category report (a closed month from its close
+ * snapshot, refunds by order month); the census and PPD rates are the ones that report
+ * was budgeted with, recalculated from the census when it carries none.
+ * @param {Object} filters
+ * @param {string} filters.companyLocationId - Company location ID
+ * @param {string} filters.month - Month (1-12)
+ * @param {string} filters.year - Year
+ * @param {string} filters.spendDefinition - Spend definition, empty for the default
+ * @param {number} filters.topProducts - Products in the appendix (default 25)
+ * @returns {Promise<Object>} { location, budgetMonth, generatedAt, spendDefinition, census,
+ *   categories, totals, topProducts, monthClose }
+ */
+export async function getMonthlyBudgetStatement(filters = {}) {
+  if (!filters.companyLocationId) {
+    throw new Error("Company location ID is required");
+  }
+
+  if (!filters.month || !filters.year) {
+    throw new Error("Month and year are required");
+  }
+
+  const budgetMonth = `${String(filters.month).padStart(2, '0')}-${filters.year}`;
+
+  try {
+    const [report, locations] = await Promise.all([
+      getMonthlyOrderProductsByCategoryWithRefundsByBudgetMonth({
+        companyLocationId: filters.companyLocationId,
+        month: filters.month,
+        year: filters.year,
+        spendDefinition: filters.spendDefinition
+      }),
+      mssql.query(`
+        SELECT name FROM brdjdb.shopify.company_location
+        WHERE CAST(id AS NVARCHAR(255)) = @companyLocationId
+      `, { companyLocationId: String(filters.companyLocationId) })
+    ]);
+
+    let budgetDetails = report.budgetCalculationDetails;
+    if (!budgetDetails) {
+      const budget = await calculateBudgetFromCensus(filters.companyLocationId, budgetMonth);
+      budgetDetails = budget.budgetDetails ? {
+        censusAmount: budget.censusAmount,
+        daysInMonth: budget.daysInMonth,
+        budgetedDays: budget.budgetedDays,
+        patientDays: budget.patientDays,
+        budgetDetails: budget.budgetDetails,
+        budgetAvailable: budget.census.available,
+        censusSource: budget.census.censusSource,
+        censusPolicy: budget.census.policy
+      } : null;
+    }
+
+    const categories = (report.categories || []).map(category => {
+      const details = budgetDetails?.budgetDetails?.[category.category_name];
+      const budgetAvailable = Boolean(budgetDetails?.budgetAvailable && details);
+      const budget = budgetAvailable ? toAmount(details.calculatedBudget) : null;
+      const net = toAmount(category.total_value) || 0;
+
+      return {
+        category_name: category.category_name,
+        ppdRate: details ? toAmount(details.ppdRate) : null,
+        budget,
+        fullMonthBudget: budgetAvailable ? toAmount(details.fullMonthBudget) : null,
+        gross: toAmount(category.gross_value) || 0,
+        refunds: toAmount(category.refunded_value) || 0,
+        net,
+        variance: budget !== null ? net - budget : null,
+        utilization: budget > 0 ? net / budget * 100 : null
+      };
+    });
+
+    const topProducts = (report.categories || [])
+      .flatMap(category => (category.products || []).map(product => ({
+        product_name: product.product_name,
+        sku: product.sku,
+        vendor: product.vendor,
+        category_name: category.category_name,
+        quantity: toAmount(product.total_quantity) || 0,
+        gross: toAmount(product.gross_value) || 0,
+        refunds: toAmount(product.refunded_value) || 0,
+        net: toAmount(product.total_price) || 0
+      })))
+      .sort((a, b) => b.net - a.net)
+      .slice(0, parseInt(filters.topProducts) || DEFAULT_TOP_PRODUCTS);
+
+    const sumOf = (rows, field) => rows.reduce((total, row) => total + (row[field] || 0), 0);
+    const budgeted = categories.filter(category => category.budget !== null);
+    const budget = budgeted.length > 0 ? sumOf(budgeted, 'budget') : null;
+
+    return {
+      location: {
+        id: String(filters.companyLocationId),
+        name: locations[0]?.name || `Location ${filters.companyLocationId}`
+      },
+      budgetMonth,
+      generatedAt: new Date().toISOString(),
+      spendDefinition: report.spendDefinition,
+      census: {
+        available: Boolean(budgetDetails?.budgetAvailable),
+        amount: budgetDetails?.censusAmount ?? null,
+        source: budgetDetails?.censusSource || null,
+        policy: budgetDetails?.censusPolicy || null,
+        daysInMonth: budgetDetails?.daysInMonth ?? null,
+        budgetedDays: budgetDetails?.budgetedDays ?? null,
+        patientDays: budgetDetails?.patientDays ?? null
+      },
+      categories,
+      totals: {
+        orders: report.totalOrders || 0,
+        budget,
+        fullMonthBudget: budget !== null ? sumOf(budgeted, 'fullMonthBudget') : null,
+        gross: sumOf(categories, 'gross'),
+        refunds: sumOf(categories, 'refunds'),
+        net: sumOf(categories, 'net'),
+        variance: budget !== null ? sumOf(budgeted, 'net') - budget : null
+      },
+      topProducts,
+      monthClose: report.monthClose || null
+    };
+  } catch (error) {
+    console.error("Error building monthly budget statement:", error);
+    throw new Error(`Failed to build monthly budget statement: ${error.message}`);
+  }
+}
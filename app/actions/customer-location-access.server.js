@@ -0,0 +1,216 @@
+import 'dotenv/config';
+import mssql from "../mssql.server.js";
+
+/**
+ * Customer Location Access Actions
+ * Controls which company locations a logged-in storefront customer may read
+ * through the app proxy endpoints.
+ *
+ * Database Schema:
+ * - shopify.customer_location_access - customer_id ↔ location_id grants (status active/revoked)
+ * - shopify.company_location - Company locations (location_id values refer to company_location.id)
+ */
+
+/**
+ * Get all customer location access grants with optional filters
+ * @param {Object} filters - Filter options
+ * @param {string} filters.customerId - Customer ID filter
+ * @param {string} filters.locationId - Location ID filter
+ * @param {string} filters.status - Status filter (defaults to 'active')
+ * @returns {Promise<Array>} Array of access grants with location names
+ */
+export async function getCustomerLocationAccess(filters = {}) {
+  try {
+    const conditions = ['cla.status = @status'];
+    const params = { status: filters.status || 'active' };
+
+    if (filters.customerId) {
+      conditions.push('cla.customer_id = @customerId');
+      params.customerId = filters.customerId;
+    }
+
+    if (filters.locationId) {
+      conditions.push('cla.location_id = @locationId');
+      params.locationId = filters.locationId;
+    }
+
+    const query = `
+      SELECT
+        cla.id,
+        cla.customer_id,
+        cla.location_id,
+        cl.name as location_name,
+        cla.status,
+        cla.granted_by,
+        cla.created_at,
+        cla.updated_at
+      FROM shopify.customer_location_access cla
+      LEFT JOIN shopify.company_location cl ON CAST(cl.id AS NVARCHAR(255)) = cla.location_id
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY cla.customer_id, cla.location_id
+    `;
+
+    return await mssql.query(query, params);
+  } catch (error) {
+    console.error("Error fetching customer location access:", error);
+    throw new Error(`Failed to fetch customer location access: ${error.message}`);
+  }
+}
+
+/**
+ * Get the location IDs a customer is allowed to read
+ * @param {string} customerId - Shopify customer ID
+ * @returns {Promise<Array<string>>} Array of allowed location IDs
+ */
+export async function getAllowedLocationIdsForCustomer(customerId) {
+  if (!customerId) return [];
+
+  try {
+    const query = `
+      SELECT location_id
+      FROM shopify.customer_location_access
+      WHERE customer_id = @customerId AND status = 'active'
+    `;
+
+    const result = await mssql.query(query, { customerId: customerId.toString() });
+    return result.map(row => row.location_id);
+  } catch (error) {
+    console.error("Error fetching allowed locations for customer:", error);
+    throw new Error(`Failed to fetch allowed locations: ${error.message}`);
+  }
+}
+
+/**
+ * Grant a customer access to a location (re-activates a revoked grant)
+ * @param {Object} accessData - Access data
+ * @param {string} accessData.customerId - Shopify customer ID
+ * @param {string} accessData.locationId - Company location ID
+ * @param {string} accessData.grantedBy - User who granted the access
+ * @returns {Promise<Object>} Result object with success/error
+ */
+export async function grantCustomerLocationAccess(accessData) {
+  try {
+    if (!accessData || !accessData.customerId || !accessData.locationId) {
+      return { success: false, error: "Customer ID and location ID are required" };
+    }
+
+    const params = {
+      customerId: accessData.customerId.toString().trim(),
+      locationId: accessData.locationId.toString().trim(),
+      grantedBy: accessData.grantedBy || 'system'
+    };
+
+    const result = await mssql.query(`
+      MERGE shopify.customer_location_access AS target
+      USING (SELECT @customerId AS customer_id, @locationId AS location_id) AS source
+        ON target.customer_id = source.customer_id AND target.location_id = source.location_id
+      WHEN MATCHED THEN
+        UPDATE SET status = 'active', granted_by = @grantedBy, updated_at = GETUTCDATE()
+      WHEN NOT MATCHED THEN
+        INSERT (customer_id, location_id, status, granted_by)
+        VALUES (@customerId, @locationId, 'active', @grantedBy)
+      OUTPUT INSERTED.*;
+    `, params);
+
+    return { success: true, data: result[0] };
+  } catch (error) {
+    console.error("Error granting customer location access:", error);
+    return { success: false, error: `Failed to grant location access: ${error.message}` };
+  }
+}
+
+/**
+ * Revoke a customer location access grant
+ * @param {string|number} accessId - Access grant ID
+ * @returns {Promise<boolean>} Success status
+ */
+export async function revokeCustomerLocationAccess(accessId) {
+  try {
+    const result = await mssql.execute(`
+      UPDATE shopify.customer_location_access
+      SET status = 'revoked', updated_at = GETUTCDATE()
+      WHERE id = @accessId
+    `, { accessId });
+
+    return result.rowsAffected && result.rowsAffected[0] > 0;
+  } catch (error) {
+    console.error("Error revoking customer location access:", error);
+    throw new Error(`Failed to revoke location access: ${error.message}`);
+  }
+}
+
+/**
+ * Authorize a proxy request's filters against the logged-in customer's location grants.
+ *
+ * - A customerId filter may only name the logged-in customer.
+ * - locationId is rejected: it filters retail locations, while grants are company locations.
+ * - companyLocationId must be a location granted to the customer.
+ * - With no location requested, the filters are narrowed to the customer's single
+ *   granted location, or to the customer's own orders when several are granted.
+ *
+ * @param {Object} customerInfo - Result of extractShopifyCustomerInfo
+ * @param {Object} requested - Filters taken from the request
+ * @param {string} requested.customerId - Requested customer ID
+ * @param {string} requested.locationId - Requested retail location ID (not accepted)
+ * @param {string} requested.companyLocationId - Requested company location ID
+ * @returns {Promise<Object>} { authorized, filters, allowedLocationIds, status?, error? }
+ */
+export async function authorizeCustomerLocationRequest(customerInfo, requested = {}) {
+  const loggedInCustomerId = customerInfo?.customerId ? customerInfo.customerId.toString() : null;
+
+  if (!loggedInCustomerId) {
+    return { authorized: false, status: 401, error: "Customer login required", filters: null, allowedLocationIds: [] };
+  }
+
+  const customerId = requested.customerId?.toString().trim() || "";
+  const locationId = requested.locationId?.toString().trim() || "";
+  const companyLocationId = requested.companyLocationId?.toString().trim() || "";
+
+  if (customerId && customerId !== loggedInCustomerId) {
+    return {
+      authorized: false,
+      status: 403,
+      error: "Access denied - customers can only read their own orders",
+      filters: null,
+      allowedLocationIds: []
+    };
+  }
+
+  if (locationId) {
+    return {
+      authorized: false,
+      status: 400,
+      error: "locationId is not supported - filter by companyLocationId instead",
+      filters: null,
+      allowedLocationIds: []
+    };
+  }
+
+  const allowedLocationIds = await getAllowedLocationIdsForCustomer(loggedInCustomerId);
+
+  if (companyLocationId && !allowedLocationIds.includes(companyLocationId)) {
+    console.log(`Customer ${loggedInCustomerId} denied access to location ${companyLocationId}`);
+    return {
+      authorized: false,
+      status: 403,
+      error: "Access denied - you are not authorized to view this location",
+      filters: null,
+      allowedLocationIds
+    };
+  }
+
+  const filters = {};
+  if (customerId) filters.customerId = customerId;
+  if (companyLocationId) filters.companyLocationId = companyLocationId;
+
+  // Narrow unscoped requests instead of returning data across every location
+  if (!companyLocationId) {
+    if (allowedLocationIds.length === 1) {
+      filters.companyLocationId = allowedLocationIds[0];
+    } else {
+      filters.customerId = loggedInCustomerId;
+    }
+  }
+
+  return { authorized: true, filters, allowedLocationIds };
+}
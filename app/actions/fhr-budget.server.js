@@ -31,6 +31,577 @@ export const BUDGET_CATEGORIES = [
   "Therapeutic>Equipment"
 ];
 
+// Effective date of budget versions that apply to every past month
+const OPEN_VERSION_START = '2000-01-01';
+
+/**
+ * Convert a MM-YYYY month to the date of its first day
+ * @param {string} budgetMonth - Month in MM-YYYY format
+ * @returns {string} Date in YYYY-MM-DD format
+ */
+function toMonthStartDate(budgetMonth) {
+  if (!/^\d{2}-\d{4}$/.test(budgetMonth || '')) {
+    throw new Error(`Invalid effective month: ${budgetMonth}. Expected MM-YYYY`);
+  }
+
+  const [month, year] = budgetMonth.split('-');
+  return `${year}-${month}-01`;
+}
+
+/**
+ * Get the first day of the current month
+ * @returns {string} Date in YYYY-MM-DD format
+ */
+function getCurrentMonthStartDate() {
+  const now = new Date();
+  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-01`;
+}
+
+/**
+ * Snapshot the current budget_categories rates as the open-ended first version
+ * of a budget that has no versions yet (budgets created before versioning)
+ * @param {Object} transaction - Active mssql transaction
+ * @param {string|number} budgetId - Budget ID
+ * @param {string} createdBy - User making the change
+ */
+async function ensureBaselineBudgetVersion(transaction, budgetId, createdBy) {
+  await transaction.request()
+    .input('budgetId', budgetId)
+    .input('effectiveFrom', OPEN_VERSION_START)
+    .input('createdBy', createdBy || 'system')
+    .query(`
+      IF NOT EXISTS (SELECT 1 FROM shopify.budget_versions WHERE budget_id = @budgetId)
+      BEGIN
+        DECLARE @versionId BIGINT;
+
+        INSERT INTO shopify.budget_versions (budget_id, version_number, effective_from, created_by)
+        VALUES (@budgetId, 1, @effectiveFrom, @createdBy);
+
+        SET @versionId = SCOPE_IDENTITY();
+
+        INSERT INTO shopify.budget_version_categories (version_id, category_id, ppd_rate)
+        SELECT @versionId, category_id, allocated_amount
+        FROM shopify.budget_categories
+        WHERE budget_id = @budgetId;
+      END
+    `);
+}
+
+/**
+ * Write a budget version effective from a date. An approved version is put in force
+ * right away; a pending version waits for approval and leaves the approved versions
+ * alone. A version with the same effective date and approval status is replaced.
+ * @param {Object} transaction - Active mssql transaction
+ * @param {string|number} budgetId - Budget ID
+ * @param {string} effectiveFrom - First day the rates apply (YYYY-MM-DD)
+ * @param {Array<{categoryId: number, ppdRate: number}>} rates - PPD rate per category
+ * @param {string} createdBy - User making the change
+ * @param {string} approvalStatus - 'approved' (default) or 'pending'
+ * @returns {Promise<number>} Version ID
+ */
+async function writeBudgetVersion(transaction, budgetId, effectiveFrom, rates, createdBy, approvalStatus = 'approved') {
+  const versionResult = await transaction.request()
+    .input('budgetId', budgetId)
+    .input('effectiveFrom', effectiveFrom)
+    .input('approvalStatus', approvalStatus)
+    .input('createdBy', createdBy || 'system')
+    .query(`
+      DECLARE @versionId BIGINT = (
+        SELECT id FROM shopify.budget_versions
+        WHERE budget_id = @budgetId AND effective_from = @effectiveFrom AND approval_status = @approvalStatus
+      );
+
+      IF @versionId IS NOT NULL
+      BEGIN
+        DELETE FROM shopify.budget_version_categories WHERE version_id = @versionId;
+
+        UPDATE shopify.budget_versions
+        SET created_by = @createdBy, created_at = GETUTCDATE()
+        WHERE id = @versionId;
+      END
+      ELSE
+      BEGIN
+        INSERT INTO shopify.budget_versions (budget_id, version_number, effective_from, approval_status, created_by)
+        VALUES (
+          @budgetId,
+          ISNULL((SELECT MAX(version_number) FROM shopify.budget_versions WHERE budget_id = @budgetId), 0) + 1,
+          @effectiveFrom,
+          @approvalStatus,
+          @createdBy
+        );
+
+        SET @versionId = SCOPE_IDENTITY();
+      END
+
+      SELECT @versionId as version_id;
+    `);
+
+  const versionId = versionResult.recordset[0].version_id;
+
+  for (const rate of rates) {
+    await transaction.request()
+      .input('versionId', versionId)
+      .input('categoryId', rate.categoryId)
+      .input('ppdRate', rate.ppdRate)
+      .query(`
+        INSERT INTO shopify.budget_version_categories (version_id, category_id, ppd_rate)
+        VALUES (@versionId, @categoryId, @ppdRate)
+      `);
+  }
+
+  if (approvalStatus === 'approved') {
+    await putBudgetVersionInForce(transaction, versionId);
+  }
+
+  return versionId;
+}
+
+/**
+ * Put a version in force from its effective date: it replaces the approved version of
+ * the same date, the approved version in force before it is closed the day before, and
+ * it ends the day before the next approved version (if any). Rates in force this month
+ * also become the budget's current rates in budget_categories.
+ * @param {Object} transaction - Active mssql transaction
+ * @param {string|number} versionId - Version ID
+ */
+async function putBudgetVersionInForce(transaction, versionId) {
+  await transaction.request()
+    .input('versionId', versionId)
+    .input('currentMonthStart', getCurrentMonthStartDate())
+    .query(`
+      DECLARE @budgetId BIGINT, @effectiveFrom DATE;
+      SELECT @budgetId = budget_id, @effectiveFrom = effective_from
+      FROM shopify.budget_versions
+      WHERE id = @versionId;
+
+      DELETE FROM shopify.budget_versions
+      WHERE budget_id = @budgetId
+        AND effective_from = @effectiveFrom
+        AND approval_status = 'approved'
+        AND id <> @versionId;
+
+      DECLARE @nextEffectiveFrom DATE = (
+        SELECT MIN(effective_from) FROM shopify.budget_versions
+        WHERE budget_id = @budgetId AND approval_status = 'approved' AND effective_from > @effectiveFrom
+      );
+
+      -- Close the version in force on the new effective date
+      UPDATE shopify.budget_versions
+      SET effective_to = DATEADD(day, -1, @effectiveFrom)
+      WHERE budget_id = @budgetId
+        AND approval_status = 'approved'
+        AND effective_from < @effectiveFrom
+        AND (effective_to IS NULL OR effective_to >= @effectiveFrom);
+
+      UPDATE shopify.budget_versions
+      SET approval_status = 'approved',
+          effective_to = CASE WHEN @nextEffectiveFrom IS NULL THEN NULL ELSE DATEADD(day, -1, @nextEffectiveFrom) END
+      WHERE id = @versionId;
+
+      IF @effectiveFrom <= @currentMonthStart
+        AND (@nextEffectiveFrom IS NULL OR @nextEffectiveFrom > @currentMonthStart)
+      BEGIN
+        DELETE FROM shopify.budget_categories WHERE budget_id = @budgetId;
+
+        INSERT INTO shopify.budget_categories (budget_id, category_id, allocated_amount)
+        SELECT @budgetId, category_id, ppd_rate
+        FROM shopify.budget_version_categories
+        WHERE version_id = @versionId;
+
+        UPDATE shopify.budget
+        SET total_amount = (
+              SELECT ISNULL(SUM(ppd_rate), 0) FROM shopify.budget_version_categories WHERE version_id = @versionId
+            ),
+            updated_at = GETUTCDATE()
+        WHERE id = @budgetId;
+      END
+    `);
+}
+
+/**
+ * Get the approved PPD rates of a budget in force on a date
+ * @param {Object} transaction - Active mssql transaction
+ * @param {string|number} budgetId - Budget ID
+ * @param {string} effectiveFrom - Date (YYYY-MM-DD)
+ * @returns {Promise<Map>} PPD rate by category ID (as string)
+ */
+async function getApprovedRatesInForce(transaction, budgetId, effectiveFrom) {
+  const rates = await transaction.request()
+    .input('budgetId', budgetId)
+    .input('effectiveFrom', effectiveFrom)
+    .query(`
+      SELECT bvc.category_id, bvc.ppd_rate
+      FROM shopify.budget_version_categories bvc
+      WHERE bvc.version_id = (
+        SELECT TOP 1 bv.id FROM shopify.budget_versions bv
+        WHERE bv.budget_id = @budgetId
+          AND bv.approval_status = 'approved'
+          AND bv.effective_from <= @effectiveFrom
+        ORDER BY bv.effective_from DESC
+      )
+    `);
+
+  return new Map(rates.recordset.map(rate => [String(rate.category_id), parseFloat(rate.ppd_rate)]));
+}
+
+/**
+ * Get the version history of a budget
+ * @param {string|number} budgetId - Budget ID
+ * @returns {Promise<Array>} Versions (newest first) with their category rates and
+ *   approval status (pending, approved or rejected)
+ */
+export async function getBudgetVersions(budgetId) {
+  try {
+    const rows = await mssql.query(`
+      SELECT
+        bv.id,
+        bv.version_number,
+        CONVERT(NVARCHAR(10), bv.effective_from, 23) as effective_from,
+        CONVERT(NVARCHAR(10), bv.effective_to, 23) as effective_to,
+        bv.approval_status,
+        bv.decided_by,
+        bv.decided_at,
+        bv.created_by,
+        bv.created_at,
+        bvc.category_id,
+        bcm.category_name,
+        bvc.ppd_rate
+      FROM shopify.budget_versions bv
+      LEFT JOIN shopify.budget_version_categories bvc ON bvc.version_id = bv.id
+      LEFT JOIN shopify.budget_categories_master bcm ON bvc.category_id = bcm.id
+      WHERE bv.budget_id = @budgetId
+      ORDER BY bv.effective_from DESC, bcm.category_name
+    `, { budgetId });
+
+    const versions = [];
+    const versionsById = {};
+
+    rows.forEach(row => {
+      if (!versionsById[row.id]) {
+        versionsById[row.id] = {
+          id: row.id,
+          versionNumber: row.version_number,
+          effectiveFrom: row.effective_from === OPEN_VERSION_START ? null : row.effective_from,
+          effectiveTo: row.effective_to,
+          approvalStatus: row.approval_status,
+          decidedBy: row.decided_by,
+          decidedAt: row.decided_at,
+          createdBy: row.created_by,
+          createdAt: row.created_at,
+          totalPpd: 0,
+          categories: []
+        };
+        versions.push(versionsById[row.id]);
+      }
+
+      if (row.category_id) {
+        versionsById[row.id].categories.push({
+          categoryId: row.category_id,
+          categoryName: row.category_name,
+          ppdRate: row.ppd_rate
+        });
+        versionsById[row.id].totalPpd += parseFloat(row.ppd_rate) || 0;
+      }
+    });
+
+    return versions;
+  } catch (error) {
+    console.error("Error fetching budget versions:", error);
+    throw new Error(`Failed to fetch budget versions: ${error.message}`);
+  }
+}
+
+// Budget approval workflow: draft -> pending -> active (approved) | rejected.
+// Only active budgets are used by budget calculations. Rate changes of active budgets
+// are approved per version (approveBudgetVersion / rejectBudgetVersion).
+const BUDGET_APPROVAL_TRANSITIONS = {
+  submit: { from: ['draft', 'rejected', 'inactive'], to: 'pending' },
+  approve: { from: ['pending'], to: 'active' },
+  reject: { from: ['pending'], to: 'rejected' }
+};
+
+// Statuses that can be set by editing a budget; the others go through the workflow
+const EDITABLE_BUDGET_STATUSES = ['draft', 'inactive', 'archived'];
+
+/**
+ * Approval status of a rate change: the rates of an approved (active) budget keep being
+ * used until the new version is approved; other budgets are approved as a whole
+ * @param {Object} transaction - Open transaction of the rate change
+ * @param {string|number} budgetId - Budget ID
+ * @returns {Promise<string>} 'pending' or 'approved'
+ */
+async function getRateChangeApprovalStatus(transaction, budgetId) {
+  const current = await transaction.request()
+    .input('budgetId', budgetId)
+    .query(`SELECT status FROM shopify.budget WITH (UPDLOCK) WHERE id = @budgetId`);
+
+  return current.recordset[0]?.status === 'active' ? 'pending' : 'approved';
+}
+
+/**
+ * Whether rates differ from the approved rates in force
+ * @param {Array<{categoryId: number, ppdRate: number}>} rates - New PPD rate per category
+ * @param {Map} ratesInForce - From getApprovedRatesInForce
+ * @returns {boolean}
+ */
+function haveRatesChanged(rates, ratesInForce) {
+  return rates.length !== ratesInForce.size
+    || rates.some(rate => ratesInForce.get(String(rate.categoryId)) !== parseFloat(rate.ppdRate));
+}
+
+/**
+ * Record a budget version submitted for approval in the approval history
+ * @param {Object} transaction - Open transaction of the rate change
+ * @param {string|number} budgetId - Budget ID
+ * @param {number} versionId - Pending version ID
+ * @param {string} effectiveFrom - First day the rates apply (YYYY-MM-DD)
+ * @param {string} actor - Session user changing the rates
+ */
+async function submitBudgetVersion(transaction, budgetId, versionId, effectiveFrom, actor) {
+  const [year, month] = effectiveFrom.split('-');
+
+  await transaction.request()
+    .input('budgetId', budgetId)
+    .input('versionId', versionId)
+    .input('actor', actor || 'system')
+    .input('comment', `PPD rates from ${month}-${year} submitted for approval`)
+    .query(`
+      INSERT INTO shopify.budget_approvals (budget_id, version_id, action, from_status, to_status, actor, comment)
+      VALUES (@budgetId, @versionId, 'submit', 'pending', 'pending', @actor, @comment)
+    `);
+}
+
+/**
+ * Approve or reject a pending rate version of an approved budget. An approved version is
+ * put in force from its effective month, or from the current month when that has passed;
+ * a rejected one is kept in the history and the approved rates stay in force.
+ * @param {string|number} versionId - Budget version ID
+ * @param {string} decision - 'approve' or 'reject'
+ * @param {string} actor - Session user deciding
+ * @param {string} comment - Optional comment (required to reject)
+ * @returns {Promise<Object>} Result object with success/error
+ */
+async function decideBudgetVersion(versionId, decision, actor, comment) {
+  const approvalStatus = { approve: 'approved', reject: 'rejected' }[decision];
+
+  if (!versionId) {
+    return { success: false, error: "Budget version ID is required" };
+  }
+
+  if (decision === 'reject' && !comment?.trim()) {
+    return { success: false, error: "A comment is required to reject rates" };
+  }
+
+  const pool = await mssql.getPool();
+  const transaction = pool.transaction();
+
+  try {
+    await transaction.begin();
+
+    const current = await transaction.request()
+      .input('versionId', versionId)
+      .query(`
+        SELECT budget_id, approval_status, CONVERT(NVARCHAR(10), effective_from, 23) as effective_from
+        FROM shopify.budget_versions WITH (UPDLOCK)
+        WHERE id = @versionId
+      `);
+
+    if (current.recordset.length === 0) {
+      await transaction.rollback();
+      return { success: false, error: "Budget version not found" };
+    }
+
+    const version = current.recordset[0];
+    if (version.approval_status !== 'pending') {
+      await transaction.rollback();
+      return { success: false, error: `These rates were already ${version.approval_status}` };
+    }
+
+    // Months that passed while the rates waited keep the rates they were reported with
+    const currentMonthStart = getCurrentMonthStartDate();
+    const effectiveFrom = version.effective_from < currentMonthStart ? currentMonthStart : version.effective_from;
+
+    await transaction.request()
+      .input('versionId', versionId)
+      .input('approvalStatus', approvalStatus)
+      .input('effectiveFrom', effectiveFrom)
+      .input('actor', actor || 'system')
+      .query(`
+        UPDATE shopify.budget_versions
+        SET effective_from = CASE WHEN @approvalStatus = 'approved' THEN @effectiveFrom ELSE effective_from END,
+            approval_status = CASE WHEN @approvalStatus = 'rejected' THEN 'rejected' ELSE approval_status END,
+            decided_by = @actor,
+            decided_at = GETUTCDATE()
+        WHERE id = @versionId
+      `);
+
+    if (approvalStatus === 'approved') {
+      await putBudgetVersionInForce(transaction, versionId);
+    }
+
+    await transaction.request()
+      .input('budgetId', version.budget_id)
+      .input('versionId', versionId)
+      .input('action', decision)
+      .input('toStatus', approvalStatus)
+      .input('actor', actor || 'system')
+      .input('comment', comment?.trim() || null)
+      .query(`
+        INSERT INTO shopify.budget_approvals (budget_id, version_id, action, from_status, to_status, actor, comment)
+        VALUES (@budgetId, @versionId, @action, 'pending', @toStatus, @actor, @comment)
+      `);
+
+    await transaction.commit();
+
+    return { success: true, status: approvalStatus };
+  } catch (error) {
+    await transaction.rollback();
+    console.error(`Error performing budget rates ${decision}:`, error);
+    return { success: false, error: `Failed to ${decision} rates: ${error.message}` };
+  }
+}
+
+/**
+ * Approve pending PPD rates of an approved budget
+ * @param {string|number} versionId - Budget version ID
+ * @param {Object} options - { actor, comment }
+ * @returns {Promise<Object>} Result object with success/error
+ */
+export async function approveBudgetVersion(versionId, { actor, comment } = {}) {
+  return decideBudgetVersion(versionId, 'approve', actor, comment);
+}
+
+/**
+ * Reject pending PPD rates of an approved budget
+ * @param {string|number} versionId - Budget version ID
+ * @param {Object} options - { actor, comment } (comment is required)
+ * @returns {Promise<Object>} Result object with success/error
+ */
+export async function rejectBudgetVersion(versionId, { actor, comment } = {}) {
+  return decideBudgetVersion(versionId, 'reject', actor, comment);
+}
+
+/**
+ * Move a budget through the approval workflow and record the transition
+ * @param {string|number} budgetId - Budget ID
+ * @param {string} action - 'submit', 'approve' or 'reject'
+ * @param {string} actor - Session user performing the action
+ * @param {string} comment - Optional comment (required to reject)
+ * @returns {Promise<Object>} Result object with success/error
+ */
+async function transitionBudgetStatus(budgetId, action, actor, comment) {
+  const transition = BUDGET_APPROVAL_TRANSITIONS[action];
+
+  if (!budgetId) {
+    return { success: false, error: "Budget ID is required" };
+  }
+
+  if (action === 'reject' && !comment?.trim()) {
+    return { success: false, error: "A comment is required to reject a budget" };
+  }
+
+  const pool = await mssql.getPool();
+  const transaction = pool.transaction();
+
+  try {
+    await transaction.begin();
+
+    const current = await transaction.request()
+      .input('budgetId', budgetId)
+      .query(`SELECT status FROM shopify.budget WITH (UPDLOCK) WHERE id = @budgetId`);
+
+    if (current.recordset.length === 0) {
+      await transaction.rollback();
+      return { success: false, error: "Budget not found" };
+    }
+
+    const fromStatus = current.recordset[0].status;
+    if (!transition.from.includes(fromStatus)) {
+      await transaction.rollback();
+      return { success: false, error: `Cannot ${action} a budget that is ${fromStatus}` };
+    }
+
+    await transaction.request()
+      .input('budgetId', budgetId)
+      .input('status', transition.to)
+      .input('actor', actor || 'system')
+      .query(`
+        UPDATE shopify.budget
+        SET status = @status, updated_by = @actor, updated_at = GETUTCDATE()
+        WHERE id = @budgetId
+      `);
+
+    await transaction.request()
+      .input('budgetId', budgetId)
+      .input('action', action)
+      .input('fromStatus', fromStatus)
+      .input('toStatus', transition.to)
+      .input('actor', actor || 'system')
+      .input('comment', comment?.trim() || null)
+      .query(`
+        INSERT INTO shopify.budget_approvals (budget_id, action, from_status, to_status, actor, comment)
+        VALUES (@budgetId, @action, @fromStatus, @toStatus, @actor, @comment)
+      `);
+
+    await transaction.commit();
+
+    return { success: true, status: transition.to };
+  } catch (error) {
+    await transaction.rollback();
+    console.error(`Error performing budget ${action}:`, error);
+    return { success: false, error: `Failed to ${action} budget: ${error.message}` };
+  }
+}
+
+/**
+ * Submit a draft, rejected or inactive budget for approval
+ * @param {string|number} budgetId - Budget ID
+ * @param {Object} options - { actor, comment }
+ * @returns {Promise<Object>} Result object with success/error
+ */
+export async function submitBudgetForApproval(budgetId, { actor, comment } = {}) {
+  return transitionBudgetStatus(budgetId, 'submit', actor, comment);
+}
+
+/**
+ * Approve a pending budget, making it active for budget calculations
+ * @param {string|number} budgetId - Budget ID
+ * @param {Object} options - { actor, comment }
+ * @returns {Promise<Object>} Result object with success/error
+ */
+export async function approveBudget(budgetId, { actor, comment } = {}) {
+  return transitionBudgetStatus(budgetId, 'approve', actor, comment);
+}
+
+/**
+ * Reject a pending budget
+ * @param {string|number} budgetId - Budget ID
+ * @param {Object} options - { actor, comment } (comment is required)
+ * @returns {Promise<Object>} Result object with success/error
+ */
+export async function rejectBudget(budgetId, { actor, comment } = {}) {
+  return transitionBudgetStatus(budgetId, 'reject', actor, comment);
+}
+
+/**
+ * Get the approval history of a budget
+ * @param {string|number} budgetId - Budget ID
+ * @returns {Promise<Array>} Approval records, newest first
+ */
+export async function getBudgetApprovalHistory(budgetId) {
+  try {
+    return await mssql.query(`
+      SELECT id, budget_id, action, from_status, to_status, actor, comment, created_at
+      FROM shopify.budget_approvals
+      WHERE budget_id = @budgetId
+      ORDER BY created_at DESC, id DESC
+    `, { budgetId });
+  } catch (error) {
+    console.error("Error fetching budget approval history:", error);
+    throw new Error(`Failed to fetch budget approval history: ${error.message}`);
+  }
+}
+
 /**
  * Get budget categories from database with full details
  * @returns {Array} Array of available budget categories from the database with id, name, parent_category, etc.
@@ -190,10 +761,29 @@ export async function getSimpleBudgets() {
       SELECT 
         b.*,
         bcm.category_name as category,
-        b.total_amount as amount
+        b.total_amount as amount,
+        latest_approval.action as last_review_action,
+        latest_approval.actor as last_review_actor,
+        latest_approval.comment as last_review_comment,
+        latest_approval.created_at as last_review_at,
+        pending_version.id as pending_version_id,
+        CONVERT(NVARCHAR(10), pending_version.effective_from, 23) as pending_version_from,
+        pending_version.created_by as pending_version_by
       FROM shopify.budget b
       LEFT JOIN shopify.budget_categories bc ON b.id = bc.budget_id
       LEFT JOIN shopify.budget_categories_master bcm ON bc.category_id = bcm.id
+      OUTER APPLY (
+        SELECT TOP 1 ba.action, ba.actor, ba.comment, ba.created_at
+        FROM shopify.budget_approvals ba
+        WHERE ba.budget_id = b.id
+        ORDER BY ba.created_at DESC, ba.id DESC
+      ) latest_approval
+      OUTER APPLY (
+        SELECT TOP 1 bv.id, bv.effective_from, bv.created_by
+        FROM shopify.budget_versions bv
+        WHERE bv.budget_id = b.id AND bv.approval_status = 'pending'
+        ORDER BY bv.effective_from, bv.id
+      ) pending_version
       ORDER BY b.created_at DESC
     `);
 
@@ -208,6 +798,23 @@ export async function getSimpleBudgets() {
       status: budget.status,
       start_date: budget.start_date,
       end_date: budget.end_date,
+      created_by: budget.created_by,
+      last_review: budget.last_review_action
+        ? {
+            action: budget.last_review_action,
+            actor: budget.last_review_actor,
+            comment: budget.last_review_comment,
+            at: budget.last_review_at
+          }
+        : null,
+      // Rate change of an approved budget waiting for approval
+      pending_version: budget.pending_version_id
+        ? {
+            id: budget.pending_version_id.toString(),
+            effective_from: budget.pending_version_from,
+            created_by: budget.pending_version_by
+          }
+        : null,
       created_at: budget.created_at,
       updated_at: budget.updated_at
     }));
@@ -302,8 +909,7 @@ export async function getBudgets() {
  * @param {string} budgetData.period - Budget period
  * @param {string} budgetData.start_date - Start date
  * @param {string} budgetData.end_date - End date
- * @param {string} budgetData.status - Budget status
- * @returns {Object} Result object with success/error
+ * @returns {Object} Result object with success/error (new budgets start as draft)
  */
 export async function createSimpleBudget(budgetData) {
   try {
@@ -347,7 +953,7 @@ export async function createSimpleBudget(budgetData) {
         .input('name', budgetData.name.trim())
         .input('description', budgetData.description || null)
         .input('totalAmount', amount)
-        .input('status', budgetData.status || 'active')
+        .input('status', 'draft')
         .input('createdBy', budgetData.createdBy || 'system')
         .query(`
           INSERT INTO shopify.budget (name, description, total_amount, status, created_by)
@@ -397,10 +1003,11 @@ export async function createSimpleBudget(budgetData) {
 }
 
 /**
- * Create a new budget
+ * Create a new budget as a draft (submit it for approval to use it)
  * @param {Object} budgetData - Budget data to create
  * @param {string} budgetData.name - Budget name
  * @param {Object} budgetData.categories - Categories with budget amounts (can use IDs or names as keys)
+ * @param {string} budgetData.effectiveMonth - First month (MM-YYYY) the rates apply to; all months when omitted
  * @returns {Object} Created budget object
  */
 export async function createBudget(budgetData) {
@@ -440,7 +1047,7 @@ export async function createBudget(budgetData) {
         .input('name', budgetData.name.trim())
         .input('description', budgetData.description || null)
         .input('totalAmount', totalAmount)
-        .input('status', 'active')
+        .input('status', 'draft')
         .input('createdBy', budgetData.createdBy || 'system')
         .query(`
           INSERT INTO shopify.budget (name, description, total_amount, status, created_by)
@@ -451,6 +1058,7 @@ export async function createBudget(budgetData) {
       const newBudget = budgetResult.recordset[0];
 
       // Insert budget categories using category IDs
+      const rates = [];
       for (const [categoryKey, categoryData] of Object.entries(validation.validCategories)) {
         const categoryId = categoryData.categoryId || categoryKey;
         const amount = parseFloat(categoryData.amount || categoryData);
@@ -463,8 +1071,16 @@ export async function createBudget(budgetData) {
             INSERT INTO shopify.budget_categories (budget_id, category_id, allocated_amount)
             VALUES (@budgetId, @categoryId, @allocatedAmount)
           `);
+
+        rates.push({ categoryId, ppdRate: amount });
       }
 
+      // Record the rates as the budget's first version
+      const effectiveFrom = budgetData.effectiveMonth
+        ? toMonthStartDate(budgetData.effectiveMonth)
+        : OPEN_VERSION_START;
+      await writeBudgetVersion(transaction, newBudget.id, effectiveFrom, rates, budgetData.createdBy);
+
       await transaction.commit();
 
       // Return the created budget with categories
@@ -532,6 +1148,7 @@ export async function getBudgetById(budgetId) {
     `, { budgetId: id });
 
     const budgetData = budget[0];
+    budgetData.versions = await getBudgetVersions(id);
     budgetData.categories = categories.reduce((acc, cat) => {
       acc[cat.category_id] = {
         categoryId: cat.category_id,
@@ -541,6 +1158,23 @@ export async function getBudgetById(budgetId) {
       };
       return acc;
     }, {});
+
+    // Rates of a scheduled version that has since come into force replace the stored rates
+    const today = new Date().toISOString().slice(0, 10);
+    const versionInForce = budgetData.versions.find(version =>
+      (!version.effectiveFrom || version.effectiveFrom <= today) &&
+      (!version.effectiveTo || version.effectiveTo >= today)
+    );
+    if (versionInForce && versionInForce.categories.length > 0) {
+      budgetData.categories = versionInForce.categories.reduce((acc, cat) => {
+        acc[cat.categoryId] = {
+          categoryId: cat.categoryId,
+          categoryName: cat.categoryName,
+          amount: cat.ppdRate.toString()
+        };
+        return acc;
+      }, {});
+    }
     budgetData.categoryDetails = categories;
 
     return budgetData;
@@ -552,12 +1186,17 @@ export async function getBudgetById(budgetId) {
 
 /**
  * Update a simple budget (for UI compatibility)
+ * A changed rate of an approved budget waits for approval; its current rate stays in use.
  * @param {string|number} budgetId - Budget ID
  * @param {Object} updateData - Simple budget data to update
- * @returns {Object} Result object with success/error
+ * @returns {Object} Result object with success/error and ratesPending
  */
 export async function updateSimpleBudget(budgetId, updateData) {
   try {
+    if (updateData.status && !EDITABLE_BUDGET_STATUSES.includes(updateData.status)) {
+      return { success: false, error: `Budget status '${updateData.status}' can only be set through the approval workflow` };
+    }
+
     // Validate amount if provided
     let amount = null;
     if (updateData.amount !== undefined) {
@@ -581,69 +1220,66 @@ export async function updateSimpleBudget(budgetId, updateData) {
 
     const pool = await mssql.getPool();
     const transaction = pool.transaction();
+    let ratesPending = false;
     
     try {
       await transaction.begin();
 
-      // Update budget basic info
+      // Update budget basic info; the amount is set when its rate version is in force
       const budgetUpdateResult = await transaction.request()
         .input('budgetId', budgetId)
         .input('name', updateData.name || null)
         .input('description', updateData.description || null)
-        .input('totalAmount', amount)
         .input('status', updateData.status || null)
         .query(`
           UPDATE shopify.budget 
           SET 
             name = COALESCE(@name, name),
             description = COALESCE(@description, description),
-            total_amount = COALESCE(@totalAmount, total_amount),
             status = COALESCE(@status, status),
             updated_at = GETUTCDATE()
           WHERE id = @budgetId
         `);
 
-      // Update category assignment if category or amount changed
+      // Save a changed category or amount as a version effective this month
       if (categoryId !== null || amount !== null) {
-        // First check if there's an existing category assignment
+        // Keep the rates in force until now before changing them
+        await ensureBaselineBudgetVersion(transaction, budgetId, updateData.updatedBy);
+
         const existingCategory = await transaction.request()
           .input('budgetId', budgetId)
           .query(`
-            SELECT bc.id, bc.category_id, bc.allocated_amount 
-            FROM shopify.budget_categories bc 
+            SELECT bc.category_id, bc.allocated_amount
+            FROM shopify.budget_categories bc
             WHERE bc.budget_id = @budgetId
           `);
 
-        if (existingCategory.recordset.length > 0) {
-          // Update existing category assignment
-          await transaction.request()
-            .input('budgetId', budgetId)
-            .input('categoryId', categoryId || existingCategory.recordset[0].category_id)
-            .input('allocatedAmount', amount || existingCategory.recordset[0].allocated_amount)
-            .query(`
-              UPDATE shopify.budget_categories 
-              SET 
-                category_id = @categoryId,
-                allocated_amount = @allocatedAmount,
-                updated_at = GETUTCDATE()
-              WHERE budget_id = @budgetId
-            `);
-        } else if (categoryId !== null && amount !== null) {
-          // Create new category assignment
-          await transaction.request()
-            .input('budgetId', budgetId)
-            .input('categoryId', categoryId)
-            .input('allocatedAmount', amount)
-            .query(`
-              INSERT INTO shopify.budget_categories (budget_id, category_id, allocated_amount)
-              VALUES (@budgetId, @categoryId, @allocatedAmount)
-            `);
+        const previousCategory = existingCategory.recordset[0];
+        const rateCategoryId = categoryId ?? previousCategory?.category_id;
+        const rate = amount ?? (previousCategory ? parseFloat(previousCategory.allocated_amount) : null);
+
+        if (rateCategoryId != null && rate !== null) {
+          const effectiveFrom = getCurrentMonthStartDate();
+          const rates = [{ categoryId: rateCategoryId, ppdRate: rate }];
+          const approvalStatus = await getRateChangeApprovalStatus(transaction, budgetId);
+          const ratesInForce = await getApprovedRatesInForce(transaction, budgetId, effectiveFrom);
+
+          if (approvalStatus === 'approved' || haveRatesChanged(rates, ratesInForce)) {
+            const versionId = await writeBudgetVersion(
+              transaction, budgetId, effectiveFrom, rates, updateData.updatedBy, approvalStatus
+            );
+
+            if (approvalStatus === 'pending') {
+              await submitBudgetVersion(transaction, budgetId, versionId, effectiveFrom, updateData.updatedBy);
+              ratesPending = true;
+            }
+          }
         }
       }
 
       await transaction.commit();
 
-      return { success: true };
+      return { success: true, ratesPending };
 
     } catch (transactionError) {
       await transaction.rollback();
@@ -658,20 +1294,37 @@ export async function updateSimpleBudget(budgetId, updateData) {
 
 /**
  * Update budget
+ * Category rates are saved as a new budget version effective from
+ * updateData.effectiveMonth (MM-YYYY, defaults to the current month), so months
+ * before it keep their rates. Rates scheduled for a future month leave the
+ * current rates in budget_categories untouched. Changed rates of an approved budget
+ * are saved as a pending version: the budget stays approved with its current rates
+ * until the version is approved (approveBudgetVersion).
  * @param {string|number} budgetId - Budget ID
  * @param {Object} updateData - Data to update
  * @returns {Object} Updated budget object
  */
 export async function updateBudget(budgetId, updateData) {
   try {
+    const currentMonthStart = getCurrentMonthStartDate();
+    const effectiveFrom = updateData.effectiveMonth
+      ? toMonthStartDate(updateData.effectiveMonth)
+      : currentMonthStart;
+
+    if (effectiveFrom < currentMonthStart) {
+      throw new Error("Budget rates cannot be changed for past months");
+    }
+
+    if (updateData.status && !EDITABLE_BUDGET_STATUSES.includes(updateData.status)) {
+      throw new Error(`Budget status '${updateData.status}' can only be set through the approval workflow`);
+    }
+
     const pool = await mssql.getPool();
     const transaction = pool.transaction();
     
     try {
       await transaction.begin();
 
-      let totalAmount = null;
-
       // Update categories if provided
       if (updateData.categories) {
         // Get valid categories from database for validation (same as createBudget)
@@ -683,46 +1336,42 @@ export async function updateBudget(budgetId, updateData) {
           throw new Error(`Invalid categories: ${validation.errors.join(', ')}`);
         }
 
-        // Calculate total budget amount
-        totalAmount = Object.values(validation.validCategories)
-          .reduce((sum, categoryData) => sum + parseFloat(categoryData.amount || categoryData), 0);
+        const rates = Object.entries(validation.validCategories).map(([categoryKey, categoryData]) => ({
+          categoryId: categoryData.categoryId || categoryKey,
+          ppdRate: parseFloat(categoryData.amount || categoryData)
+        }));
 
-        // Delete existing categories
-        await transaction.request()
-          .input('budgetId', budgetId)
-          .query('DELETE FROM shopify.budget_categories WHERE budget_id = @budgetId');
+        // Keep the rates in force until now before scheduling the new version
+        await ensureBaselineBudgetVersion(transaction, budgetId, updateData.updatedBy);
 
-        // Insert new categories using category IDs (same as createBudget)
-        for (const [categoryKey, categoryData] of Object.entries(validation.validCategories)) {
-          const categoryId = categoryData.categoryId || categoryKey;
-          const amount = parseFloat(categoryData.amount || categoryData);
-          
-          await transaction.request()
-            .input('budgetId', budgetId)
-            .input('categoryId', categoryId)
-            .input('allocatedAmount', amount)
-            .query(`
-              INSERT INTO shopify.budget_categories (budget_id, category_id, allocated_amount)
-              VALUES (@budgetId, @categoryId, @allocatedAmount)
-            `);
+        // Only a change against the rates that would otherwise be in force needs approval
+        const approvalStatus = await getRateChangeApprovalStatus(transaction, budgetId);
+        const ratesInForce = await getApprovedRatesInForce(transaction, budgetId, effectiveFrom);
+
+        if (approvalStatus === 'approved' || haveRatesChanged(rates, ratesInForce)) {
+          const versionId = await writeBudgetVersion(
+            transaction, budgetId, effectiveFrom, rates, updateData.updatedBy, approvalStatus
+          );
+
+          if (approvalStatus === 'pending') {
+            await submitBudgetVersion(transaction, budgetId, versionId, effectiveFrom, updateData.updatedBy);
+          }
         }
       }
 
-      // Update budget basic info (including total_amount if categories were updated)
-      if (updateData.name || updateData.description || updateData.status || totalAmount !== null) {
+      // Update budget basic info (the rates in force set total_amount)
+      if (updateData.name || updateData.description || updateData.status) {
         await transaction.request()
           .input('budgetId', budgetId)
           .input('name', updateData.name)
           .input('description', updateData.description)
           .input('status', updateData.status)
-          .input('totalAmount', totalAmount)
           .query(`
             UPDATE shopify.budget 
             SET 
               name = COALESCE(@name, name),
               description = COALESCE(@description, description),
               status = COALESCE(@status, status),
-              total_amount = COALESCE(@totalAmount, total_amount),
               updated_at = GETUTCDATE()
             WHERE id = @budgetId
           `);
@@ -805,7 +1454,8 @@ export async function getBudgetStats() {
         SUM(total_amount) as total_allocated,
         AVG(total_amount) as avg_budget_amount,
         COUNT(CASE WHEN status = 'active' THEN 1 END) as active_budgets,
-        COUNT(CASE WHEN status = 'draft' THEN 1 END) as draft_budgets
+        COUNT(CASE WHEN status = 'draft' THEN 1 END) as draft_budgets,
+        COUNT(CASE WHEN status = 'pending' THEN 1 END) as pending_budgets
       FROM shopify.budget
     `);
 
@@ -998,6 +1648,8 @@ export async function getAllBudgetAssignments() {
         ba.assigned_by,
         ba.created_at,
         ba.updated_at,
+        ba.ppd_multiplier,
+        (SELECT COUNT(*) FROM shopify.budget_assignment_overrides bao WHERE bao.assignment_id = ba.id) as override_count,
         b.name as budget_name,
         b.total_amount,
         cp.name as location_name,
@@ -1018,6 +1670,151 @@ export async function getAllBudgetAssignments() {
   }
 }
 
+/**
+ * Get the effective PPD rates of a budget assignment for the current month
+ * Effective rate = category override, otherwise template rate × assignment multiplier
+ * @param {string|number} assignmentId - Assignment ID
+ * @returns {Promise<Array>} Rates per category:
+ *   { categoryId, categoryName, baseRate, overrideRate, effectiveRate, isOverridden }
+ */
+export async function getAssignmentEffectiveRates(assignmentId) {
+  try {
+    const rates = await mssql.query(`
+      SELECT
+        rates.category_id,
+        bcm.category_name,
+        rates.ppd_rate as base_rate,
+        ba.ppd_multiplier,
+        bao.ppd_rate as override_rate,
+        COALESCE(bao.ppd_rate, rates.ppd_rate * ba.ppd_multiplier) as effective_rate
+      FROM shopify.budget_location_assignments ba
+      OUTER APPLY (
+        SELECT TOP 1 bv.id
+        FROM shopify.budget_versions bv
+        WHERE bv.budget_id = ba.budget_id
+          AND bv.approval_status = 'approved'
+          AND bv.effective_from <= @monthStart
+          AND (bv.effective_to IS NULL OR bv.effective_to >= @monthStart)
+        ORDER BY bv.effective_from DESC
+      ) version
+      CROSS APPLY (
+        SELECT bvc.category_id, bvc.ppd_rate
+        FROM shopify.budget_version_categories bvc
+        WHERE bvc.version_id = version.id
+        UNION ALL
+        SELECT bc.category_id, bc.allocated_amount as ppd_rate
+        FROM shopify.budget_categories bc
+        WHERE bc.budget_id = ba.budget_id
+          AND NOT EXISTS (SELECT 1 FROM shopify.budget_versions bv WHERE bv.budget_id = ba.budget_id)
+      ) rates
+      INNER JOIN shopify.budget_categories_master bcm ON rates.category_id = bcm.id
+      LEFT JOIN shopify.budget_assignment_overrides bao
+        ON bao.assignment_id = ba.id AND bao.category_id = rates.category_id
+      WHERE ba.id = @assignmentId
+      ORDER BY bcm.category_name
+    `, { assignmentId, monthStart: getCurrentMonthStartDate() });
+
+    return rates.map(rate => ({
+      categoryId: rate.category_id,
+      categoryName: rate.category_name,
+      baseRate: parseFloat(rate.base_rate),
+      multiplier: parseFloat(rate.ppd_multiplier),
+      overrideRate: rate.override_rate !== null ? parseFloat(rate.override_rate) : null,
+      effectiveRate: parseFloat(parseFloat(rate.effective_rate).toFixed(2)),
+      isOverridden: rate.override_rate !== null
+    }));
+  } catch (error) {
+    console.error("Error fetching assignment effective rates:", error);
+    throw new Error(`Failed to fetch assignment effective rates: ${error.message}`);
+  }
+}
+
+/**
+ * Save the PPD multiplier and category rate overrides of a budget assignment
+ * @param {Object} overrideData - Override data
+ * @param {string|number} overrideData.assignmentId - Assignment ID
+ * @param {number} overrideData.multiplier - Multiplier applied to template rates (1 = unchanged)
+ * @param {Object} overrideData.overrides - Override rate keyed by category ID; empty removes the override
+ * @param {string} overrideData.updatedBy - User making the change
+ * @returns {Object} Result object with success/error
+ */
+export async function saveAssignmentRateOverrides(overrideData) {
+  try {
+    const { assignmentId, overrides = {}, updatedBy } = overrideData;
+
+    if (!assignmentId) {
+      return { success: false, error: "Assignment ID is required" };
+    }
+
+    const multiplier = overrideData.multiplier === undefined || overrideData.multiplier === ''
+      ? 1
+      : parseFloat(overrideData.multiplier);
+    if (isNaN(multiplier) || multiplier <= 0) {
+      return { success: false, error: "PPD multiplier must be greater than 0" };
+    }
+
+    const pool = await mssql.getPool();
+    const transaction = pool.transaction();
+
+    try {
+      await transaction.begin();
+
+      await transaction.request()
+        .input('assignmentId', assignmentId)
+        .input('multiplier', multiplier)
+        .query(`
+          UPDATE shopify.budget_location_assignments
+          SET ppd_multiplier = @multiplier, updated_at = GETUTCDATE()
+          WHERE id = @assignmentId
+        `);
+
+      for (const [categoryId, value] of Object.entries(overrides)) {
+        if (value === '' || value === null || value === undefined) {
+          await transaction.request()
+            .input('assignmentId', assignmentId)
+            .input('categoryId', categoryId)
+            .query(`
+              DELETE FROM shopify.budget_assignment_overrides
+              WHERE assignment_id = @assignmentId AND category_id = @categoryId
+            `);
+          continue;
+        }
+
+        const ppdRate = parseFloat(value);
+        if (isNaN(ppdRate) || ppdRate < 0) {
+          throw new Error(`Invalid override rate for category ${categoryId}`);
+        }
+
+        await transaction.request()
+          .input('assignmentId', assignmentId)
+          .input('categoryId', categoryId)
+          .input('ppdRate', ppdRate)
+          .input('updatedBy', updatedBy || 'system')
+          .query(`
+            MERGE shopify.budget_assignment_overrides AS target
+            USING (SELECT @assignmentId AS assignment_id, @categoryId AS category_id) AS source
+              ON target.assignment_id = source.assignment_id AND target.category_id = source.category_id
+            WHEN MATCHED THEN
+              UPDATE SET ppd_rate = @ppdRate, updated_by = @updatedBy, updated_at = GETUTCDATE()
+            WHEN NOT MATCHED THEN
+              INSERT (assignment_id, category_id, ppd_rate, updated_by)
+              VALUES (@assignmentId, @categoryId, @ppdRate, @updatedBy);
+          `);
+      }
+
+      await transaction.commit();
+    } catch (transactionError) {
+      await transaction.rollback();
+      throw transactionError;
+    }
+
+    return { success: true };
+  } catch (error) {
+    console.error("Error saving assignment rate overrides:", error);
+    return { success: false, error: `Failed to save rate overrides: ${error.message}` };
+  }
+}
+
 /**
  * Remove budget assignment
  * @param {string|number} assignmentId - Assignment ID
@@ -186,4 +186,405 @@ export async function deleteLocationCensus(locationId, censusMonth) {
   }
 }
 
+/**
+ * Census fallback policies applied when a location has no census for a budget month
+ * - carry_forward: use the most recent earlier census
+ * - trailing_average: average the census of the trailing N months
+ * - default: use the location's configured default census
+ * - unavailable: report the budget as unavailable
+ */
+export const CENSUS_FALLBACK_POLICIES = [
+  'carry_forward',
+  'trailing_average',
+  'default',
+  'unavailable'
+];
+
+const DEFAULT_TRAILING_MONTHS = 3;
+
+/**
+ * Get the policy used for locations without a configured census policy
+ * @returns {string} Policy name (CENSUS_FALLBACK_POLICY env, defaults to 'unavailable')
+ */
+function getDefaultCensusPolicy() {
+  const policy = process.env.CENSUS_FALLBACK_POLICY;
+  return CENSUS_FALLBACK_POLICIES.includes(policy) ? policy : 'unavailable';
+}
+
+/**
+ * Convert MM-YYYY budget month to a sortable YYYYMM number
+ * @param {string} budgetMonth - Month in MM-YYYY format
+ * @returns {number} Month key (e.g. 202509)
+ */
+function toMonthKey(budgetMonth) {
+  const [month, year] = budgetMonth.split('-');
+  return parseInt(year) * 100 + parseInt(month);
+}
+
+/**
+ * Get the census fallback policy for a location
+ * @param {string} locationId - Location ID
+ * @returns {Promise<Object>} Policy record (falls back to the default policy)
+ */
+export async function getLocationCensusPolicy(locationId) {
+  try {
+    const result = await mssql.query(`
+      SELECT location_id, policy, trailing_months, default_census, updated_by, updated_at
+      FROM shopify.location_census_policy
+      WHERE location_id = @locationId
+    `, { locationId });
+
+    if (result.length > 0) {
+      return { ...result[0], isDefault: false };
+    }
+
+    return {
+      location_id: locationId,
+      policy: getDefaultCensusPolicy(),
+      trailing_months: null,
+      default_census: null,
+      isDefault: true
+    };
+  } catch (error) {
+    console.error("Error fetching location census policy:", error);
+    throw new Error(`Failed to fetch location census policy: ${error.message}`);
+  }
+}
+
+/**
+ * Get all configured census fallback policies
+ * @returns {Promise<Array>} Array of policy records
+ */
+export async function getAllLocationCensusPolicies() {
+  try {
+    return await mssql.query(`
+      SELECT location_id, policy, trailing_months, default_census, updated_by, updated_at
+      FROM shopify.location_census_policy
+      ORDER BY location_id
+    `);
+  } catch (error) {
+    console.error("Error fetching location census policies:", error);
+    throw new Error(`Failed to fetch location census policies: ${error.message}`);
+  }
+}
+
+/**
+ * Create or update the census fallback policy for a location
+ * @param {Object} policyData - Policy data
+ * @param {string} policyData.locationId - Location ID
+ * @param {string} policyData.policy - One of CENSUS_FALLBACK_POLICIES
+ * @param {number} policyData.trailingMonths - Months averaged by 'trailing_average'
+ * @param {number} policyData.defaultCensus - Census used by 'default'
+ * @param {string} policyData.updatedBy - User who changed the policy
+ * @returns {Promise<Object>} Saved policy record
+ */
+export async function saveLocationCensusPolicy(policyData) {
+  try {
+    const { locationId, policy, updatedBy } = policyData;
+
+    if (!locationId) {
+      throw new Error("Location ID is required");
+    }
+
+    if (!CENSUS_FALLBACK_POLICIES.includes(policy)) {
+      throw new Error(`Invalid census policy: ${policy}`);
+    }
+
+    const trailingMonths = policy === 'trailing_average'
+      ? parseInt(policyData.trailingMonths) || DEFAULT_TRAILING_MONTHS
+      : null;
+    const defaultCensus = policy === 'default' ? parseFloat(policyData.defaultCensus) : null;
+
+    if (policy === 'default' && (isNaN(defaultCensus) || defaultCensus <= 0)) {
+      throw new Error("A default census greater than 0 is required for the 'default' policy");
+    }
+
+    const result = await mssql.query(`
+      MERGE shopify.location_census_policy AS target
+      USING (SELECT @locationId AS location_id) AS source
+        ON target.location_id = source.location_id
+      WHEN MATCHED THEN
+        UPDATE SET
+          policy = @policy,
+          trailing_months = @trailingMonths,
+          default_census = @defaultCensus,
+          updated_by = @updatedBy,
+          updated_at = GETUTCDATE()
+      WHEN NOT MATCHED THEN
+        INSERT (location_id, policy, trailing_months, default_census, updated_by)
+        VALUES (@locationId, @policy, @trailingMonths, @defaultCensus, @updatedBy)
+      OUTPUT INSERTED.*;
+    `, {
+      locationId,
+      policy,
+      trailingMonths,
+      defaultCensus,
+      updatedBy: updatedBy || 'system'
+    });
+
+    return result[0];
+  } catch (error) {
+    console.error("Error saving location census policy:", error);
+    throw new Error(`Failed to save location census policy: ${error.message}`);
+  }
+}
+
+/**
+ * Resolve the census used for a location's budget month. Daily census entries
+ * take precedence (as the month's average daily census), then the monthly
+ * census, then the location's fallback policy.
+ *
+ * @param {string} locationId - Location ID
+ * @param {string} budgetMonth - Month in MM-YYYY format
+ * @returns {Promise<Object>} {
+ *   censusAmount: number|null,
+ *   available: boolean,
+ *   censusSource: 'daily'|'actual'|'carry_forward'|'trailing_average'|'default'|'unavailable',
+ *   policy: string,
+ *   sourceMonths: Array<string>,
+ *   daysEntered: number,          // Only for 'daily'
+ *   lastDayEntered: number,       // Only for 'daily'
+ *   recordedPatientDays: number   // Only for 'daily'
+ * }
+ */
+export async function resolveCensusForMonth(locationId, budgetMonth) {
+  const daily = await getDailyCensusTotals(locationId, budgetMonth);
+
+  if (daily.daysEntered > 0) {
+    return {
+      censusAmount: daily.averageDailyCensus,
+      available: true,
+      censusSource: 'daily',
+      policy: null,
+      sourceMonths: [budgetMonth],
+      daysEntered: daily.daysEntered,
+      lastDayEntered: daily.lastDayEntered,
+      recordedPatientDays: daily.patientDays
+    };
+  }
+
+  const actual = await getLocationCensusByLocationAndMonth(locationId, budgetMonth);
 
+  if (actual) {
+    return {
+      censusAmount: parseFloat(actual.census_amount),
+      available: true,
+      censusSource: 'actual',
+      policy: null,
+      sourceMonths: [budgetMonth]
+    };
+  }
+
+  const policyRecord = await getLocationCensusPolicy(locationId);
+  const policy = policyRecord.policy;
+  const unavailable = {
+    censusAmount: null,
+    available: false,
+    censusSource: 'unavailable',
+    policy,
+    sourceMonths: []
+  };
+
+  console.log(`No census data found for location ${locationId} and month ${budgetMonth}, applying '${policy}' policy`);
+
+  if (policy === 'default') {
+    const defaultCensus = parseFloat(policyRecord.default_census);
+    return defaultCensus > 0
+      ? { censusAmount: defaultCensus, available: true, censusSource: 'default', policy, sourceMonths: [] }
+      : unavailable;
+  }
+
+  if (policy === 'carry_forward' || policy === 'trailing_average') {
+    const limit = policy === 'carry_forward'
+      ? 1
+      : parseInt(policyRecord.trailing_months) || DEFAULT_TRAILING_MONTHS;
+
+    // Earlier months' census, from their daily entries when they have any
+    const previous = await mssql.query(`
+      WITH DailyCensus AS (
+        SELECT
+          FORMAT(census_date, 'MM-yyyy') as census_month,
+          CAST(ROUND(AVG(census_count), 2) AS DECIMAL(18,2)) as census_amount,
+          YEAR(census_date) * 100 + MONTH(census_date) as month_key
+        FROM shopify.location_census_daily
+        WHERE location_id = @locationId
+        GROUP BY FORMAT(census_date, 'MM-yyyy'), YEAR(census_date) * 100 + MONTH(census_date)
+      ),
+      MonthlyCensus AS (
+        SELECT
+          census_month,
+          census_amount,
+          CAST(year_number AS INT) * 100 + CAST(month_number AS INT) as month_key
+        FROM shopify.v_location_census
+        WHERE location_id = @locationId
+      )
+      SELECT TOP (@limit) census_month, census_amount
+      FROM (
+        SELECT census_month, census_amount, month_key FROM DailyCensus
+        UNION ALL
+        SELECT mc.census_month, mc.census_amount, mc.month_key
+        FROM MonthlyCensus mc
+        WHERE NOT EXISTS (SELECT 1 FROM DailyCensus dc WHERE dc.month_key = mc.month_key)
+      ) census
+      WHERE month_key < @monthKey
+      ORDER BY month_key DESC
+    `, { locationId, limit, monthKey: toMonthKey(budgetMonth) });
+
+    if (previous.length === 0) {
+      return unavailable;
+    }
+
+    const total = previous.reduce((sum, row) => sum + parseFloat(row.census_amount), 0);
+
+    return {
+      censusAmount: parseFloat((total / previous.length).toFixed(2)),
+      available: true,
+      censusSource: policy,
+      policy,
+      sourceMonths: previous.map(row => row.census_month)
+    };
+  }
+
+  return unavailable;
+}
+
+/**
+ * Get the patient-day totals of a location's daily census for a month
+ * @param {string} locationId - Location ID
+ * @param {string} censusMonth - Month in MM-YYYY format
+ * @returns {Promise<Object>} { daysEntered, lastDayEntered, patientDays, averageDailyCensus }
+ */
+async function getDailyCensusTotals(locationId, censusMonth) {
+  const [month, year] = censusMonth.split('-');
+
+  const result = await mssql.query(`
+    SELECT
+      COUNT(*) as days_entered,
+      ISNULL(MAX(DAY(census_date)), 0) as last_day_entered,
+      ISNULL(SUM(census_count), 0) as patient_days
+    FROM shopify.location_census_daily
+    WHERE location_id = @locationId
+      AND YEAR(census_date) = @year AND MONTH(census_date) = @month
+  `, { locationId, month: parseInt(month), year: parseInt(year) });
+
+  const daysEntered = parseInt(result[0]?.days_entered) || 0;
+  const patientDays = parseFloat(result[0]?.patient_days) || 0;
+
+  return {
+    daysEntered,
+    lastDayEntered: parseInt(result[0]?.last_day_entered) || 0,
+    patientDays,
+    averageDailyCensus: daysEntered > 0 ? parseFloat((patientDays / daysEntered).toFixed(2)) : null
+  };
+}
+
+/**
+ * Get the daily census entries of a location for a month
+ * @param {string} locationId - Location ID
+ * @param {string} censusMonth - Month in MM-YYYY format
+ * @returns {Promise<Array>} Array of { census_date (YYYY-MM-DD), day, census_count }
+ */
+export async function getDailyCensusForMonth(locationId, censusMonth) {
+  try {
+    const [month, year] = censusMonth.split('-');
+
+    return await mssql.query(`
+      SELECT
+        CONVERT(NVARCHAR(10), census_date, 23) as census_date,
+        DAY(census_date) as day,
+        census_count,
+        updated_by,
+        updated_at
+      FROM shopify.location_census_daily
+      WHERE location_id = @locationId
+        AND YEAR(census_date) = @year AND MONTH(census_date) = @month
+      ORDER BY census_date
+    `, { locationId, month: parseInt(month), year: parseInt(year) });
+  } catch (error) {
+    console.error("Error fetching daily location census:", error);
+    throw new Error(`Failed to fetch daily location census: ${error.message}`);
+  }
+}
+
+/**
+ * Save a month of daily census for a location in one transaction.
+ * Days with an empty count are removed. The monthly census row is left as entered:
+ * resolveCensusForMonth prefers the daily entries while the month has any.
+ *
+ * @param {Object} dailyData - Daily census data
+ * @param {string} dailyData.locationId - Location ID
+ * @param {string} dailyData.censusMonth - Month in MM-YYYY format
+ * @param {Array<{day: number, count: number|string|null}>} dailyData.entries - Census per day of month
+ * @param {string} dailyData.updatedBy - User who entered the census
+ * @returns {Promise<Object>} { daysEntered, lastDayEntered, patientDays, averageDailyCensus }
+ */
+export async function saveDailyCensusForMonth(dailyData) {
+  try {
+    const { locationId, censusMonth, entries = [], updatedBy } = dailyData;
+
+    if (!locationId || !/^\d{2}-\d{4}$/.test(censusMonth || '')) {
+      throw new Error("Location ID and census month (MM-YYYY) are required");
+    }
+
+    const [month, year] = censusMonth.split('-').map(part => parseInt(part));
+    const daysInMonth = new Date(year, month, 0).getDate();
+
+    const pool = await mssql.getPool();
+    const transaction = pool.transaction();
+
+    try {
+      await transaction.begin();
+
+      for (const entry of entries) {
+        const day = parseInt(entry.day);
+        if (!day || day < 1 || day > daysInMonth) {
+          throw new Error(`Invalid day ${entry.day} for ${censusMonth}`);
+        }
+
+        const censusDate = `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+
+        if (entry.count === '' || entry.count === null || entry.count === undefined) {
+          await transaction.request()
+            .input('locationId', locationId)
+            .input('censusDate', censusDate)
+            .query(`
+              DELETE FROM shopify.location_census_daily
+              WHERE location_id = @locationId AND census_date = @censusDate
+            `);
+          continue;
+        }
+
+        const count = parseFloat(entry.count);
+        if (isNaN(count) || count < 0) {
+          throw new Error(`Invalid census count for ${censusDate}`);
+        }
+
+        await transaction.request()
+          .input('locationId', locationId)
+          .input('censusDate', censusDate)
+          .input('count', count)
+          .input('updatedBy', updatedBy || 'system')
+          .query(`
+            MERGE shopify.location_census_daily AS target
+            USING (SELECT @locationId AS location_id, CAST(@censusDate AS DATE) AS census_date) AS source
+              ON target.location_id = source.location_id AND target.census_date = source.census_date
+            WHEN MATCHED THEN
+              UPDATE SET census_count = @count, updated_by = @updatedBy, updated_at = GETUTCDATE()
+            WHEN NOT MATCHED THEN
+              INSERT (location_id, census_date, census_count, updated_by)
+              VALUES (@locationId, @censusDate, @count, @updatedBy);
+          `);
+      }
+
+      await transaction.commit();
+    } catch (transactionError) {
+      await transaction.rollback();
+      throw transactionError;
+    }
+
+    return await getDailyCensusTotals(locationId, censusMonth);
+  } catch (error) {
+    console.error("Error saving daily location census:", error);
+    throw new Error(`Failed to save daily location census: ${error.message}`);
+  }
+}
@@ -1,12 +1,19 @@
 import 'dotenv/config';
 import mssql from "../mssql.server.js";
+import { resolveCensusForMonth } from "./fhr-location-census.server.js";
+import { getBudgetMonthOfDate, getOrderBudgetMonth } from "../utils/budget-month.js";
+import {
+  getSpendDefinition,
+  getOrderLineSpendSql,
+  getRefundSpendSql
+} from "./spend-definitions.server.js";
 
 /**
  * Decode HTML entities in category names
  * @param {string} str - The string containing HTML entities
  * @returns {string} - The decoded string
  */
-function decodeHtmlEntities(str) {
+export function decodeHtmlEntities(str) {
   if (!str) return str;
   
   const htmlEntities = {
@@ -45,6 +52,33 @@ function decodeHtmlEntities(str) {
  * - shopify.order_line_refund - Individual refunded line items (links to order_line_id)
  */
 
+/**
+ * Refund attribution modes of the refund-aware reports:
+ * - order_month: refunds are subtracted from the month of the refunded order (default)
+ * - refund_month: refunds are subtracted from the month they were processed in
+ * - both: the order_month report, with the refund_month report alongside as byRefundMonth
+ */
+export const REFUND_ATTRIBUTION_MODES = ['order_month', 'refund_month', 'both'];
+
+const DEFAULT_REFUND_ATTRIBUTION = 'order_month';
+
+/**
+ * Validate a refund attribution mode
+ * @param {string} refundAttribution - Requested mode, empty for the default
+ * @returns {string} Refund attribution mode
+ */
+function getRefundAttribution(refundAttribution) {
+  if (!refundAttribution) {
+    return DEFAULT_REFUND_ATTRIBUTION;
+  }
+
+  if (!REFUND_ATTRIBUTION_MODES.includes(refundAttribution)) {
+    throw new Error(`Unknown refund attribution "${refundAttribution}". Use one of: ${REFUND_ATTRIBUTION_MODES.join(', ')}`);
+  }
+
+  return refundAttribution;
+}
+
 /**
  * Get monthly order products summary with refunds accounted for
  * @param {Object} filters - Filter criteria
@@ -53,7 +87,9 @@ function decodeHtmlEntities(str) {
  * @param {string} filters.companyLocationId - Company Location ID filter
  * @param {string} filters.month - Month (01-12)
  * @param {string} filters.year - Year (YYYY)
- * @returns {Promise<Object>} Object containing products array and summary totals
+ * @param {string} filters.refundAttribution - order_month (default), refund_month or both
+ * @returns {Promise<Object>} Object containing products array, summary totals and the
+ *   refundAttribution used; with both, the refund month figures are in byRefundMonth
  */
 
 // Helper function to get budget data for categories by location
@@ -101,56 +137,145 @@ async function getBudgetDataForLocation(locationId, budgetMonth = null) {
   }
 }
 
-async function calculateBudgetFromCensus(locationId, budgetMonth) {
+// Helper function to get the number of days of a budget month to budget for.
+// The month in progress is budgeted to date; past and future months in full.
+function getBudgetedDays(month, year, daysInMonth) {
+  const today = new Date();
+
+  if (today.getFullYear() === year && today.getMonth() + 1 === month) {
+    return today.getDate();
+  }
+
+  return daysInMonth;
+}
+
+// Helper function to project a category's spend to the end of the budget month
+// burnRate is net spend (after refunds) per elapsed day, matching the variance and
+// utilization shown beside it; projectedVariance > 0 means a projected overspend
+function getCategoryProjection(category, budgetCalculationDetails) {
+  const details = category.budgetCalculationDetails;
+
+  if (!budgetCalculationDetails || !details || !category.budgetAvailable) {
+    return {
+      fullMonthBudget: null,
+      proratedBudget: null,
+      burnRate: null,
+      projectedSpend: null,
+      projectedVariance: null,
+      projectedOverBudget: false
+    };
+  }
+
+  const daysElapsed = budgetCalculationDetails.budgetedDays || budgetCalculationDetails.daysInMonth;
+  const daysInMonth = budgetCalculationDetails.daysInMonth;
+  const spend = parseFloat(category.total_value) || 0;
+  const fullMonthBudget = parseFloat(details.fullMonthBudget) || 0;
+
+  const burnRate = daysElapsed > 0 ? spend / daysElapsed : 0;
+  const projectedSpend = burnRate * daysInMonth;
+  const projectedVariance = projectedSpend - fullMonthBudget;
+
+  return {
+    fullMonthBudget: fullMonthBudget.toFixed(2),
+    proratedBudget: details.calculatedBudget,
+    burnRate: burnRate.toFixed(2),
+    projectedSpend: projectedSpend.toFixed(2),
+    projectedVariance: projectedVariance.toFixed(2),
+    projectedOverBudget: projectedVariance > 0
+  };
+}
+
+// Helper function to get the PPD rate of each budget category assigned to a location,
+// taken from the approved budget version in force for the budget month (rates waiting
+// for approval are not used). Budgets without versions fall back to their current rates
+// in budget_categories. The assignment's category overrides replace template rates;
+// other rates are scaled by its multiplier.
+async function getLocationPpdRates(locationId, budgetMonth) {
+  const [month, year] = budgetMonth.split('-');
+
+  const ratesQuery = `
+    SELECT DISTINCT
+      bla.budget_id,
+      rates.category_id,
+      bcm.category_name,
+      COALESCE(bao.ppd_rate, rates.ppd_rate * bla.ppd_multiplier) as ppd_rate
+    FROM shopify.budget_location_assignments bla
+    INNER JOIN shopify.budget b ON bla.budget_id = b.id
+    OUTER APPLY (
+      SELECT TOP 1 bv.id
+      FROM shopify.budget_versions bv
+      WHERE bv.budget_id = b.id
+        AND bv.approval_status = 'approved'
+        AND bv.effective_from <= @monthStart
+        AND (bv.effective_to IS NULL OR bv.effective_to >= @monthStart)
+      ORDER BY bv.effective_from DESC
+    ) version
+    CROSS APPLY (
+      SELECT bvc.category_id, bvc.ppd_rate
+      FROM shopify.budget_version_categories bvc
+      WHERE bvc.version_id = version.id
+      UNION ALL
+      SELECT bc.category_id, bc.allocated_amount as ppd_rate
+      FROM shopify.budget_categories bc
+      WHERE bc.budget_id = b.id
+        AND NOT EXISTS (SELECT 1 FROM shopify.budget_versions bv WHERE bv.budget_id = b.id)
+    ) rates
+    INNER JOIN shopify.budget_categories_master bcm ON rates.category_id = bcm.id
+    LEFT JOIN shopify.budget_assignment_overrides bao
+      ON bao.assignment_id = bla.id AND bao.category_id = rates.category_id
+    WHERE bla.location_id = @locationId 
+      AND bla.status = 'active'
+      AND b.status = 'active'
+  `;
+
+  return await mssql.query(ratesQuery, {
+    locationId,
+    monthStart: `${year}-${month.padStart(2, '0')}-01`
+  });
+}
+
+/**
+ * Calculate the census-based budget of each budget category of a location for a budget
+ * month: patient-days to date × PPD rate (calculatedBudget) and the full month
+ * (fullMonthBudget), with the census and the fallback policy that produced it.
+ * @param {string} locationId - Company location ID
+ * @param {string} budgetMonth - Budget month (MM-YYYY)
+ * @returns {Promise<Object>} { budgetMap, budgetDetails, censusAmount, daysInMonth,
+ *   budgetedDays, patientDays, census }, or an empty object when it fails
+ */
+export async function calculateBudgetFromCensus(locationId, budgetMonth) {
   try {
-    // Get census data for the location and month
-    const censusQuery = `
-      SELECT 
-        census_amount
-      FROM shopify.location_census 
-      WHERE location_id = @locationId 
-        AND census_month = @budgetMonth
-    `;
-    let  censusAmount = 1;
-    const censusData = await mssql.query(censusQuery, { 
-      locationId, 
-      budgetMonth 
-    });
-    
-    if (!censusData || censusData.length === 0) {
-      console.log(`No census data found for location ${locationId} and month ${budgetMonth}`);
-      //return {};
-      const censusAmount = 1;
-    }
-    else
-    {
-      censusAmount = censusData[0].census_amount;
-    }
-    
-   
+    // Get census data for the location and month, applying the location's
+    // fallback policy when no census was entered for the month
+    const census = await resolveCensusForMonth(locationId, budgetMonth);
+    const censusAmount = census.censusAmount;
     
     // Calculate days in the budget month
     const [month, year] = budgetMonth.split('-');
     const daysInMonth = new Date(parseInt(year), parseInt(month), 0).getDate();
+    const budgetedDays = getBudgetedDays(parseInt(month), parseInt(year), daysInMonth);
+
+    // Patient-days budgeted so far (and for the whole month): the sum of the recorded days
+    // when daily census covers every one of those days, otherwise average daily census × days
+    const coversDays = days => census.censusSource === 'daily' &&
+      census.daysEntered === days && census.lastDayEntered === days;
+    let patientDays = null;
+    let fullMonthPatientDays = null;
+    if (census.available) {
+      patientDays = coversDays(budgetedDays)
+        ? census.recordedPatientDays
+        : parseFloat((censusAmount * budgetedDays).toFixed(2));
+      fullMonthPatientDays = coversDays(daysInMonth)
+        ? census.recordedPatientDays
+        : censusAmount * daysInMonth;
+    }
     
-    // Get all budget categories with their PPD rates (allocated_amount as PPD)
-    const categoriesQuery = `
-      SELECT DISTINCT
-        bcm.category_name,
-        bc.allocated_amount as ppd_rate
-      FROM shopify.budget_location_assignments bla
-      INNER JOIN shopify.budget b ON bla.budget_id = b.id
-      INNER JOIN shopify.budget_categories bc ON b.id = bc.budget_id
-      INNER JOIN shopify.budget_categories_master bcm ON bc.category_id = bcm.id
-      WHERE bla.location_id = @locationId 
-        AND bla.status = 'active'
-        AND b.status = 'active'
-    `;
-    
-    const categoriesData = await mssql.query(categoriesQuery, { locationId });
+    // Get all budget categories with the PPD rates in force for the budget month
+    const categoriesData = await getLocationPpdRates(locationId, budgetMonth);
     
     // Calculate budget for each category using the formula:
-    // BUDGET OF CATEGORY = CENSUS OF LOCATION × DAYS OF THE CURRENT MONTH × PPD
+    // BUDGET OF CATEGORY = PATIENT-DAYS TO DATE × PPD
+    // (full month: AVERAGE DAILY CENSUS × DAYS OF THE MONTH × PPD)
     const budgetMap = {};
     const budgetDetails = {};
     //console.log(categoriesData)
@@ -159,26 +284,36 @@ async function calculateBudgetFromCensus(locationId, budgetMonth) {
       const decodedCategoryName = decodeHtmlEntities(category.category_name);
       const ppdRate = parseFloat(category.ppd_rate) || 0;
       
-      // Calculate budget: census × days × PPD
-      const calculatedBudget = (censusAmount * daysInMonth * ppdRate).toFixed(2);
+      // Calculate budget: patient-days × PPD (null when no census could be resolved)
+      const calculatedBudget = census.available
+        ? (patientDays * ppdRate).toFixed(2)
+        : null;
+      const fullMonthBudget = census.available
+        ? (fullMonthPatientDays * ppdRate).toFixed(2)
+        : null;
       
       budgetMap[decodedCategoryName] = calculatedBudget;
       // Also store the original in case it's needed
       budgetMap[category.category_name] = calculatedBudget;
       
-      // Store detailed calculation info
-      budgetDetails[decodedCategoryName] = {
+      // Store detailed calculation info, including which census policy produced the number
+      const details = {
+        budgetId: category.budget_id,
+        categoryId: category.category_id,
         censusAmount: censusAmount,
         daysInMonth: daysInMonth,
+        budgetedDays: budgetedDays,
+        patientDays: patientDays,
         ppdRate: ppdRate,
-        calculatedBudget: calculatedBudget
-      };
-      budgetDetails[category.category_name] = {
-        censusAmount: censusAmount,
-        daysInMonth: daysInMonth,
-        ppdRate: ppdRate,
-        calculatedBudget: calculatedBudget
+        calculatedBudget: calculatedBudget,
+        fullMonthBudget: fullMonthBudget,
+        budgetAvailable: census.available,
+        censusSource: census.censusSource,
+        censusPolicy: census.policy,
+        censusSourceMonths: census.sourceMonths
       };
+      budgetDetails[decodedCategoryName] = details;
+      budgetDetails[category.category_name] = details;
     });
     
     // console.log(`Budget calculation for location ${locationId}, month ${budgetMonth}:`);
@@ -189,7 +324,10 @@ async function calculateBudgetFromCensus(locationId, budgetMonth) {
       budgetMap,
       budgetDetails,
       censusAmount,
-      daysInMonth
+      daysInMonth,
+      budgetedDays,
+      patientDays,
+      census
     };
     
   } catch (error) {
@@ -199,7 +337,21 @@ async function calculateBudgetFromCensus(locationId, budgetMonth) {
 }
 
 export async function getMonthlyOrderProductsWithRefunds(filters = {}) {
+  const refundAttribution = getRefundAttribution(filters.refundAttribution);
+
+  if (refundAttribution === 'both') {
+    const [byOrderMonth, byRefundMonth] = await Promise.all([
+      getMonthlyOrderProductsWithRefunds({ ...filters, refundAttribution: 'order_month' }),
+      getMonthlyOrderProductsWithRefunds({ ...filters, refundAttribution: 'refund_month' })
+    ]);
+
+    return { ...byOrderMonth, refundAttribution, byRefundMonth };
+  }
+
   try {
+    const spendDefinition = getSpendDefinition(filters.spendDefinition);
+    const spend = getOrderLineSpendSql(spendDefinition);
+    const refundSpend = getRefundSpendSql(spendDefinition);
     const conditions = [];
     const params = {};
     
@@ -217,15 +369,26 @@ export async function getMonthlyOrderProductsWithRefunds(filters = {}) {
       params.companyLocationId = filters.companyLocationId;
     }
 
+    // Refunds attributed to their own month are not limited to the period's orders
+    const refundConditions = [...conditions];
+
     // Add date filters for the specified month/year
     if (filters.month && filters.year) {
       conditions.push('MONTH(o.created_at) = @month');
       conditions.push('YEAR(o.created_at) = @year');
+      refundConditions.push('MONTH(COALESCE(r.processed_at, r.created_at)) = @month');
+      refundConditions.push('YEAR(COALESCE(r.processed_at, r.created_at)) = @year');
       params.month = parseInt(filters.month);
       params.year = parseInt(filters.year);
     }
 
     const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const refundWhereClause = refundAttribution === 'refund_month'
+      ? (refundConditions.length > 0 ? `WHERE ${refundConditions.join(' AND ')}` : '')
+      : whereClause;
+    // Refunds of the month's orders always match an ordered line; refunds processed in the
+    // month may belong to orders of earlier months
+    const refundJoin = refundAttribution === 'refund_month' ? 'FULL OUTER JOIN' : 'LEFT JOIN';
 
     // Enhanced query that calculates net quantities and values after refunds
     const query = `
@@ -241,51 +404,81 @@ export async function getMonthlyOrderProductsWithRefunds(filters = {}) {
           p.shopify_category,
           ol.quantity as ordered_quantity,
           CAST(ol.price AS DECIMAL(10,2)) as unit_price,
-          CAST(ol.price AS DECIMAL(10,2)) * ol.quantity as ordered_value,
+          ${spend.value} as ordered_value,
           o.id as order_id
         FROM brdjdb.shopify.[order] AS o
         INNER JOIN brdjdb.shopify.order_line AS ol ON o.id = ol.order_id
         LEFT JOIN brdjdb.shopify.product AS p ON ol.product_id = p.id
+        ${spend.join}
         ${whereClause}
       ),
       RefundedProducts AS (
-        -- Get all refunded products for the same period
+        -- Get all refunded products attributed to the same period
         SELECT 
           olr.order_line_id,
+          MAX(ol.product_id) as product_id,
+          MAX(ol.variant_id) as variant_id,
+          MAX(ol.name) as product_name,
+          MAX(ol.sku) as sku,
+          MAX(ol.vendor) as vendor,
+          MAX(p.shopify_category) as shopify_category,
+          MAX(CAST(ol.price AS DECIMAL(10,2))) as unit_price,
+          MAX(o.id) as order_id,
           SUM(olr.quantity) as total_refunded_quantity,
-          SUM(olr.subtotal) as total_refunded_value
+          SUM(${refundSpend}) as total_refunded_value
         FROM brdjdb.shopify.order_line_refund AS olr
         INNER JOIN brdjdb.shopify.refund AS r ON olr.refund_id = r.id
         INNER JOIN brdjdb.shopify.[order] AS o ON r.order_id = o.id
-        ${whereClause}
+        INNER JOIN brdjdb.shopify.order_line AS ol ON olr.order_line_id = ol.id
+        LEFT JOIN brdjdb.shopify.product AS p ON ol.product_id = p.id
+        ${refundWhereClause}
         GROUP BY olr.order_line_id
+      ),
+      AttributedLines AS (
+        SELECT 
+          COALESCE(op.product_id, rp.product_id) as product_id,
+          COALESCE(op.variant_id, rp.variant_id) as variant_id,
+          COALESCE(op.product_name, rp.product_name) as product_name,
+          COALESCE(op.sku, rp.sku) as sku,
+          COALESCE(op.vendor, rp.vendor) as vendor,
+          COALESCE(op.shopify_category, rp.shopify_category) as shopify_category,
+          op.order_line_id,
+          op.order_id,
+          COALESCE(op.order_id, rp.order_id) as refunded_order_id,
+          COALESCE(op.ordered_quantity, 0) as ordered_quantity,
+          COALESCE(op.ordered_value, 0) as ordered_value,
+          COALESCE(op.unit_price, rp.unit_price) as unit_price,
+          rp.order_line_id as refunded_line_id,
+          COALESCE(rp.total_refunded_quantity, 0) as refunded_quantity,
+          COALESCE(rp.total_refunded_value, 0) as refunded_value
+        FROM OrderedProducts op
+        ${refundJoin} RefundedProducts rp ON op.order_line_id = rp.order_line_id
       )
       SELECT 
-        op.product_id,
-        op.variant_id,
-        op.product_name,
-        op.sku,
-        op.vendor,
-        op.shopify_category,
-        SUM(op.ordered_quantity) as gross_quantity,
-        SUM(COALESCE(rp.total_refunded_quantity, 0)) as refunded_quantity,
-        SUM(op.ordered_quantity - COALESCE(rp.total_refunded_quantity, 0)) as net_quantity,
-        SUM(op.ordered_value) as gross_value,
-        SUM(COALESCE(rp.total_refunded_value, 0)) as refunded_value,
-        SUM(op.ordered_value - COALESCE(rp.total_refunded_value, 0)) as net_value,
-        AVG(op.unit_price) as average_price,
-        COUNT(DISTINCT op.order_id) as order_count,
-        COUNT(DISTINCT CASE WHEN rp.order_line_id IS NOT NULL THEN op.order_id END) as orders_with_refunds,
-        COUNT(*) as line_item_count
-      FROM OrderedProducts op
-      LEFT JOIN RefundedProducts rp ON op.order_line_id = rp.order_line_id
+        product_id,
+        variant_id,
+        product_name,
+        sku,
+        vendor,
+        shopify_category,
+        SUM(ordered_quantity) as gross_quantity,
+        SUM(refunded_quantity) as refunded_quantity,
+        SUM(ordered_quantity - refunded_quantity) as net_quantity,
+        SUM(ordered_value) as gross_value,
+        SUM(refunded_value) as refunded_value,
+        SUM(ordered_value - refunded_value) as net_value,
+        AVG(unit_price) as average_price,
+        COUNT(DISTINCT order_id) as order_count,
+        COUNT(DISTINCT CASE WHEN refunded_line_id IS NOT NULL THEN refunded_order_id END) as orders_with_refunds,
+        COUNT(order_line_id) as line_item_count
+      FROM AttributedLines
       GROUP BY 
-        op.product_id,
-        op.variant_id,
-        op.product_name,
-        op.sku,
-        op.vendor,
-        op.shopify_category
+        product_id,
+        variant_id,
+        product_name,
+        sku,
+        vendor,
+        shopify_category
       ORDER BY net_quantity DESC, net_value DESC
     `;
 
@@ -294,31 +487,32 @@ export async function getMonthlyOrderProductsWithRefunds(filters = {}) {
       WITH OrderStats AS (
         SELECT 
           o.id as order_id,
-          SUM(CAST(ol.price AS DECIMAL(10,2)) * ol.quantity) as order_value
+          SUM(${spend.value}) as order_value
         FROM brdjdb.shopify.[order] AS o
         INNER JOIN brdjdb.shopify.order_line AS ol ON o.id = ol.order_id
+        ${spend.join}
         ${whereClause}
         GROUP BY o.id
       ),
       RefundStats AS (
         SELECT 
           r.order_id,
-          SUM(olr.subtotal) as refunded_value
+          SUM(${refundSpend}) as refunded_value
         FROM brdjdb.shopify.refund AS r
         INNER JOIN brdjdb.shopify.order_line_refund AS olr ON r.id = olr.refund_id
         INNER JOIN brdjdb.shopify.[order] AS o ON r.order_id = o.id
-        ${whereClause}
+        ${refundWhereClause}
         GROUP BY r.order_id
       )
       SELECT 
         COUNT(DISTINCT os.order_id) as total_orders,
-        COUNT(DISTINCT CASE WHEN rs.order_id IS NOT NULL THEN os.order_id END) as orders_with_refunds,
+        COUNT(DISTINCT rs.order_id) as orders_with_refunds,
         COUNT(DISTINCT p.id) as total_products,
         SUM(os.order_value) as gross_value,
         SUM(COALESCE(rs.refunded_value, 0)) as total_refunded_value,
-        SUM(os.order_value - COALESCE(rs.refunded_value, 0)) as net_value
+        SUM(COALESCE(os.order_value, 0) - COALESCE(rs.refunded_value, 0)) as net_value
       FROM OrderStats os
-      LEFT JOIN RefundStats rs ON os.order_id = rs.order_id
+      ${refundJoin} RefundStats rs ON os.order_id = rs.order_id
       LEFT JOIN brdjdb.shopify.order_line ol ON os.order_id = ol.order_id
       LEFT JOIN brdjdb.shopify.product p ON ol.product_id = p.id
     `;
@@ -352,7 +546,9 @@ export async function getMonthlyOrderProductsWithRefunds(filters = {}) {
       grossValue: summary.gross_value || 0,
       refundedValue: summary.total_refunded_value || 0,
       totalValue: summary.net_value || 0, // Net value after refunds
-      refundRate: summary.total_orders > 0 ? (summary.orders_with_refunds / summary.total_orders * 100) : 0
+      refundRate: summary.total_orders > 0 ? (summary.orders_with_refunds / summary.total_orders * 100) : 0,
+      refundAttribution,
+      spendDefinition
     };
 
   } catch (error) {
@@ -361,6 +557,22 @@ export async function getMonthlyOrderProductsWithRefunds(filters = {}) {
   }
 }
 
+/**
+ * Get the close of a location's budget month when the month is closed
+ * @param {string} locationId - Company location ID
+ * @param {string} budgetMonth - Budget month (MM-YYYY)
+ * @returns {Promise<Object|null>} Close row with its report snapshot, null when the month is open
+ */
+async function getClosedBudgetMonth(locationId, budgetMonth) {
+  const closes = await mssql.query(`
+    SELECT id, late_activity_policy, report_snapshot, closed_by, closed_at
+    FROM shopify.budget_month_closes
+    WHERE location_id = @locationId AND budget_month = @budgetMonth AND status = 'closed'
+  `, { locationId: String(locationId), budgetMonth });
+
+  return closes[0] || null;
+}
+
 /**
  * Get monthly order products summary grouped by category with refunds accounted for (Budget Month Based)
  * This function uses order_budget_month field instead of created_at for period determination
@@ -369,10 +581,33 @@ export async function getMonthlyOrderProductsWithRefunds(filters = {}) {
  * @param {string} filters.locationId - Location ID filter
  * @param {string} filters.companyLocationId - Company Location ID filter
  * @param {string} filters.budgetMonth - Budget month period (MM-YYYY format, e.g., "01-2025")
- * @returns {Promise<Object>} Object containing categories array and summary totals
+ * @param {string} filters.refundAttribution - order_month (default), refund_month or both.
+ *   With refund_month, refunds count in the month they were processed in.
+ * @returns {Promise<Object>} Object containing categories array and summary totals.
+ *   Each category includes fullMonthBudget, proratedBudget (budget to date), burnRate
+ *   (spend per elapsed day), projectedSpend (end of month) and projectedVariance.
+ *   A closed month of a company location is read from its close snapshot (order_month
+ *   attribution only) and carries monthClose: { closedAt, closedBy, policy }. Under
+ *   order_month, a company location's report also credits the late refunds of closed
+ *   months that were redirected to the month.
+ *   With both, the refund month report is in byRefundMonth.
  */
 export async function getMonthlyOrderProductsByCategoryWithRefundsByBudgetMonth(filters = {}) {
+  const refundAttribution = getRefundAttribution(filters.refundAttribution);
+
+  if (refundAttribution === 'both') {
+    const [byOrderMonth, byRefundMonth] = await Promise.all([
+      getMonthlyOrderProductsByCategoryWithRefundsByBudgetMonth({ ...filters, refundAttribution: 'order_month' }),
+      getMonthlyOrderProductsByCategoryWithRefundsByBudgetMonth({ ...filters, refundAttribution: 'refund_month' })
+    ]);
+
+    return { ...byOrderMonth, refundAttribution, byRefundMonth };
+  }
+
   try {
+    const spendDefinition = getSpendDefinition(filters.spendDefinition);
+    const spend = getOrderLineSpendSql(spendDefinition);
+    const refundSpend = getRefundSpendSql(spendDefinition);
     const conditions = [];
     const params = {};
     
@@ -390,6 +625,10 @@ export async function getMonthlyOrderProductsByCategoryWithRefundsByBudgetMonth(
       params.companyLocationId = filters.companyLocationId;
     }
 
+    // Refunds attributed to their own month are not limited to the period's orders
+    const refundConditions = [...conditions];
+    const orderFilterConditions = [...conditions];
+
 
  const budgetMonth = filters.month && filters.year ? 
         `${filters.month.toString().padStart(2, '0')}-${filters.year}` : null;
@@ -410,11 +649,55 @@ export async function getMonthlyOrderProductsByCategoryWithRefundsByBudgetMonth(
           AND FORMAT(o.created_at, 'MM-yyyy') = @fallbackBudgetMonth
         )
       )`);
+      refundConditions.push(`FORMAT(COALESCE(r.processed_at, r.created_at), 'MM-yyyy') = @budgetMonth`);
       params.budgetMonth = budgetMonth;
       params.fallbackBudgetMonth = fallbackBudgetMonth;
     }
 
+    // A closed month keeps the figures it was reported with
+    if (budgetMonth && refundAttribution === 'order_month' && filters.companyLocationId && !filters.locationId && !filters.customerId) {
+      const close = await getClosedBudgetMonth(filters.companyLocationId, budgetMonth);
+      const snapshot = close ? JSON.parse(close.report_snapshot) : null;
+      // Snapshots taken before spend definitions existed are gross
+      if (snapshot && (snapshot.spendDefinition || 'gross') === spendDefinition) {
+        return {
+          ...snapshot,
+          refundAttribution,
+          spendDefinition,
+          monthClose: {
+            closedAt: close.closed_at,
+            closedBy: close.closed_by,
+            policy: close.late_activity_policy
+          }
+        };
+      }
+    }
+
     const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    let refundWhereClause = refundAttribution === 'refund_month'
+      ? (refundConditions.length > 0 ? `WHERE ${refundConditions.join(' AND ')}` : '')
+      : whereClause;
+
+    // Late refunds of a closed month that the redirect policy credited to this month,
+    // only while that month stays closed (a reopened month counts its refunds itself)
+    const includeRedirectedRefunds = budgetMonth && refundAttribution === 'order_month' && filters.companyLocationId;
+    if (includeRedirectedRefunds) {
+      const redirectedRefundCondition = `EXISTS (
+        SELECT 1
+        FROM shopify.budget_month_close_exceptions AS bmce
+        INNER JOIN shopify.budget_month_closes AS bmc
+          ON bmc.id = bmce.close_id AND bmc.status = 'closed' AND bmce.detected_at >= bmc.closed_at
+        WHERE bmce.refund_id = r.id
+          AND bmce.location_id = @companyLocationId
+          AND bmce.activity_type = 'refund'
+          AND bmce.redirected_to_month = @budgetMonth
+      )`;
+      const redirectedConditions = [...orderFilterConditions, redirectedRefundCondition];
+      refundWhereClause = `WHERE (${conditions.join(' AND ')}) OR (${redirectedConditions.join(' AND ')})`;
+    }
+
+    // Refunds processed in the month, or redirected to it, may be of products not ordered in it
+    const refundJoin = refundAttribution === 'refund_month' || includeRedirectedRefunds ? 'FULL OUTER JOIN' : 'LEFT JOIN';
 
     // Get budget data for the location
     let budgetMap = {};
@@ -430,7 +713,13 @@ export async function getMonthlyOrderProductsByCategoryWithRefundsByBudgetMonth(
         budgetCalculationDetails = {
           censusAmount: budgetResult.censusAmount,
           daysInMonth: budgetResult.daysInMonth,
-          budgetDetails: budgetResult.budgetDetails
+          budgetedDays: budgetResult.budgetedDays,
+          patientDays: budgetResult.patientDays,
+          budgetDetails: budgetResult.budgetDetails,
+          budgetAvailable: budgetResult.census.available,
+          censusSource: budgetResult.census.censusSource,
+          censusPolicy: budgetResult.census.policy,
+          censusSourceMonths: budgetResult.census.sourceMonths
         };
       } else {
         budgetMap = budgetResult || {};
@@ -457,7 +746,7 @@ export async function getMonthlyOrderProductsByCategoryWithRefundsByBudgetMonth(
           MAX(ol.vendor) as vendor,
           SUM(ol.quantity) as ordered_quantity,
           AVG(CAST(ol.price AS DECIMAL(10,2))) as unit_price,
-          SUM(CAST(ol.price AS DECIMAL(10,2)) * ol.quantity) as ordered_value,
+          SUM(${spend.value}) as ordered_value,
           STRING_AGG(CAST(ol.id AS VARCHAR), ',') as order_line_ids,
           STRING_AGG(CAST(o.id AS VARCHAR), ',') as order_ids,
           MAX(o.order_budget_month) as order_budget_month,
@@ -465,6 +754,7 @@ export async function getMonthlyOrderProductsByCategoryWithRefundsByBudgetMonth(
         FROM brdjdb.shopify.[order] AS o
         INNER JOIN brdjdb.shopify.order_line AS ol ON o.id = ol.order_id
         LEFT JOIN brdjdb.shopify.product AS p ON ol.product_id = p.id
+        ${spend.join}
         ${whereClause}
         GROUP BY 
           COALESCE(p.shopify_category, 'Uncategorized'),
@@ -472,38 +762,45 @@ export async function getMonthlyOrderProductsByCategoryWithRefundsByBudgetMonth(
           ol.variant_id
       ),
       RefundedProducts AS (
-        -- Get all refunded products for orders from the same budget period (refunds can be from any date)
+        -- Get all refunded products attributed to the same budget period: refunds of the
+        -- period's orders (from any date) and late refunds redirected to the period, or
+        -- refunds processed in the period
         SELECT 
+          COALESCE(MAX(p.shopify_category), 'Uncategorized') as category_name,
           ol.product_id,
           ol.variant_id,
+          MAX(ol.name) as product_name,
+          MAX(ol.sku) as sku,
+          MAX(ol.vendor) as vendor,
+          AVG(CAST(ol.price AS DECIMAL(10,2))) as unit_price,
           SUM(olr.quantity) as total_refunded_quantity,
-          SUM(olr.subtotal) as total_refunded_value
+          SUM(${refundSpend}) as total_refunded_value
         FROM brdjdb.shopify.order_line_refund AS olr
         INNER JOIN brdjdb.shopify.refund AS r ON olr.refund_id = r.id
         INNER JOIN brdjdb.shopify.[order] AS o ON r.order_id = o.id
         INNER JOIN brdjdb.shopify.order_line AS ol ON olr.order_line_id = ol.id
         INNER JOIN brdjdb.shopify.product AS p ON ol.product_id = p.id
-        ${whereClause}
+        ${refundWhereClause}
         GROUP BY ol.product_id, ol.variant_id
       ),
       ProductSummary AS (
         SELECT 
-          op.category_name,
-          op.product_id,
-          op.variant_id,
-          op.product_name,
-          op.sku,
-          op.vendor,
-          op.ordered_quantity as gross_quantity,
+          COALESCE(op.category_name, rp.category_name) as category_name,
+          COALESCE(op.product_id, rp.product_id) as product_id,
+          COALESCE(op.variant_id, rp.variant_id) as variant_id,
+          COALESCE(op.product_name, rp.product_name) as product_name,
+          COALESCE(op.sku, rp.sku) as sku,
+          COALESCE(op.vendor, rp.vendor) as vendor,
+          COALESCE(op.ordered_quantity, 0) as gross_quantity,
           COALESCE(rp.total_refunded_quantity, 0) as refunded_quantity,
-          op.ordered_quantity - COALESCE(rp.total_refunded_quantity, 0) as net_quantity,
-          op.ordered_value as gross_value,
+          COALESCE(op.ordered_quantity, 0) - COALESCE(rp.total_refunded_quantity, 0) as net_quantity,
+          COALESCE(op.ordered_value, 0) as gross_value,
           COALESCE(rp.total_refunded_value, 0) as refunded_value,
-          op.ordered_value - COALESCE(rp.total_refunded_value, 0) as net_value,
-          op.unit_price as average_price,
-          (LEN(op.order_ids) - LEN(REPLACE(op.order_ids, ',', '')) + 1) as order_count
+          COALESCE(op.ordered_value, 0) - COALESCE(rp.total_refunded_value, 0) as net_value,
+          COALESCE(op.unit_price, rp.unit_price) as average_price,
+          COALESCE(LEN(op.order_ids) - LEN(REPLACE(op.order_ids, ',', '')) + 1, 0) as order_count
         FROM OrderedProducts op
-        LEFT JOIN RefundedProducts rp ON op.product_id = rp.product_id AND op.variant_id = rp.variant_id
+        ${refundJoin} RefundedProducts rp ON op.product_id = rp.product_id AND op.variant_id = rp.variant_id
       )
       SELECT 
         category_name,
@@ -529,12 +826,13 @@ export async function getMonthlyOrderProductsByCategoryWithRefundsByBudgetMonth(
       WITH OrderStats AS (
         SELECT 
           o.id as order_id,
-          SUM(CAST(ol.price AS DECIMAL(10,2)) * ol.quantity) as order_value,
+          SUM(${spend.value}) as order_value,
           COALESCE(p.shopify_category, 'Uncategorized') as category_name,
           o.order_budget_month
         FROM brdjdb.shopify.[order] AS o
         INNER JOIN brdjdb.shopify.order_line AS ol ON o.id = ol.order_id
         LEFT JOIN brdjdb.shopify.product AS p ON ol.product_id = p.id
+        ${spend.join}
         ${whereClause}
         GROUP BY o.id, COALESCE(p.shopify_category, 'Uncategorized'), o.order_budget_month
       ),
@@ -542,24 +840,24 @@ export async function getMonthlyOrderProductsByCategoryWithRefundsByBudgetMonth(
         SELECT 
           r.order_id,
           COALESCE(p.shopify_category, 'Uncategorized') as category_name,
-          SUM(olr.subtotal) as refunded_value
+          SUM(${refundSpend}) as refunded_value
         FROM brdjdb.shopify.refund AS r
         INNER JOIN brdjdb.shopify.order_line_refund AS olr ON r.id = olr.refund_id
         INNER JOIN brdjdb.shopify.order_line AS ol ON olr.order_line_id = ol.id
         INNER JOIN brdjdb.shopify.[order] AS o ON r.order_id = o.id
         LEFT JOIN brdjdb.shopify.product AS p ON ol.product_id = p.id
-        ${whereClause}
+        ${refundWhereClause}
         GROUP BY r.order_id, COALESCE(p.shopify_category, 'Uncategorized')
       )
       SELECT 
         COUNT(DISTINCT os.order_id) as total_orders,
-        COUNT(DISTINCT CASE WHEN rs.order_id IS NOT NULL THEN os.order_id END) as orders_with_refunds,
-        COUNT(DISTINCT os.category_name) as total_categories,
+        COUNT(DISTINCT rs.order_id) as orders_with_refunds,
+        COUNT(DISTINCT COALESCE(os.category_name, rs.category_name)) as total_categories,
         SUM(os.order_value) as gross_value,
         SUM(COALESCE(rs.refunded_value, 0)) as total_refunded_value,
-        SUM(os.order_value - COALESCE(rs.refunded_value, 0)) as net_value
+        SUM(COALESCE(os.order_value, 0) - COALESCE(rs.refunded_value, 0)) as net_value
       FROM OrderStats os
-      LEFT JOIN RefundStats rs ON os.order_id = rs.order_id AND os.category_name = rs.category_name
+      ${refundJoin} RefundStats rs ON os.order_id = rs.order_id AND os.category_name = rs.category_name
     `;
 
     // Simple test query to check if products exist
@@ -617,8 +915,11 @@ export async function getMonthlyOrderProductsByCategoryWithRefundsByBudgetMonth(
             refunded_value: 0,
             budget: budgetMap[categoryName],
             hasBudget: true,
+            budgetAvailable: budgetCalculationDetails ? budgetCalculationDetails.budgetAvailable : true,
+            censusSource: budgetCalculationDetails ? budgetCalculationDetails.censusSource : null,
             budgetcensusAmount: budgetCalculationDetails ? budgetCalculationDetails.censusAmount : null,
             budgetdaysInMonth: budgetCalculationDetails ? budgetCalculationDetails.daysInMonth : null,
+            budgetpatientDays: budgetCalculationDetails ? budgetCalculationDetails.patientDays : null,
             budgetPPDRates: budgetCalculationDetails ? budgetCalculationDetails.budgetDetails[categoryName]?.ppdRate : null,
             categoryTotal: 0, // Will be updated as products are added
             ActualPPD: 0, // Will be calculated after category total is known
@@ -626,13 +927,12 @@ export async function getMonthlyOrderProductsByCategoryWithRefundsByBudgetMonth(
           };
         }
         
-        // Calculate ActualPPD for individual product
-        const productDaysInMonth = categorizedData[categoryName].budgetdaysInMonth || 1;
-        const productCensusAmount = categorizedData[categoryName].budgetcensusAmount || 1;
-        let productActualPPD = 0;
+        // Calculate ActualPPD for individual product (spend per patient-day to date)
+        const productPatientDays = categorizedData[categoryName].budgetpatientDays || 1;
+        let productActualPPD = categorizedData[categoryName].budgetAvailable ? 0 : null;
         
-        if (productDaysInMonth > 0 && productCensusAmount > 0) {
-          productActualPPD = (parseFloat(product.gross_value) / productCensusAmount / productDaysInMonth).toFixed(2);
+        if (categorizedData[categoryName].budgetAvailable && productPatientDays > 0) {
+          productActualPPD = (parseFloat(product.gross_value) / productPatientDays).toFixed(2);
         }
         
         categorizedData[categoryName].products.push({
@@ -657,13 +957,14 @@ export async function getMonthlyOrderProductsByCategoryWithRefundsByBudgetMonth(
         categorizedData[categoryName].refunded_quantity += parseFloat(product.refunded_quantity) || 0;
         categorizedData[categoryName].refunded_value += parseFloat(product.refunded_value) || 0;
         
-        // Update category total and calculate budget based on formula: gross_value / censusAmount / daysInMonth
+        // Update category total and calculate ActualPPD based on formula: gross_value / patientDays
         categorizedData[categoryName].categoryTotal = categorizedData[categoryName].gross_value;
-        const daysInMonth = categorizedData[categoryName].budgetdaysInMonth || 1;
-        const censusAmount = categorizedData[categoryName].budgetcensusAmount || 1;
+        const patientDays = categorizedData[categoryName].budgetpatientDays || 1;
         
-        if (daysInMonth > 0 && censusAmount > 0) {
-          categorizedData[categoryName].ActualPPD = (categorizedData[categoryName].gross_value / censusAmount / daysInMonth).toFixed(2);
+        if (!categorizedData[categoryName].budgetAvailable) {
+          categorizedData[categoryName].ActualPPD = null;
+        } else if (patientDays > 0) {
+          categorizedData[categoryName].ActualPPD = (categorizedData[categoryName].gross_value / patientDays).toFixed(2);
         }
       } 
     });
@@ -682,8 +983,11 @@ export async function getMonthlyOrderProductsByCategoryWithRefundsByBudgetMonth(
           refunded_value: 0,
           budget: budgetMap[budgetCategoryName],
           hasBudget: true,
+          budgetAvailable: budgetCalculationDetails ? budgetCalculationDetails.budgetAvailable : true,
+          censusSource: budgetCalculationDetails ? budgetCalculationDetails.censusSource : null,
           budgetcensusAmount: budgetCalculationDetails ? budgetCalculationDetails.censusAmount : null,
           budgetdaysInMonth: budgetCalculationDetails ? budgetCalculationDetails.daysInMonth : null,
+          budgetpatientDays: budgetCalculationDetails ? budgetCalculationDetails.patientDays : null,
           budgetPPDRates: budgetCalculationDetails ? budgetCalculationDetails.budgetDetails[budgetCategoryName]?.ppdRate : null,
           categoryTotal: 0,
           ActualPPD: 0,
@@ -737,7 +1041,10 @@ export async function getMonthlyOrderProductsByCategoryWithRefundsByBudgetMonth(
       }
     });
 
-    const categories = Object.values(categorizedData);
+    const categories = Object.values(categorizedData).map(category => ({
+      ...category,
+      ...getCategoryProjection(category, budgetCalculationDetails)
+    }));
     const allProductsByCategoryArray = Object.values(allProductsByCategory);
     const summary = summaryResult[0] || { 
       total_orders: 0, 
@@ -761,7 +1068,9 @@ export async function getMonthlyOrderProductsByCategoryWithRefundsByBudgetMonth(
       totalValue: summary.net_value || 0, // Net value after refunds
       refundRate: summary.total_orders > 0 ? (summary.orders_with_refunds / summary.total_orders * 100) : 0,
       budgetMonth: budgetMonth, // Return the budget month used for filtering
-      budgetCalculationDetails: budgetCalculationDetails // Return census amount, days in month, and PPD rates
+      budgetCalculationDetails: budgetCalculationDetails, // Return census amount, days in month, and PPD rates
+      refundAttribution,
+      spendDefinition
     };
 
   } catch (error) {
@@ -769,3 +1078,698 @@ export async function getMonthlyOrderProductsByCategoryWithRefundsByBudgetMonth(
     throw new Error(`Failed to fetch monthly order products by category with refunds (budget month): ${error.message}`);
   }
 }
+
+export const BUDGET_MONTH_RANGE_PERIODS = ['quarter', 'fiscal_year', 'custom'];
+
+// Longest range one request may cover
+const MAX_RANGE_MONTHS = 24;
+
+const RANGE_MONTH_PATTERN = /^(0[1-9]|1[0-2])-\d{4}$/;
+
+function toMonthIndex(budgetMonth) {
+  const [month, year] = budgetMonth.split('-').map(Number);
+  return year * 12 + month - 1;
+}
+
+function fromMonthIndex(monthIndex) {
+  return `${String(monthIndex % 12 + 1).padStart(2, '0')}-${Math.floor(monthIndex / 12)}`;
+}
+
+// First month of the fiscal year (FISCAL_YEAR_START_MONTH, 1-12, default January)
+function getFiscalYearStartMonth() {
+  const month = parseInt(process.env.FISCAL_YEAR_START_MONTH, 10);
+  return month >= 1 && month <= 12 ? month : 1;
+}
+
+/**
+ * Get the budget months of a reporting period
+ * - quarter: the calendar quarter containing the reference month
+ * - fiscal_year: the fiscal year (FISCAL_YEAR_START_MONTH) containing the reference month
+ * - custom: startMonth through endMonth
+ * Quarters and fiscal years end at the current month while they are in progress, which
+ * makes the current quarter and fiscal year quarter-to-date and year-to-date.
+ * @param {Object} range
+ * @param {string} range.period - quarter, fiscal_year or custom (default custom)
+ * @param {string} range.startMonth - First budget month of a custom range (MM-YYYY)
+ * @param {string} range.endMonth - Last budget month of a custom range, or the reference
+ *   month of a quarter or fiscal year (MM-YYYY, default current month)
+ * @returns {Object} { period, startMonth, endMonth, months }
+ */
+export function getBudgetMonthRange({ period = 'custom', startMonth, endMonth } = {}) {
+  if (!BUDGET_MONTH_RANGE_PERIODS.includes(period)) {
+    throw new Error(`Unknown period "${period}". Use one of: ${BUDGET_MONTH_RANGE_PERIODS.join(', ')}`);
+  }
+
+  const now = new Date();
+  const currentIndex = now.getFullYear() * 12 + now.getMonth();
+
+  for (const budgetMonth of [startMonth, endMonth]) {
+    if (budgetMonth && !RANGE_MONTH_PATTERN.test(budgetMonth)) {
+      throw new Error(`Invalid budget month "${budgetMonth}". Use MM-YYYY`);
+    }
+  }
+
+  let startIndex;
+  let endIndex;
+
+  if (period === 'custom') {
+    if (!startMonth || !endMonth) {
+      throw new Error("A custom range needs a start and an end month");
+    }
+    startIndex = toMonthIndex(startMonth);
+    endIndex = toMonthIndex(endMonth);
+  } else {
+    const referenceIndex = endMonth ? toMonthIndex(endMonth) : currentIndex;
+    const periodLength = period === 'quarter' ? 3 : 12;
+    // Month of the year the period starts on (0-11)
+    const periodStart = period === 'quarter' ? 0 : getFiscalYearStartMonth() - 1;
+
+    startIndex = referenceIndex - ((referenceIndex - periodStart) % periodLength + periodLength) % periodLength;
+    endIndex = Math.min(startIndex + periodLength - 1, Math.max(referenceIndex, currentIndex));
+  }
+
+  if (endIndex < startIndex) {
+    throw new Error("The end month must not be before the start month");
+  }
+
+  if (endIndex - startIndex + 1 > MAX_RANGE_MONTHS) {
+    throw new Error(`A range can cover at most ${MAX_RANGE_MONTHS} months`);
+  }
+
+  const months = [];
+  for (let monthIndex = startIndex; monthIndex <= endIndex; monthIndex++) {
+    months.push(fromMonthIndex(monthIndex));
+  }
+
+  return { period, startMonth: months[0], endMonth: months[months.length - 1], months };
+}
+
+function toAmount(value) {
+  return value === null || value === undefined ? null : parseFloat(value) || 0;
+}
+
+/**
+ * Get category spend for a range of budget months: the category report of each month
+ * plus totals per category, with the census-based budgets of the months summed.
+ * Each month is reported exactly as the single-month report does (budget month rule,
+ * refund attribution, spend definition and closed-month snapshots).
+ * @param {Object} filters - Filter criteria
+ * @param {string} filters.customerId - Customer ID filter
+ * @param {string} filters.locationId - Location ID filter
+ * @param {string} filters.companyLocationId - Company Location ID filter
+ * @param {string} filters.period - quarter, fiscal_year or custom (see getBudgetMonthRange)
+ * @param {string} filters.startMonth - First budget month (MM-YYYY)
+ * @param {string} filters.endMonth - Last budget month, or reference month of the period (MM-YYYY)
+ * @param {string} filters.refundAttribution - order_month (default) or refund_month
+ * @param {string} filters.spendDefinition - Spend definition (default SPEND_DEFINITION)
+ * @returns {Promise<Object>} { period, startMonth, endMonth, months, monthly, categories, totals,
+ *   refundAttribution, spendDefinition }. Category budget is the summed budget to date and
+ *   fullMonthBudget the summed full-month budgets; both are null when no month of the
+ *   category had a census, and monthsWithoutBudget lists the months that had none.
+ */
+export async function getCategorySpendForBudgetMonthRange(filters = {}) {
+  const range = getBudgetMonthRange(filters);
+  const refundAttribution = getRefundAttribution(filters.refundAttribution);
+
+  if (refundAttribution === 'both') {
+    throw new Error("Range reports take order_month or refund_month refund attribution");
+  }
+
+  try {
+    const monthly = [];
+    const categoryTotals = {};
+    let spendDefinition = null;
+
+    // One month at a time, each with its own budget and any close snapshot
+    for (const budgetMonth of range.months) {
+      const [month, year] = budgetMonth.split('-');
+      const report = await getMonthlyOrderProductsByCategoryWithRefundsByBudgetMonth({
+        customerId: filters.customerId,
+        locationId: filters.locationId,
+        companyLocationId: filters.companyLocationId,
+        month,
+        year,
+        refundAttribution,
+        spendDefinition: filters.spendDefinition
+      });
+      spendDefinition = report.spendDefinition || spendDefinition;
+
+      const categories = (report.categories || []).map(category => {
+        const budgetAvailable = category.budgetAvailable !== false && category.fullMonthBudget !== null && category.fullMonthBudget !== undefined;
+        const monthCategory = {
+          category_name: category.category_name,
+          total_quantity: parseFloat(category.total_quantity) || 0,
+          gross_value: parseFloat(category.gross_value) || 0,
+          refunded_value: parseFloat(category.refunded_value) || 0,
+          total_value: parseFloat(category.total_value) || 0,
+          budget: budgetAvailable ? toAmount(category.proratedBudget) : null,
+          fullMonthBudget: budgetAvailable ? toAmount(category.fullMonthBudget) : null,
+          patientDays: budgetAvailable ? toAmount(category.budgetpatientDays) : null,
+          ppdRate: budgetAvailable ? toAmount(category.budgetPPDRates) : null,
+          censusSource: category.censusSource || null,
+          budgetAvailable
+        };
+
+        const totals = categoryTotals[category.category_name] || {
+          category_name: category.category_name,
+          total_quantity: 0,
+          gross_value: 0,
+          refunded_value: 0,
+          total_value: 0,
+          budget: null,
+          fullMonthBudget: null,
+          patientDays: null,
+          monthsWithoutBudget: []
+        };
+        totals.total_quantity += monthCategory.total_quantity;
+        totals.gross_value += monthCategory.gross_value;
+        totals.refunded_value += monthCategory.refunded_value;
+        totals.total_value += monthCategory.total_value;
+        if (budgetAvailable) {
+          totals.budget = (totals.budget || 0) + monthCategory.budget;
+          totals.fullMonthBudget = (totals.fullMonthBudget || 0) + monthCategory.fullMonthBudget;
+          totals.patientDays = (totals.patientDays || 0) + (monthCategory.patientDays || 0);
+        } else {
+          totals.monthsWithoutBudget.push(budgetMonth);
+        }
+        categoryTotals[category.category_name] = totals;
+
+        return monthCategory;
+      });
+
+      monthly.push({
+        budgetMonth,
+        totalOrders: report.totalOrders || 0,
+        grossValue: parseFloat(report.grossValue) || 0,
+        refundedValue: parseFloat(report.refundedValue) || 0,
+        totalValue: parseFloat(report.totalValue) || 0,
+        monthClose: report.monthClose || null,
+        categories
+      });
+    }
+
+    const categories = Object.values(categoryTotals).map(category => ({
+      ...category,
+      variance: category.budget !== null ? category.total_value - category.budget : null,
+      utilization: category.budget > 0 ? (category.total_value / category.budget * 100) : null,
+      ActualPPD: category.patientDays > 0 ? (category.total_value / category.patientDays).toFixed(2) : null,
+      budgetAvailable: category.monthsWithoutBudget.length === 0
+    }));
+
+    const sumOf = (rows, field) => rows.reduce((total, row) => total + (row[field] || 0), 0);
+    const budgeted = categories.filter(category => category.budget !== null);
+
+    return {
+      ...range,
+      monthly,
+      categories,
+      totals: {
+        totalOrders: sumOf(monthly, 'totalOrders'),
+        grossValue: sumOf(monthly, 'grossValue'),
+        refundedValue: sumOf(monthly, 'refundedValue'),
+        totalValue: sumOf(monthly, 'totalValue'),
+        budget: budgeted.length > 0 ? sumOf(budgeted, 'budget') : null,
+        fullMonthBudget: budgeted.length > 0 ? sumOf(budgeted, 'fullMonthBudget') : null,
+        spentInBudgetedCategories: sumOf(budgeted, 'total_value')
+      },
+      refundAttribution,
+      spendDefinition
+    };
+
+  } catch (error) {
+    console.error("Error fetching category spend for budget month range:", error);
+    throw new Error(`Failed to fetch category spend for budget month range: ${error.message}`);
+  }
+}
+
+/**
+ * Recalculate the budget category spend ledger (shopify.budget_category_spend) of one
+ * location and budget month from its orders and refunds.
+ *
+ * Net spend (line spend under the default spend definition, SPEND_DEFINITION, less
+ * refunds) is attributed by product shopify_category to the categories of the budgets
+ * assigned to the location. allocated_amount is the
+ * full-month budget, so the ledger's remaining_amount is what is left for the month.
+ * Refunds of closed months that were redirected to this month are credited here.
+ * The location's ledger rows for the month are replaced; a closed month is left as it is.
+ *
+ * @param {string} locationId - Company location ID
+ * @param {string} budgetMonth - Budget month (MM-YYYY)
+ * @returns {Promise<Object>} Summary of the rows written ({ closed: true } for a closed month)
+ */
+export async function reconcileBudgetCategorySpend(locationId, budgetMonth) {
+  try {
+    if (!locationId || !budgetMonth) {
+      throw new Error("Location ID and budget month are required");
+    }
+
+    if (await getClosedBudgetMonth(locationId, budgetMonth)) {
+      return { locationId, budgetMonth, closed: true, categories: 0, spentAmount: null };
+    }
+
+    const [month, year] = budgetMonth.split('-');
+    const fallbackBudgetMonth = `${month.padStart(2, '0')}-${year}`;
+    const spendDefinition = getSpendDefinition();
+    const lineSpend = getOrderLineSpendSql(spendDefinition);
+    const refundSpend = getRefundSpendSql(spendDefinition);
+
+    const spendQuery = `
+      WITH OrderLines AS (
+        SELECT
+          ol.id as order_line_id,
+          COALESCE(p.shopify_category, 'Uncategorized') as category_name,
+          ${lineSpend.value} as line_value
+        FROM brdjdb.shopify.[order] AS o
+        INNER JOIN brdjdb.shopify.order_line AS ol ON o.id = ol.order_id
+        LEFT JOIN brdjdb.shopify.product AS p ON ol.product_id = p.id
+        ${lineSpend.join}
+        WHERE o.company_location_id = @locationId
+          AND (
+            o.order_budget_month = @budgetMonth
+            OR (
+              o.order_budget_month IS NULL
+              AND FORMAT(o.created_at, 'MM-yyyy') = @fallbackBudgetMonth
+            )
+          )
+      )
+      SELECT
+        ol.category_name,
+        SUM(ol.line_value) as gross_amount,
+        SUM(COALESCE(refunds.refunded_amount, 0)) as refunded_amount
+      FROM OrderLines ol
+      OUTER APPLY (
+        SELECT SUM(${refundSpend}) as refunded_amount
+        FROM brdjdb.shopify.order_line_refund AS olr
+        INNER JOIN brdjdb.shopify.refund AS r ON olr.refund_id = r.id
+        INNER JOIN brdjdb.shopify.[order] AS o ON r.order_id = o.id
+        WHERE olr.order_line_id = ol.order_line_id
+      ) refunds
+      GROUP BY ol.category_name
+    `;
+
+    const redirectedRefundsQuery = `
+      SELECT
+        COALESCE(p.shopify_category, 'Uncategorized') as category_name,
+        SUM(${refundSpend}) as refunded_amount
+      FROM shopify.budget_month_close_exceptions AS bmce
+      -- Only while the month stays closed; a reopened month counts its refunds itself
+      INNER JOIN shopify.budget_month_closes AS bmc
+        ON bmc.id = bmce.close_id AND bmc.status = 'closed' AND bmce.detected_at >= bmc.closed_at
+      INNER JOIN brdjdb.shopify.order_line_refund AS olr ON olr.refund_id = bmce.refund_id
+      INNER JOIN brdjdb.shopify.[order] AS o ON o.id = bmce.order_id
+      INNER JOIN brdjdb.shopify.order_line AS ol ON olr.order_line_id = ol.id
+      LEFT JOIN brdjdb.shopify.product AS p ON ol.product_id = p.id
+      WHERE bmce.location_id = @locationId
+        AND bmce.activity_type = 'refund'
+        AND bmce.redirected_to_month = @budgetMonth
+      GROUP BY COALESCE(p.shopify_category, 'Uncategorized')
+    `;
+
+    const [spendRows, redirectedRefundRows, budget] = await Promise.all([
+      mssql.query(spendQuery, { locationId, budgetMonth, fallbackBudgetMonth }),
+      mssql.query(redirectedRefundsQuery, { locationId, budgetMonth }),
+      calculateBudgetFromCensus(locationId, budgetMonth)
+    ]);
+
+    // calculateBudgetFromCensus returns an empty object when it fails
+    if (!budget.budgetDetails) {
+      throw new Error(`Budget could not be calculated for location ${locationId}`);
+    }
+
+    // Category names in products may carry HTML entities; budget categories do not
+    const spendByCategory = {};
+    spendRows.forEach(row => {
+      const categoryName = decodeHtmlEntities(row.category_name);
+      const spend = spendByCategory[categoryName] || { gross: 0, refunded: 0 };
+      spend.gross += parseFloat(row.gross_amount) || 0;
+      spend.refunded += parseFloat(row.refunded_amount) || 0;
+      spendByCategory[categoryName] = spend;
+    });
+    redirectedRefundRows.forEach(row => {
+      const categoryName = decodeHtmlEntities(row.category_name);
+      const spend = spendByCategory[categoryName] || { gross: 0, refunded: 0 };
+      spend.refunded += parseFloat(row.refunded_amount) || 0;
+      spendByCategory[categoryName] = spend;
+    });
+
+    // budgetDetails holds each category under its raw and decoded name
+    const ledgerRows = {};
+    Object.entries(budget.budgetDetails || {}).forEach(([categoryName, details]) => {
+      if (ledgerRows[details.categoryId]) return;
+
+      const spend = spendByCategory[decodeHtmlEntities(categoryName)] || { gross: 0, refunded: 0 };
+      ledgerRows[details.categoryId] = {
+        budgetId: details.budgetId,
+        categoryId: details.categoryId,
+        allocatedAmount: details.fullMonthBudget,
+        grossAmount: spend.gross.toFixed(2),
+        refundedAmount: spend.refunded.toFixed(2),
+        spentAmount: (spend.gross - spend.refunded).toFixed(2)
+      };
+    });
+
+    const pool = await mssql.getPool();
+    const transaction = pool.transaction();
+
+    try {
+      await transaction.begin();
+
+      await transaction.request()
+        .input('locationId', locationId)
+        .input('budgetMonth', budgetMonth)
+        .query(`
+          DELETE FROM shopify.budget_category_spend
+          WHERE location_id = @locationId AND budget_month = @budgetMonth
+        `);
+
+      for (const row of Object.values(ledgerRows)) {
+        await transaction.request()
+          .input('locationId', locationId)
+          .input('budgetMonth', budgetMonth)
+          .input('budgetId', row.budgetId)
+          .input('categoryId', row.categoryId)
+          .input('allocatedAmount', row.allocatedAmount)
+          .input('grossAmount', row.grossAmount)
+          .input('refundedAmount', row.refundedAmount)
+          .input('spentAmount', row.spentAmount)
+          .query(`
+            INSERT INTO shopify.budget_category_spend (
+              location_id, budget_month, budget_id, category_id,
+              allocated_amount, gross_amount, refunded_amount, spent_amount, reconciled_at
+            )
+            VALUES (
+              @locationId, @budgetMonth, @budgetId, @categoryId,
+              @allocatedAmount, @grossAmount, @refundedAmount, @spentAmount, GETUTCDATE()
+            )
+          `);
+      }
+
+      await transaction.commit();
+    } catch (transactionError) {
+      await transaction.rollback();
+      throw transactionError;
+    }
+
+    return {
+      locationId,
+      budgetMonth,
+      categories: Object.keys(ledgerRows).length,
+      spentAmount: Object.values(ledgerRows)
+        .reduce((total, row) => total + parseFloat(row.spentAmount), 0)
+        .toFixed(2),
+      spendDefinition
+    };
+
+  } catch (error) {
+    console.error("Error reconciling budget category spend:", error);
+    throw new Error(`Failed to reconcile budget category spend: ${error.message}`);
+  }
+}
+
+/**
+ * Recalculate the budget category spend ledger of every location with an active budget
+ * assignment (or of the given locations) for a budget month
+ * @param {string} budgetMonth - Budget month (MM-YYYY)
+ * @param {Array<string>} locationIds - Locations to reconcile (defaults to all assigned locations)
+ * @returns {Promise<Object>} Reconciled locations and the locations that failed
+ */
+export async function reconcileBudgetSpendForMonth(budgetMonth, locationIds = null) {
+  try {
+    let locations = locationIds;
+
+    if (!locations) {
+      // Locations already in the ledger are included so rows of removed assignments are cleared
+      const assigned = await mssql.query(`
+        SELECT bla.location_id
+        FROM shopify.budget_location_assignments bla
+        INNER JOIN shopify.budget b ON bla.budget_id = b.id
+        WHERE bla.status = 'active' AND b.status = 'active'
+        UNION
+        SELECT bcs.location_id
+        FROM shopify.budget_category_spend bcs
+        WHERE bcs.budget_month = @budgetMonth
+      `, { budgetMonth });
+      locations = assigned.map(row => row.location_id);
+    }
+
+    const reconciled = [];
+    const failed = [];
+
+    // One location at a time: each replaces its ledger rows in its own transaction
+    for (const locationId of locations) {
+      try {
+        reconciled.push(await reconcileBudgetCategorySpend(locationId, budgetMonth));
+      } catch (error) {
+        failed.push({ locationId, error: error.message });
+      }
+    }
+
+    return { budgetMonth, reconciled, failed };
+
+  } catch (error) {
+    console.error("Error reconciling budget spend for month:", error);
+    throw new Error(`Failed to reconcile budget spend for month: ${error.message}`);
+  }
+}
+
+/**
+ * Recalculate the budget category spend of the location and budget month an order
+ * belongs to. Called when an order or its refunds change.
+ * @param {string} orderId - Order ID
+ * @param {Object} options
+ * @param {string} options.previousBudgetMonth - Budget month the order was in before the change;
+ *   reconciled as well when it differs so spend moves with the order
+ * @param {string} options.redirectedBudgetMonth - Month late refunds of a closed budget month
+ *   were credited to; reconciled as well
+ * @returns {Promise<Array>} Reconciled location/month summaries (empty when the order is unknown
+ *   or has no company location)
+ */
+export async function reconcileOrderBudgetSpend(orderId, { previousBudgetMonth = null, redirectedBudgetMonth = null } = {}) {
+  try {
+    const orders = await mssql.query(`
+      SELECT
+        CAST(company_location_id AS NVARCHAR(255)) as company_location_id,
+        order_budget_month,
+        created_at
+      FROM brdjdb.shopify.[order]
+      WHERE id = @orderId
+    `, { orderId });
+
+    const order = orders[0];
+    if (!order || !order.company_location_id) {
+      return [];
+    }
+
+    const budgetMonths = [getOrderBudgetMonth(order)];
+    [previousBudgetMonth, redirectedBudgetMonth].forEach(budgetMonth => {
+      if (budgetMonth && !budgetMonths.includes(budgetMonth)) {
+        budgetMonths.push(budgetMonth);
+      }
+    });
+
+    const results = [];
+    for (const budgetMonth of budgetMonths.filter(Boolean)) {
+      results.push(await reconcileBudgetCategorySpend(order.company_location_id, budgetMonth));
+    }
+    return results;
+
+  } catch (error) {
+    console.error("Error reconciling order budget spend:", error);
+    throw new Error(`Failed to reconcile order budget spend: ${error.message}`);
+  }
+}
+
+/**
+ * Get the budget category spend ledger of a location and budget month
+ * @param {string} locationId - Company location ID
+ * @param {string} budgetMonth - Budget month (MM-YYYY)
+ * @returns {Promise<Array>} Ledger rows with category names
+ */
+export async function getBudgetCategorySpend(locationId, budgetMonth) {
+  try {
+    return await mssql.query(`
+      SELECT
+        bcs.budget_id,
+        bcs.category_id,
+        bcm.category_name,
+        bcs.allocated_amount,
+        bcs.gross_amount,
+        bcs.refunded_amount,
+        bcs.spent_amount,
+        bcs.remaining_amount,
+        bcs.reconciled_at
+      FROM shopify.budget_category_spend bcs
+      INNER JOIN shopify.budget_categories_master bcm ON bcs.category_id = bcm.id
+      WHERE bcs.location_id = @locationId AND bcs.budget_month = @budgetMonth
+      ORDER BY bcm.category_name
+    `, { locationId, budgetMonth });
+  } catch (error) {
+    console.error("Error fetching budget category spend:", error);
+    throw new Error(`Failed to fetch budget category spend: ${error.message}`);
+  }
+}
+
+/**
+ * Get a location's remaining budget per category for a budget month from the spend
+ * ledger. The month is reconciled first when it has no ledger rows yet, or always with
+ * options.reconcile (a closed month keeps the ledger it was closed with).
+ * @param {string} locationId - Company location ID
+ * @param {string} budgetMonth - Budget month (MM-YYYY)
+ * @param {Object} options - { reconcile }
+ * @returns {Promise<Array>} { categoryId, categoryName, budgetAvailable, allocatedAmount,
+ *   spentAmount, remainingAmount } per budgeted category; amounts are numbers, and
+ *   allocatedAmount / remainingAmount are null when no census is available
+ */
+export async function getBudgetCategoryRemaining(locationId, budgetMonth, { reconcile = false } = {}) {
+  try {
+    let rows = reconcile ? [] : await getBudgetCategorySpend(locationId, budgetMonth);
+
+    if (rows.length === 0) {
+      await reconcileBudgetCategorySpend(locationId, budgetMonth);
+      rows = await getBudgetCategorySpend(locationId, budgetMonth);
+    }
+
+    return rows.map(row => {
+      const budgetAvailable = row.allocated_amount !== null;
+      return {
+        categoryId: row.category_id,
+        categoryName: decodeHtmlEntities(row.category_name),
+        budgetAvailable,
+        allocatedAmount: budgetAvailable ? parseFloat(row.allocated_amount) : null,
+        spentAmount: parseFloat(row.spent_amount) || 0,
+        remainingAmount: budgetAvailable ? parseFloat(row.remaining_amount) : null
+      };
+    });
+  } catch (error) {
+    console.error("Error fetching budget category remaining:", error);
+    throw new Error(`Failed to fetch budget category remaining: ${error.message}`);
+  }
+}
+
+/**
+ * Check a storefront cart against a location's remaining budget for a budget month.
+ *
+ * Each cart line is mapped to its budget category through the product's shopify_category
+ * and priced at the variant's current price. Remaining budget is the remaining_amount
+ * of the spend ledger: the full-month census-based budget less net spend (after refunds)
+ * already recorded for the month.
+ * Lines are applied in cart order; a line is overBudget when the cart up to and including
+ * it exceeds the category's remaining budget.
+ *
+ * @param {Object} cart - Cart to check
+ * @param {string} cart.companyLocationId - Buyer's company location ID
+ * @param {Array<Object>} cart.lines - Cart lines: { variantId, quantity }
+ * @param {string} cart.month - Budget month (01-12), defaults to the current month
+ * @param {string} cart.year - Budget year (YYYY), defaults to the current year
+ * @returns {Promise<Object>} { budgetMonth, categories, lines, unknownVariantIds, overBudget }
+ */
+export async function checkCartAgainstBudget(cart) {
+  try {
+    const { companyLocationId, lines = [] } = cart;
+    const [currentMonth, currentYear] = getBudgetMonthOfDate().split('-');
+    const month = (cart.month || currentMonth).toString().padStart(2, '0');
+    const year = (cart.year || currentYear).toString();
+
+    // Accept numeric IDs and Storefront API GIDs (gid://shopify/ProductVariant/123)
+    const cartLines = lines.map(line => ({
+      variantId: line.variantId?.toString().split('/').pop() || '',
+      quantity: parseInt(line.quantity) || 0
+    }));
+
+    const variantIds = [...new Set(cartLines.map(line => line.variantId).filter(Boolean))];
+
+    const [variants, ledger] = await Promise.all([
+      variantIds.length > 0
+        ? mssql.query(`
+            SELECT
+              CAST(pv.id AS NVARCHAR(255)) as variant_id,
+              pv.product_id,
+              pv.price,
+              p.title as product_title,
+              COALESCE(p.shopify_category, 'Uncategorized') as category_name
+            FROM brdjdb.shopify.product_variant AS pv
+            INNER JOIN brdjdb.shopify.product AS p ON pv.product_id = p.id
+            WHERE CAST(pv.id AS NVARCHAR(255)) IN (SELECT value FROM STRING_SPLIT(@variantIds, ','))
+          `, { variantIds: variantIds.join(',') })
+        : [],
+      getBudgetCategoryRemaining(companyLocationId, `${month}-${year}`)
+    ]);
+
+    const variantMap = {};
+    variants.forEach(variant => {
+      variantMap[variant.variant_id] = variant;
+    });
+
+    // Remaining budget of every category budgeted for the location
+    const categories = {};
+    ledger.forEach(category => {
+      categories[category.categoryName] = {
+        category_name: category.categoryName,
+        budgetAvailable: category.budgetAvailable,
+        budget: category.budgetAvailable ? category.allocatedAmount.toFixed(2) : null,
+        spent: category.spentAmount.toFixed(2),
+        remaining: category.budgetAvailable ? category.remainingAmount.toFixed(2) : null,
+        cartAmount: 0,
+        remainingAfterCart: null,
+        overBudget: false
+      };
+    });
+
+    const unknownVariantIds = [];
+    const checkedLines = cartLines.map(line => {
+      const variant = variantMap[line.variantId];
+
+      if (!variant) {
+        if (line.variantId) unknownVariantIds.push(line.variantId);
+        return { variantId: line.variantId, quantity: line.quantity, known: false, budgeted: false, overBudget: false };
+      }
+
+      const categoryName = decodeHtmlEntities(variant.category_name);
+      const lineAmount = (parseFloat(variant.price) || 0) * line.quantity;
+      const category = categories[categoryName];
+
+      const checkedLine = {
+        variantId: line.variantId,
+        productId: variant.product_id,
+        productTitle: variant.product_title,
+        quantity: line.quantity,
+        unitPrice: (parseFloat(variant.price) || 0).toFixed(2),
+        lineAmount: lineAmount.toFixed(2),
+        category: categoryName,
+        known: true,
+        budgeted: !!category,
+        overBudget: false
+      };
+
+      if (category) {
+        category.cartAmount += lineAmount;
+
+        if (category.remaining !== null) {
+          checkedLine.overBudget = category.cartAmount > parseFloat(category.remaining);
+          category.overBudget = category.overBudget || checkedLine.overBudget;
+        }
+      }
+
+      return checkedLine;
+    });
+
+    const categoryResults = Object.values(categories).map(category => ({
+      ...category,
+      cartAmount: category.cartAmount.toFixed(2),
+      remainingAfterCart: category.remaining !== null
+        ? (parseFloat(category.remaining) - category.cartAmount).toFixed(2)
+        : null
+    }));
+
+    return {
+      budgetMonth: `${month}-${year}`,
+      categories: categoryResults,
+      lines: checkedLines,
+      unknownVariantIds,
+      overBudget: categoryResults.some(category => category.overBudget)
+    };
+  } catch (error) {
+    console.error("Error checking cart against budget:", error);
+    throw new Error(`Failed to check cart against budget: ${error.message}`);
+  }
+}
@@ -1,4 +1,5 @@
 import mssql from "../mssql.server.js";
+import { getSpendDefinition, getOrderLineSpendSql } from "./spend-definitions.server.js";
 
 /**
  * FHR Orders Actions
@@ -175,6 +176,7 @@ export async function getOrders(filters = {}, limit = 100, offset = 0) {
         o.test,
         o.payment_gateway_names,
         o.note_attributes,
+        o.order_budget_month,
         o.client_details_user_agent,
         o.landing_site_base_url,
         o._fivetran_synced
@@ -302,6 +304,7 @@ export async function getOrderById(orderId) {
         o.test,
         o.payment_gateway_names,
         o.note_attributes,
+        o.order_budget_month,
         o.client_details_user_agent,
         o.landing_site_base_url,
         o._fivetran_synced
@@ -460,10 +463,13 @@ export async function getOrderByOrderNumber(orderNumber) {
  * @param {string} filters.companyLocationId - Company Location ID filter
  * @param {string} filters.month - Month (01-12)
  * @param {string} filters.year - Year (YYYY)
- * @returns {Promise<Object>} Object containing products array and summary totals
+ * @param {string} filters.spendDefinition - gross, discounted, discounted_tax or landed (default SPEND_DEFINITION)
+ * @returns {Promise<Object>} Object containing products array, summary totals and the spendDefinition used
  */
 export async function getMonthlyOrderProducts(filters = {}) {
   try {
+    const spendDefinition = getSpendDefinition(filters.spendDefinition);
+    const spend = getOrderLineSpendSql(spendDefinition);
     const conditions = [];
     const params = {};
     
@@ -501,13 +507,14 @@ export async function getMonthlyOrderProducts(filters = {}) {
         ol.vendor,
         p.product_type,
         SUM(ol.quantity) as total_quantity,
-        SUM(CAST(ol.price AS DECIMAL(10,2)) * ol.quantity) as total_price,
+        SUM(${spend.value}) as total_price,
         AVG(CAST(ol.price AS DECIMAL(10,2))) as average_price,
         COUNT(DISTINCT o.id) as order_count,
         COUNT(*) as line_item_count
       FROM brdjdb.shopify.[order] AS o
       INNER JOIN brdjdb.shopify.order_line AS ol ON o.id = ol.order_id
       LEFT JOIN brdjdb.shopify.product AS p ON ol.product_id = p.id
+      ${spend.join}
       ${whereClause}
       GROUP BY 
         ol.product_id,
@@ -524,9 +531,10 @@ export async function getMonthlyOrderProducts(filters = {}) {
       SELECT 
         COUNT(DISTINCT o.id) as total_orders,
         COUNT(DISTINCT ol.product_id) as total_products,
-        SUM(CAST(ol.price AS DECIMAL(10,2)) * ol.quantity) as total_value
+        SUM(${spend.value}) as total_value
       FROM brdjdb.shopify.[order] AS o
       INNER JOIN brdjdb.shopify.order_line AS ol ON o.id = ol.order_id
+      ${spend.join}
       ${whereClause}
     `;
 
@@ -542,7 +550,8 @@ export async function getMonthlyOrderProducts(filters = {}) {
       products,
       totalOrders: summary.total_orders || 0,
       totalProducts: summary.total_products || 0,
-      totalValue: summary.total_value || 0
+      totalValue: summary.total_value || 0,
+      spendDefinition
     };
 
   } catch (error) {
@@ -559,10 +568,13 @@ export async function getMonthlyOrderProducts(filters = {}) {
  * @param {string} filters.companyLocationId - Company Location ID filter
  * @param {string} filters.month - Month (01-12)
  * @param {string} filters.year - Year (YYYY)
- * @returns {Promise<Object>} Object containing categories array and summary totals
+ * @param {string} filters.spendDefinition - gross, discounted, discounted_tax or landed (default SPEND_DEFINITION)
+ * @returns {Promise<Object>} Object containing categories array, summary totals and the spendDefinition used
  */
 export async function getMonthlyOrderProductsByCategory(filters = {}) {
   try {
+    const spendDefinition = getSpendDefinition(filters.spendDefinition);
+    const spend = getOrderLineSpendSql(spendDefinition);
     const conditions = [];
     const params = {};
     
@@ -600,12 +612,13 @@ export async function getMonthlyOrderProductsByCategory(filters = {}) {
         ol.sku,
         ol.vendor,
         SUM(ol.quantity) as total_quantity,
-        SUM(CAST(ol.price AS DECIMAL(10,2)) * ol.quantity) as total_price,
+        SUM(${spend.value}) as total_price,
         AVG(CAST(ol.price AS DECIMAL(10,2))) as average_price,
         COUNT(DISTINCT o.id) as order_count
       FROM brdjdb.shopify.[order] AS o
       INNER JOIN brdjdb.shopify.order_line AS ol ON o.id = ol.order_id
       LEFT JOIN brdjdb.shopify.product AS p ON ol.product_id = p.id
+      ${spend.join}
       ${whereClause}
       GROUP BY 
         COALESCE(p.product_type, 'Uncategorized'),
@@ -617,7 +630,7 @@ export async function getMonthlyOrderProductsByCategory(filters = {}) {
       ORDER BY 
         COALESCE(p.product_type, 'Uncategorized'),
         SUM(ol.quantity) DESC,
-        SUM(CAST(ol.price AS DECIMAL(10,2)) * ol.quantity) DESC
+        SUM(${spend.value}) DESC
     `;
 
     // Query to get summary totals
@@ -625,10 +638,11 @@ export async function getMonthlyOrderProductsByCategory(filters = {}) {
       SELECT 
         COUNT(DISTINCT o.id) as total_orders,
         COUNT(DISTINCT COALESCE(p.product_type, 'Uncategorized')) as total_categories,
-        SUM(CAST(ol.price AS DECIMAL(10,2)) * ol.quantity) as total_value
+        SUM(${spend.value}) as total_value
       FROM brdjdb.shopify.[order] AS o
       INNER JOIN brdjdb.shopify.order_line AS ol ON o.id = ol.order_id
       LEFT JOIN brdjdb.shopify.product AS p ON ol.product_id = p.id
+      ${spend.join}
       ${whereClause}
     `;
 
@@ -677,7 +691,8 @@ export async function getMonthlyOrderProductsByCategory(filters = {}) {
       categories,
       totalOrders: summary.total_orders || 0,
       totalCategories: summary.total_categories || 0,
-      totalValue: summary.total_value || 0
+      totalValue: summary.total_value || 0,
+      spendDefinition
     };
 
   } catch (error) {
@@ -32,6 +32,14 @@ export {
   getOrderLineItemStats
 } from './fhr-order-line-items.server.js';
 
+// Order Budget Month Reassignment Actions
+export {
+  getOrderBudgetMonthHistory,
+  reassignOrderBudgetMonth,
+  bulkReassignOrderBudgetMonth,
+  syncOrderBudgetMonthToShopify
+} from './order-budget-month.server.js';
+
 // FHR Products Actions
 export {
   getProducts,
@@ -65,7 +73,8 @@ export {
   getBudgetAssignmentsByLocation,
   getBudgetAssignmentsByBudget,
   getAvailableLocations,
-  assignBudgetToLocation
+  assignBudgetToLocation,
+  getBudgetVersions
 } from './fhr-budget.server.js';
 
 // Budget Categories Management Actions
@@ -81,7 +90,62 @@ export {
 
 // FHR Orders with Refunds Actions
 export {
+  REFUND_ATTRIBUTION_MODES,
   getMonthlyOrderProductsWithRefunds,
-  getMonthlyOrderProductsByCategoryWithRefundsByBudgetMonth
+  getMonthlyOrderProductsByCategoryWithRefundsByBudgetMonth,
+  BUDGET_MONTH_RANGE_PERIODS,
+  getBudgetMonthRange,
+  getCategorySpendForBudgetMonthRange,
+  reconcileBudgetCategorySpend,
+  reconcileBudgetSpendForMonth,
+  reconcileOrderBudgetSpend,
+  getBudgetCategorySpend,
+  calculateBudgetFromCensus,
+  checkCartAgainstBudget
 } from './fhr-orders-refunds.server.js';
 
+
+// Location Group and Rollup Actions
+export {
+  getLocationGroups,
+  getLocationGroup,
+  createLocationGroup,
+  updateLocationGroup,
+  deleteLocationGroup,
+  resolveLocationSet,
+  getLocationRollup
+} from './location-groups.server.js';
+
+
+// Report Subscription Actions
+export {
+  REPORT_SUBSCRIPTION_REPORTS,
+  REPORT_SUBSCRIPTION_CADENCES,
+  describeReportSubscriptionCadence,
+  getReportSubscriptions,
+  createReportSubscription,
+  updateReportSubscription,
+  setReportSubscriptionActive,
+  deleteReportSubscription,
+  getReportSubscriptionDeliveries,
+  sendReportSubscription,
+  deliverDueReportSubscriptions
+} from './report-subscriptions.server.js';
+
+
+// PPD Analytics Actions
+export {
+  PPD_TREND_MONTHS,
+  PPD_RANKING_MONTHS,
+  getLocationActualPpd,
+  getActualPpdRanking
+} from './ppd-analytics.server.js';
+
+
+// Report Comparison Actions
+export {
+  REPORT_COMPARISON_PERIODS,
+  getReportComparisonPeriods,
+  getMonthlyOrderProductsComparison,
+  getMonthlyOrderCategoriesComparison
+} from './report-comparisons.server.js';
@@ -0,0 +1,427 @@
+import 'dotenv/config';
+import mssql from "../mssql.server.js";
+import { getMonthlyOrderProductsByCategoryWithRefundsByBudgetMonth } from "./fhr-orders-refunds.server.js";
+
+/**
+ * Location Group Actions
+ * Named groups of company locations and the multi-location rollup report, which
+ * compares the category spend and census-based budget of every location in a set for
+ * one budget month. A set is a named group, all locations of a company, or the
+ * locations an approver (regional manager) is assigned to.
+ *
+ * Database Schema:
+ * - shopify.location_groups - Named groups
+ * - shopify.location_group_members - group_id ↔ location_id (company_location.id)
+ * - shopify.location_approvers - Approvers per location (see order-approval-holds)
+ */
+
+/**
+ * Get all location groups with their member location IDs
+ * @returns {Promise<Array>} Groups ordered by name, each with location_ids
+ */
+export async function getLocationGroups() {
+  try {
+    const [groups, members] = await Promise.all([
+      mssql.query(`
+        SELECT id, name, description, created_by, created_at, updated_at
+        FROM shopify.location_groups
+        ORDER BY name
+      `),
+      mssql.query(`
+        SELECT group_id, location_id
+        FROM shopify.location_group_members
+        ORDER BY location_id
+      `)
+    ]);
+
+    return groups.map(group => ({
+      ...group,
+      location_ids: members
+        .filter(member => String(member.group_id) === String(group.id))
+        .map(member => member.location_id)
+    }));
+  } catch (error) {
+    console.error("Error fetching location groups:", error);
+    throw new Error(`Failed to fetch location groups: ${error.message}`);
+  }
+}
+
+/**
+ * Get a location group with its member locations
+ * @param {string|number} groupId - Group ID
+ * @returns {Promise<Object|null>} Group with locations: [{ location_id, location_name }], null when not found
+ */
+export async function getLocationGroup(groupId) {
+  try {
+    const groups = await mssql.query(`
+      SELECT id, name, description, created_by, created_at, updated_at
+      FROM shopify.location_groups
+      WHERE id = @groupId
+    `, { groupId });
+
+    if (groups.length === 0) return null;
+
+    const locations = await mssql.query(`
+      SELECT lgm.location_id, cl.name as location_name
+      FROM shopify.location_group_members lgm
+      LEFT JOIN shopify.company_location cl ON CAST(cl.id AS NVARCHAR(255)) = lgm.location_id
+      WHERE lgm.group_id = @groupId
+      ORDER BY lgm.location_id
+    `, { groupId });
+
+    return { ...groups[0], locations };
+  } catch (error) {
+    console.error("Error fetching location group:", error);
+    throw new Error(`Failed to fetch location group: ${error.message}`);
+  }
+}
+
+/**
+ * Create a location group, or update one and replace its locations
+ * @param {Object} group - { groupId, name, description, locationIds, actor }
+ * @returns {Promise<Object>} { success, groupId } or { success: false, error }
+ */
+async function saveLocationGroup({ groupId = null, name, description, locationIds, actor }) {
+  const uniqueLocationIds = [...new Set((locationIds || []).map(id => String(id).trim()).filter(Boolean))];
+
+  if (!name || !name.trim()) {
+    return { success: false, error: "Group name is required" };
+  }
+
+  if (uniqueLocationIds.length === 0) {
+    return { success: false, error: "Select at least one location" };
+  }
+
+  const pool = await mssql.getPool();
+  const transaction = pool.transaction();
+
+  try {
+    await transaction.begin();
+
+    const duplicates = await transaction.request()
+      .input('name', name.trim())
+      .input('groupId', groupId)
+      .query(`
+        SELECT id FROM shopify.location_groups
+        WHERE name = @name AND (@groupId IS NULL OR id <> @groupId)
+      `);
+
+    if (duplicates.recordset.length > 0) {
+      await transaction.rollback();
+      return { success: false, error: `A location group named "${name.trim()}" already exists` };
+    }
+
+    if (groupId) {
+      const updated = await transaction.request()
+        .input('groupId', groupId)
+        .input('name', name.trim())
+        .input('description', description?.trim() || null)
+        .query(`
+          UPDATE shopify.location_groups
+          SET name = @name, description = @description, updated_at = GETUTCDATE()
+          WHERE id = @groupId
+        `);
+
+      if (updated.rowsAffected[0] === 0) {
+        await transaction.rollback();
+        return { success: false, error: "Location group not found" };
+      }
+
+      await transaction.request()
+        .input('groupId', groupId)
+        .query(`DELETE FROM shopify.location_group_members WHERE group_id = @groupId`);
+    } else {
+      const created = await transaction.request()
+        .input('name', name.trim())
+        .input('description', description?.trim() || null)
+        .input('actor', actor || 'system')
+        .query(`
+          INSERT INTO shopify.location_groups (name, description, created_by)
+          OUTPUT INSERTED.id
+          VALUES (@name, @description, @actor)
+        `);
+
+      groupId = created.recordset[0].id;
+    }
+
+    for (const locationId of uniqueLocationIds) {
+      await transaction.request()
+        .input('groupId', groupId)
+        .input('locationId', locationId)
+        .input('actor', actor || 'system')
+        .query(`
+          INSERT INTO shopify.location_group_members (group_id, location_id, created_by)
+          VALUES (@groupId, @locationId, @actor)
+        `);
+    }
+
+    await transaction.commit();
+
+    return { success: true, groupId };
+  } catch (error) {
+    await transaction.rollback();
+    console.error("Error saving location group:", error);
+    return { success: false, error: `Failed to save location group: ${error.message}` };
+  }
+}
+
+/**
+ * Create a location group
+ * @param {Object} group - { name, description, locationIds, actor }
+ * @returns {Promise<Object>} { success, groupId } or { success: false, error }
+ */
+export async function createLocationGroup({ name, description, locationIds, actor }) {
+  return saveLocationGroup({ name, description, locationIds, actor });
+}
+
+/**
+ * Update a location group; its locations are replaced by locationIds
+ * @param {string|number} groupId - Group ID
+ * @param {Object} group - { name, description, locationIds, actor }
+ * @returns {Promise<Object>} { success, groupId } or { success: false, error }
+ */
+export async function updateLocationGroup(groupId, { name, description, locationIds, actor }) {
+  if (!groupId) {
+    return { success: false, error: "Group ID is required" };
+  }
+
+  return saveLocationGroup({ groupId, name, description, locationIds, actor });
+}
+
+/**
+ * Delete a location group and its member list
+ * @param {string|number} groupId - Group ID
+ * @returns {Promise<Object>} Result object with success/error
+ */
+export async function deleteLocationGroup(groupId) {
+  try {
+    const result = await mssql.execute(`
+      DELETE FROM shopify.location_groups WHERE id = @groupId
+    `, { groupId });
+
+    return result.rowsAffected[0] > 0
+      ? { success: true }
+      : { success: false, error: "Location group not found" };
+  } catch (error) {
+    console.error("Error deleting location group:", error);
+    return { success: false, error: `Failed to delete location group: ${error.message}` };
+  }
+}
+
+/**
+ * Resolve a set of locations from a named group, a company or an approver
+ * @param {Object} source - One of groupId, companyId or approver (staff email)
+ * @returns {Promise<Object>} { source, label, locations: [{ location_id, location_name }] }
+ */
+export async function resolveLocationSet({ groupId, companyId, approver } = {}) {
+  if (groupId) {
+    const group = await getLocationGroup(groupId);
+    if (!group) {
+      throw new Error("Location group not found");
+    }
+
+    return { source: 'group', label: group.name, locations: group.locations };
+  }
+
+  try {
+    if (companyId) {
+      const locations = await mssql.query(`
+        SELECT CAST(id AS NVARCHAR(255)) as location_id, name as location_name
+        FROM brdjdb.shopify.company_location
+        WHERE company_id = @companyId
+        ORDER BY id
+      `, { companyId });
+
+      return { source: 'company', label: `Company ${companyId}`, locations };
+    }
+
+    if (approver) {
+      const locations = await mssql.query(`
+        SELECT la.location_id, cl.name as location_name
+        FROM shopify.location_approvers la
+        LEFT JOIN shopify.company_location cl ON CAST(cl.id AS NVARCHAR(255)) = la.location_id
+        WHERE LOWER(la.approver) = LOWER(@approver)
+        ORDER BY la.location_id
+      `, { approver });
+
+      return { source: 'approver', label: approver, locations };
+    }
+  } catch (error) {
+    console.error("Error resolving location set:", error);
+    throw new Error(`Failed to resolve locations: ${error.message}`);
+  }
+
+  throw new Error("A location group, company ID or approver is required");
+}
+
+function toAmount(value) {
+  return value === null || value === undefined ? null : parseFloat(value) || 0;
+}
+
+// Locations over budget by the most first; locations without a budget last
+function compareVariance(a, b) {
+  if (a.variance === null && b.variance === null) return 0;
+  if (a.variance === null) return 1;
+  if (b.variance === null) return -1;
+  return b.variance - a.variance;
+}
+
+/**
+ * Get the category spend and budget of every location in a set for one budget month,
+ * with the set's per-category and overall totals.
+ *
+ * Each location is read from the budget month category report (close snapshots
+ * included). Budget is the census-based budget to date; locations without a census
+ * for the month have a null budget and are left out of the budget totals. A location
+ * whose report fails is listed with its error and left out of all totals.
+ *
+ * @param {Object} filters
+ * @param {string} filters.groupId - Location group ID
+ * @param {string} filters.companyId - Company ID (all of its locations)
+ * @param {string} filters.approver - Approver whose locations are compared
+ * @param {string} filters.month - Month (1-12)
+ * @param {string} filters.year - Year
+ * @param {string} filters.spendDefinition - Spend definition, empty for the default
+ * @returns {Promise<Object>} { source, label, budgetMonth, spendDefinition, locations
+ *   (ranked by variance, highest first), categories, totals }
+ */
+export async function getLocationRollup(filters = {}) {
+  if (!filters.month || !filters.year) {
+    throw new Error("Month and year are required");
+  }
+
+  const locationSet = await resolveLocationSet(filters);
+  const budgetMonth = `${String(filters.month).padStart(2, '0')}-${filters.year}`;
+
+  try {
+    const locations = [];
+    const categoryTotals = {};
+    let spendDefinition = null;
+
+    // One location at a time, each with its own census, budget and close
+    for (const location of locationSet.locations) {
+      let report;
+      try {
+        report = await getMonthlyOrderProductsByCategoryWithRefundsByBudgetMonth({
+          companyLocationId: location.location_id,
+          month: filters.month,
+          year: filters.year,
+          spendDefinition: filters.spendDefinition
+        });
+      } catch (error) {
+        console.error(`Error fetching rollup report for location ${location.location_id}:`, error);
+        locations.push({
+          location_id: location.location_id,
+          location_name: location.location_name,
+          spent: null,
+          budget: null,
+          fullMonthBudget: null,
+          variance: null,
+          utilization: null,
+          error: error.message
+        });
+        continue;
+      }
+      spendDefinition = report.spendDefinition || spendDefinition;
+
+      const categories = (report.categories || []).map(category => {
+        const budgetAvailable = category.budgetAvailable !== false && category.fullMonthBudget !== null && category.fullMonthBudget !== undefined;
+        return {
+          category_name: category.category_name,
+          spent: parseFloat(category.total_value) || 0,
+          budget: budgetAvailable ? toAmount(category.proratedBudget) : null,
+          fullMonthBudget: budgetAvailable ? toAmount(category.fullMonthBudget) : null
+        };
+      });
+
+      categories.forEach(category => {
+        const totals = categoryTotals[category.category_name] || {
+          category_name: category.category_name,
+          spent: 0,
+          budget: null,
+          fullMonthBudget: null,
+          spentInBudgetedLocations: 0,
+          locationCount: 0,
+          locationsWithoutBudget: 0,
+          locationsOverBudget: 0
+        };
+        totals.spent += category.spent;
+        totals.locationCount += 1;
+        if (category.budget !== null) {
+          totals.budget = (totals.budget || 0) + category.budget;
+          totals.fullMonthBudget = (totals.fullMonthBudget || 0) + category.fullMonthBudget;
+          totals.spentInBudgetedLocations += category.spent;
+          if (category.spent > category.budget) totals.locationsOverBudget += 1;
+        } else {
+          totals.locationsWithoutBudget += 1;
+        }
+        categoryTotals[category.category_name] = totals;
+      });
+
+      const budgeted = categories.filter(category => category.budget !== null);
+      const spent = categories.reduce((total, category) => total + category.spent, 0);
+      const budget = budgeted.length > 0 ? budgeted.reduce((total, category) => total + category.budget, 0) : null;
+      const spentInBudgetedCategories = budgeted.reduce((total, category) => total + category.spent, 0);
+
+      locations.push({
+        location_id: location.location_id,
+        location_name: location.location_name,
+        totalOrders: report.totalOrders || 0,
+        spent,
+        budget,
+        fullMonthBudget: budget !== null ? budgeted.reduce((total, category) => total + category.fullMonthBudget, 0) : null,
+        variance: budget !== null ? spentInBudgetedCategories - budget : null,
+        utilization: budget > 0 ? (spentInBudgetedCategories / budget * 100) : null,
+        overBudgetCategories: budgeted
+          .filter(category => category.spent > category.budget)
+          .map(category => category.category_name),
+        monthClose: report.monthClose || null,
+        error: null
+      });
+    }
+
+    locations.sort(compareVariance);
+    locations.forEach((location, index) => {
+      location.rank = location.variance !== null ? index + 1 : null;
+    });
+
+    const categories = Object.values(categoryTotals)
+      .map(category => ({
+        ...category,
+        variance: category.budget !== null ? category.spentInBudgetedLocations - category.budget : null,
+        utilization: category.budget > 0 ? (category.spentInBudgetedLocations / category.budget * 100) : null
+      }))
+      .sort(compareVariance);
+
+    const reported = locations.filter(location => !location.error);
+    const budgetedLocations = reported.filter(location => location.budget !== null);
+    const sumOf = (rows, field) => rows.reduce((total, row) => total + (row[field] || 0), 0);
+    const budget = budgetedLocations.length > 0 ? sumOf(budgetedLocations, 'budget') : null;
+    const spentInBudgetedLocations = budgetedLocations.reduce((total, location) => total + location.spent, 0);
+
+    return {
+      source: locationSet.source,
+      label: locationSet.label,
+      budgetMonth,
+      spendDefinition,
+      locations,
+      categories,
+      totals: {
+        locationCount: locations.length,
+        locationsWithoutBudget: reported.length - budgetedLocations.length,
+        locationsOverBudget: budgetedLocations.filter(location => location.variance > 0).length,
+        locationsFailed: locations.length - reported.length,
+        totalOrders: sumOf(reported, 'totalOrders'),
+        spent: sumOf(reported, 'spent'),
+        budget,
+        fullMonthBudget: budget !== null ? sumOf(budgetedLocations, 'fullMonthBudget') : null,
+        spentInBudgetedLocations,
+        variance: budget !== null ? spentInBudgetedLocations - budget : null,
+        utilization: budget > 0 ? (spentInBudgetedLocations / budget * 100) : null
+      }
+    };
+  } catch (error) {
+    console.error("Error fetching location rollup:", error);
+    throw new Error(`Failed to fetch location rollup: ${error.message}`);
+  }
+}
@@ -0,0 +1,519 @@
+import 'dotenv/config';
+import mssql from "../mssql.server.js";
+import { decodeHtmlEntities, getBudgetCategoryRemaining } from "./fhr-orders-refunds.server.js";
+import { getOrderBudgetMonth } from "../utils/budget-month.js";
+import {
+  getSpendDefinition,
+  getOrderLineSpendSql,
+  getRefundSpendSql
+} from "./spend-definitions.server.js";
+
+/**
+ * Order Approval Hold Actions
+ * Holds orders that take a location's category spend over its full-month census-based
+ * budget until one of the location's approvers approves or rejects them. Decisions are
+ * written back to the Shopify order as tags.
+ *
+ * Database Schema:
+ * - shopify.location_approvers - Approvers (regional managers) per location
+ * - shopify.order_approval_holds - One hold per over-budget order
+ * - shopify.order_approval_audit - Every hold, decision and Shopify write-back
+ */
+
+// Tags written to the Shopify order for each decision; the other decision tags are removed
+const ORDER_HOLD_TAGS = {
+  approved: 'budget-approved',
+  rejected: 'budget-rejected'
+};
+
+const ORDER_HOLD_DECISIONS = {
+  approve: 'approved',
+  reject: 'rejected'
+};
+
+async function addHoldAudit(holdId, action, actor, comment = null, request = null) {
+  const query = `
+    INSERT INTO shopify.order_approval_audit (hold_id, action, actor, comment)
+    VALUES (@holdId, @action, @actor, @comment)
+  `;
+
+  if (request) {
+    return request
+      .input('holdId', holdId)
+      .input('action', action)
+      .input('actor', actor || 'system')
+      .input('comment', comment)
+      .query(query);
+  }
+
+  return mssql.execute(query, { holdId, action, actor: actor || 'system', comment });
+}
+
+/**
+ * Get the approvers of a location, falling back to BUDGET_HOLD_DEFAULT_APPROVERS
+ * @param {string} locationId - Company location ID
+ * @returns {Promise<Array<string>>} Approvers
+ */
+async function getRequiredApprovers(locationId) {
+  const rows = await mssql.query(`
+    SELECT approver FROM shopify.location_approvers
+    WHERE location_id = @locationId
+    ORDER BY approver
+  `, { locationId });
+
+  if (rows.length > 0) {
+    return rows.map(row => row.approver);
+  }
+
+  return (process.env.BUDGET_HOLD_DEFAULT_APPROVERS || '')
+    .split(',')
+    .map(approver => approver.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Get location approvers
+ * @param {string} locationId - Company location ID (all locations when empty)
+ * @returns {Promise<Array>} Approver rows
+ */
+export async function getLocationApprovers(locationId = null) {
+  try {
+    return await mssql.query(`
+      SELECT la.id, la.location_id, cl.name as location_name, la.approver, la.created_by, la.created_at
+      FROM shopify.location_approvers la
+      LEFT JOIN shopify.company_location cl ON CAST(cl.id AS NVARCHAR(255)) = la.location_id
+      ${locationId ? 'WHERE la.location_id = @locationId' : ''}
+      ORDER BY la.location_id, la.approver
+    `, locationId ? { locationId } : {});
+  } catch (error) {
+    console.error("Error fetching location approvers:", error);
+    throw new Error(`Failed to fetch location approvers: ${error.message}`);
+  }
+}
+
+/**
+ * Add an approver to a location
+ * @param {Object} approverData - { locationId, approver, createdBy }
+ * @returns {Promise<Object>} Result object with success/error
+ */
+export async function addLocationApprover(approverData) {
+  try {
+    const locationId = approverData?.locationId?.toString().trim();
+    const approver = approverData?.approver?.toString().trim();
+
+    if (!locationId || !approver) {
+      return { success: false, error: "Location and approver are required" };
+    }
+
+    const existing = await mssql.query(`
+      SELECT id FROM shopify.location_approvers
+      WHERE location_id = @locationId AND approver = @approver
+    `, { locationId, approver });
+
+    if (existing.length > 0) {
+      return { success: false, error: `${approver} is already an approver for this location` };
+    }
+
+    const result = await mssql.query(`
+      INSERT INTO shopify.location_approvers (location_id, approver, created_by)
+      OUTPUT INSERTED.*
+      VALUES (@locationId, @approver, @createdBy)
+    `, { locationId, approver, createdBy: approverData.createdBy || 'system' });
+
+    return { success: true, data: result[0] };
+  } catch (error) {
+    console.error("Error adding location approver:", error);
+    return { success: false, error: `Failed to add location approver: ${error.message}` };
+  }
+}
+
+/**
+ * Remove a location approver
+ * @param {string|number} approverId - Approver row ID
+ * @returns {Promise<boolean>} Success status
+ */
+export async function removeLocationApprover(approverId) {
+  try {
+    const result = await mssql.execute(`
+      DELETE FROM shopify.location_approvers WHERE id = @approverId
+    `, { approverId });
+
+    return result.rowsAffected && result.rowsAffected[0] > 0;
+  } catch (error) {
+    console.error("Error removing location approver:", error);
+    throw new Error(`Failed to remove location approver: ${error.message}`);
+  }
+}
+
+/**
+ * Put an order on an approval hold when it takes any of its location's categories over
+ * the full-month census-based budget of its budget month, read from the remaining_amount
+ * of the spend ledger. A pending hold is refreshed with the latest amounts; decided holds
+ * are left alone.
+ * @param {string} orderId - Order ID
+ * @returns {Promise<Object>} { held, holdId, amountOver, categories }
+ */
+export async function evaluateOrderBudgetHold(orderId) {
+  try {
+    const orders = await mssql.query(`
+      SELECT
+        o.id,
+        o.name,
+        CAST(o.company_location_id AS NVARCHAR(255)) as company_location_id,
+        o.order_budget_month,
+        o.created_at
+      FROM brdjdb.shopify.[order] AS o
+      WHERE o.id = @orderId
+    `, { orderId });
+
+    const order = orders[0];
+    if (!order || !order.company_location_id) {
+      return { held: false, holdId: null, amountOver: 0, categories: [] };
+    }
+
+    const budgetMonth = getOrderBudgetMonth(order);
+    const spendDefinition = getSpendDefinition();
+    const lineSpend = getOrderLineSpendSql(spendDefinition);
+
+    // Net amount of this order per category, and the location's spend ledger for the
+    // budget month (reconciled with this order before holds are evaluated), both under
+    // the default spend definition
+    const [orderCategories, ledger] = await Promise.all([
+      mssql.query(`
+        SELECT
+          COALESCE(p.shopify_category, 'Uncategorized') as category_name,
+          SUM(${lineSpend.value} - COALESCE(refunds.refunded_amount, 0)) as order_amount
+        FROM brdjdb.shopify.order_line AS ol
+        INNER JOIN brdjdb.shopify.[order] AS o ON o.id = ol.order_id
+        LEFT JOIN brdjdb.shopify.product AS p ON ol.product_id = p.id
+        ${lineSpend.join}
+        OUTER APPLY (
+          SELECT SUM(${getRefundSpendSql(spendDefinition)}) as refunded_amount
+          FROM brdjdb.shopify.order_line_refund AS olr
+          WHERE olr.order_line_id = ol.id
+        ) refunds
+        WHERE ol.order_id = @orderId
+        GROUP BY COALESCE(p.shopify_category, 'Uncategorized')
+      `, { orderId }),
+      getBudgetCategoryRemaining(order.company_location_id, budgetMonth)
+    ]);
+
+    const spendByCategory = {};
+    ledger.forEach(category => {
+      spendByCategory[category.categoryName] = category;
+    });
+
+    const affected = [];
+    orderCategories.forEach(orderCategory => {
+      const category = spendByCategory[decodeHtmlEntities(orderCategory.category_name)];
+      if (!category?.budgetAvailable || !(category.allocatedAmount > 0)) return;
+
+      const orderAmount = parseFloat(orderCategory.order_amount) || 0;
+
+      // Only the part of the overspend this order is responsible for
+      const amountOver = Math.min(-category.remainingAmount, orderAmount);
+      if (amountOver > 0) {
+        affected.push({
+          category: category.categoryName,
+          budget: category.allocatedAmount.toFixed(2),
+          spent: category.spentAmount.toFixed(2),
+          orderAmount: orderAmount.toFixed(2),
+          amountOver: amountOver.toFixed(2)
+        });
+      }
+    });
+
+    const existing = await mssql.query(`
+      SELECT id, status, amount_over FROM shopify.order_approval_holds WHERE order_id = @orderId
+    `, { orderId });
+    const hold = existing[0];
+
+    if (affected.length === 0) {
+      return { held: hold?.status === 'pending', holdId: hold?.id || null, amountOver: 0, categories: [] };
+    }
+
+    const amountOver = affected.reduce((total, category) => total + parseFloat(category.amountOver), 0);
+
+    if (hold) {
+      if (hold.status === 'pending' && parseFloat(hold.amount_over) !== parseFloat(amountOver.toFixed(2))) {
+        await mssql.execute(`
+          UPDATE shopify.order_approval_holds
+          SET amount_over = @amountOver, categories = @categories, updated_at = GETUTCDATE()
+          WHERE id = @holdId
+        `, { holdId: hold.id, amountOver: amountOver.toFixed(2), categories: JSON.stringify(affected) });
+        await addHoldAudit(hold.id, 'updated', 'system', `Amount over budget is now $${amountOver.toFixed(2)}`);
+      }
+
+      return { held: hold.status === 'pending', holdId: hold.id, amountOver: amountOver.toFixed(2), categories: affected };
+    }
+
+    const approvers = await getRequiredApprovers(order.company_location_id);
+    const inserted = await mssql.query(`
+      INSERT INTO shopify.order_approval_holds (
+        order_id, order_number, location_id, budget_month, amount_over, categories, required_approvers
+      )
+      OUTPUT INSERTED.id
+      VALUES (@orderId, @orderNumber, @locationId, @budgetMonth, @amountOver, @categories, @requiredApprovers)
+    `, {
+      orderId,
+      orderNumber: order.name || null,
+      locationId: order.company_location_id,
+      budgetMonth,
+      amountOver: amountOver.toFixed(2),
+      categories: JSON.stringify(affected),
+      requiredApprovers: approvers.length > 0 ? approvers.join(', ') : null
+    });
+
+    const holdId = inserted[0].id;
+    await addHoldAudit(
+      holdId,
+      'held',
+      'system',
+      `$${amountOver.toFixed(2)} over budget in ${affected.map(category => category.category).join(', ')}`
+    );
+
+    return { held: true, holdId, amountOver: amountOver.toFixed(2), categories: affected };
+  } catch (error) {
+    console.error("Error evaluating order budget hold:", error);
+    throw new Error(`Failed to evaluate order budget hold: ${error.message}`);
+  }
+}
+
+/**
+ * Get order approval holds
+ * @param {Object} filters - { status, locationId, page, limit }
+ * @returns {Promise<Object>} { holds, total, pendingCount }
+ */
+export async function getOrderApprovalHolds(filters = {}) {
+  try {
+    const conditions = [];
+    const params = {};
+
+    if (filters.status) {
+      conditions.push('oah.status = @status');
+      params.status = filters.status;
+    }
+    if (filters.locationId) {
+      conditions.push('oah.location_id = @locationId');
+      params.locationId = filters.locationId;
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const limit = parseInt(filters.limit) || 50;
+    const offset = ((parseInt(filters.page) || 1) - 1) * limit;
+
+    const [holds, totals] = await Promise.all([
+      mssql.query(`
+        SELECT
+          oah.*,
+          cl.name as location_name
+        FROM shopify.order_approval_holds oah
+        LEFT JOIN shopify.company_location cl ON CAST(cl.id AS NVARCHAR(255)) = oah.location_id
+        ${whereClause}
+        ORDER BY oah.created_at DESC
+        OFFSET ${offset} ROWS FETCH NEXT ${limit} ROWS ONLY
+      `, params),
+      mssql.query(`
+        SELECT
+          COUNT(*) as total,
+          (SELECT COUNT(*) FROM shopify.order_approval_holds WHERE status = 'pending') as pending_count
+        FROM shopify.order_approval_holds oah
+        ${whereClause}
+      `, params)
+    ]);
+
+    return {
+      holds: holds.map(hold => ({
+        ...hold,
+        categories: JSON.parse(hold.categories || '[]')
+      })),
+      total: totals[0]?.total || 0,
+      pendingCount: totals[0]?.pending_count || 0
+    };
+  } catch (error) {
+    console.error("Error fetching order approval holds:", error);
+    throw new Error(`Failed to fetch order approval holds: ${error.message}`);
+  }
+}
+
+/**
+ * Get the audit trail of an order approval hold
+ * @param {string|number} holdId - Hold ID
+ * @returns {Promise<Array>} Audit rows, oldest first
+ */
+export async function getOrderApprovalAudit(holdId) {
+  try {
+    return await mssql.query(`
+      SELECT id, action, actor, comment, created_at
+      FROM shopify.order_approval_audit
+      WHERE hold_id = @holdId
+      ORDER BY created_at ASC, id ASC
+    `, { holdId });
+  } catch (error) {
+    console.error("Error fetching order approval audit:", error);
+    throw new Error(`Failed to fetch order approval audit: ${error.message}`);
+  }
+}
+
+/**
+ * Write a hold decision to the Shopify order as a tag
+ * @param {Object} admin - Admin API context from authenticate.admin
+ * @param {string|number} holdId - Hold ID
+ * @param {string} actor - User who triggered the write
+ * @returns {Promise<Object>} { synced, error }
+ */
+export async function syncOrderHoldDecision(admin, holdId, actor) {
+  const holds = await mssql.query(`
+    SELECT order_id, status FROM shopify.order_approval_holds WHERE id = @holdId
+  `, { holdId });
+
+  const hold = holds[0];
+  if (!hold || !ORDER_HOLD_TAGS[hold.status]) {
+    return { synced: false, error: "Only decided holds can be written to Shopify" };
+  }
+
+  const tag = ORDER_HOLD_TAGS[hold.status];
+
+  try {
+    const response = await admin.graphql(`#graphql
+      mutation tagHeldOrder($id: ID!, $add: [String!]!, $remove: [String!]!) {
+        tagsAdd(id: $id, tags: $add) {
+          userErrors { field message }
+        }
+        tagsRemove(id: $id, tags: $remove) {
+          userErrors { field message }
+        }
+      }
+    `, {
+      variables: {
+        id: `gid://shopify/Order/${hold.order_id}`,
+        add: [tag],
+        remove: Object.values(ORDER_HOLD_TAGS).filter(otherTag => otherTag !== tag)
+      }
+    });
+
+    const data = await response.json();
+    const userErrors = [
+      ...(data.data?.tagsAdd?.userErrors || []),
+      ...(data.data?.tagsRemove?.userErrors || [])
+    ];
+
+    if (data.errors || userErrors.length > 0) {
+      const messages = (data.errors || userErrors).map(error => error.message).join('; ');
+      throw new Error(messages);
+    }
+
+    await mssql.execute(`
+      UPDATE shopify.order_approval_holds
+      SET shopify_synced_at = GETUTCDATE(), shopify_sync_error = NULL
+      WHERE id = @holdId
+    `, { holdId });
+    await addHoldAudit(holdId, 'shopify_synced', actor, `Tagged order ${tag}`);
+
+    return { synced: true, error: null };
+  } catch (error) {
+    console.error("Error writing order hold decision to Shopify:", error);
+
+    await mssql.execute(`
+      UPDATE shopify.order_approval_holds
+      SET shopify_sync_error = @syncError
+      WHERE id = @holdId
+    `, { holdId, syncError: error.message });
+    await addHoldAudit(holdId, 'shopify_sync_failed', actor, error.message);
+
+    return { synced: false, error: error.message };
+  }
+}
+
+/**
+ * Approve or reject a pending order approval hold and write the decision to Shopify.
+ * Only the hold's required approvers may decide (any admin when it has none); a refused
+ * decision is recorded in the audit trail.
+ * @param {Object} decisionData
+ * @param {string|number} decisionData.holdId - Hold ID
+ * @param {string} decisionData.decision - approve or reject
+ * @param {string} decisionData.actor - Staff email of the user who decided
+ * @param {boolean} decisionData.approverAdmin - Whether the user is an approver admin, who
+ *   decides holds without required approvers
+ * @param {string} decisionData.comment - Comment (required to reject)
+ * @param {Object} decisionData.admin - Admin API context from authenticate.admin
+ * @returns {Promise<Object>} { success, status, shopifySynced, shopifyError } or { success: false, error }
+ */
+export async function decideOrderApprovalHold({ holdId, decision, actor, approverAdmin = false, comment, admin }) {
+  const status = ORDER_HOLD_DECISIONS[decision];
+
+  if (!holdId || !status) {
+    return { success: false, error: "Hold ID and a decision (approve or reject) are required" };
+  }
+
+  if (decision === 'reject' && !comment?.trim()) {
+    return { success: false, error: "A comment is required to reject an order" };
+  }
+
+  const pool = await mssql.getPool();
+  const transaction = pool.transaction();
+
+  try {
+    await transaction.begin();
+
+    const current = await transaction.request()
+      .input('holdId', holdId)
+      .query(`SELECT status, required_approvers FROM shopify.order_approval_holds WITH (UPDLOCK) WHERE id = @holdId`);
+
+    if (current.recordset.length === 0) {
+      await transaction.rollback();
+      return { success: false, error: "Hold not found" };
+    }
+
+    if (current.recordset[0].status !== 'pending') {
+      await transaction.rollback();
+      return { success: false, error: `This order was already ${current.recordset[0].status}` };
+    }
+
+    const approvers = (current.recordset[0].required_approvers || '')
+      .split(',')
+      .map(approver => approver.trim())
+      .filter(Boolean);
+    const isApprover = approvers.some(approver => approver.toLowerCase() === (actor || '').toLowerCase());
+
+    // Holds without required approvers are decided by approver admins
+    const allowed = approvers.length > 0 ? isApprover : approverAdmin;
+
+    if (!allowed) {
+      const deciders = approvers.length > 0 ? approvers.join(', ') : 'approver admins';
+      await addHoldAudit(
+        holdId,
+        'decision_refused',
+        actor,
+        `Tried to ${decision}; only ${deciders} can decide this order`,
+        transaction.request()
+      );
+      await transaction.commit();
+      return { success: false, error: `Only ${deciders} can ${decision} this order` };
+    }
+
+    await transaction.request()
+      .input('holdId', holdId)
+      .input('status', status)
+      .input('actor', actor || 'system')
+      .input('comment', comment?.trim() || null)
+      .query(`
+        UPDATE shopify.order_approval_holds
+        SET status = @status, decided_by = @actor, decision_comment = @comment,
+            decided_at = GETUTCDATE(), updated_at = GETUTCDATE()
+        WHERE id = @holdId
+      `);
+
+    await addHoldAudit(holdId, status, actor, comment?.trim() || null, transaction.request());
+
+    await transaction.commit();
+  } catch (error) {
+    await transaction.rollback();
+    console.error(`Error performing order hold ${decision}:`, error);
+    return { success: false, error: `Failed to ${decision} order: ${error.message}` };
+  }
+
+  const sync = await syncOrderHoldDecision(admin, holdId, actor);
+
+  return { success: true, status, shopifySynced: sync.synced, shopifyError: sync.error };
+}
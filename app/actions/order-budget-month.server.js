@@ -0,0 +1,329 @@
+import 'dotenv/config';
+import crypto from 'crypto';
+import mssql from "../mssql.server.js";
+import {
+  normalizeBudgetMonth,
+  recordOrderBudgetMonthChange,
+  syncOrderBudgetEffects
+} from "./shopify-order-sync.server.js";
+import { getClosedBudgetMonths } from "./budget-month-close.server.js";
+import { unauthenticated } from "../shopify.server.js";
+
+/**
+ * Order Budget Month Reassignment Actions
+ * Lets finance move an order to another budget month (e.g. a late-entered order into the
+ * previous month), one order at a time or in bulk, with a required reason. Every change
+ * is kept in shopify.order_budget_month_history and written back to the order's
+ * order_budget_month note attribute in Shopify, so later order webhooks carry the new
+ * month. Changes made by integration webhooks, and write-backs that failed, are written
+ * by syncPendingOrderBudgetMonths (scripts/process-webhook-inbox.js).
+ */
+
+// Note attribute holding the budget month on the Shopify order
+const BUDGET_MONTH_ATTRIBUTE = 'order_budget_month';
+
+const MAX_BULK_ORDERS = 250;
+
+/**
+ * Get the budget month history of an order, newest first
+ * @param {string} orderId - Shopify order ID
+ * @returns {Promise<Array>} History entries
+ */
+export async function getOrderBudgetMonthHistory(orderId) {
+  try {
+    return await mssql.query(`
+      SELECT id, order_id, previous_budget_month, new_budget_month, reason, source, batch_id,
+             changed_by, shopify_synced_at, shopify_sync_error, created_at
+      FROM shopify.order_budget_month_history
+      WHERE order_id = @orderId
+      ORDER BY created_at DESC, id DESC
+    `, { orderId });
+  } catch (error) {
+    console.error("Error fetching order budget month history:", error);
+    throw new Error(`Failed to fetch order budget month history: ${error.message}`);
+  }
+}
+
+/**
+ * Write a budget month change to the order_budget_month note attribute of the Shopify order.
+ * The order's other note attributes are kept.
+ * @param {Object} admin - Admin API context from authenticate.admin
+ * @param {string|number} historyId - History entry ID
+ * @returns {Promise<Object>} { synced, error }
+ */
+export async function syncOrderBudgetMonthToShopify(admin, historyId) {
+  const entries = await mssql.query(`
+    SELECT h.order_id, h.new_budget_month, o.order_budget_month
+    FROM shopify.order_budget_month_history h
+    LEFT JOIN brdjdb.shopify.[order] o ON o.id = h.order_id
+    WHERE h.id = @historyId
+  `, { historyId });
+
+  const entry = entries[0];
+  if (!entry) {
+    return { synced: false, error: "Budget month change not found" };
+  }
+
+  // A later change supersedes this one; only the order's current month is written
+  const budgetMonth = entry.order_budget_month || entry.new_budget_month;
+  const orderGid = `gid://shopify/Order/${entry.order_id}`;
+
+  try {
+    const orderResponse = await admin.graphql(`#graphql
+      query orderAttributes($id: ID!) {
+        order(id: $id) {
+          customAttributes { key value }
+        }
+      }
+    `, { variables: { id: orderGid } });
+
+    const orderData = await orderResponse.json();
+    if (orderData.errors || !orderData.data?.order) {
+      throw new Error(orderData.errors?.map(error => error.message).join('; ') || 'Order not found in Shopify');
+    }
+
+    const customAttributes = [
+      ...orderData.data.order.customAttributes
+        .filter(attribute => attribute.key !== BUDGET_MONTH_ATTRIBUTE)
+        .map(({ key, value }) => ({ key, value })),
+      { key: BUDGET_MONTH_ATTRIBUTE, value: budgetMonth }
+    ];
+
+    const updateResponse = await admin.graphql(`#graphql
+      mutation setOrderBudgetMonth($input: OrderInput!) {
+        orderUpdate(input: $input) {
+          userErrors { field message }
+        }
+      }
+    `, { variables: { input: { id: orderGid, customAttributes } } });
+
+    const updateData = await updateResponse.json();
+    const userErrors = updateData.data?.orderUpdate?.userErrors || [];
+
+    if (updateData.errors || userErrors.length > 0) {
+      throw new Error((updateData.errors || userErrors).map(error => error.message).join('; '));
+    }
+
+    // Earlier changes of the order are covered by this write as well
+    await mssql.execute(`
+      UPDATE shopify.order_budget_month_history
+      SET shopify_synced_at = GETUTCDATE(), shopify_sync_error = NULL
+      WHERE order_id = @orderId AND id <= @historyId AND shopify_synced_at IS NULL
+    `, { orderId: entry.order_id, historyId });
+
+    return { synced: true, error: null };
+  } catch (error) {
+    console.error("Error writing order budget month to Shopify:", error);
+
+    await mssql.execute(`
+      UPDATE shopify.order_budget_month_history
+      SET shopify_sync_error = @syncError
+      WHERE id = @historyId
+    `, { historyId, syncError: error.message });
+
+    return { synced: false, error: error.message };
+  }
+}
+
+/**
+ * Move an order to another budget month
+ * Updates the order, records the change, reconciles budget spend and approval holds for
+ * both months and writes the new month to the Shopify order. Orders cannot be moved out
+ * of or into a month that is closed for their location.
+ * @param {Object} reassignment
+ * @param {string} reassignment.orderId - Shopify order ID
+ * @param {string} reassignment.budgetMonth - New budget month (MM-YYYY)
+ * @param {string} reassignment.reason - Why the order is moved (required)
+ * @param {string} reassignment.actor - User reassigning the order
+ * @param {Object} reassignment.admin - Admin API context from authenticate.admin
+ * @param {string} reassignment.batchId - Bulk reassignment the order belongs to
+ * @returns {Promise<Object>} { success, orderId, previousBudgetMonth, budgetMonth, historyId, shopifySynced, shopifyError } or { success: false, error }
+ */
+export async function reassignOrderBudgetMonth({ orderId, budgetMonth, reason, actor, admin, batchId = null }) {
+  const newBudgetMonth = normalizeBudgetMonth(budgetMonth);
+  if (!newBudgetMonth) {
+    return { success: false, orderId, error: "Budget month must be MM-YYYY" };
+  }
+
+  if (!reason || !reason.trim()) {
+    return { success: false, orderId, error: "A reason is required to reassign the budget month" };
+  }
+
+  const pool = await mssql.getPool();
+  const transaction = pool.transaction();
+  let previousBudgetMonth;
+  let historyId;
+
+  try {
+    await transaction.begin();
+
+    const orders = await transaction.request()
+      .input('orderId', orderId)
+      .query(`
+        SELECT
+          COALESCE(order_budget_month, FORMAT(created_at, 'MM-yyyy')) as budget_month,
+          CAST(company_location_id AS NVARCHAR(255)) as company_location_id
+        FROM brdjdb.shopify.[order] WITH (UPDLOCK)
+        WHERE id = @orderId
+      `);
+
+    if (orders.recordset.length === 0) {
+      await transaction.rollback();
+      return { success: false, orderId, error: `Order ${orderId} not found` };
+    }
+
+    previousBudgetMonth = orders.recordset[0].budget_month;
+    if (previousBudgetMonth === newBudgetMonth) {
+      await transaction.rollback();
+      return { success: false, orderId, error: `Order ${orderId} is already in budget month ${newBudgetMonth}` };
+    }
+
+    const closed = await getClosedBudgetMonths(
+      orders.recordset[0].company_location_id,
+      [previousBudgetMonth, newBudgetMonth],
+      transaction
+    );
+    if (closed.length > 0) {
+      await transaction.rollback();
+      return {
+        success: false,
+        orderId,
+        error: `Order ${orderId} cannot be moved: budget month ${closed.map(close => close.budget_month).join(' and ')} is closed for its location`
+      };
+    }
+
+    await transaction.request()
+      .input('orderId', orderId)
+      .input('budgetMonth', newBudgetMonth)
+      .query(`
+        UPDATE brdjdb.shopify.[order]
+        SET order_budget_month = @budgetMonth,
+            updated_at = GETDATE()
+        WHERE id = @orderId
+      `);
+
+    historyId = await recordOrderBudgetMonthChange({
+      orderId,
+      previousBudgetMonth,
+      newBudgetMonth,
+      reason: reason.trim(),
+      source: batchId ? 'admin_bulk' : 'admin',
+      batchId,
+      changedBy: actor
+    }, transaction.request());
+
+    await transaction.commit();
+  } catch (error) {
+    await transaction.rollback();
+    console.error("Error reassigning order budget month:", error);
+    return { success: false, orderId, error: `Failed to reassign budget month: ${error.message}` };
+  }
+
+  const { spendReconciled } = await syncOrderBudgetEffects(orderId, { previousBudgetMonth });
+  const sync = admin
+    ? await syncOrderBudgetMonthToShopify(admin, historyId)
+    : { synced: false, error: "No Shopify admin context" };
+
+  return {
+    success: true,
+    orderId,
+    previousBudgetMonth,
+    budgetMonth: newBudgetMonth,
+    historyId,
+    spendReconciled,
+    shopifySynced: sync.synced,
+    shopifyError: sync.error
+  };
+}
+
+/**
+ * Move several orders to one budget month with a shared reason
+ * @param {Object} reassignment - { orderIds, budgetMonth, reason, actor, admin }
+ * @returns {Promise<Object>} { success, batchId, reassigned, failed, notSynced, results } or { success: false, error }
+ */
+export async function bulkReassignOrderBudgetMonth({ orderIds, budgetMonth, reason, actor, admin }) {
+  const uniqueOrderIds = [...new Set((orderIds || []).map(id => String(id).trim()).filter(Boolean))];
+
+  if (uniqueOrderIds.length === 0) {
+    return { success: false, error: "Select at least one order" };
+  }
+
+  if (uniqueOrderIds.length > MAX_BULK_ORDERS) {
+    return { success: false, error: `At most ${MAX_BULK_ORDERS} orders can be reassigned at once` };
+  }
+
+  const batchId = crypto.randomUUID();
+  const results = [];
+
+  for (const orderId of uniqueOrderIds) {
+    results.push(await reassignOrderBudgetMonth({ orderId, budgetMonth, reason, actor, admin, batchId }));
+  }
+
+  const reassigned = results.filter(result => result.success);
+
+  return {
+    success: reassigned.length > 0,
+    batchId,
+    reassigned: reassigned.length,
+    failed: results.length - reassigned.length,
+    notSynced: reassigned.filter(result => !result.shopifySynced).length,
+    results,
+    error: reassigned.length === 0 ? results[0]?.error : undefined
+  };
+}
+
+/**
+ * Write the budget month changes that are not in Shopify yet to the orders' note
+ * attribute: changes from integration and budget_sync webhooks, and admin reassignments
+ * whose write-back failed. The latest pending change of each order is written.
+ * @param {Object} options
+ * @param {Object} options.admin - Admin API context; defaults to the offline admin context
+ *   of the SHOPIFY_STORE_URL shop
+ * @param {number} options.limit - Maximum number of orders to write
+ * @returns {Promise<Object>} { pending, synced, failed, errors }
+ */
+export async function syncPendingOrderBudgetMonths({ admin = null, limit = 100 } = {}) {
+  try {
+    const pending = await mssql.query(`
+      SELECT TOP (@limit) h.id, h.order_id
+      FROM shopify.order_budget_month_history h
+      WHERE h.shopify_synced_at IS NULL AND h.source <> 'shopify'
+        AND h.id = (
+          SELECT MAX(latest.id) FROM shopify.order_budget_month_history latest
+          WHERE latest.order_id = h.order_id AND latest.shopify_synced_at IS NULL AND latest.source <> 'shopify'
+        )
+      ORDER BY h.id
+    `, { limit });
+
+    if (pending.length === 0) {
+      return { pending: 0, synced: 0, failed: 0, errors: [] };
+    }
+
+    let client = admin;
+    if (!client) {
+      const shop = process.env.SHOPIFY_STORE_URL?.replace(/^https?:\/\//, '').replace(/\/$/, '');
+      if (!shop) {
+        throw new Error("SHOPIFY_STORE_URL is not set; it names the shop to write to");
+      }
+      ({ admin: client } = await unauthenticated.admin(shop));
+    }
+
+    const errors = [];
+    for (const row of pending) {
+      const sync = await syncOrderBudgetMonthToShopify(client, row.id);
+      if (!sync.synced) {
+        errors.push(`Order ${row.order_id}: ${sync.error}`);
+      }
+    }
+
+    return {
+      pending: pending.length,
+      synced: pending.length - errors.length,
+      failed: errors.length,
+      errors
+    };
+  } catch (error) {
+    console.error("Error writing pending order budget months to Shopify:", error);
+    throw new Error(`Failed to write pending order budget months to Shopify: ${error.message}`);
+  }
+}
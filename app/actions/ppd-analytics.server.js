@@ -0,0 +1,346 @@
+import 'dotenv/config';
+import { getCategorySpendForBudgetMonthRange } from "./fhr-orders-refunds.server.js";
+import { resolveLocationSet } from "./location-groups.server.js";
+
+/**
+ * PPD Analytics Actions
+ * Actual PPD (cost per patient-day): net spend ÷ patient-days (census × days) per
+ * category, location and budget month, compared with the budgeted PPD rate.
+ *
+ * Spend and patient-days come from the budget month category report (refund-aware net
+ * spend, closed months from their snapshot); the in-progress month counts patient-days
+ * to date. A month without a census has no patient-days and no actual PPD.
+ */
+
+export const PPD_TREND_MONTHS = 12;
+export const PPD_RANKING_MONTHS = [1, 3, 6, 12];
+
+// Change between the recent and prior quarter below which a trend is flat (percent)
+const FLAT_TREND_PERCENT = 5;
+
+function toMonthIndex(budgetMonth) {
+  const [month, year] = budgetMonth.split('-').map(Number);
+  return year * 12 + (month - 1);
+}
+
+function fromMonthIndex(monthIndex) {
+  return `${String((monthIndex % 12) + 1).padStart(2, '0')}-${Math.floor(monthIndex / 12)}`;
+}
+
+function getCurrentBudgetMonth() {
+  const today = new Date();
+  return `${String(today.getMonth() + 1).padStart(2, '0')}-${today.getFullYear()}`;
+}
+
+function toPpd(spend, patientDays) {
+  return patientDays > 0 ? spend / patientDays : null;
+}
+
+/**
+ * Trend of a monthly actual PPD series: the average of the last three months with a
+ * census against the three before
+ * @param {Array<number|null>} series - Actual PPD per month, oldest first
+ * @returns {Object|null} { direction: rising|falling|flat, recent, prior, changePercent }
+ */
+function getPpdTrend(series) {
+  const values = series.filter(value => value !== null);
+  if (values.length < 2) return null;
+
+  const window = Math.min(3, Math.floor(values.length / 2));
+  const average = rows => rows.reduce((total, value) => total + value, 0) / rows.length;
+  const recent = average(values.slice(-window));
+  const prior = average(values.slice(-window * 2, -window));
+  const changePercent = prior > 0 ? (recent - prior) / prior * 100 : null;
+
+  let direction = 'flat';
+  if (changePercent === null ? recent > prior : changePercent > FLAT_TREND_PERCENT) direction = 'rising';
+  else if (changePercent !== null && changePercent < -FLAT_TREND_PERCENT) direction = 'falling';
+
+  return { direction, recent, prior, changePercent };
+}
+
+/**
+ * Get the actual PPD of a location per category and budget month over a trailing window
+ * @param {Object} filters
+ * @param {string} filters.companyLocationId - Company location ID
+ * @param {string} filters.endMonth - Last budget month (MM-YYYY), defaults to the current month
+ * @param {number} filters.months - Months in the window (1-24, default 12)
+ * @param {string} filters.spendDefinition - Spend definition, empty for the default
+ * @returns {Promise<Object>} {
+ *   companyLocationId, startMonth, endMonth, budgetMonths, spendDefinition,
+ *   months: [{ budgetMonth, censusSource, patientDays, netSpend, actualPpd, budgetPpd, variance, overBudget, monthClose }],
+ *   categories: [{ category_name, budgetPpd, months: [...], totals, monthsOverBudget, trend }],
+ *   totals: { patientDays, netSpend, actualPpd, budgetPpd, variance, overBudget },
+ *   flags: [{ budgetMonth, category_name, actualPpd, budgetPpd, variance }]
+ * }
+ * Month and window totals cover the budgeted categories: their net spend ÷ patient-days
+ * against the sum of their PPD rates. Window PPDs are weighted by the months' patient-days.
+ */
+export async function getLocationActualPpd(filters = {}) {
+  if (!filters.companyLocationId) {
+    throw new Error("Company location ID is required");
+  }
+
+  const endMonth = filters.endMonth || getCurrentBudgetMonth();
+  if (!/^\d{2}-\d{4}$/.test(endMonth)) {
+    throw new Error("End month must be MM-YYYY");
+  }
+
+  const monthCount = Math.min(Math.max(parseInt(filters.months) || PPD_TREND_MONTHS, 1), 24);
+  const startMonth = fromMonthIndex(toMonthIndex(endMonth) - monthCount + 1);
+
+  try {
+    const range = await getCategorySpendForBudgetMonthRange({
+      companyLocationId: filters.companyLocationId,
+      period: 'custom',
+      startMonth,
+      endMonth,
+      spendDefinition: filters.spendDefinition
+    });
+
+    const categoryRows = {};
+    const months = range.monthly.map(month => {
+      const budgeted = month.categories.filter(category => category.ppdRate !== null && category.patientDays !== null);
+      const patientDays = month.categories.find(category => category.patientDays > 0)?.patientDays ?? null;
+      const censusSource = month.categories.find(category => category.censusSource)?.censusSource || null;
+
+      month.categories.forEach(category => {
+        const actualPpd = toPpd(category.total_value, patientDays);
+        const row = categoryRows[category.category_name] || { category_name: category.category_name, months: {} };
+        row.months[month.budgetMonth] = {
+          budgetMonth: month.budgetMonth,
+          netSpend: category.total_value,
+          patientDays,
+          actualPpd,
+          budgetPpd: category.ppdRate,
+          variance: actualPpd !== null && category.ppdRate !== null ? actualPpd - category.ppdRate : null,
+          overBudget: actualPpd !== null && category.ppdRate !== null && actualPpd > category.ppdRate
+        };
+        categoryRows[category.category_name] = row;
+      });
+
+      const netSpend = budgeted.reduce((total, category) => total + category.total_value, 0);
+      const actualPpd = budgeted.length > 0 ? toPpd(netSpend, patientDays) : null;
+      const budgetPpd = budgeted.length > 0 ? budgeted.reduce((total, category) => total + category.ppdRate, 0) : null;
+
+      return {
+        budgetMonth: month.budgetMonth,
+        censusSource,
+        patientDays,
+        netSpend,
+        actualPpd,
+        budgetPpd,
+        variance: actualPpd !== null ? actualPpd - budgetPpd : null,
+        overBudget: actualPpd !== null && actualPpd > budgetPpd,
+        monthClose: month.monthClose
+      };
+    });
+
+    const categories = Object.values(categoryRows).map(row => {
+      // Every month of the window; a month without the category had no spend in it
+      const series = range.months.map(budgetMonth => {
+        if (row.months[budgetMonth]) return row.months[budgetMonth];
+
+        const patientDays = months.find(month => month.budgetMonth === budgetMonth)?.patientDays ?? null;
+        return {
+          budgetMonth,
+          netSpend: 0,
+          patientDays,
+          actualPpd: toPpd(0, patientDays),
+          budgetPpd: null,
+          variance: null,
+          overBudget: false
+        };
+      });
+      const withCensus = series.filter(month => month.patientDays > 0);
+      const budgetedMonths = withCensus.filter(month => month.budgetPpd !== null);
+      const patientDays = withCensus.reduce((total, month) => total + month.patientDays, 0);
+      const budgetedPatientDays = budgetedMonths.reduce((total, month) => total + month.patientDays, 0);
+      const netSpend = withCensus.reduce((total, month) => total + month.netSpend, 0);
+      const actualPpd = toPpd(netSpend, patientDays);
+      const budgetPpd = budgetedPatientDays > 0
+        ? budgetedMonths.reduce((total, month) => total + month.budgetPpd * month.patientDays, 0) / budgetedPatientDays
+        : null;
+
+      return {
+        category_name: row.category_name,
+        budgetPpd: [...series].reverse().find(month => month.budgetPpd !== null)?.budgetPpd ?? null,
+        months: series,
+        totals: {
+          patientDays,
+          netSpend,
+          actualPpd,
+          budgetPpd,
+          variance: actualPpd !== null && budgetPpd !== null ? actualPpd - budgetPpd : null
+        },
+        monthsOverBudget: series.filter(month => month.overBudget).length,
+        trend: getPpdTrend(series.map(month => month.actualPpd))
+      };
+    }).sort((a, b) => a.category_name.localeCompare(b.category_name));
+
+    const withCensus = months.filter(month => month.actualPpd !== null);
+    const patientDays = withCensus.reduce((total, month) => total + month.patientDays, 0);
+    const netSpend = withCensus.reduce((total, month) => total + month.netSpend, 0);
+    const actualPpd = toPpd(netSpend, patientDays);
+    const budgetPpd = patientDays > 0
+      ? withCensus.reduce((total, month) => total + month.budgetPpd * month.patientDays, 0) / patientDays
+      : null;
+
+    const flags = categories
+      .flatMap(category => category.months
+        .filter(month => month.overBudget)
+        .map(month => ({
+          budgetMonth: month.budgetMonth,
+          category_name: category.category_name,
+          actualPpd: month.actualPpd,
+          budgetPpd: month.budgetPpd,
+          variance: month.variance
+        })))
+      .sort((a, b) => toMonthIndex(b.budgetMonth) - toMonthIndex(a.budgetMonth) || b.variance - a.variance);
+
+    return {
+      companyLocationId: String(filters.companyLocationId),
+      startMonth: range.startMonth,
+      endMonth: range.endMonth,
+      budgetMonths: range.months,
+      spendDefinition: range.spendDefinition,
+      months,
+      categories,
+      totals: {
+        patientDays,
+        netSpend,
+        actualPpd,
+        budgetPpd,
+        variance: actualPpd !== null ? actualPpd - budgetPpd : null,
+        overBudget: actualPpd !== null && actualPpd > budgetPpd
+      },
+      trend: getPpdTrend(months.map(month => month.actualPpd)),
+      flags
+    };
+  } catch (error) {
+    console.error("Error calculating actual PPD:", error);
+    throw new Error(`Failed to calculate actual PPD: ${error.message}`);
+  }
+}
+
+// Best performers first: lowest actual PPD as a share of the budgeted PPD.
+// Locations without a census or budget for the window last.
+function comparePpdPerformance(a, b) {
+  if (a.ppdUtilization === null && b.ppdUtilization === null) return 0;
+  if (a.ppdUtilization === null) return 1;
+  if (b.ppdUtilization === null) return -1;
+  return a.ppdUtilization - b.ppdUtilization;
+}
+
+/**
+ * Rank the locations of a set by actual PPD against budgeted PPD over a trailing window
+ * @param {Object} filters
+ * @param {string} filters.groupId - Location group ID
+ * @param {string} filters.companyId - Company ID (all of its locations)
+ * @param {string} filters.approver - Approver whose locations are compared
+ * @param {string} filters.endMonth - Last budget month (MM-YYYY), defaults to the current month
+ * @param {number} filters.months - Months in the window (default 3)
+ * @param {string} filters.spendDefinition - Spend definition, empty for the default
+ * @param {number} filters.limit - Locations listed as best and worst performers (default 5)
+ * @returns {Promise<Object>} { source, label, startMonth, endMonth, spendDefinition,
+ *   locations (ranked, best first), best, worst (worst first), totals }.
+ *   ppdUtilization is actual PPD as a percentage of budgeted PPD.
+ */
+export async function getActualPpdRanking(filters = {}) {
+  const locationSet = await resolveLocationSet(filters);
+  const endMonth = filters.endMonth || getCurrentBudgetMonth();
+  const months = parseInt(filters.months) || 3;
+  const limit = parseInt(filters.limit) || 5;
+
+  try {
+    const locations = [];
+    let startMonth = null;
+    let spendDefinition = null;
+
+    // One location at a time, each over the whole window
+    for (const location of locationSet.locations) {
+      try {
+        const report = await getLocationActualPpd({
+          companyLocationId: location.location_id,
+          endMonth,
+          months,
+          spendDefinition: filters.spendDefinition
+        });
+        startMonth = report.startMonth;
+        spendDefinition = report.spendDefinition || spendDefinition;
+
+        const { totals } = report;
+        locations.push({
+          location_id: location.location_id,
+          location_name: location.location_name,
+          patientDays: totals.patientDays,
+          netSpend: totals.netSpend,
+          actualPpd: totals.actualPpd,
+          budgetPpd: totals.budgetPpd,
+          variance: totals.variance,
+          ppdUtilization: totals.actualPpd !== null && totals.budgetPpd > 0 ? totals.actualPpd / totals.budgetPpd * 100 : null,
+          monthsWithoutCensus: report.months.filter(month => month.actualPpd === null).length,
+          categoriesOverBudget: report.categories
+            .filter(category => category.totals.variance > 0)
+            .map(category => category.category_name),
+          trend: report.trend,
+          error: null
+        });
+      } catch (error) {
+        console.error(`Error calculating actual PPD for location ${location.location_id}:`, error);
+        locations.push({
+          location_id: location.location_id,
+          location_name: location.location_name,
+          patientDays: null,
+          netSpend: null,
+          actualPpd: null,
+          budgetPpd: null,
+          variance: null,
+          ppdUtilization: null,
+          monthsWithoutCensus: null,
+          categoriesOverBudget: [],
+          trend: null,
+          error: error.message
+        });
+      }
+    }
+
+    locations.sort(comparePpdPerformance);
+    locations.forEach((location, index) => {
+      location.rank = location.ppdUtilization !== null ? index + 1 : null;
+    });
+
+    const ranked = locations.filter(location => location.rank !== null);
+    const patientDays = ranked.reduce((total, location) => total + location.patientDays, 0);
+    const netSpend = ranked.reduce((total, location) => total + location.netSpend, 0);
+    const actualPpd = toPpd(netSpend, patientDays);
+    const budgetPpd = patientDays > 0
+      ? ranked.reduce((total, location) => total + location.budgetPpd * location.patientDays, 0) / patientDays
+      : null;
+
+    return {
+      source: locationSet.source,
+      label: locationSet.label,
+      startMonth,
+      endMonth,
+      spendDefinition,
+      locations,
+      best: ranked.slice(0, limit),
+      worst: ranked.slice(-limit).reverse(),
+      totals: {
+        locationCount: locations.length,
+        rankedLocations: ranked.length,
+        locationsOverBudget: ranked.filter(location => location.variance > 0).length,
+        locationsFailed: locations.filter(location => location.error).length,
+        patientDays,
+        netSpend,
+        actualPpd,
+        budgetPpd,
+        variance: actualPpd !== null && budgetPpd !== null ? actualPpd - budgetPpd : null
+      }
+    };
+  } catch (error) {
+    console.error("Error ranking actual PPD:", error);
+    throw new Error(`Failed to rank actual PPD: ${error.message}`);
+  }
+}
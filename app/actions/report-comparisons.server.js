@@ -0,0 +1,345 @@
+import 'dotenv/config';
+import {
+  getMonthlyOrderProductsWithRefunds,
+  getMonthlyOrderProductsByCategoryWithRefundsByBudgetMonth
+} from "./fhr-orders-refunds.server.js";
+
+/**
+ * Report Comparison Actions
+ * The monthly product and category reports of a month next to the prior month and the
+ * same month last year, with the absolute and percentage change of each figure and the
+ * products that are new or no longer ordered against each comparison month.
+ *
+ * Each month is reported exactly as its single-month report (budget month rule, refund
+ * attribution, spend definition and closed-month snapshots). A month in progress is
+ * compared to date against complete months; budget utilization is against the budget
+ * to date, so it stays comparable.
+ */
+
+export const REPORT_COMPARISON_PERIODS = ['prior_month', 'prior_year'];
+
+const REPORT_PERIODS = ['current', ...REPORT_COMPARISON_PERIODS];
+
+/**
+ * Months compared with a report month
+ * @param {string} month - Month (01-12)
+ * @param {string} year - Year (YYYY)
+ * @returns {Object} { current, prior_month, prior_year }, each { month, year, budgetMonth }
+ */
+export function getReportComparisonPeriods(month, year) {
+  const monthIndex = parseInt(year) * 12 + parseInt(month) - 1;
+  const toPeriod = index => {
+    const periodMonth = String((index % 12) + 1).padStart(2, '0');
+    const periodYear = String(Math.floor(index / 12));
+    return { month: periodMonth, year: periodYear, budgetMonth: `${periodMonth}-${periodYear}` };
+  };
+
+  return {
+    current: toPeriod(monthIndex),
+    prior_month: toPeriod(monthIndex - 1),
+    prior_year: toPeriod(monthIndex - 12)
+  };
+}
+
+function toNumber(value) {
+  return parseFloat(value) || 0;
+}
+
+/**
+ * A figure of the report month against each comparison month
+ * @param {Object} values - { current, prior_month, prior_year } (null when not available)
+ * @returns {Object} { current, prior_month: { value, change, changePercent }, prior_year: {...} }.
+ *   changePercent is null when the comparison value is zero.
+ */
+function compareFigure(values) {
+  const comparison = { current: values.current };
+
+  REPORT_COMPARISON_PERIODS.forEach(period => {
+    const value = values[period];
+    const change = values.current !== null && value !== null ? values.current - value : null;
+    comparison[period] = {
+      value,
+      change,
+      changePercent: change !== null && value !== 0 ? change / Math.abs(value) * 100 : null
+    };
+  });
+
+  return comparison;
+}
+
+function compareFigures(byPeriod, field) {
+  return compareFigure(Object.fromEntries(REPORT_PERIODS.map(period => [period, byPeriod[period][field]])));
+}
+
+/**
+ * Products of a month's report by SKU (product name without one), with quantity and value
+ * @param {Array} products - Product rows of the report
+ * @param {Function} getDetails - Extra fields of a product row (e.g. its category)
+ * @returns {Map} key → { product_name, sku, vendor, ...details, quantity, value }
+ */
+function indexProducts(products, getDetails = () => ({})) {
+  const index = new Map();
+
+  products.forEach(product => {
+    const key = product.sku?.trim() || product.product_name || 'Unknown Product';
+    const entry = index.get(key) || {
+      product_name: product.product_name || 'Unknown Product',
+      sku: product.sku || null,
+      vendor: product.vendor || null,
+      ...getDetails(product),
+      quantity: 0,
+      value: 0
+    };
+    entry.quantity += toNumber(product.total_quantity);
+    entry.value += toNumber(product.total_price);
+    index.set(key, entry);
+  });
+
+  return index;
+}
+
+/**
+ * Products of the report month against each comparison month. A product is new when it
+ * was ordered (net quantity above zero) in the report month but not in the comparison
+ * month, and discontinued the other way round.
+ * @param {Object} productsByPeriod - { current, prior_month, prior_year } from indexProducts
+ * @returns {Object} { products, changes: { prior_month: { newProducts, discontinuedProducts }, prior_year } }
+ */
+function compareProducts(productsByPeriod) {
+  const keys = new Set(REPORT_PERIODS.flatMap(period => [...productsByPeriod[period].keys()]));
+  const isOrdered = (period, key) => (productsByPeriod[period].get(key)?.quantity || 0) > 0;
+
+  const products = [...keys].map(key => {
+    const entries = REPORT_PERIODS.map(period => productsByPeriod[period].get(key)).filter(Boolean);
+    const { quantity, value, ...details } = entries[0];
+    const valuesOf = field => Object.fromEntries(
+      REPORT_PERIODS.map(period => [period, productsByPeriod[period].get(key)?.[field] || 0])
+    );
+
+    const status = {};
+    REPORT_COMPARISON_PERIODS.forEach(period => {
+      if (isOrdered('current', key)) {
+        status[period] = isOrdered(period, key) ? 'continued' : 'new';
+      } else {
+        status[period] = isOrdered(period, key) ? 'discontinued' : null;
+      }
+    });
+
+    return {
+      ...details,
+      quantity: compareFigure(valuesOf('quantity')),
+      value: compareFigure(valuesOf('value')),
+      status
+    };
+  });
+
+  // Highest value this month first, then what was ordered before
+  products.sort((a, b) => b.value.current - a.value.current
+    || b.value.prior_month.value - a.value.prior_month.value
+    || b.value.prior_year.value - a.value.prior_year.value);
+
+  const changes = {};
+  REPORT_COMPARISON_PERIODS.forEach(period => {
+    const listed = (product, figurePeriod) => {
+      const { quantity, value, status, ...details } = product;
+      return {
+        ...details,
+        quantity: figurePeriod === 'current' ? quantity.current : quantity[period].value,
+        value: figurePeriod === 'current' ? value.current : value[period].value
+      };
+    };
+
+    changes[period] = {
+      newProducts: products.filter(product => product.status[period] === 'new').map(product => listed(product, 'current')),
+      discontinuedProducts: products.filter(product => product.status[period] === 'discontinued').map(product => listed(product, period))
+    };
+  });
+
+  return { products, changes };
+}
+
+/**
+ * Compare the monthly product report (orders by creation month, net of refunds) of a
+ * month with the prior month and the same month last year
+ * @param {Object} filters - Filter criteria, as for getMonthlyOrderProductsWithRefunds
+ * @param {string} filters.customerId - Customer ID filter
+ * @param {string} filters.locationId - Location ID filter
+ * @param {string} filters.companyLocationId - Company Location ID filter
+ * @param {string} filters.month - Month (01-12)
+ * @param {string} filters.year - Year (YYYY)
+ * @param {string} filters.refundAttribution - order_month (default) or refund_month
+ * @param {string} filters.spendDefinition - Spend definition (default SPEND_DEFINITION)
+ * @returns {Promise<Object>} { periods, totals: { totalOrders, totalProducts, totalQuantity,
+ *   totalValue, refundedValue }, products: [{ product_name, sku, vendor, shopify_category, quantity,
+ *   value, status }], changes, refundAttribution, spendDefinition }. Quantities and values are
+ *   net of refunds. Each figure is { current, prior_month: { value, change, changePercent },
+ *   prior_year: {...} }; status per comparison month is new, discontinued, continued or null.
+ */
+export async function getMonthlyOrderProductsComparison(filters = {}) {
+  if (filters.refundAttribution === 'both') {
+    throw new Error("Comparisons take order_month or refund_month refund attribution");
+  }
+
+  const periods = getReportComparisonPeriods(filters.month, filters.year);
+
+  try {
+    const reports = await Promise.all(REPORT_PERIODS.map(period => getMonthlyOrderProductsWithRefunds({
+      customerId: filters.customerId,
+      locationId: filters.locationId,
+      companyLocationId: filters.companyLocationId,
+      month: periods[period].month,
+      year: periods[period].year,
+      refundAttribution: filters.refundAttribution,
+      spendDefinition: filters.spendDefinition
+    })));
+
+    const totalsByPeriod = {};
+    const productsByPeriod = {};
+    REPORT_PERIODS.forEach((period, index) => {
+      const report = reports[index];
+      const products = (report.products || []).map(product => ({
+        ...product,
+        total_quantity: product.net_quantity,
+        total_price: product.net_value
+      }));
+      totalsByPeriod[period] = {
+        totalOrders: report.totalOrders || 0,
+        totalProducts: report.totalProducts || 0,
+        totalQuantity: products.reduce((total, product) => total + toNumber(product.total_quantity), 0),
+        totalValue: toNumber(report.totalValue),
+        refundedValue: toNumber(report.refundedValue)
+      };
+      productsByPeriod[period] = indexProducts(products, product => ({ shopify_category: product.shopify_category || null }));
+    });
+
+    return {
+      periods,
+      totals: {
+        totalOrders: compareFigures(totalsByPeriod, 'totalOrders'),
+        totalProducts: compareFigures(totalsByPeriod, 'totalProducts'),
+        totalQuantity: compareFigures(totalsByPeriod, 'totalQuantity'),
+        totalValue: compareFigures(totalsByPeriod, 'totalValue'),
+        refundedValue: compareFigures(totalsByPeriod, 'refundedValue')
+      },
+      ...compareProducts(productsByPeriod),
+      refundAttribution: reports[0].refundAttribution,
+      spendDefinition: reports[0].spendDefinition
+    };
+
+  } catch (error) {
+    console.error("Error comparing monthly order products:", error);
+    throw new Error(`Failed to compare monthly order products: ${error.message}`);
+  }
+}
+
+/**
+ * Compare the budget month category report (net of refunds) of a month with the prior
+ * month and the same month last year
+ * @param {Object} filters - Filter criteria, as for getMonthlyOrderProductsByCategoryWithRefundsByBudgetMonth
+ * @param {string} filters.customerId - Customer ID filter
+ * @param {string} filters.locationId - Location ID filter
+ * @param {string} filters.companyLocationId - Company Location ID filter
+ * @param {string} filters.month - Month (01-12)
+ * @param {string} filters.year - Year (YYYY)
+ * @param {string} filters.refundAttribution - order_month (default) or refund_month
+ * @param {string} filters.spendDefinition - Spend definition (default SPEND_DEFINITION)
+ * @returns {Promise<Object>} { periods, totals: { totalOrders, totalQuantity, totalValue,
+ *   refundedValue, budget, budgetUtilization }, categories: [{ category_name, quantity, value,
+ *   budget, budgetUtilization }], products (with category_name), changes, refundAttribution,
+ *   spendDefinition }. Figures are compared as in getMonthlyOrderProductsComparison; budget and
+ *   utilization (% of the budget to date) are null for a month without a census.
+ */
+export async function getMonthlyOrderCategoriesComparison(filters = {}) {
+  if (filters.refundAttribution === 'both') {
+    throw new Error("Comparisons take order_month or refund_month refund attribution");
+  }
+
+  const periods = getReportComparisonPeriods(filters.month, filters.year);
+
+  try {
+    const reports = await Promise.all(REPORT_PERIODS.map(period => getMonthlyOrderProductsByCategoryWithRefundsByBudgetMonth({
+      customerId: filters.customerId,
+      locationId: filters.locationId,
+      companyLocationId: filters.companyLocationId,
+      month: periods[period].month,
+      year: periods[period].year,
+      refundAttribution: filters.refundAttribution,
+      spendDefinition: filters.spendDefinition
+    })));
+
+    const totalsByPeriod = {};
+    const categoriesByPeriod = {};
+    const productsByPeriod = {};
+    REPORT_PERIODS.forEach((period, index) => {
+      const report = reports[index];
+      const categories = new Map();
+
+      (report.categories || []).forEach(category => {
+        const budgetAvailable = category.budgetAvailable !== false && category.budget !== null && category.budget !== undefined;
+        const value = toNumber(category.total_value);
+        const budget = budgetAvailable ? toNumber(category.budget) : null;
+        categories.set(category.category_name, {
+          quantity: toNumber(category.total_quantity),
+          value,
+          budget,
+          budgetUtilization: budget > 0 ? value / budget * 100 : null
+        });
+      });
+
+      const budgeted = [...categories.values()].filter(category => category.budget !== null);
+      const budget = budgeted.length > 0 ? budgeted.reduce((total, category) => total + category.budget, 0) : null;
+      const spentInBudgetedCategories = budgeted.reduce((total, category) => total + category.value, 0);
+
+      totalsByPeriod[period] = {
+        totalOrders: report.totalOrders || 0,
+        totalQuantity: [...categories.values()].reduce((total, category) => total + category.quantity, 0),
+        totalValue: toNumber(report.totalValue),
+        refundedValue: toNumber(report.refundedValue),
+        budget,
+        budgetUtilization: budget > 0 ? spentInBudgetedCategories / budget * 100 : null
+      };
+      categoriesByPeriod[period] = categories;
+      productsByPeriod[period] = indexProducts(
+        (report.categories || []).flatMap(category => (category.products || []).map(product => ({ ...product, category_name: category.category_name }))),
+        product => ({ category_name: product.category_name })
+      );
+    });
+
+    const categoryNames = new Set(REPORT_PERIODS.flatMap(period => [...categoriesByPeriod[period].keys()]));
+    const categories = [...categoryNames].map(categoryName => {
+      const figure = field => compareFigure(Object.fromEntries(REPORT_PERIODS.map(period => {
+        const category = categoriesByPeriod[period].get(categoryName);
+        // A category not reported in a month had no budget assignment then
+        return [period, category ? category[field] : (field === 'quantity' || field === 'value' ? 0 : null)];
+      })));
+
+      return {
+        category_name: categoryName,
+        quantity: figure('quantity'),
+        value: figure('value'),
+        budget: figure('budget'),
+        budgetUtilization: figure('budgetUtilization')
+      };
+    }).sort((a, b) => b.value.current - a.value.current);
+
+    return {
+      periods,
+      totals: {
+        totalOrders: compareFigures(totalsByPeriod, 'totalOrders'),
+        totalQuantity: compareFigures(totalsByPeriod, 'totalQuantity'),
+        totalValue: compareFigures(totalsByPeriod, 'totalValue'),
+        refundedValue: compareFigures(totalsByPeriod, 'refundedValue'),
+        budget: compareFigures(totalsByPeriod, 'budget'),
+        budgetUtilization: compareFigures(totalsByPeriod, 'budgetUtilization')
+      },
+      categories,
+      ...compareProducts(productsByPeriod),
+      refundAttribution: reports[0].refundAttribution,
+      spendDefinition: reports[0].spendDefinition
+    };
+
+  } catch (error) {
+    console.error("Error comparing monthly order categories:", error);
+    throw new Error(`Failed to compare monthly order categories: ${error.message}`);
+  }
+}
@@ -0,0 +1,440 @@
+import 'dotenv/config';
+import mssql from "../mssql.server.js";
+import { getOrders, getMonthlyOrderProducts } from "./fhr-orders.server.js";
+import { getProducts } from "./fhr-products.server.js";
+import {
+  REFUND_ATTRIBUTION_MODES,
+  getMonthlyOrderProductsWithRefunds,
+  getMonthlyOrderProductsByCategoryWithRefundsByBudgetMonth
+} from "./fhr-orders-refunds.server.js";
+import {
+  SPEND_DEFINITIONS,
+  SPEND_DEFINITION_LABELS,
+  getDefaultSpendDefinition
+} from "./spend-definitions.server.js";
+
+/**
+ * Report Export Actions
+ * Builds the exports of the admin report pages from the same filters (URL parameters)
+ * and actions as their loaders. Each export is { title, filename, metadata, columns, rows }
+ * for the report export writer (app/services/report-export.service.js); order and
+ * product searches are read page by page as the rows are written.
+ */
+
+// Rows read per query by the paged exports
+const EXPORT_PAGE_SIZE = 500;
+
+const REFUND_ATTRIBUTION_LABELS = {
+  order_month: 'Order month',
+  refund_month: 'Refund month',
+  both: 'Order month, with refund month figures'
+};
+
+function toNumber(value) {
+  return value === null || value === undefined || value === '' ? null : parseFloat(value) || 0;
+}
+
+function toDateTime(value) {
+  return value ? new Date(value).toISOString() : null;
+}
+
+async function* readPages(fetchPage) {
+  for (let offset = 0; ; offset += EXPORT_PAGE_SIZE) {
+    const page = await fetchPage(EXPORT_PAGE_SIZE, offset);
+    yield* page;
+    if (page.length < EXPORT_PAGE_SIZE) return;
+  }
+}
+
+async function getLocationName(companyLocationId) {
+  if (!companyLocationId) return null;
+
+  const locations = await mssql.query(`
+    SELECT name FROM brdjdb.shopify.company_location
+    WHERE CAST(id AS NVARCHAR(255)) = @companyLocationId
+  `, { companyLocationId: String(companyLocationId) });
+
+  return locations[0]?.name || null;
+}
+
+/**
+ * Read the filters of the monthly report pages from their URL parameters
+ * @param {URLSearchParams} searchParams
+ * @returns {Object} { filters } or { error }
+ */
+function getMonthlyReportFilters(searchParams) {
+  const customerId = searchParams.get("customerId")?.trim() || "";
+  const locationId = searchParams.get("location")?.trim() || "";
+  const companyLocationId = searchParams.get("companyLocationId")?.trim() || "";
+  const spendDefinition = searchParams.get("spendDefinition")?.trim() || getDefaultSpendDefinition();
+  const refundAttribution = searchParams.get("refundAttribution")?.trim() || "order_month";
+
+  if (!customerId && !locationId && !companyLocationId) {
+    return { error: "A customer ID, location or company location ID is required to export" };
+  }
+
+  if (!SPEND_DEFINITIONS.includes(spendDefinition)) {
+    return { error: `Unknown spend definition "${spendDefinition}"` };
+  }
+
+  if (!REFUND_ATTRIBUTION_MODES.includes(refundAttribution)) {
+    return { error: `Unknown refund attribution "${refundAttribution}"` };
+  }
+
+  const currentDate = new Date();
+  const filters = {
+    month: searchParams.get("month")?.trim() || (currentDate.getMonth() + 1).toString().padStart(2, '0'),
+    year: searchParams.get("year")?.trim() || currentDate.getFullYear().toString(),
+    spendDefinition,
+    refundAttribution
+  };
+  if (customerId) filters.customerId = customerId;
+  if (locationId) filters.locationId = locationId;
+  if (companyLocationId) filters.companyLocationId = companyLocationId;
+
+  return { filters };
+}
+
+async function getMonthlyReportMetadata(title, filters, { refundAttribution = false } = {}) {
+  const locationName = await getLocationName(filters.companyLocationId);
+
+  return [
+    ['Report', title],
+    ['Company Location', filters.companyLocationId
+      ? `${filters.companyLocationId}${locationName ? ` - ${locationName}` : ''}`
+      : 'All'],
+    ['Location', filters.locationId || 'All'],
+    ['Customer', filters.customerId || 'All'],
+    ['Budget Month', `${filters.month}-${filters.year}`],
+    ['Spend Definition', SPEND_DEFINITION_LABELS[filters.spendDefinition]],
+    ...(refundAttribution ? [['Refund Attribution', REFUND_ATTRIBUTION_LABELS[filters.refundAttribution]]] : []),
+    ['Generated At', new Date().toISOString()]
+  ];
+}
+
+/**
+ * Budget of the company location for the month, added to the header of the product
+ * exports (budgets are kept per category, not per product)
+ */
+async function getLocationBudgetMetadata(filters) {
+  if (!filters.companyLocationId) return [];
+
+  const report = await getMonthlyOrderProductsByCategoryWithRefundsByBudgetMonth({
+    companyLocationId: filters.companyLocationId,
+    month: filters.month,
+    year: filters.year,
+    spendDefinition: filters.spendDefinition
+  });
+  const budgeted = (report.categories || []).filter(category => category.fullMonthBudget !== null && category.fullMonthBudget !== undefined);
+
+  if (budgeted.length === 0) {
+    return [['Budget', 'No census-based budget for the month']];
+  }
+
+  const budgetToDate = budgeted.reduce((total, category) => total + (toNumber(category.proratedBudget) || 0), 0);
+  const spent = budgeted.reduce((total, category) => total + (toNumber(category.total_value) || 0), 0);
+
+  return [
+    ['Budget to Date', budgetToDate.toFixed(2)],
+    ['Full-Month Budget', budgeted.reduce((total, category) => total + toNumber(category.fullMonthBudget), 0).toFixed(2)],
+    ['Budgeted Category Spend', spent.toFixed(2)],
+    ['Variance to Date', (spent - budgetToDate).toFixed(2)]
+  ];
+}
+
+function getFilename(report, ...parts) {
+  return [report, ...parts.filter(Boolean)].join('-').replace(/[^A-Za-z0-9_-]/g, '_');
+}
+
+const REPORT_EXPORTS = {
+  'monthly-orders': async (searchParams) => {
+    const { filters, error } = getMonthlyReportFilters(searchParams);
+    if (error) return { success: false, error };
+
+    const title = 'Monthly Order Analysis';
+    const [result, metadata, budgetMetadata] = await Promise.all([
+      getMonthlyOrderProducts(filters),
+      getMonthlyReportMetadata(title, filters),
+      getLocationBudgetMetadata(filters)
+    ]);
+
+    return {
+      success: true,
+      title,
+      filename: getFilename('monthly-orders', filters.companyLocationId || filters.locationId || filters.customerId, `${filters.month}-${filters.year}`),
+      metadata: [
+        ...metadata,
+        ['Orders', result.totalOrders || 0],
+        ['Products', result.totalProducts || 0],
+        ['Total Value', toNumber(result.totalValue)],
+        ...budgetMetadata
+      ],
+      columns: [
+        { key: 'product_name', header: 'Product' },
+        { key: 'sku', header: 'SKU' },
+        { key: 'vendor', header: 'Vendor' },
+        { key: 'product_type', header: 'Product Type' },
+        { key: 'total_quantity', header: 'Quantity' },
+        { key: 'total_price', header: 'Total Value' },
+        { key: 'average_price', header: 'Average Price' },
+        { key: 'order_count', header: 'Orders' }
+      ],
+      rows: (result.products || []).map(product => ({
+        ...product,
+        total_price: toNumber(product.total_price),
+        average_price: toNumber(product.average_price)
+      }))
+    };
+  },
+
+  'monthly-orders-with-refunds': async (searchParams) => {
+    const { filters, error } = getMonthlyReportFilters(searchParams);
+    if (error) return { success: false, error };
+
+    const title = 'Monthly Order Analysis (with Refunds)';
+    const [result, metadata, budgetMetadata] = await Promise.all([
+      getMonthlyOrderProductsWithRefunds(filters),
+      getMonthlyReportMetadata(title, filters, { refundAttribution: true }),
+      getLocationBudgetMetadata(filters)
+    ]);
+
+    return {
+      success: true,
+      title,
+      filename: getFilename('monthly-orders-with-refunds', filters.companyLocationId || filters.locationId || filters.customerId, `${filters.month}-${filters.year}`),
+      metadata: [
+        ...metadata,
+        ['Orders', result.totalOrders || 0],
+        ['Orders With Refunds', result.ordersWithRefunds || 0],
+        ['Gross Value', toNumber(result.grossValue)],
+        ['Refunded Value', toNumber(result.refundedValue)],
+        ['Net Value', toNumber(result.totalValue)],
+        ...(result.byRefundMonth ? [['Net Value (refund month)', toNumber(result.byRefundMonth.totalValue)]] : []),
+        ...budgetMetadata
+      ],
+      columns: [
+        { key: 'product_name', header: 'Product' },
+        { key: 'sku', header: 'SKU' },
+        { key: 'vendor', header: 'Vendor' },
+        { key: 'product_type', header: 'Product Type' },
+        { key: 'gross_quantity', header: 'Gross Quantity' },
+        { key: 'refunded_quantity', header: 'Refunded Quantity' },
+        { key: 'net_quantity', header: 'Net Quantity' },
+        { key: 'gross_value', header: 'Gross Value' },
+        { key: 'refunded_value', header: 'Refunded Value' },
+        { key: 'net_value', header: 'Net Value' },
+        { key: 'average_price', header: 'Average Price' },
+        { key: 'order_count', header: 'Orders' }
+      ],
+      rows: (result.products || []).map(product => ({
+        ...product,
+        gross_value: toNumber(product.gross_value),
+        refunded_value: toNumber(product.refunded_value),
+        net_value: toNumber(product.net_value),
+        average_price: toNumber(product.average_price)
+      }))
+    };
+  },
+
+  'monthly-orders-by-category': async (searchParams) => {
+    const { filters, error } = getMonthlyReportFilters(searchParams);
+    if (error) return { success: false, error };
+
+    const title = 'Monthly Orders by Category';
+    const [result, metadata] = await Promise.all([
+      getMonthlyOrderProductsByCategoryWithRefundsByBudgetMonth(filters),
+      getMonthlyReportMetadata(title, filters, { refundAttribution: true })
+    ]);
+
+    const byRefundMonth = Object.fromEntries(
+      (result.byRefundMonth?.categories || []).map(category => [category.category_name, toNumber(category.total_value)])
+    );
+
+    return {
+      success: true,
+      title,
+      filename: getFilename('monthly-orders-by-category', filters.companyLocationId || filters.locationId || filters.customerId, `${filters.month}-${filters.year}`),
+      metadata: [
+        ...metadata,
+        ...(result.monthClose
+          ? [['Month Closed', `${toDateTime(result.monthClose.closedAt)} by ${result.monthClose.closedBy}; figures are the close snapshot`]]
+          : []),
+        ['Orders', result.totalOrders || 0],
+        ['Gross Value', toNumber(result.grossValue)],
+        ['Refunded Value', toNumber(result.refundedValue)],
+        ['Net Value', toNumber(result.totalValue)],
+        ['Census', result.budgetCalculationDetails?.censusAmount ?? null],
+        ['Patient Days', result.budgetCalculationDetails?.patientDays ?? null]
+      ],
+      columns: [
+        { key: 'category_name', header: 'Category' },
+        { key: 'total_quantity', header: 'Net Quantity' },
+        { key: 'gross_value', header: 'Gross Value' },
+        { key: 'refunded_value', header: 'Refunded Value' },
+        { key: 'total_value', header: 'Net Value' },
+        ...(result.byRefundMonth ? [{ key: 'refund_month_value', header: 'Net Value (refund month)' }] : []),
+        { key: 'ppd_rate', header: 'PPD Rate' },
+        { key: 'budget_to_date', header: 'Budget to Date' },
+        { key: 'full_month_budget', header: 'Full-Month Budget' },
+        { key: 'variance', header: 'Variance to Date' },
+        { key: 'utilization', header: 'Utilization %' },
+        { key: 'actual_ppd', header: 'Actual PPD' },
+        { key: 'projected_spend', header: 'Projected Spend' },
+        { key: 'projected_variance', header: 'Projected Variance' }
+      ],
+      rows: (result.categories || []).map(category => {
+        const netValue = toNumber(category.total_value) || 0;
+        const budgetToDate = toNumber(category.proratedBudget);
+
+        return {
+          category_name: category.category_name,
+          total_quantity: toNumber(category.total_quantity),
+          gross_value: toNumber(category.gross_value),
+          refunded_value: toNumber(category.refunded_value),
+          total_value: netValue,
+          refund_month_value: byRefundMonth[category.category_name] ?? null,
+          ppd_rate: toNumber(category.budgetPPDRates),
+          budget_to_date: budgetToDate,
+          full_month_budget: toNumber(category.fullMonthBudget),
+          variance: budgetToDate !== null ? netValue - budgetToDate : null,
+          utilization: budgetToDate > 0 ? Number((netValue / budgetToDate * 100).toFixed(1)) : null,
+          actual_ppd: toNumber(category.ActualPPD),
+          projected_spend: toNumber(category.projectedSpend),
+          projected_variance: toNumber(category.projectedVariance)
+        };
+      })
+    };
+  },
+
+  'search': async (searchParams) => {
+    const filters = {};
+    const customerId = searchParams.get("customerId")?.trim();
+    const companyId = searchParams.get("companyId")?.trim();
+    const locationId = searchParams.get("location")?.trim();
+    const companyLocationId = searchParams.get("companyLocationId")?.trim();
+    if (customerId) filters.customerId = customerId;
+    if (companyId) filters.companyId = companyId;
+    if (locationId) filters.locationId = locationId;
+    if (companyLocationId) filters.companyLocationId = companyLocationId;
+
+    if (Object.keys(filters).length === 0) {
+      return { success: false, error: "A customer, company, location or company location ID is required to export" };
+    }
+
+    const title = 'Search Orders';
+    const locationName = await getLocationName(companyLocationId);
+
+    return {
+      success: true,
+      title,
+      filename: getFilename('orders', companyLocationId || locationId || companyId || customerId),
+      metadata: [
+        ['Report', title],
+        ['Company Location', companyLocationId ? `${companyLocationId}${locationName ? ` - ${locationName}` : ''}` : 'All'],
+        ['Location', locationId || 'All'],
+        ['Company', companyId || 'All'],
+        ['Customer', customerId || 'All'],
+        ['Generated At', new Date().toISOString()]
+      ],
+      columns: [
+        { key: 'id', header: 'Order ID' },
+        { key: 'order_number', header: 'Order Number' },
+        { key: 'customer_id', header: 'Customer ID' },
+        { key: 'company_id', header: 'Company ID' },
+        { key: 'location_id', header: 'Location ID' },
+        { key: 'company_location_id', header: 'Company Location ID' },
+        { key: 'currency', header: 'Currency' },
+        { key: 'total_price', header: 'Total Price' },
+        { key: 'financial_status', header: 'Financial Status' },
+        { key: 'fulfillment_status', header: 'Fulfillment Status' },
+        { key: 'order_budget_month', header: 'Budget Month' },
+        { key: 'created_at', header: 'Created At' }
+      ],
+      rows: (async function* () {
+        for await (const order of readPages((limit, offset) => getOrders(filters, limit, offset))) {
+          yield {
+            ...order,
+            id: String(order.id),
+            total_price: toNumber(order.total_price),
+            created_at: toDateTime(order.created_at)
+          };
+        }
+      })()
+    };
+  },
+
+  'products': async (searchParams) => {
+    const filters = {};
+    for (const key of ['productId', 'handle', 'vendor', 'productType', 'status', 'title']) {
+      const value = searchParams.get(key)?.trim();
+      if (value) filters[key] = value;
+    }
+    const isGiftCard = searchParams.get("isGiftCard");
+    if (isGiftCard) filters.isGiftCard = isGiftCard === 'true';
+
+    if (Object.keys(filters).length === 0) {
+      return { success: false, error: "Enter at least one product filter to export" };
+    }
+
+    const title = 'Search Products';
+
+    return {
+      success: true,
+      title,
+      filename: getFilename('products', filters.vendor || filters.productType || filters.status),
+      metadata: [
+        ['Report', title],
+        ...Object.entries(filters).map(([key, value]) => [key, String(value)]),
+        ['Generated At', new Date().toISOString()]
+      ],
+      columns: [
+        { key: 'id', header: 'Product ID' },
+        { key: 'title', header: 'Title' },
+        { key: 'handle', header: 'Handle' },
+        { key: 'vendor', header: 'Vendor' },
+        { key: 'product_type', header: 'Product Type' },
+        { key: 'status', header: 'Status' },
+        { key: 'total_inventory', header: 'Inventory' },
+        { key: 'is_gift_card', header: 'Gift Card' },
+        { key: 'min_variant_price_currency_code', header: 'Currency' },
+        { key: 'min_variant_price_amount', header: 'Min Price' },
+        { key: 'max_variant_price_amount', header: 'Max Price' },
+        { key: 'created_at', header: 'Created At' }
+      ],
+      rows: (async function* () {
+        for await (const product of readPages((limit, offset) => getProducts(filters, limit, offset))) {
+          yield {
+            ...product,
+            id: String(product.id),
+            is_gift_card: product.is_gift_card ? 'Yes' : 'No',
+            min_variant_price_amount: toNumber(product.min_variant_price_amount),
+            max_variant_price_amount: toNumber(product.max_variant_price_amount),
+            created_at: toDateTime(product.created_at)
+          };
+        }
+      })()
+    };
+  }
+};
+
+export const REPORT_EXPORT_NAMES = Object.keys(REPORT_EXPORTS);
+
+/**
+ * Build the export of a report page from its URL parameters
+ * @param {string} report - Report name (one of REPORT_EXPORT_NAMES)
+ * @param {URLSearchParams} searchParams - The page's filters
+ * @returns {Promise<Object>} { success, title, filename, metadata, columns, rows } or { success: false, error }
+ */
+export async function getReportExport(report, searchParams) {
+  const buildExport = REPORT_EXPORTS[report];
+  if (!buildExport) {
+    return { success: false, error: `Unknown report "${report}"` };
+  }
+
+  try {
+    return await buildExport(searchParams);
+  } catch (error) {
+    console.error(`Error building ${report} export:`, error);
+    throw new Error(`Failed to build ${report} export: ${error.message}`);
+  }
+}
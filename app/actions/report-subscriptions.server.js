@@ -0,0 +1,599 @@
+import 'dotenv/config';
+import mssql from "../mssql.server.js";
+import { getMonthlyBudgetStatement } from "./budget-statements.server.js";
+import { getReportExport } from "./report-exports.server.js";
+import { SPEND_DEFINITIONS, getDefaultSpendDefinition } from "./spend-definitions.server.js";
+import { renderBudgetStatementPdf, getBudgetStatementFilename } from "../services/budget-statement-pdf.service.js";
+import { createReportExportAttachment } from "../services/report-export.service.js";
+import { ReportMailer } from "../services/report-mailer.service.js";
+
+/**
+ * Report Subscription Actions
+ * Scheduled email delivery of a report for one or more company locations, with one
+ * attachment per location. Subscriptions are delivered by
+ * scripts/deliver-report-subscriptions.js (REPORT_SUBSCRIPTION_CRON) or sent on demand.
+ *
+ * Cadences and the budget month each delivery covers:
+ * - weekly      - on a weekday (cadence_day 0-6, Sunday = 0); the current month to date
+ * - month_end   - on the 1st of each month; the month that just ended
+ * - monthly_day - on the Nth of each month (cadence_day 1-28); the previous month, for
+ *                 deliveries that should wait for late refunds or the month close
+ *
+ * Database Schema:
+ * - shopify.report_subscriptions - Report, format, recipients and cadence
+ * - shopify.report_subscription_locations - subscription_id ↔ location_id (company_location.id)
+ * - shopify.report_subscription_deliveries - Every delivery; a scheduled occurrence is sent once
+ */
+
+export const REPORT_SUBSCRIPTION_REPORTS = {
+  'budget-statement': { label: 'Budget statement', formats: ['pdf'] },
+  'monthly-orders-by-category': { label: 'Category summary', formats: ['xlsx', 'csv'] },
+  'monthly-orders-with-refunds': { label: 'Monthly orders with refunds', formats: ['xlsx', 'csv'] },
+  'monthly-orders': { label: 'Monthly orders', formats: ['xlsx', 'csv'] }
+};
+
+export const REPORT_SUBSCRIPTION_CADENCES = ['weekly', 'month_end', 'monthly_day'];
+
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const MAX_RECIPIENTS = 50;
+const EMAIL_PATTERN = /^[^\s@,;]+@[^\s@,;]+\.[^\s@,;]+$/;
+
+// YYYY-MM-DD of a date in server time, the day the delivery job runs
+function toDateKey(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+function toBudgetMonth(date) {
+  return `${String(date.getMonth() + 1).padStart(2, '0')}-${date.getFullYear()}`;
+}
+
+/**
+ * Describe a subscription's cadence, e.g. "Weekly on Monday"
+ * @param {Object} subscription - { cadence, cadence_day }
+ * @returns {string}
+ */
+export function describeReportSubscriptionCadence({ cadence, cadence_day }) {
+  if (cadence === 'weekly') return `Weekly on ${WEEKDAY_NAMES[cadence_day]}`;
+  if (cadence === 'month_end') return 'Month end (on the 1st)';
+  return `Monthly on day ${cadence_day}`;
+}
+
+/**
+ * Latest scheduled occurrence of a subscription on or before a date
+ * @param {Object} subscription - { cadence, cadence_day }
+ * @param {Date} date
+ * @returns {Date} Occurrence (midnight, server time)
+ */
+function getLatestOccurrence({ cadence, cadence_day }, date) {
+  const day = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+  if (cadence === 'weekly') {
+    day.setDate(day.getDate() - ((day.getDay() - cadence_day + 7) % 7));
+    return day;
+  }
+
+  const dayOfMonth = cadence === 'month_end' ? 1 : cadence_day;
+  if (day.getDate() < dayOfMonth) {
+    day.setMonth(day.getMonth() - 1);
+  }
+  day.setDate(dayOfMonth);
+  return day;
+}
+
+/**
+ * Budget month (MM-YYYY) a delivery on an occurrence covers
+ * @param {Object} subscription - { cadence }
+ * @param {Date} occurrence
+ * @returns {string}
+ */
+function getCoveredBudgetMonth({ cadence }, occurrence) {
+  if (cadence === 'weekly') {
+    return toBudgetMonth(occurrence);
+  }
+  return toBudgetMonth(new Date(occurrence.getFullYear(), occurrence.getMonth() - 1, 1));
+}
+
+function parseRecipients(recipients) {
+  const list = Array.isArray(recipients) ? recipients : String(recipients || '').split(/[,;\s]+/);
+  return [...new Set(list.map(email => email.trim().toLowerCase()).filter(Boolean))];
+}
+
+/**
+ * Get all report subscriptions with their location IDs and last delivery
+ * @returns {Promise<Array>} Subscriptions ordered by name, each with location_ids and
+ *   last_delivery ({ status, error, budget_month, created_at } or null)
+ */
+export async function getReportSubscriptions() {
+  try {
+    const [subscriptions, locations] = await Promise.all([
+      mssql.query(`
+        SELECT
+          s.id, s.name, s.report, s.format, s.spend_definition, s.recipients,
+          s.cadence, s.cadence_day, s.is_active, s.created_by, s.created_at, s.updated_at,
+          last_delivery.status as last_status,
+          last_delivery.error as last_error,
+          last_delivery.budget_month as last_budget_month,
+          last_delivery.created_at as last_delivered_at
+        FROM shopify.report_subscriptions s
+        OUTER APPLY (
+          SELECT TOP 1 d.status, d.error, d.budget_month, d.created_at
+          FROM shopify.report_subscription_deliveries d
+          WHERE d.subscription_id = s.id
+          ORDER BY d.created_at DESC
+        ) last_delivery
+        ORDER BY s.name
+      `),
+      mssql.query(`
+        SELECT subscription_id, location_id
+        FROM shopify.report_subscription_locations
+        ORDER BY location_id
+      `)
+    ]);
+
+    return subscriptions.map(({ last_status, last_error, last_budget_month, last_delivered_at, ...subscription }) => ({
+      ...subscription,
+      is_active: Boolean(subscription.is_active),
+      location_ids: locations
+        .filter(location => String(location.subscription_id) === String(subscription.id))
+        .map(location => location.location_id),
+      last_delivery: last_status ? {
+        status: last_status,
+        error: last_error,
+        budget_month: last_budget_month,
+        created_at: last_delivered_at
+      } : null
+    }));
+  } catch (error) {
+    console.error("Error fetching report subscriptions:", error);
+    throw new Error(`Failed to fetch report subscriptions: ${error.message}`);
+  }
+}
+
+/**
+ * Get a report subscription with its location IDs
+ * @param {string|number} subscriptionId - Subscription ID
+ * @returns {Promise<Object|null>} Subscription, null when not found
+ */
+async function getReportSubscription(subscriptionId) {
+  const subscriptions = await mssql.query(`
+    SELECT id, name, report, format, spend_definition, recipients, cadence, cadence_day, is_active, created_at
+    FROM shopify.report_subscriptions
+    WHERE id = @subscriptionId
+  `, { subscriptionId });
+
+  if (subscriptions.length === 0) return null;
+
+  const locations = await mssql.query(`
+    SELECT location_id FROM shopify.report_subscription_locations
+    WHERE subscription_id = @subscriptionId
+    ORDER BY location_id
+  `, { subscriptionId });
+
+  return { ...subscriptions[0], location_ids: locations.map(location => location.location_id) };
+}
+
+/**
+ * Validate a subscription as entered
+ * @returns {Object} { subscription } with normalized values, or { error }
+ */
+function validateReportSubscription({ name, report, format, spendDefinition, recipients, cadence, cadenceDay, locationIds }) {
+  const reportOptions = REPORT_SUBSCRIPTION_REPORTS[report];
+  const recipientList = parseRecipients(recipients);
+  const uniqueLocationIds = [...new Set((locationIds || []).map(id => String(id).trim()).filter(Boolean))];
+  const day = cadenceDay === null || cadenceDay === undefined || cadenceDay === '' ? null : parseInt(cadenceDay);
+
+  if (!name || !name.trim()) {
+    return { error: "Subscription name is required" };
+  }
+
+  if (!reportOptions) {
+    return { error: `Report must be one of: ${Object.keys(REPORT_SUBSCRIPTION_REPORTS).join(", ")}` };
+  }
+
+  if (!reportOptions.formats.includes(format)) {
+    return { error: `${reportOptions.label} is delivered as ${reportOptions.formats.join(" or ")}` };
+  }
+
+  if (spendDefinition && !SPEND_DEFINITIONS.includes(spendDefinition)) {
+    return { error: `Unknown spend definition "${spendDefinition}"` };
+  }
+
+  if (recipientList.length === 0 || recipientList.length > MAX_RECIPIENTS) {
+    return { error: `Enter 1 to ${MAX_RECIPIENTS} recipient email addresses` };
+  }
+
+  const invalidRecipients = recipientList.filter(email => !EMAIL_PATTERN.test(email));
+  if (invalidRecipients.length > 0) {
+    return { error: `Invalid email address: ${invalidRecipients.join(", ")}` };
+  }
+
+  if (!REPORT_SUBSCRIPTION_CADENCES.includes(cadence)) {
+    return { error: `Cadence must be one of: ${REPORT_SUBSCRIPTION_CADENCES.join(", ")}` };
+  }
+
+  if (cadence === 'weekly' && !(day >= 0 && day <= 6)) {
+    return { error: "Select the weekday of a weekly delivery" };
+  }
+
+  if (cadence === 'monthly_day' && !(day >= 1 && day <= 28)) {
+    return { error: "Day of month must be between 1 and 28" };
+  }
+
+  if (uniqueLocationIds.length === 0) {
+    return { error: "Select at least one location" };
+  }
+
+  return {
+    subscription: {
+      name: name.trim(),
+      report,
+      format,
+      spendDefinition: spendDefinition || null,
+      recipients: recipientList.join(', '),
+      cadence,
+      cadenceDay: cadence === 'month_end' ? null : day,
+      locationIds: uniqueLocationIds
+    }
+  };
+}
+
+/**
+ * Create a report subscription, or update one and replace its locations
+ * @param {Object} subscription - { subscriptionId, name, report, format, spendDefinition,
+ *   recipients, cadence, cadenceDay, locationIds, actor }
+ * @returns {Promise<Object>} { success, subscriptionId } or { success: false, error }
+ */
+async function saveReportSubscription({ subscriptionId = null, actor, ...fields }) {
+  const validation = validateReportSubscription(fields);
+  if (validation.error) {
+    return { success: false, error: validation.error };
+  }
+
+  const subscription = validation.subscription;
+  const pool = await mssql.getPool();
+  const transaction = pool.transaction();
+
+  try {
+    await transaction.begin();
+
+    const request = () => transaction.request()
+      .input('name', subscription.name)
+      .input('report', subscription.report)
+      .input('format', subscription.format)
+      .input('spendDefinition', subscription.spendDefinition)
+      .input('recipients', subscription.recipients)
+      .input('cadence', subscription.cadence)
+      .input('cadenceDay', subscription.cadenceDay);
+
+    if (subscriptionId) {
+      const updated = await request()
+        .input('subscriptionId', subscriptionId)
+        .query(`
+          UPDATE shopify.report_subscriptions
+          SET name = @name, report = @report, format = @format, spend_definition = @spendDefinition,
+              recipients = @recipients, cadence = @cadence, cadence_day = @cadenceDay,
+              updated_at = GETUTCDATE()
+          WHERE id = @subscriptionId
+        `);
+
+      if (updated.rowsAffected[0] === 0) {
+        await transaction.rollback();
+        return { success: false, error: "Report subscription not found" };
+      }
+
+      await transaction.request()
+        .input('subscriptionId', subscriptionId)
+        .query(`DELETE FROM shopify.report_subscription_locations WHERE subscription_id = @subscriptionId`);
+    } else {
+      const created = await request()
+        .input('actor', actor || 'system')
+        .query(`
+          INSERT INTO shopify.report_subscriptions
+            (name, report, format, spend_definition, recipients, cadence, cadence_day, created_by)
+          OUTPUT INSERTED.id
+          VALUES (@name, @report, @format, @spendDefinition, @recipients, @cadence, @cadenceDay, @actor)
+        `);
+
+      subscriptionId = created.recordset[0].id;
+    }
+
+    for (const locationId of subscription.locationIds) {
+      await transaction.request()
+        .input('subscriptionId', subscriptionId)
+        .input('locationId', locationId)
+        .query(`
+          INSERT INTO shopify.report_subscription_locations (subscription_id, location_id)
+          VALUES (@subscriptionId, @locationId)
+        `);
+    }
+
+    await transaction.commit();
+
+    return { success: true, subscriptionId };
+  } catch (error) {
+    await transaction.rollback();
+    console.error("Error saving report subscription:", error);
+    return { success: false, error: `Failed to save report subscription: ${error.message}` };
+  }
+}
+
+/**
+ * Create a report subscription
+ * @param {Object} subscription - { name, report, format, spendDefinition, recipients,
+ *   cadence, cadenceDay, locationIds, actor }
+ * @returns {Promise<Object>} { success, subscriptionId } or { success: false, error }
+ */
+export async function createReportSubscription(subscription) {
+  return saveReportSubscription({ ...subscription, subscriptionId: null });
+}
+
+/**
+ * Update a report subscription; its locations are replaced by locationIds
+ * @param {string|number} subscriptionId - Subscription ID
+ * @param {Object} subscription - { name, report, format, spendDefinition, recipients,
+ *   cadence, cadenceDay, locationIds, actor }
+ * @returns {Promise<Object>} { success, subscriptionId } or { success: false, error }
+ */
+export async function updateReportSubscription(subscriptionId, subscription) {
+  if (!subscriptionId) {
+    return { success: false, error: "Subscription ID is required" };
+  }
+
+  return saveReportSubscription({ ...subscription, subscriptionId });
+}
+
+/**
+ * Pause or resume a report subscription
+ * @param {string|number} subscriptionId - Subscription ID
+ * @param {boolean} isActive - Whether scheduled deliveries are sent
+ * @returns {Promise<Object>} Result object with success/error
+ */
+export async function setReportSubscriptionActive(subscriptionId, isActive) {
+  try {
+    const result = await mssql.execute(`
+      UPDATE shopify.report_subscriptions
+      SET is_active = @isActive, updated_at = GETUTCDATE()
+      WHERE id = @subscriptionId
+    `, { subscriptionId, isActive: Boolean(isActive) });
+
+    if (result.rowsAffected[0] === 0) {
+      return { success: false, error: "Report subscription not found" };
+    }
+
+    return { success: true };
+  } catch (error) {
+    console.error("Error updating report subscription:", error);
+    throw new Error(`Failed to update report subscription: ${error.message}`);
+  }
+}
+
+/**
+ * Delete a report subscription with its locations and delivery log
+ * @param {string|number} subscriptionId - Subscription ID
+ * @returns {Promise<Object>} Result object with success/error
+ */
+export async function deleteReportSubscription(subscriptionId) {
+  try {
+    const result = await mssql.execute(`
+      DELETE FROM shopify.report_subscriptions WHERE id = @subscriptionId
+    `, { subscriptionId });
+
+    if (result.rowsAffected[0] === 0) {
+      return { success: false, error: "Report subscription not found" };
+    }
+
+    return { success: true };
+  } catch (error) {
+    console.error("Error deleting report subscription:", error);
+    throw new Error(`Failed to delete report subscription: ${error.message}`);
+  }
+}
+
+/**
+ * Get recent report deliveries
+ * @param {Object} filters - { subscriptionId, limit (default 50) }
+ * @returns {Promise<Array>} Deliveries, newest first, with the subscription name
+ */
+export async function getReportSubscriptionDeliveries({ subscriptionId = null, limit = 50 } = {}) {
+  try {
+    return await mssql.query(`
+      SELECT TOP (@limit)
+        d.id, d.subscription_id, s.name as subscription_name,
+        CONVERT(NVARCHAR(10), d.scheduled_for, 23) as scheduled_for,
+        d.budget_month, d.status, d.recipients, d.attachment_count, d.error, d.triggered_by, d.created_at
+      FROM shopify.report_subscription_deliveries d
+      JOIN shopify.report_subscriptions s ON s.id = d.subscription_id
+      WHERE (@subscriptionId IS NULL OR d.subscription_id = @subscriptionId)
+      ORDER BY d.created_at DESC
+    `, { subscriptionId, limit: parseInt(limit) || 50 });
+  } catch (error) {
+    console.error("Error fetching report deliveries:", error);
+    throw new Error(`Failed to fetch report deliveries: ${error.message}`);
+  }
+}
+
+/**
+ * Build a subscription's attachments for a budget month, one per location
+ * @returns {Promise<Object>} { attachments, failed: [{ locationId, error }] }
+ */
+async function buildReportAttachments(subscription, budgetMonth) {
+  const [month, year] = budgetMonth.split('-');
+  const spendDefinition = subscription.spend_definition || getDefaultSpendDefinition();
+  const attachments = [];
+  const failed = [];
+
+  // One location at a time to keep the load on the database even
+  for (const locationId of subscription.location_ids) {
+    try {
+      if (subscription.report === 'budget-statement') {
+        const statement = await getMonthlyBudgetStatement({ companyLocationId: locationId, month, year, spendDefinition });
+        attachments.push({
+          filename: getBudgetStatementFilename(statement),
+          content: await renderBudgetStatementPdf(statement),
+          contentType: 'application/pdf'
+        });
+      } else {
+        const report = await getReportExport(subscription.report, new URLSearchParams({
+          companyLocationId: locationId,
+          month,
+          year,
+          spendDefinition
+        }));
+        if (!report.success) {
+          throw new Error(report.error);
+        }
+        attachments.push(await createReportExportAttachment(subscription.format, report));
+      }
+    } catch (error) {
+      console.error(`Error building ${subscription.report} for location ${locationId}:`, error);
+      failed.push({ locationId, error: error.message });
+    }
+  }
+
+  return { attachments, failed };
+}
+
+/**
+ * Build a subscription's report, email it and log the delivery
+ * @param {Object} subscription - Subscription with location_ids
+ * @param {Object} delivery - { budgetMonth, scheduledFor (YYYY-MM-DD or null), triggeredBy }
+ * @returns {Promise<Object>} { success, status, budgetMonth, attachmentCount, failedLocations, error }
+ */
+async function deliverReportSubscription(subscription, { budgetMonth, scheduledFor = null, triggeredBy }) {
+  const reportLabel = REPORT_SUBSCRIPTION_REPORTS[subscription.report]?.label || subscription.report;
+  const { attachments, failed } = await buildReportAttachments(subscription, budgetMonth);
+  const failedSummary = failed.map(location => `Location ${location.locationId}: ${location.error}`).join('; ');
+
+  let status = 'sent';
+  let error = failed.length > 0 ? `Not included - ${failedSummary}` : null;
+
+  if (attachments.length === 0) {
+    status = 'failed';
+    error = `No report could be built - ${failedSummary}`;
+  } else {
+    try {
+      await ReportMailer.send({
+        to: parseRecipients(subscription.recipients),
+        subject: `${subscription.name}: ${reportLabel} ${budgetMonth}`,
+        text: [
+          `Attached: ${reportLabel} for budget month ${budgetMonth}, ${attachments.length} location(s).`,
+          ...(failed.length > 0 ? ['', 'Not included (the report could not be built):', ...failed.map(location => `- Location ${location.locationId}: ${location.error}`)] : []),
+          '',
+          `Sent by the report subscription "${subscription.name}" (${describeReportSubscriptionCadence(subscription)}).`,
+          'Subscriptions are managed on the Report Subscriptions page of the app.'
+        ].join('\n'),
+        attachments
+      });
+    } catch (sendError) {
+      status = 'failed';
+      error = `Email could not be sent: ${sendError.message}`;
+    }
+  }
+
+  await mssql.execute(`
+    INSERT INTO shopify.report_subscription_deliveries
+      (subscription_id, scheduled_for, budget_month, status, recipients, attachment_count, error, triggered_by)
+    VALUES (@subscriptionId, @scheduledFor, @budgetMonth, @status, @recipients, @attachmentCount, @error, @triggeredBy)
+  `, {
+    subscriptionId: subscription.id,
+    scheduledFor,
+    budgetMonth,
+    status,
+    recipients: subscription.recipients,
+    attachmentCount: status === 'sent' ? attachments.length : 0,
+    error,
+    triggeredBy
+  });
+
+  return {
+    success: status === 'sent',
+    status,
+    budgetMonth,
+    attachmentCount: status === 'sent' ? attachments.length : 0,
+    failedLocations: failed,
+    error
+  };
+}
+
+/**
+ * Send a report subscription now, outside its schedule
+ * @param {string|number} subscriptionId - Subscription ID
+ * @param {Object} options - { budgetMonth (MM-YYYY, default: the month its latest
+ *   scheduled delivery covers), actor }
+ * @returns {Promise<Object>} { success, status, budgetMonth, attachmentCount, failedLocations, error }
+ */
+export async function sendReportSubscription(subscriptionId, { budgetMonth = null, actor } = {}) {
+  if (budgetMonth && !/^\d{2}-\d{4}$/.test(budgetMonth)) {
+    return { success: false, error: "Budget month must be MM-YYYY" };
+  }
+
+  try {
+    const subscription = await getReportSubscription(subscriptionId);
+    if (!subscription) {
+      return { success: false, error: "Report subscription not found" };
+    }
+
+    return await deliverReportSubscription(subscription, {
+      budgetMonth: budgetMonth || getCoveredBudgetMonth(subscription, getLatestOccurrence(subscription, new Date())),
+      triggeredBy: actor || 'system'
+    });
+  } catch (error) {
+    console.error("Error sending report subscription:", error);
+    throw new Error(`Failed to send report subscription: ${error.message}`);
+  }
+}
+
+/**
+ * Deliver every active subscription whose latest scheduled occurrence on or before a
+ * date has not been sent. A run that was missed is caught up on the next one; an
+ * occurrence from before the subscription was created is not sent.
+ * @param {Object} options - { date (default: today) }
+ * @returns {Promise<Object>} { date, due, sent: [...], failed: [...] }
+ */
+export async function deliverDueReportSubscriptions({ date = new Date() } = {}) {
+  try {
+    const subscriptions = (await getReportSubscriptions()).filter(subscription => subscription.is_active);
+
+    // Occurrences are at most a month old, so older deliveries need not be read
+    const since = new Date(date.getFullYear(), date.getMonth() - 2, 1);
+    const sentOccurrences = await mssql.query(`
+      SELECT subscription_id, CONVERT(NVARCHAR(10), scheduled_for, 23) as scheduled_for
+      FROM shopify.report_subscription_deliveries
+      WHERE status = 'sent' AND scheduled_for >= @since
+    `, { since: toDateKey(since) });
+    const sent = new Set(sentOccurrences.map(row => `${row.subscription_id}:${row.scheduled_for}`));
+
+    const due = subscriptions
+      .map(subscription => ({ subscription, occurrence: getLatestOccurrence(subscription, date) }))
+      .filter(({ subscription, occurrence }) =>
+        toDateKey(occurrence) >= toDateKey(new Date(subscription.created_at)) &&
+        !sent.has(`${subscription.id}:${toDateKey(occurrence)}`)
+      );
+
+    const results = [];
+    for (const { subscription, occurrence } of due) {
+      try {
+        const result = await deliverReportSubscription(subscription, {
+          budgetMonth: getCoveredBudgetMonth(subscription, occurrence),
+          scheduledFor: toDateKey(occurrence),
+          triggeredBy: 'schedule'
+        });
+        results.push({ subscriptionId: subscription.id, name: subscription.name, ...result });
+      } catch (error) {
+        console.error(`Error delivering report subscription ${subscription.id}:`, error);
+        results.push({ subscriptionId: subscription.id, name: subscription.name, success: false, error: error.message });
+      }
+    }
+
+    return {
+      date: toDateKey(date),
+      due: due.length,
+      sent: results.filter(result => result.success),
+      failed: results.filter(result => !result.success)
+    };
+  } catch (error) {
+    console.error("Error delivering report subscriptions:", error);
+    throw new Error(`Failed to deliver report subscriptions: ${error.message}`);
+  }
+}
@@ -0,0 +1,676 @@
+import 'dotenv/config';
+import mssql from "../mssql.server.js";
+import { reconcileOrderBudgetSpend } from "./fhr-orders-refunds.server.js";
+import { evaluateOrderBudgetHold } from "./order-approval-holds.server.js";
+import { applyBudgetMonthClosePolicy, recordLateRefunds } from "./budget-month-close.server.js";
+import { getBudgetMonthOfDate } from "../utils/budget-month.js";
+
+/**
+ * Shopify Order Sync Actions
+ * Writes orders and refunds received from Shopify webhooks into the shopify.* tables
+ * that Fivetran also syncs, so budget spend, alerts and approval holds see an order as
+ * soon as it is placed instead of after the next Fivetran sync.
+ *
+ * Tables written:
+ * - shopify.[order] - Order header, including order_budget_month
+ * - shopify.order_line - Order line items
+ * - shopify.refund - Refunds of an order
+ * - shopify.order_line_refund - Refunded quantities and amounts per order line
+ * - shopify.order_budget_month_history - Budget month changes of an order
+ */
+
+// Note attribute set by the storefront with the budget month an order is charged to
+const BUDGET_MONTH_ATTRIBUTE = 'order_budget_month';
+
+function toId(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  // Admin GraphQL IDs (gid://shopify/Order/123) carry the numeric ID at the end
+  const id = String(value).split('/').pop();
+  return /^\d+$/.test(id) ? id : null;
+}
+
+function toDate(value) {
+  return value ? new Date(value) : null;
+}
+
+function toAmount(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  const amount = parseFloat(value);
+  return Number.isNaN(amount) ? null : amount;
+}
+
+/**
+ * Normalise a budget month to MM-YYYY (accepts MM-YYYY and YYYY-MM)
+ * @param {string} value - Budget month
+ * @returns {string|null} Budget month as MM-YYYY, null when not recognised
+ */
+export function normalizeBudgetMonth(value) {
+  const text = String(value || '').trim();
+
+  let match = text.match(/^(\d{1,2})-(\d{4})$/);
+  if (match) {
+    const month = parseInt(match[1]);
+    return month >= 1 && month <= 12 ? `${String(month).padStart(2, '0')}-${match[2]}` : null;
+  }
+
+  match = text.match(/^(\d{4})-(\d{1,2})$/);
+  if (match) {
+    const month = parseInt(match[2]);
+    return month >= 1 && month <= 12 ? `${String(month).padStart(2, '0')}-${match[1]}` : null;
+  }
+
+  return null;
+}
+
+/**
+ * Read the budget month of an order payload
+ * Uses the order_budget_month note attribute and falls back to the month the order was
+ * created in, matching the FORMAT(created_at, 'MM-yyyy') fallback of the reports.
+ * @param {Object} payload - Shopify order payload
+ * @returns {{ attributeBudgetMonth: string|null, budgetMonth: string|null }}
+ */
+export function getOrderBudgetMonthFromPayload(payload) {
+  const attributes = Array.isArray(payload?.note_attributes) ? payload.note_attributes : [];
+  const attribute = attributes.find(attr => attr?.name === BUDGET_MONTH_ATTRIBUTE);
+  const attributeBudgetMonth = attribute ? normalizeBudgetMonth(attribute.value) : null;
+
+  if (attribute && !attributeBudgetMonth) {
+    console.warn(`⚠️  Order ${payload.id} has an unrecognised ${BUDGET_MONTH_ATTRIBUTE} attribute: ${attribute.value}`);
+  }
+
+  const createdMonth = payload?.created_at ? getBudgetMonthOfDate(payload.created_at) : null;
+
+  return {
+    attributeBudgetMonth,
+    budgetMonth: attributeBudgetMonth || createdMonth
+  };
+}
+
+/**
+ * Record a change of an order's budget month
+ * @param {Object} change - { orderId, previousBudgetMonth, newBudgetMonth, reason, source, changedBy, batchId, shopifySynced }
+ *   source is admin, admin_bulk, shopify or integration; shopifySynced marks changes that
+ *   came from Shopify and need no write-back
+ * @param {Object} request - Optional transaction request to run the insert in
+ * @returns {Promise<number>} History entry ID
+ */
+export async function recordOrderBudgetMonthChange(change, request = null) {
+  const query = `
+    INSERT INTO shopify.order_budget_month_history
+      (order_id, previous_budget_month, new_budget_month, reason, source, batch_id, changed_by, shopify_synced_at)
+    OUTPUT INSERTED.id
+    VALUES
+      (@orderId, @previousBudgetMonth, @newBudgetMonth, @reason, @source, @batchId, @changedBy,
+       CASE WHEN @shopifySynced = 1 THEN GETUTCDATE() END)
+  `;
+  const params = {
+    orderId: change.orderId,
+    previousBudgetMonth: change.previousBudgetMonth || null,
+    newBudgetMonth: change.newBudgetMonth,
+    reason: change.reason,
+    source: change.source,
+    batchId: change.batchId || null,
+    changedBy: change.changedBy || 'system',
+    shopifySynced: change.shopifySynced ? 1 : 0
+  };
+
+  if (request) {
+    Object.entries(params).forEach(([name, value]) => request.input(name, value));
+    const result = await request.query(query);
+    return result.recordset[0].id;
+  }
+
+  const result = await mssql.query(query, params);
+  return result[0].id;
+}
+
+/**
+ * MERGE one row into a table by its id column
+ * Only the columns present on the row are written, so columns maintained elsewhere
+ * (e.g. by Fivetran) keep their values.
+ */
+async function mergeRowById(transaction, table, row, { params = {}, updateOverrides = {}, insertOverrides = {} } = {}) {
+  const request = transaction.request();
+  const columns = Object.keys(row);
+  columns.forEach(column => request.input(column, row[column]));
+  Object.entries(params).forEach(([name, value]) => request.input(name, value));
+
+  const updateColumns = columns.filter(column => column !== 'id');
+  const updateSet = [
+    ...updateColumns.map(column => `target.${column} = @${column}`),
+    ...Object.entries(updateOverrides).map(([column, expression]) => `target.${column} = ${expression}`)
+  ].join(',\n        ');
+
+  const insertColumns = [...columns, ...Object.keys(insertOverrides)];
+  const insertValues = [...columns.map(column => `@${column}`), ...Object.values(insertOverrides)];
+
+  return request.query(`
+    MERGE ${table} WITH (HOLDLOCK) AS target
+    USING (SELECT @id AS id) AS source
+    ON target.id = source.id
+    WHEN MATCHED THEN UPDATE SET
+        ${updateSet}
+    WHEN NOT MATCHED THEN
+      INSERT (${insertColumns.join(', ')})
+      VALUES (${insertValues.join(', ')});
+  `);
+}
+
+/**
+ * Get the refunds of a payload that are not in the database yet
+ */
+async function getNewRefundIds(transaction, refundIds) {
+  const ids = refundIds.filter(Boolean);
+  if (ids.length === 0) {
+    return [];
+  }
+
+  const request = transaction.request();
+  ids.forEach((id, index) => request.input(`refundId${index}`, id));
+  const existing = await request.query(`
+    SELECT CAST(id AS NVARCHAR(50)) as id
+    FROM brdjdb.shopify.refund
+    WHERE id IN (${ids.map((id, index) => `@refundId${index}`).join(', ')})
+  `);
+
+  const existingIds = new Set(existing.recordset.map(row => row.id));
+  return ids.filter(id => !existingIds.has(String(id)));
+}
+
+async function mergeRefund(transaction, refund, orderId) {
+  const refundId = toId(refund.id);
+  if (!refundId) {
+    return 0;
+  }
+
+  await mergeRowById(transaction, 'brdjdb.shopify.refund', {
+    id: refundId,
+    order_id: toId(refund.order_id) || orderId,
+    created_at: toDate(refund.created_at),
+    processed_at: toDate(refund.processed_at || refund.created_at),
+    note: refund.note || null
+  });
+
+  const refundLineItems = Array.isArray(refund.refund_line_items) ? refund.refund_line_items : [];
+  for (const item of refundLineItems) {
+    const itemId = toId(item.id);
+    if (!itemId) {
+      continue;
+    }
+
+    await mergeRowById(transaction, 'brdjdb.shopify.order_line_refund', {
+      id: itemId,
+      refund_id: refundId,
+      order_line_id: toId(item.line_item_id || item.line_item?.id),
+      quantity: parseInt(item.quantity) || 0,
+      subtotal: toAmount(item.subtotal) ?? 0,
+      total_tax: toAmount(item.total_tax) ?? 0
+    });
+  }
+
+  return refundLineItems.length;
+}
+
+/**
+ * Upsert an order, its line items and any refunds it carries from a Shopify order payload
+ * (orders/create, orders/updated, orders/paid). The order_budget_month note attribute
+ * wins unless the order's latest reassignment has not been written back to Shopify yet;
+ * without the attribute an existing budget month is kept and new orders get the month
+ * they were created in. Closed budget months are handled by the month close policy.
+ * Budget month changes are recorded in the order's history.
+ * @param {Object} payload - Shopify order webhook payload
+ * @returns {Promise<Object>} { orderId, budgetMonth, previousBudgetMonth, redirectedBudgetMonth, created, lineCount, refundCount }
+ */
+export async function upsertOrderFromWebhook(payload) {
+  const orderId = toId(payload?.id);
+  if (!orderId) {
+    throw new Error('Order payload has no id');
+  }
+
+  const { attributeBudgetMonth, budgetMonth } = getOrderBudgetMonthFromPayload(payload);
+  const lineItems = Array.isArray(payload.line_items) ? payload.line_items : [];
+  const refunds = Array.isArray(payload.refunds) ? payload.refunds : [];
+
+  const pool = await mssql.getPool();
+  const transaction = pool.transaction();
+
+  try {
+    await transaction.begin();
+
+    const existing = await transaction.request()
+      .input('orderId', orderId)
+      .query(`
+        SELECT order_budget_month
+        FROM brdjdb.shopify.[order] WITH (UPDLOCK)
+        WHERE id = @orderId
+      `);
+    const previousBudgetMonth = existing.recordset[0]?.order_budget_month || null;
+    const created = existing.recordset.length === 0;
+    const newRefundIds = await getNewRefundIds(transaction, refunds.map(refund => toId(refund.id)));
+
+    await mergeRowById(transaction, 'brdjdb.shopify.[order]', {
+      id: orderId,
+      name: payload.name || null,
+      number: payload.number ?? null,
+      order_number: payload.order_number ?? null,
+      email: payload.email || null,
+      customer_id: toId(payload.customer?.id ?? payload.customer_id),
+      company_id: toId(payload.company?.id),
+      company_location_id: toId(payload.company?.location_id),
+      location_id: toId(payload.location_id),
+      created_at: toDate(payload.created_at),
+      updated_at: toDate(payload.updated_at) || new Date(),
+      processed_at: toDate(payload.processed_at),
+      cancelled_at: toDate(payload.cancelled_at),
+      financial_status: payload.financial_status || null,
+      fulfillment_status: payload.fulfillment_status || null,
+      total_price: toAmount(payload.total_price),
+      subtotal_price: toAmount(payload.subtotal_price),
+      total_tax: toAmount(payload.total_tax),
+      total_discounts: toAmount(payload.total_discounts),
+      taxes_included: payload.taxes_included ?? null,
+      currency: payload.currency || null,
+      note: payload.note || null,
+      note_attributes: JSON.stringify(payload.note_attributes || [])
+    }, {
+      params: { attributeBudgetMonth, defaultBudgetMonth: budgetMonth },
+      updateOverrides: {
+        // A change not yet written to the note attribute must not be undone by the stale
+        // attribute it replaced; a different attribute value is a later edit in Shopify and wins
+        order_budget_month: `COALESCE(
+          (SELECT TOP 1 CASE WHEN h.shopify_synced_at IS NULL
+                              AND (@attributeBudgetMonth IS NULL OR @attributeBudgetMonth = h.previous_budget_month)
+                             THEN h.new_budget_month END
+           FROM brdjdb.shopify.order_budget_month_history h
+           WHERE h.order_id = @id AND h.source <> 'shopify'
+           ORDER BY h.id DESC),
+          @attributeBudgetMonth, target.order_budget_month, @defaultBudgetMonth)`
+      },
+      insertOverrides: {
+        order_budget_month: 'COALESCE(@attributeBudgetMonth, @defaultBudgetMonth)'
+      }
+    });
+
+    for (const item of lineItems) {
+      const lineId = toId(item.id);
+      if (!lineId) {
+        continue;
+      }
+
+      await mergeRowById(transaction, 'brdjdb.shopify.order_line', {
+        id: lineId,
+        order_id: orderId,
+        product_id: toId(item.product_id),
+        variant_id: toId(item.variant_id),
+        name: item.name || null,
+        title: item.title || null,
+        variant_title: item.variant_title || null,
+        sku: item.sku || null,
+        vendor: item.vendor || null,
+        quantity: parseInt(item.quantity) || 0,
+        price: toAmount(item.price) ?? 0,
+        total_discount: toAmount(item.total_discount) ?? 0,
+        fulfillment_status: item.fulfillment_status || null,
+        taxable: item.taxable ?? null,
+        requires_shipping: item.requires_shipping ?? null,
+        grams: item.grams ?? null
+      });
+    }
+
+    for (const refund of refunds) {
+      await mergeRefund(transaction, refund, orderId);
+    }
+
+    const saved = await transaction.request()
+      .input('orderId', orderId)
+      .query(`SELECT order_budget_month FROM brdjdb.shopify.[order] WHERE id = @orderId`);
+    const savedBudgetMonth = saved.recordset[0]?.order_budget_month || budgetMonth;
+
+    const close = await applyBudgetMonthClosePolicy({
+      orderId,
+      previousBudgetMonth,
+      budgetMonth: savedBudgetMonth,
+      isNewOrder: created
+    }, transaction);
+
+    if (close.budgetMonth !== savedBudgetMonth) {
+      await transaction.request()
+        .input('orderId', orderId)
+        .input('budgetMonth', close.budgetMonth)
+        .query(`UPDATE brdjdb.shopify.[order] SET order_budget_month = @budgetMonth WHERE id = @orderId`);
+    }
+
+    const changedFrom = previousBudgetMonth || (close.exception?.redirectedToMonth ? savedBudgetMonth : null);
+    if (changedFrom && close.budgetMonth !== changedFrom) {
+      await recordOrderBudgetMonthChange({
+        orderId,
+        previousBudgetMonth: changedFrom,
+        newBudgetMonth: close.budgetMonth,
+        reason: close.exception?.redirectedToMonth
+          ? `Budget month ${close.exception.budgetMonth} is closed; counted in ${close.budgetMonth}`
+          : `${BUDGET_MONTH_ATTRIBUTE} note attribute changed in Shopify`,
+        source: 'shopify',
+        changedBy: 'shopify',
+        shopifySynced: true
+      }, transaction.request());
+    }
+
+    const lateRefunds = await recordLateRefunds({ orderId, refundIds: newRefundIds }, transaction);
+
+    await transaction.commit();
+
+    return {
+      orderId,
+      budgetMonth: close.budgetMonth,
+      previousBudgetMonth,
+      redirectedBudgetMonth: lateRefunds.redirectedBudgetMonth,
+      created,
+      lineCount: lineItems.length,
+      refundCount: refunds.length
+    };
+
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+}
+
+/**
+ * Upsert a refund and its refunded line items from a Shopify refunds/create payload.
+ * A new refund of an order in a closed budget month is handled by the month close policy.
+ * @param {Object} payload - Shopify refund webhook payload
+ * @returns {Promise<Object>} { refundId, orderId, lineCount, orderFound, budgetMonth, redirectedBudgetMonth }
+ */
+export async function upsertRefundFromWebhook(payload) {
+  const refundId = toId(payload?.id);
+  const orderId = toId(payload?.order_id);
+  if (!refundId || !orderId) {
+    throw new Error('Refund payload needs an id and an order_id');
+  }
+
+  const pool = await mssql.getPool();
+  const transaction = pool.transaction();
+
+  try {
+    await transaction.begin();
+
+    const newRefundIds = await getNewRefundIds(transaction, [refundId]);
+    const lineCount = await mergeRefund(transaction, payload, orderId);
+
+    const order = await transaction.request()
+      .input('orderId', orderId)
+      .query(`SELECT order_budget_month FROM brdjdb.shopify.[order] WHERE id = @orderId`);
+
+    const lateRefunds = order.recordset.length > 0
+      ? await recordLateRefunds({ orderId, refundIds: newRefundIds }, transaction)
+      : { redirectedBudgetMonth: null };
+
+    await transaction.commit();
+
+    return {
+      refundId,
+      orderId,
+      lineCount,
+      orderFound: order.recordset.length > 0,
+      budgetMonth: order.recordset[0]?.order_budget_month || null,
+      redirectedBudgetMonth: lateRefunds.redirectedBudgetMonth
+    };
+
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+}
+
+/**
+ * Bring budget spend and approval holds in step with an order that has just changed.
+ * Failures are logged and reported, not thrown: the nightly reconciliation rebuilds the
+ * spend ledger and the next order webhook re-evaluates the hold.
+ * @param {string} orderId - Shopify order ID
+ * @param {Object} options - { previousBudgetMonth } the budget month before the change,
+ *   { redirectedBudgetMonth } the month late refunds of a closed month were credited to
+ * @returns {Promise<Object>} { spendReconciled, approvalHold }
+ */
+export async function syncOrderBudgetEffects(orderId, { previousBudgetMonth = null, redirectedBudgetMonth = null } = {}) {
+  let spendReconciled = false;
+  try {
+    await reconcileOrderBudgetSpend(orderId, { previousBudgetMonth, redirectedBudgetMonth });
+    spendReconciled = true;
+  } catch (spendError) {
+    console.error(`⚠️  Budget spend not reconciled for order ${orderId}:`, spendError);
+  }
+
+  let approvalHold = null;
+  try {
+    approvalHold = await evaluateOrderBudgetHold(orderId);
+    if (approvalHold.held) {
+      console.log(`⏸️  Order ${orderId} held for approval: $${approvalHold.amountOver} over budget`);
+    }
+  } catch (holdError) {
+    console.error(`⚠️  Approval hold not evaluated for order ${orderId}:`, holdError);
+  }
+
+  return { spendReconciled, approvalHold };
+}
+
+/**
+ * Handle an orders/create, orders/updated or orders/paid webhook payload
+ * @param {Object} payload - Shopify order webhook payload
+ * @returns {Promise<Object>} Upsert result with spendReconciled and approvalHold
+ */
+export async function processOrderWebhook(payload) {
+  try {
+    const order = await upsertOrderFromWebhook(payload);
+    const effects = await syncOrderBudgetEffects(order.orderId, {
+      previousBudgetMonth: order.previousBudgetMonth,
+      redirectedBudgetMonth: order.redirectedBudgetMonth
+    });
+
+    return { ...order, ...effects };
+
+  } catch (error) {
+    console.error("Error processing order webhook:", error);
+    throw new Error(`Failed to process order webhook: ${error.message}`);
+  }
+}
+
+/**
+ * Handle a refunds/create webhook payload
+ * @param {Object} payload - Shopify refund webhook payload
+ * @returns {Promise<Object>} Upsert result with spendReconciled and approvalHold
+ */
+export async function processRefundWebhook(payload) {
+  try {
+    const refund = await upsertRefundFromWebhook(payload);
+
+    // Refunds of orders not synced yet are reconciled once the order arrives
+    if (!refund.orderFound) {
+      console.log(`⚠️  Refund ${refund.refundId} stored before its order ${refund.orderId}`);
+      return { ...refund, spendReconciled: false, approvalHold: null };
+    }
+
+    const effects = await syncOrderBudgetEffects(refund.orderId, {
+      redirectedBudgetMonth: refund.redirectedBudgetMonth
+    });
+    return { ...refund, ...effects };
+
+  } catch (error) {
+    console.error("Error processing refund webhook:", error);
+    throw new Error(`Failed to process refund webhook: ${error.message}`);
+  }
+}
+
+/**
+ * Set the budget month of an order that is already in the database and bring budget
+ * spend and approval holds in step. An order that has not been synced yet fails, so the
+ * webhook inbox retries it later. Closed budget months are handled by the month close policy.
+ * @param {string} orderId - Shopify order ID
+ * @param {string} budgetMonth - Budget month (MM-YYYY)
+ * @param {Object} change - { source, changedBy, reason } recorded in the order's history
+ *   when the month changes (source shopify or integration)
+ * @returns {Promise<Object>} { orderId, orderBudgetMonth, previousBudgetMonth, spendReconciled, approvalHold, action }
+ */
+export async function setOrderBudgetMonth(orderId, budgetMonth, change = {}) {
+  const existingOrder = await mssql.query(`
+    SELECT id, order_budget_month
+    FROM [shopify].[order]
+    WHERE id = @orderId
+  `, { orderId });
+
+  if (existingOrder.length === 0) {
+    throw new Error(`Order ${orderId} not found in database yet`);
+  }
+
+  const previousBudgetMonth = existingOrder[0].order_budget_month;
+  let orderBudgetMonth = budgetMonth;
+
+  if (budgetMonth) {
+    const close = await applyBudgetMonthClosePolicy({ orderId, previousBudgetMonth, budgetMonth });
+    orderBudgetMonth = close.budgetMonth;
+
+    if (close.exception) {
+      console.log(`🔒 Order ${orderId}: ${close.exception.detail}`);
+    }
+
+    await mssql.execute(`
+      UPDATE [shopify].[order]
+      SET order_budget_month = @budgetMonth,
+          updated_at = GETDATE()
+      WHERE id = @orderId
+    `, { orderId, budgetMonth: orderBudgetMonth });
+
+    console.log(`✅ Updated order ${orderId} budget month to: ${orderBudgetMonth}`);
+
+    if (previousBudgetMonth && orderBudgetMonth !== previousBudgetMonth) {
+      const source = change.source || 'integration';
+      await recordOrderBudgetMonthChange({
+        orderId,
+        previousBudgetMonth,
+        newBudgetMonth: orderBudgetMonth,
+        reason: close.exception?.redirectedToMonth
+          ? `Budget month ${budgetMonth} is closed; counted in ${orderBudgetMonth}`
+          : change.reason || `Set by ${source} webhook`,
+        source,
+        changedBy: change.changedBy || source,
+        // Shopify payloads already carry the month; integration changes are written back
+        // by syncPendingOrderBudgetMonths
+        shopifySynced: source === 'shopify'
+      });
+    }
+  }
+
+  // Keep the budget category spend ledger and approval holds in step with the order
+  const { spendReconciled, approvalHold } = await syncOrderBudgetEffects(orderId, { previousBudgetMonth });
+
+  return {
+    orderId,
+    orderBudgetMonth: orderBudgetMonth || previousBudgetMonth,
+    previousBudgetMonth,
+    spendReconciled,
+    approvalHold,
+    action: 'updated'
+  };
+}
+
+/**
+ * Handle a Shopify order payload posted to /api/webhook (signed with the app secret)
+ * Only sets order_budget_month of an order that is already in the database.
+ * @param {Object} orderData - Shopify order payload
+ * @returns {Promise<Object>} Result of setOrderBudgetMonth with the order number
+ */
+export async function processOrderBudgetMonthWebhook(orderData) {
+  const orderId = toId(orderData?.id);
+  if (!orderId) {
+    throw new Error('Order payload has no id');
+  }
+
+  // order_budget_month note attribute, else the month the order was created in
+  const { budgetMonth } = getOrderBudgetMonthFromPayload(orderData);
+
+  console.log(`📅 Order ${orderId} budget month: ${budgetMonth}`);
+
+  const result = await setOrderBudgetMonth(orderId, budgetMonth, {
+    source: 'shopify',
+    changedBy: 'shopify',
+    reason: 'Shopify order payload posted to /api/webhook'
+  });
+  return { ...result, orderNumber: orderData.order_number };
+}
+
+/**
+ * Read the budget month of an integration's order entry: budgetMonth (MM-YYYY or
+ * YYYY-MM), else the month of createdAt
+ */
+function getIntegrationBudgetMonth(entry) {
+  if (entry.budgetMonth) {
+    const budgetMonth = normalizeBudgetMonth(entry.budgetMonth);
+    if (!budgetMonth) {
+      throw new Error(`Invalid budget month ${entry.budgetMonth} for order ${entry.orderId}. Use MM-YYYY`);
+    }
+    return budgetMonth;
+  }
+
+  return getOrderBudgetMonthFromPayload({ id: entry.orderId, created_at: entry.createdAt }).budgetMonth;
+}
+
+/**
+ * Handle an order_budget_month or order_update webhook from an integration
+ * @param {Object} body - { type, data: { orderId, budgetMonth?, createdAt? }, source }
+ * @returns {Promise<Object>} Result of setOrderBudgetMonth
+ */
+export async function processIntegrationOrderWebhook(body) {
+  const orderId = toId(body?.data?.orderId);
+  if (!orderId) {
+    throw new Error('data.orderId is required');
+  }
+
+  return setOrderBudgetMonth(orderId, getIntegrationBudgetMonth({ ...body.data, orderId }), {
+    source: 'integration',
+    changedBy: body.source || 'integration',
+    reason: body.data.reason || `${body.type} webhook`
+  });
+}
+
+/**
+ * Handle a budget_sync webhook from an integration: set the budget month of each order.
+ * Fails when any order could not be updated so the event is retried; orders that were
+ * updated are simply set again.
+ * @param {Object} body - { type, data: { orders: [{ orderId, budgetMonth }] }, source }
+ * @returns {Promise<Object>} { updated, orders }
+ */
+export async function processBudgetSyncWebhook(body) {
+  const orders = Array.isArray(body?.data?.orders) ? body.data.orders : null;
+  if (!orders || orders.length === 0) {
+    throw new Error('data.orders must list at least one order');
+  }
+
+  const results = [];
+  const failures = [];
+
+  for (const entry of orders) {
+    const orderId = toId(entry?.orderId);
+    try {
+      if (!orderId) {
+        throw new Error('orderId is required');
+      }
+      const result = await setOrderBudgetMonth(orderId, getIntegrationBudgetMonth({ ...entry, orderId }), {
+        source: 'integration',
+        changedBy: body.source || 'integration',
+        reason: entry.reason || 'budget_sync webhook'
+      });
+      results.push({ orderId, orderBudgetMonth: result.orderBudgetMonth });
+    } catch (error) {
+      failures.push(`${entry?.orderId ?? '?'}: ${error.message}`);
+    }
+  }
+
+  if (failures.length > 0) {
+    throw new Error(`${failures.length} of ${orders.length} order(s) not updated - ${failures.join('; ')}`);
+  }
+
+  return { updated: results.length, orders: results };
+}
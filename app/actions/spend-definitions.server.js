@@ -0,0 +1,112 @@
+import 'dotenv/config';
+
+/**
+ * Spend Definitions
+ * What counts as the spend of an order line in the order reports, the budget category
+ * reports and the spend ledger. Discounts, tax and shipping are kept per order, so the
+ * order-level amounts are allocated to its lines by their value after line discounts:
+ * - gross: price × quantity
+ * - discounted: gross less the line's discount and its share of the order's other discounts
+ * - discounted_tax: discounted plus its share of the order's tax (none on tax-inclusive orders)
+ * - landed: discounted_tax plus its share of the order's shipping
+ *
+ * Refunds are subtracted at their refunded subtotal, plus the refunded tax for
+ * discounted_tax and landed. Refunded shipping is not tracked per line.
+ */
+
+export const SPEND_DEFINITIONS = ['gross', 'discounted', 'discounted_tax', 'landed'];
+
+export const SPEND_DEFINITION_LABELS = {
+  gross: 'Gross (price × quantity)',
+  discounted: 'After discounts',
+  discounted_tax: 'After discounts + tax',
+  landed: 'Landed (after discounts + tax + shipping)'
+};
+
+/**
+ * Get the spend definition used unless another is requested
+ * (SPEND_DEFINITION, default gross)
+ * @returns {string} Spend definition
+ */
+export function getDefaultSpendDefinition() {
+  const definition = (process.env.SPEND_DEFINITION || '').trim().toLowerCase();
+  return SPEND_DEFINITIONS.includes(definition) ? definition : 'gross';
+}
+
+/**
+ * Validate a spend definition
+ * @param {string} spendDefinition - Requested definition, empty for the default
+ * @returns {string} Spend definition
+ */
+export function getSpendDefinition(spendDefinition) {
+  if (!spendDefinition) {
+    return getDefaultSpendDefinition();
+  }
+
+  if (!SPEND_DEFINITIONS.includes(spendDefinition)) {
+    throw new Error(`Unknown spend definition "${spendDefinition}". Use one of: ${SPEND_DEFINITIONS.join(', ')}`);
+  }
+
+  return spendDefinition;
+}
+
+const LINE_GROSS = 'CAST(ol.price AS DECIMAL(10,2)) * ol.quantity';
+const LINE_AFTER_LINE_DISCOUNT = `(${LINE_GROSS} - COALESCE(ol.total_discount, 0))`;
+
+// Share of the order's discounts, tax and shipping carried by the line
+const LINE_ORDER_SHARE = `COALESCE(${LINE_AFTER_LINE_DISCOUNT} / NULLIF(order_spend.value_after_line_discounts, 0), 0)`;
+
+const ORDER_TAX = 'CASE WHEN o.taxes_included = 1 THEN 0 ELSE COALESCE(o.total_tax, 0) END';
+const ORDER_DISCOUNTS = `
+  CASE WHEN COALESCE(o.total_discounts, 0) > order_spend.line_discounts
+    THEN o.total_discounts - order_spend.line_discounts ELSE 0 END`;
+const ORDER_SHIPPING = `
+  CASE WHEN COALESCE(o.total_price, 0) - COALESCE(o.subtotal_price, 0) - ${ORDER_TAX} > 0
+    THEN COALESCE(o.total_price, 0) - COALESCE(o.subtotal_price, 0) - ${ORDER_TAX} ELSE 0 END`;
+
+/**
+ * Get the SQL for the spend of an order line under a spend definition.
+ * value is an expression over the aliases o (order) and ol (order_line); join must
+ * follow the FROM/JOIN clauses of the query (before WHERE) for every definition but gross.
+ * @param {string} spendDefinition - Spend definition
+ * @returns {Object} { value, join }
+ */
+export function getOrderLineSpendSql(spendDefinition) {
+  if (spendDefinition === 'gross') {
+    return { value: LINE_GROSS, join: '' };
+  }
+
+  const join = `
+    OUTER APPLY (
+      SELECT
+        SUM(CAST(spend_line.price AS DECIMAL(10,2)) * spend_line.quantity - COALESCE(spend_line.total_discount, 0)) as value_after_line_discounts,
+        SUM(COALESCE(spend_line.total_discount, 0)) as line_discounts
+      FROM brdjdb.shopify.order_line AS spend_line
+      WHERE spend_line.order_id = o.id
+    ) AS order_spend`;
+
+  const discounted = `(${LINE_AFTER_LINE_DISCOUNT} - (${ORDER_DISCOUNTS}) * ${LINE_ORDER_SHARE})`;
+  const discountedTax = `(${discounted} + (${ORDER_TAX}) * ${LINE_ORDER_SHARE})`;
+
+  const values = {
+    discounted,
+    discounted_tax: discountedTax,
+    landed: `(${discountedTax} + (${ORDER_SHIPPING}) * ${LINE_ORDER_SHARE})`
+  };
+
+  return { value: values[spendDefinition], join };
+}
+
+/**
+ * Get the SQL for the amount of a refunded line under a spend definition, as an
+ * expression over the aliases o (order) and olr (order_line_refund)
+ * @param {string} spendDefinition - Spend definition
+ * @returns {string} SQL expression
+ */
+export function getRefundSpendSql(spendDefinition) {
+  if (spendDefinition === 'discounted_tax' || spendDefinition === 'landed') {
+    return 'olr.subtotal + CASE WHEN o.taxes_included = 1 THEN 0 ELSE COALESCE(olr.total_tax, 0) END';
+  }
+
+  return 'olr.subtotal';
+}
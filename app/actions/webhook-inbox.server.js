@@ -0,0 +1,325 @@
+import 'dotenv/config';
+import crypto from 'crypto';
+import mssql from "../mssql.server.js";
+import {
+  processOrderWebhook,
+  processRefundWebhook,
+  processOrderBudgetMonthWebhook,
+  processIntegrationOrderWebhook,
+  processBudgetSyncWebhook
+} from "./shopify-order-sync.server.js";
+
+/**
+ * Webhook Inbox Actions
+ * Incoming webhooks are stored in shopify.webhook_inbox before they are processed, so a
+ * database or handler failure never loses an event. Duplicate deliveries (same
+ * X-Shopify-Webhook-Id) are dropped. Failed events are retried with exponential backoff
+ * by the cron job and move to dead_letter after WEBHOOK_MAX_ATTEMPTS attempts.
+ *
+ * Statuses: pending -> processing -> processed
+ *                                 -> failed (retried) -> dead_letter
+ */
+
+// Handlers per inbox topic; each receives the parsed payload and returns a JSON-able result
+const WEBHOOK_TOPIC_HANDLERS = {
+  'orders/create': processOrderWebhook,
+  'orders/updated': processOrderWebhook,
+  'orders/paid': processOrderWebhook,
+  'refunds/create': processRefundWebhook,
+  // /api/webhook: Shopify order payloads signed with the app secret, and integration types
+  'api/order': processOrderBudgetMonthWebhook,
+  'api/order_budget_month': processIntegrationOrderWebhook,
+  'api/order_update': processIntegrationOrderWebhook,
+  'api/budget_sync': processBudgetSyncWebhook,
+  // Custom webhooks are kept in the inbox for the receiving team to inspect
+  'api/custom': async (body) => ({ accepted: true, source: body?.source || null })
+};
+
+export const WEBHOOK_INBOX_STATUSES = ['pending', 'processing', 'processed', 'failed', 'dead_letter'];
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+// First retry after a minute, doubling up to six hours
+const BASE_BACKOFF_SECONDS = 60;
+const MAX_BACKOFF_SECONDS = 6 * 60 * 60;
+// Events left in processing this long (e.g. the server restarted mid-attempt) are claimed again
+const STALE_LOCK_MINUTES = 15;
+
+function getBackoffSeconds(attempts) {
+  return Math.min(BASE_BACKOFF_SECONDS * Math.pow(2, Math.max(attempts - 1, 0)), MAX_BACKOFF_SECONDS);
+}
+
+/**
+ * Build the inbox key of a request without an X-Shopify-Webhook-Id header
+ * @param {string} rawBody - Raw request body
+ * @returns {string} Key derived from the body, so identical retries are still dropped
+ */
+export function getWebhookBodyKey(rawBody) {
+  return `sha256:${crypto.createHash('sha256').update(rawBody || '', 'utf8').digest('hex')}`;
+}
+
+/**
+ * Store an incoming webhook in the inbox
+ * @param {Object} event - { webhookId, topic, shop, source, payload }
+ * @returns {Promise<Object>} { id, duplicate } - duplicate is true when the webhook ID was already stored
+ */
+export async function enqueueWebhookEvent({ webhookId, topic, shop = null, source = 'shopify', payload }) {
+  if (!webhookId || !topic) {
+    throw new Error('Webhook ID and topic are required');
+  }
+
+  const body = typeof payload === 'string' ? payload : JSON.stringify(payload ?? {});
+
+  try {
+    const inserted = await mssql.query(`
+      INSERT INTO shopify.webhook_inbox (webhook_id, topic, shop, source, payload)
+      OUTPUT inserted.id
+      SELECT @webhookId, @topic, @shop, @source, @payload
+      WHERE NOT EXISTS (SELECT 1 FROM shopify.webhook_inbox WHERE webhook_id = @webhookId)
+    `, { webhookId, topic, shop, source, payload: body });
+
+    if (inserted.length > 0) {
+      return { id: inserted[0].id, duplicate: false };
+    }
+  } catch (error) {
+    // 2627: a concurrent delivery of the same webhook was stored first
+    if (error.number !== 2627) {
+      console.error("Error storing webhook event:", error);
+      throw new Error(`Failed to store webhook event: ${error.message}`);
+    }
+  }
+
+  const existing = await mssql.query(`
+    SELECT id FROM shopify.webhook_inbox WHERE webhook_id = @webhookId
+  `, { webhookId });
+
+  return { id: existing[0]?.id ?? null, duplicate: true };
+}
+
+/**
+ * Process one inbox event if it is due (pending, failed and past its backoff, or stale)
+ * @param {number} id - Inbox event ID
+ * @returns {Promise<Object>} { id, status, attempts, error?, result? } - status 'skipped' when not due
+ */
+export async function processWebhookEvent(id) {
+  const claimed = await mssql.query(`
+    UPDATE shopify.webhook_inbox
+    SET status = 'processing',
+        locked_at = GETUTCDATE(),
+        attempts = attempts + 1
+    OUTPUT inserted.id, inserted.topic, inserted.payload, inserted.attempts
+    WHERE id = @id
+      AND (
+        (status IN ('pending', 'failed') AND next_attempt_at <= GETUTCDATE())
+        OR (status = 'processing' AND locked_at < DATEADD(MINUTE, -@staleMinutes, GETUTCDATE()))
+      )
+  `, { id, staleMinutes: STALE_LOCK_MINUTES });
+
+  const event = claimed[0];
+  if (!event) {
+    return { id, status: 'skipped' };
+  }
+
+  const handler = WEBHOOK_TOPIC_HANDLERS[event.topic];
+
+  try {
+    if (!handler) {
+      throw new Error(`No handler for webhook topic ${event.topic}`);
+    }
+
+    const result = await handler(JSON.parse(event.payload));
+
+    await mssql.execute(`
+      UPDATE shopify.webhook_inbox
+      SET status = 'processed',
+          processed_at = GETUTCDATE(),
+          locked_at = NULL,
+          last_error = NULL,
+          result = @result
+      WHERE id = @id
+    `, { id: event.id, result: JSON.stringify(result ?? null) });
+
+    return { id: event.id, status: 'processed', attempts: event.attempts, result };
+
+  } catch (error) {
+    // Events without a handler or with an unreadable payload will never succeed
+    const permanent = !handler || error instanceof SyntaxError;
+    const status = permanent || event.attempts >= MAX_ATTEMPTS ? 'dead_letter' : 'failed';
+
+    console.error(`❌ Webhook event ${event.id} (${event.topic}) attempt ${event.attempts} failed:`, error);
+
+    await mssql.execute(`
+      UPDATE shopify.webhook_inbox
+      SET status = @status,
+          locked_at = NULL,
+          last_error = @lastError,
+          next_attempt_at = DATEADD(SECOND, @backoffSeconds, GETUTCDATE())
+      WHERE id = @id
+    `, {
+      id: event.id,
+      status,
+      lastError: error.message,
+      backoffSeconds: getBackoffSeconds(event.attempts)
+    });
+
+    return { id: event.id, status, attempts: event.attempts, error: error.message };
+  }
+}
+
+/**
+ * Store an incoming webhook and start processing it without waiting for the result,
+ * so the sender gets its response as soon as the event is safely stored
+ * @param {Object} event - { webhookId, topic, shop, source, payload }
+ * @returns {Promise<Object>} { id, duplicate }
+ */
+export async function receiveWebhookEvent(event) {
+  const stored = await enqueueWebhookEvent(event);
+
+  if (stored.duplicate) {
+    console.log(`↩️  Duplicate ${event.topic} webhook ${event.webhookId} dropped`);
+  } else {
+    processWebhookEvent(stored.id).catch(error => {
+      console.error(`❌ Webhook event ${stored.id} could not be processed; it will be retried:`, error);
+    });
+  }
+
+  return stored;
+}
+
+/**
+ * Process inbox events that are due, oldest first
+ * @param {Object} options - { limit } maximum number of events to process
+ * @returns {Promise<Object>} { processed, failed, deadLettered, events }
+ */
+export async function processDueWebhookEvents({ limit = 100 } = {}) {
+  try {
+    const due = await mssql.query(`
+      SELECT TOP (@limit) id
+      FROM shopify.webhook_inbox
+      WHERE (status IN ('pending', 'failed') AND next_attempt_at <= GETUTCDATE())
+         OR (status = 'processing' AND locked_at < DATEADD(MINUTE, -@staleMinutes, GETUTCDATE()))
+      ORDER BY next_attempt_at, id
+    `, { limit, staleMinutes: STALE_LOCK_MINUTES });
+
+    const events = [];
+    for (const row of due) {
+      events.push(await processWebhookEvent(row.id));
+    }
+
+    return {
+      processed: events.filter(event => event.status === 'processed').length,
+      failed: events.filter(event => event.status === 'failed').length,
+      deadLettered: events.filter(event => event.status === 'dead_letter').length,
+      events
+    };
+
+  } catch (error) {
+    console.error("Error processing webhook inbox:", error);
+    throw new Error(`Failed to process webhook inbox: ${error.message}`);
+  }
+}
+
+/**
+ * Replay a failed or dead-lettered event: reset its attempts and process it now
+ * @param {number} id - Inbox event ID
+ * @param {string} actor - Staff member replaying the event
+ * @returns {Promise<Object>} Result of the replayed attempt
+ */
+export async function replayWebhookEvent(id, actor) {
+  try {
+    const result = await mssql.execute(`
+      UPDATE shopify.webhook_inbox
+      SET status = 'pending',
+          attempts = 0,
+          next_attempt_at = GETUTCDATE(),
+          replayed_by = @actor,
+          replayed_at = GETUTCDATE()
+      WHERE id = @id AND status IN ('failed', 'dead_letter')
+    `, { id, actor: actor || 'system' });
+
+    if (result.rowsAffected[0] === 0) {
+      throw new Error('Only failed or dead-lettered events can be replayed');
+    }
+
+    return await processWebhookEvent(id);
+
+  } catch (error) {
+    console.error("Error replaying webhook event:", error);
+    throw new Error(`Failed to replay webhook event: ${error.message}`);
+  }
+}
+
+/**
+ * Get inbox events with pagination
+ * @param {Object} options - { status, topic, page, limit }
+ * @returns {Promise<Object>} { events, pagination, statusCounts }
+ */
+export async function getWebhookInboxEvents({ status = null, topic = null, page = 1, limit = 25 } = {}) {
+  try {
+    const offset = (page - 1) * limit;
+    const where = `
+      WHERE (@status IS NULL OR status = @status)
+        AND (@topic IS NULL OR topic = @topic)
+    `;
+    const params = { status, topic, offset, limit };
+
+    const events = await mssql.query(`
+      SELECT id, webhook_id, topic, shop, source, status, attempts, next_attempt_at,
+             last_error, received_at, processed_at, replayed_by, replayed_at
+      FROM shopify.webhook_inbox
+      ${where}
+      ORDER BY received_at DESC, id DESC
+      OFFSET @offset ROWS FETCH NEXT @limit ROWS ONLY
+    `, params);
+
+    const totals = await mssql.query(`
+      SELECT COUNT(*) as total FROM shopify.webhook_inbox ${where}
+    `, params);
+
+    const counts = await mssql.query(`
+      SELECT status, COUNT(*) as count FROM shopify.webhook_inbox GROUP BY status
+    `);
+
+    const statusCounts = Object.fromEntries(WEBHOOK_INBOX_STATUSES.map(value => [value, 0]));
+    counts.forEach(row => {
+      statusCounts[row.status] = row.count;
+    });
+
+    const total = totals[0]?.total || 0;
+
+    return {
+      events,
+      statusCounts,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    };
+
+  } catch (error) {
+    console.error("Error fetching webhook inbox:", error);
+    throw new Error(`Failed to fetch webhook inbox: ${error.message}`);
+  }
+}
+
+/**
+ * Get one inbox event with its payload and result
+ * @param {number} id - Inbox event ID
+ * @returns {Promise<Object|null>} Event, null when not found
+ */
+export async function getWebhookInboxEvent(id) {
+  try {
+    const events = await mssql.query(`
+      SELECT *
+      FROM shopify.webhook_inbox
+      WHERE id = @id
+    `, { id });
+
+    return events[0] || null;
+
+  } catch (error) {
+    console.error("Error fetching webhook event:", error);
+    throw new Error(`Failed to fetch webhook event: ${error.message}`);
+  }
+}
@@ -0,0 +1,391 @@
+import 'dotenv/config';
+import crypto from 'crypto';
+import mssql from "../mssql.server.js";
+import { verifyShopifyWebhookSignature } from "../utils/shopify-security.server.js";
+
+/**
+ * Webhook Integration Actions
+ * Per-integration credentials for /api/webhook. An integration authenticates with either
+ *
+ * - an API key:      Authorization: Bearer whk_...  (only a SHA-256 hash of the key is stored)
+ * - an HMAC secret:  X-Integration-Key: whs_1a2b3c4d (the key prefix),
+ *                    X-Integration-Timestamp: Unix time in seconds and
+ *                    X-Integration-Hmac-Sha256: base64 HMAC-SHA256 of "<timestamp>.<raw body>"
+ *                    (the secret is stored encrypted, as it is needed to verify signatures;
+ *                    requests outside the timestamp tolerance are rejected as replays)
+ *
+ * and may only send the webhook types in its scope. Requests signed with the app's own
+ * Shopify secret (X-Shopify-Hmac-Sha256) are accepted for untyped Shopify order payloads.
+ *
+ * Database Schema:
+ * - shopify.webhook_integrations - Integrations, credentials and scopes
+ * - shopify.webhook_request_log - Every /api/webhook request with its integration and outcome
+ */
+
+// Webhook types external systems can send to /api/webhook
+export const WEBHOOK_TYPES = ['order_budget_month', 'order_update', 'budget_sync', 'custom'];
+
+export const WEBHOOK_AUTH_METHODS = ['api_key', 'hmac'];
+
+// Integration name logged for requests signed with the app's Shopify API secret
+export const SHOPIFY_INTEGRATION_NAME = 'Shopify';
+
+const KEY_PREFIXES = {
+  api_key: 'whk_',
+  hmac: 'whs_'
+};
+// Characters of a credential shown in the admin app and sent as X-Integration-Key
+const KEY_PREFIX_LENGTH = 12;
+// How far X-Integration-Timestamp may be from the server clock
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+function hashApiKey(apiKey) {
+  return crypto.createHash('sha256').update(apiKey, 'utf8').digest('hex');
+}
+
+function getEncryptionKey() {
+  const secret = process.env.WEBHOOK_SECRET_ENCRYPTION_KEY || process.env.SHOPIFY_API_SECRET;
+  if (!secret) {
+    throw new Error('WEBHOOK_SECRET_ENCRYPTION_KEY is not configured');
+  }
+  return crypto.createHash('sha256').update(secret, 'utf8').digest();
+}
+
+function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+}
+
+function decryptSecret(value) {
+  const [iv, authTag, encrypted] = value.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(authTag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a || ''));
+  const right = Buffer.from(String(b || ''));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+function parseAllowedTypes(value) {
+  return String(value || '').split(',').map(type => type.trim()).filter(Boolean);
+}
+
+function toIntegration(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    authMethod: row.auth_method,
+    keyPrefix: row.key_prefix,
+    allowedTypes: parseAllowedTypes(row.allowed_types),
+    status: row.status,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    revokedBy: row.revoked_by,
+    revokedAt: row.revoked_at,
+    lastUsedAt: row.last_used_at
+  };
+}
+
+/**
+ * Get all integrations (credentials are never returned)
+ * @returns {Promise<Array>} Integrations, active first
+ */
+export async function getWebhookIntegrations() {
+  try {
+    const rows = await mssql.query(`
+      SELECT id, name, auth_method, key_prefix, allowed_types, status, created_by, created_at,
+             revoked_by, revoked_at, last_used_at
+      FROM shopify.webhook_integrations
+      ORDER BY CASE WHEN status = 'active' THEN 0 ELSE 1 END, name
+    `);
+
+    return rows.map(toIntegration);
+  } catch (error) {
+    console.error("Error fetching webhook integrations:", error);
+    throw new Error(`Failed to fetch webhook integrations: ${error.message}`);
+  }
+}
+
+/**
+ * Create an integration and its credential
+ * The API key or shared secret is only returned here; it cannot be read back later.
+ * @param {Object} integrationData - { name, authMethod, allowedTypes, createdBy }
+ * @returns {Promise<Object>} { success, data: { integration, credential }, error }
+ */
+export async function createWebhookIntegration(integrationData) {
+  try {
+    const name = String(integrationData.name || '').trim();
+    if (!name) {
+      return { success: false, error: "Integration name is required" };
+    }
+
+    const authMethod = integrationData.authMethod;
+    if (!WEBHOOK_AUTH_METHODS.includes(authMethod)) {
+      return { success: false, error: "Authentication must be an API key or an HMAC shared secret" };
+    }
+
+    const allowedTypes = [...new Set(integrationData.allowedTypes || [])];
+    if (allowedTypes.length === 0 || allowedTypes.some(type => !WEBHOOK_TYPES.includes(type))) {
+      return { success: false, error: `Select at least one webhook type (${WEBHOOK_TYPES.join(', ')})` };
+    }
+
+    const existing = await mssql.query(`
+      SELECT id FROM shopify.webhook_integrations WHERE name = @name
+    `, { name });
+
+    if (existing.length > 0) {
+      return { success: false, error: `An integration named "${name}" already exists` };
+    }
+
+    // The key prefix identifies an HMAC integration, so it must not match an active one
+    let credential;
+    for (let attempt = 0; attempt < 5 && !credential; attempt++) {
+      const candidate = `${KEY_PREFIXES[authMethod]}${crypto.randomBytes(24).toString('hex')}`;
+      const taken = await mssql.query(`
+        SELECT id FROM shopify.webhook_integrations
+        WHERE key_prefix = @keyPrefix AND status = 'active'
+      `, { keyPrefix: candidate.slice(0, KEY_PREFIX_LENGTH) });
+
+      if (taken.length === 0) credential = candidate;
+    }
+
+    if (!credential) {
+      return { success: false, error: "Could not generate a unique integration key, please try again" };
+    }
+
+    const result = await mssql.query(`
+      INSERT INTO shopify.webhook_integrations
+        (name, auth_method, key_prefix, key_hash, encrypted_secret, allowed_types, created_by)
+      OUTPUT INSERTED.*
+      VALUES (@name, @authMethod, @keyPrefix, @keyHash, @encryptedSecret, @allowedTypes, @createdBy)
+    `, {
+      name,
+      authMethod,
+      keyPrefix: credential.slice(0, KEY_PREFIX_LENGTH),
+      keyHash: authMethod === 'api_key' ? hashApiKey(credential) : null,
+      encryptedSecret: authMethod === 'hmac' ? encryptSecret(credential) : null,
+      allowedTypes: allowedTypes.join(','),
+      createdBy: integrationData.createdBy || 'system'
+    });
+
+    return {
+      success: true,
+      data: {
+        integration: toIntegration(result[0]),
+        credential
+      }
+    };
+  } catch (error) {
+    console.error("Error creating webhook integration:", error);
+    return { success: false, error: `Failed to create webhook integration: ${error.message}` };
+  }
+}
+
+/**
+ * Revoke an integration; its credential is rejected from then on
+ * @param {string|number} integrationId - Integration ID
+ * @param {string} actor - Staff member revoking the integration
+ * @returns {Promise<boolean>} Success status
+ */
+export async function revokeWebhookIntegration(integrationId, actor) {
+  try {
+    const result = await mssql.execute(`
+      UPDATE shopify.webhook_integrations
+      SET status = 'revoked',
+          key_hash = NULL,
+          encrypted_secret = NULL,
+          revoked_by = @actor,
+          revoked_at = GETUTCDATE()
+      WHERE id = @integrationId AND status = 'active'
+    `, { integrationId, actor: actor || 'system' });
+
+    return result.rowsAffected && result.rowsAffected[0] > 0;
+  } catch (error) {
+    console.error("Error revoking webhook integration:", error);
+    throw new Error(`Failed to revoke webhook integration: ${error.message}`);
+  }
+}
+
+/**
+ * Authenticate an /api/webhook request
+ * @param {Request} request - The request (headers are read)
+ * @param {string} rawBody - Raw request body, for HMAC verification
+ * @returns {Promise<Object>} { authenticated, integration?, authMethod?, error? }
+ *   integration is { id, name, allowedTypes } (id is null for the app's Shopify secret)
+ */
+export async function authenticateWebhookRequest(request, rawBody) {
+  const authorization = request.headers.get('Authorization') || '';
+  const integrationKey = request.headers.get('X-Integration-Key');
+  const integrationSignature = request.headers.get('X-Integration-Hmac-Sha256');
+  const integrationTimestamp = request.headers.get('X-Integration-Timestamp');
+  const shopifySignature = request.headers.get('X-Shopify-Hmac-Sha256');
+
+  if (authorization.startsWith('Bearer ')) {
+    const apiKey = authorization.slice('Bearer '.length).trim();
+    const rows = await mssql.query(`
+      SELECT id, name, allowed_types, key_hash
+      FROM shopify.webhook_integrations
+      WHERE key_hash = @keyHash AND auth_method = 'api_key' AND status = 'active'
+    `, { keyHash: hashApiKey(apiKey) });
+
+    if (!rows[0] || !safeEqual(rows[0].key_hash, hashApiKey(apiKey))) {
+      return { authenticated: false, authMethod: 'api_key', error: "Invalid or revoked API key" };
+    }
+
+    return {
+      authenticated: true,
+      authMethod: 'api_key',
+      integration: { id: rows[0].id, name: rows[0].name, allowedTypes: parseAllowedTypes(rows[0].allowed_types) }
+    };
+  }
+
+  if (integrationKey || integrationSignature) {
+    const rows = await mssql.query(`
+      SELECT id, name, allowed_types, encrypted_secret
+      FROM shopify.webhook_integrations
+      WHERE key_prefix = @keyPrefix AND auth_method = 'hmac' AND status = 'active'
+    `, { keyPrefix: String(integrationKey || '').slice(0, KEY_PREFIX_LENGTH) });
+
+    if (rows.length === 0 || !integrationSignature) {
+      return { authenticated: false, authMethod: 'hmac', error: "Unknown or revoked integration key, or missing signature" };
+    }
+
+    const timestamp = /^\d+$/.test(integrationTimestamp || '') ? parseInt(integrationTimestamp) : NaN;
+    if (isNaN(timestamp) || Math.abs(Date.now() / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+      return {
+        authenticated: false,
+        authMethod: 'hmac',
+        integration: rows.length === 1 ? { id: rows[0].id, name: rows[0].name, allowedTypes: [] } : null,
+        error: `Missing or expired X-Integration-Timestamp (must be within ${SIGNATURE_TOLERANCE_SECONDS} seconds)`
+      };
+    }
+
+    // Check every integration with the prefix: duplicates created before the unique index may remain
+    const signature = integrationSignature.replace('sha256=', '');
+    const row = rows.find(candidate => safeEqual(
+      crypto
+        .createHmac('sha256', decryptSecret(candidate.encrypted_secret))
+        .update(`${integrationTimestamp}.${rawBody}`, 'utf8')
+        .digest('base64'),
+      signature
+    ));
+
+    if (!row) {
+      return {
+        authenticated: false,
+        authMethod: 'hmac',
+        integration: rows.length === 1 ? { id: rows[0].id, name: rows[0].name, allowedTypes: [] } : null,
+        error: "Invalid signature"
+      };
+    }
+
+    return {
+      authenticated: true,
+      authMethod: 'hmac',
+      integration: { id: row.id, name: row.name, allowedTypes: parseAllowedTypes(row.allowed_types) }
+    };
+  }
+
+  if (shopifySignature) {
+    if (!verifyShopifyWebhookSignature(rawBody, shopifySignature, process.env.SHOPIFY_API_SECRET)) {
+      return { authenticated: false, authMethod: 'shopify', error: "Invalid webhook signature" };
+    }
+
+    return {
+      authenticated: true,
+      authMethod: 'shopify',
+      integration: { id: null, name: SHOPIFY_INTEGRATION_NAME, allowedTypes: [] }
+    };
+  }
+
+  return { authenticated: false, error: "Missing credentials: send an integration API key or HMAC signature" };
+}
+
+/**
+ * Record the last time an integration authenticated successfully
+ * @param {string|number} integrationId - Integration ID
+ */
+export async function touchWebhookIntegration(integrationId) {
+  try {
+    await mssql.execute(`
+      UPDATE shopify.webhook_integrations SET last_used_at = GETUTCDATE() WHERE id = @integrationId
+    `, { integrationId });
+  } catch (error) {
+    console.error("Error updating webhook integration usage:", error);
+  }
+}
+
+/**
+ * Log an /api/webhook request. Logging failures are reported but never fail the request.
+ * @param {Object} entry - { integration, authMethod, webhookType, statusCode, outcome, error, inboxId, ipAddress }
+ */
+export async function logWebhookRequest(entry) {
+  try {
+    await mssql.execute(`
+      INSERT INTO shopify.webhook_request_log
+        (integration_id, integration_name, auth_method, webhook_type, status_code, outcome, error, inbox_id, ip_address)
+      VALUES
+        (@integrationId, @integrationName, @authMethod, @webhookType, @statusCode, @outcome, @error, @inboxId, @ipAddress)
+    `, {
+      integrationId: entry.integration?.id ?? null,
+      integrationName: entry.integration?.name ?? null,
+      authMethod: entry.authMethod || null,
+      webhookType: entry.webhookType || null,
+      statusCode: entry.statusCode,
+      outcome: entry.outcome,
+      error: entry.error || null,
+      inboxId: entry.inboxId ?? null,
+      ipAddress: entry.ipAddress || null
+    });
+  } catch (error) {
+    console.error("Error logging webhook request:", error);
+  }
+}
+
+/**
+ * Get the webhook request log with pagination
+ * @param {Object} options - { integrationId, outcome, page, limit }
+ * @returns {Promise<Object>} { requests, pagination }
+ */
+export async function getWebhookRequestLog({ integrationId = null, outcome = null, page = 1, limit = 50 } = {}) {
+  try {
+    const offset = (page - 1) * limit;
+    const where = `
+      WHERE (@integrationId IS NULL OR integration_id = @integrationId)
+        AND (@outcome IS NULL OR outcome = @outcome)
+    `;
+    const params = { integrationId, outcome, offset, limit };
+
+    const requests = await mssql.query(`
+      SELECT *
+      FROM shopify.webhook_request_log
+      ${where}
+      ORDER BY received_at DESC, id DESC
+      OFFSET @offset ROWS FETCH NEXT @limit ROWS ONLY
+    `, params);
+
+    const totals = await mssql.query(`
+      SELECT COUNT(*) as total FROM shopify.webhook_request_log ${where}
+    `, params);
+
+    const total = totals[0]?.total || 0;
+
+    return {
+      requests,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    };
+  } catch (error) {
+    console.error("Error fetching webhook request log:", error);
+    throw new Error(`Failed to fetch webhook request log: ${error.message}`);
+  }
+}
@@ -0,0 +1,47 @@
+import { useState } from "react";
+import { Button, InlineStack, Text } from "@shopify/polaris";
+import { downloadFile } from "../utils/download-file.js";
+
+/**
+ * Download button for the monthly budget statement PDF of a facility
+ * (the /app/budget-statement resource route).
+ *
+ * @param {string} companyLocationId - Company location ID
+ * @param {string} month - Month (MM)
+ * @param {string} year - Year (YYYY)
+ * @param {string} spendDefinition - Spend definition, empty for the default
+ * @param {boolean} plain - Render as a plain (link-style) button, e.g. in a table row
+ */
+export function BudgetStatementButton({ companyLocationId, month, year, spendDefinition, plain = false }) {
+  const [downloading, setDownloading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleDownload = async () => {
+    const params = new URLSearchParams({ companyLocationId, month, year });
+    if (spendDefinition) params.set("spendDefinition", spendDefinition);
+
+    setDownloading(true);
+    setError(null);
+
+    try {
+      await downloadFile(`/app/budget-statement?${params.toString()}`, `budget-statement-${companyLocationId}.pdf`);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  return (
+    <InlineStack gap="200" blockAlign="center">
+      <Button variant={plain ? "plain" : undefined} onClick={handleDownload} loading={downloading} disabled={!companyLocationId}>
+        {plain ? "PDF" : "PDF Statement"}
+      </Button>
+      {error && (
+        <Text as="span" tone="critical">
+          {error}
+        </Text>
+      )}
+    </InlineStack>
+  );
+}
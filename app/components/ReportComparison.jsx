@@ -0,0 +1,194 @@
+import { Badge, BlockStack, Card, DataTable, InlineGrid, Text } from "@shopify/polaris";
+
+const STATUS_BADGES = {
+  new: { tone: "success", label: "New" },
+  discontinued: { tone: "critical", label: "Discontinued" },
+};
+
+function getPeriodLabel(period) {
+  return new Date(parseInt(period.year), parseInt(period.month) - 1, 1)
+    .toLocaleString("en-US", { month: "short", year: "numeric" });
+}
+
+function formatFigure(value, format) {
+  if (value === null || value === undefined) return "—";
+  if (format === "currency") return `$${value.toFixed(2)}`;
+  if (format === "percent") return `${value.toFixed(1)}%`;
+  return String(Math.round(value * 100) / 100);
+}
+
+function formatChange(delta, format) {
+  if (!delta || delta.change === null) return "—";
+
+  const sign = delta.change > 0 ? "+" : delta.change < 0 ? "-" : "";
+  const magnitude = Math.abs(delta.change);
+  const change = format === "currency"
+    ? `${sign}$${magnitude.toFixed(2)}`
+    : format === "percent"
+      ? `${sign}${magnitude.toFixed(1)} pts`
+      : `${sign}${Math.round(magnitude * 100) / 100}`;
+
+  if (delta.changePercent === null) return change;
+  return `${change} (${delta.changePercent > 0 ? "+" : ""}${delta.changePercent.toFixed(1)}%)`;
+}
+
+function ProductList({ title, products }) {
+  return (
+    <BlockStack gap="200">
+      <Text as="h4" variant="headingSm">
+        {title} ({products.length})
+      </Text>
+      {products.length === 0 ? (
+        <Text as="p" tone="subdued">None</Text>
+      ) : (
+        <DataTable
+          columnContentTypes={["text", "text", "numeric", "numeric"]}
+          headings={["Product", "SKU", "Qty", "Value"]}
+          rows={products.map(product => [
+            product.product_name,
+            product.sku || "N/A",
+            formatFigure(product.quantity),
+            formatFigure(product.value, "currency"),
+          ])}
+        />
+      )}
+    </BlockStack>
+  );
+}
+
+/**
+ * Month-over-month and year-over-year comparison of a monthly report: the report month
+ * next to the prior month and the same month last year, with the change of each figure
+ * and the new and discontinued products.
+ *
+ * @param {Object} comparison - Result of a report comparison action (report-comparisons.server.js)
+ * @param {Array} figures - Totals to show: [{ key, label, format: currency|percent|number }]
+ * @param {string} valueLabel - Heading of the value columns, e.g. "Net Value"
+ */
+export function ReportComparison({ comparison, figures, valueLabel = "Value" }) {
+  const { periods } = comparison;
+  const current = getPeriodLabel(periods.current);
+  const priorMonth = getPeriodLabel(periods.prior_month);
+  const priorYear = getPeriodLabel(periods.prior_year);
+
+  const compareColumns = (figure, format) => [
+    formatFigure(figure.current, format),
+    formatChange(figure.prior_month, format),
+    formatChange(figure.prior_year, format),
+  ];
+
+  return (
+    <BlockStack gap="400">
+      <Card>
+        <BlockStack gap="400">
+          <Text as="h2" variant="headingMd">
+            {current} vs {priorMonth} and {priorYear}
+          </Text>
+          <DataTable
+            columnContentTypes={["text", "numeric", "numeric", "numeric", "numeric", "numeric"]}
+            headings={["", current, priorMonth, `Change vs ${priorMonth}`, priorYear, `Change vs ${priorYear}`]}
+            rows={figures.map(({ key, label, format }) => {
+              const figure = comparison.totals[key];
+              return [
+                label,
+                formatFigure(figure.current, format),
+                formatFigure(figure.prior_month.value, format),
+                formatChange(figure.prior_month, format),
+                formatFigure(figure.prior_year.value, format),
+                formatChange(figure.prior_year, format),
+              ];
+            })}
+          />
+        </BlockStack>
+      </Card>
+
+      {comparison.categories && comparison.categories.length > 0 && (
+        <Card>
+          <BlockStack gap="400">
+            <Text as="h2" variant="headingMd">
+              Categories
+            </Text>
+            <DataTable
+              columnContentTypes={["text", "numeric", "numeric", "numeric", "numeric", "numeric", "numeric", "numeric", "numeric", "numeric"]}
+              headings={[
+                "Category",
+                valueLabel, `vs ${priorMonth}`, `vs ${priorYear}`,
+                "Qty", `vs ${priorMonth}`, `vs ${priorYear}`,
+                "Budget Used", `vs ${priorMonth}`, `vs ${priorYear}`,
+              ]}
+              rows={comparison.categories.map(category => [
+                category.category_name,
+                ...compareColumns(category.value, "currency"),
+                ...compareColumns(category.quantity),
+                ...compareColumns(category.budgetUtilization, "percent"),
+              ])}
+            />
+          </BlockStack>
+        </Card>
+      )}
+
+      <Card>
+        <BlockStack gap="400">
+          <Text as="h2" variant="headingMd">
+            Products ({comparison.products.length})
+          </Text>
+          {comparison.products.length === 0 ? (
+            <Text as="p" tone="subdued">
+              No products were ordered in {current}, {priorMonth} or {priorYear}.
+            </Text>
+          ) : (
+            <DataTable
+              columnContentTypes={["text", "text", "numeric", "numeric", "numeric", "numeric", "numeric", "numeric", "text"]}
+              headings={[
+                "Product", "SKU",
+                "Qty", `vs ${priorMonth}`, `vs ${priorYear}`,
+                valueLabel, `vs ${priorMonth}`, `vs ${priorYear}`,
+                "Status",
+              ]}
+              rows={comparison.products.map(product => {
+                const badges = [
+                  ["prior_month", priorMonth],
+                  ["prior_year", priorYear],
+                ].filter(([period]) => STATUS_BADGES[product.status[period]]);
+
+                return [
+                  product.product_name,
+                  product.sku || "N/A",
+                  ...compareColumns(product.quantity),
+                  ...compareColumns(product.value, "currency"),
+                  badges.length > 0 ? (
+                    <BlockStack gap="100">
+                      {badges.map(([period, label]) => (
+                        <Badge key={period} tone={STATUS_BADGES[product.status[period]].tone}>
+                          {`${STATUS_BADGES[product.status[period]].label} vs ${label}`}
+                        </Badge>
+                      ))}
+                    </BlockStack>
+                  ) : "",
+                ];
+              })}
+            />
+          )}
+        </BlockStack>
+      </Card>
+
+      <Card>
+        <BlockStack gap="400">
+          <Text as="h2" variant="headingMd">
+            New and Discontinued Products
+          </Text>
+          <Text as="p" tone="subdued">
+            New products were ordered in {current} but not in the comparison month; discontinued products
+            were ordered in the comparison month but not in {current} (values are of the month they were ordered in).
+          </Text>
+          <InlineGrid columns={{ xs: 1, md: 2 }} gap="400">
+            <ProductList title={`New since ${priorMonth}`} products={comparison.changes.prior_month.newProducts} />
+            <ProductList title={`Discontinued since ${priorMonth}`} products={comparison.changes.prior_month.discontinuedProducts} />
+            <ProductList title={`New since ${priorYear}`} products={comparison.changes.prior_year.newProducts} />
+            <ProductList title={`Discontinued since ${priorYear}`} products={comparison.changes.prior_year.discontinuedProducts} />
+          </InlineGrid>
+        </BlockStack>
+      </Card>
+    </BlockStack>
+  );
+}
@@ -0,0 +1,52 @@
+import { useState } from "react";
+import { Button, ButtonGroup, InlineStack, Text } from "@shopify/polaris";
+import { downloadFile } from "../utils/download-file.js";
+
+/**
+ * CSV and Excel download buttons for a report page.
+ * The export resource route (/app/export/:report) is fetched with the page's filters.
+ *
+ * @param {string} report - Report name, e.g. "monthly-orders"
+ * @param {Object} filters - The page's filters as URL parameters
+ * @param {boolean} disabled - Disable the buttons (e.g. before a search)
+ */
+export function ReportExportButtons({ report, filters, disabled = false }) {
+  const [exporting, setExporting] = useState(null);
+  const [error, setError] = useState(null);
+
+  const handleExport = async (format) => {
+    const params = new URLSearchParams({ format });
+    Object.entries(filters || {}).forEach(([key, value]) => {
+      if (value !== null && value !== undefined && value !== "") params.set(key, String(value));
+    });
+
+    setExporting(format);
+    setError(null);
+
+    try {
+      await downloadFile(`/app/export/${report}?${params.toString()}`, `${report}.${format}`);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  return (
+    <InlineStack gap="200" blockAlign="center">
+      <ButtonGroup>
+        <Button onClick={() => handleExport("csv")} loading={exporting === "csv"} disabled={disabled || exporting !== null}>
+          Export CSV
+        </Button>
+        <Button onClick={() => handleExport("xlsx")} loading={exporting === "xlsx"} disabled={disabled || exporting !== null}>
+          Export Excel
+        </Button>
+      </ButtonGroup>
+      {error && (
+        <Text as="span" tone="critical">
+          {error}
+        </Text>
+      )}
+    </InlineStack>
+  );
+}
@@ -0,0 +1,125 @@
+import {
+  validateShopifyProxyRequest,
+  createSecureProxyResponse,
+} from "../utils/shopify-security.server.js";
+import { getLocationActualPpd, PPD_TREND_MONTHS } from "../actions/ppd-analytics.server.js";
+import { authorizeCustomerLocationRequest } from "../actions/customer-location-access.server.js";
+import { SPEND_DEFINITIONS, getDefaultSpendDefinition } from "../actions/spend-definitions.server.js";
+
+/**
+ * Actual PPD API (Shopify app proxy)
+ * Net spend per patient-day of the buyer's company location, per category and budget
+ * month, against the budgeted PPD rates.
+ *
+ * GET /api/actual-ppd?companyLocationId=2348220643&endMonth=10-2025&months=12
+ *
+ * The request must be signed by the Shopify app proxy and come from a logged-in
+ * customer granted access to the location (see "Customer Location Access").
+ *
+ * Query Parameters:
+ * - companyLocationId: optional when the customer has a single location
+ * - endMonth: last budget month (MM-YYYY), defaults to the current month
+ * - months: months in the trend (1-24, default 12)
+ * - spendDefinition: optional, defaults to the configured spend definition
+ *
+ * Response data: { months, categories (each with its monthly series, window totals and
+ * trend), totals, trend, flags (category months above the budgeted PPD) }
+ */
+export const loader = async ({ request }) => {
+  try {
+    const validation = validateShopifyProxyRequest(
+      request,
+      process.env.SHOPIFY_API_SECRET,
+      true // Require customer login
+    );
+
+    if (!validation.isValid) {
+      console.log("Actual PPD proxy signature validation failed:", validation.error);
+      if (validation.response) {
+        return validation.response;
+      }
+
+      return createSecureProxyResponse(
+        {
+          success: false,
+          error: validation.error || "Invalid signature - secure authentication required",
+          data: null,
+        },
+        { status: 403 }
+      );
+    }
+
+    const url = new URL(request.url);
+    const endMonth = url.searchParams.get("endMonth")?.trim() || "";
+    const months = url.searchParams.get("months")?.trim() || String(PPD_TREND_MONTHS);
+    const spendDefinition = url.searchParams.get("spendDefinition")?.trim() || getDefaultSpendDefinition();
+
+    if (endMonth && !/^(0[1-9]|1[0-2])-\d{4}$/.test(endMonth)) {
+      return createSecureProxyResponse(
+        { success: false, error: "Invalid endMonth. Must be MM-YYYY", data: null },
+        { status: 400 }
+      );
+    }
+
+    if (!(parseInt(months) >= 1 && parseInt(months) <= 24)) {
+      return createSecureProxyResponse(
+        { success: false, error: "Invalid months. Must be between 1 and 24", data: null },
+        { status: 400 }
+      );
+    }
+
+    if (!SPEND_DEFINITIONS.includes(spendDefinition)) {
+      return createSecureProxyResponse(
+        {
+          success: false,
+          error: `Invalid spendDefinition. Must be one of: ${SPEND_DEFINITIONS.join(", ")}`,
+          data: null,
+        },
+        { status: 400 }
+      );
+    }
+
+    // The location must be granted to the logged-in customer
+    const access = await authorizeCustomerLocationRequest(validation.customerInfo, {
+      companyLocationId: url.searchParams.get("companyLocationId")?.trim() || "",
+    });
+
+    if (!access.authorized) {
+      return createSecureProxyResponse(
+        { success: false, error: access.error, data: null },
+        { status: access.status || 403 }
+      );
+    }
+
+    const companyLocationId = access.filters.companyLocationId;
+    if (!companyLocationId) {
+      return createSecureProxyResponse(
+        {
+          success: false,
+          error: "companyLocationId is required for customers with access to several locations",
+          data: { allowedLocationIds: access.allowedLocationIds },
+        },
+        { status: 400 }
+      );
+    }
+
+    const report = await getLocationActualPpd({
+      companyLocationId,
+      endMonth: endMonth || null,
+      months: parseInt(months),
+      spendDefinition,
+    });
+
+    return createSecureProxyResponse({
+      success: true,
+      error: null,
+      data: report,
+    });
+  } catch (error) {
+    console.error("Error in actual PPD API:", error);
+    return createSecureProxyResponse(
+      { success: false, error: "Failed to calculate actual PPD", data: null },
+      { status: 500 }
+    );
+  }
+};
@@ -0,0 +1,152 @@
+import {
+  validateShopifyProxyRequest,
+  createSecureProxyResponse,
+} from "../utils/shopify-security.server.js";
+import { checkCartAgainstBudget } from "../actions/fhr-orders-refunds.server.js";
+import { authorizeCustomerLocationRequest } from "../actions/customer-location-access.server.js";
+
+const MAX_CART_LINES = 250;
+
+/**
+ * Pre-checkout Budget Check API (Shopify app proxy)
+ * Lets the storefront warn or block a buyer before checkout when the cart would
+ * exceed the remaining budget of the buyer's company location.
+ *
+ * POST /api/budget-check
+ *
+ * The request must be signed by the Shopify app proxy and come from a logged-in
+ * customer granted access to the location (see "Customer Location Access").
+ *
+ * Request Body:
+ * {
+ *   "companyLocationId": "2348220643",     // optional when the customer has a single location
+ *   "lines": [{ "variantId": "44112233", "quantity": 2 }],
+ *   "month": "10", "year": "2025"          // optional, defaults to the current budget month
+ * }
+ *
+ * Response includes:
+ * - categories: remaining budget per budget category (full-month budget less net spend),
+ *   the cart amount in the category and whether the cart exceeds it
+ *   (remaining is null when no census could be resolved for the month)
+ * - lines: each cart line with its category, amount and overBudget (the cart up to and
+ *   including the line exceeds the category's remaining budget)
+ * - unknownVariantIds: variants that could not be found
+ * - overBudget: true when any category would be exceeded
+ */
+export const action = async ({ request }) => {
+  try {
+    if (request.method !== "POST") {
+      return createSecureProxyResponse(
+        { success: false, error: "Method not allowed", data: null },
+        { status: 405 }
+      );
+    }
+
+    const validation = validateShopifyProxyRequest(
+      request,
+      process.env.SHOPIFY_API_SECRET,
+      true // Require customer login
+    );
+
+    if (!validation.isValid) {
+      console.log("Budget check proxy signature validation failed:", validation.error);
+      if (validation.response) {
+        return validation.response;
+      }
+
+      return createSecureProxyResponse(
+        {
+          success: false,
+          error: validation.error || "Invalid signature - secure authentication required",
+          data: null,
+        },
+        { status: 403 }
+      );
+    }
+
+    let body;
+    try {
+      body = await request.json();
+    } catch (error) {
+      return createSecureProxyResponse(
+        { success: false, error: "Request body must be JSON", data: null },
+        { status: 400 }
+      );
+    }
+
+    const lines = Array.isArray(body?.lines) ? body.lines : null;
+    if (!lines || lines.length === 0 || lines.length > MAX_CART_LINES) {
+      return createSecureProxyResponse(
+        { success: false, error: `lines must contain 1 to ${MAX_CART_LINES} cart lines`, data: null },
+        { status: 400 }
+      );
+    }
+
+    if (lines.some(line => !line?.variantId || !(parseInt(line.quantity) > 0))) {
+      return createSecureProxyResponse(
+        { success: false, error: "Each line needs a variantId and a positive quantity", data: null },
+        { status: 400 }
+      );
+    }
+
+    if (body.month && !(parseInt(body.month) >= 1 && parseInt(body.month) <= 12)) {
+      return createSecureProxyResponse(
+        { success: false, error: "Invalid month. Must be between 01 and 12", data: null },
+        { status: 400 }
+      );
+    }
+
+    // The location must be granted to the logged-in customer
+    const access = await authorizeCustomerLocationRequest(validation.customerInfo, {
+      companyLocationId: body.companyLocationId,
+    });
+
+    if (!access.authorized) {
+      return createSecureProxyResponse(
+        { success: false, error: access.error, data: null },
+        { status: access.status || 403 }
+      );
+    }
+
+    const companyLocationId = access.filters.companyLocationId;
+    if (!companyLocationId) {
+      return createSecureProxyResponse(
+        {
+          success: false,
+          error: "companyLocationId is required for customers with access to several locations",
+          data: { allowedLocationIds: access.allowedLocationIds },
+        },
+        { status: 400 }
+      );
+    }
+
+    const result = await checkCartAgainstBudget({
+      companyLocationId,
+      lines,
+      month: body.month,
+      year: body.year,
+    });
+
+    return createSecureProxyResponse({
+      success: true,
+      error: null,
+      data: {
+        companyLocationId,
+        ...result,
+      },
+    });
+  } catch (error) {
+    console.error("Error in budget check API:", error);
+    return createSecureProxyResponse(
+      { success: false, error: "Failed to check cart against budget", data: null },
+      { status: 500 }
+    );
+  }
+};
+
+export const loader = async () => {
+  return createSecureProxyResponse(
+    { success: false, error: "Use POST with a cart payload", data: null },
+    { status: 405, headers: { Allow: "POST" } }
+  );
+};
@@ -0,0 +1,120 @@
+import {
+  validateShopifyProxyRequest,
+  createSecureProxyResponse,
+  createSecureProxyFileResponse,
+} from "../utils/shopify-security.server.js";
+import { getMonthlyBudgetStatement } from "../actions/budget-statements.server.js";
+import { authorizeCustomerLocationRequest } from "../actions/customer-location-access.server.js";
+import { SPEND_DEFINITIONS, getDefaultSpendDefinition } from "../actions/spend-definitions.server.js";
+import { renderBudgetStatementPdf, getBudgetStatementFilename } from "../services/budget-statement-pdf.service.js";
+
+/**
+ * Monthly Budget Statement API (Shopify app proxy)
+ * Downloads the budget-vs-actual statement of the buyer's company location as a PDF.
+ *
+ * GET /api/budget-statement?companyLocationId=2348220643&month=10&year=2025
+ *
+ * The request must be signed by the Shopify app proxy and come from a logged-in
+ * customer granted access to the location (see "Customer Location Access").
+ *
+ * Query Parameters:
+ * - companyLocationId: optional when the customer has a single location
+ * - month, year: optional, default to the current month
+ * - spendDefinition: optional, defaults to the configured spend definition
+ *
+ * Errors are returned as JSON like the other proxy routes.
+ */
+export const loader = async ({ request }) => {
+  try {
+    const validation = validateShopifyProxyRequest(
+      request,
+      process.env.SHOPIFY_API_SECRET,
+      true // Require customer login
+    );
+
+    if (!validation.isValid) {
+      console.log("Budget statement proxy signature validation failed:", validation.error);
+      if (validation.response) {
+        return validation.response;
+      }
+
+      return createSecureProxyResponse(
+        {
+          success: false,
+          error: validation.error || "Invalid signature - secure authentication required",
+          data: null,
+        },
+        { status: 403 }
+      );
+    }
+
+    const url = new URL(request.url);
+    const currentDate = new Date();
+    const month = url.searchParams.get("month")?.trim() || (currentDate.getMonth() + 1).toString().padStart(2, "0");
+    const year = url.searchParams.get("year")?.trim() || currentDate.getFullYear().toString();
+    const spendDefinition = url.searchParams.get("spendDefinition")?.trim() || getDefaultSpendDefinition();
+
+    if (!(parseInt(month) >= 1 && parseInt(month) <= 12)) {
+      return createSecureProxyResponse(
+        { success: false, error: "Invalid month. Must be between 01 and 12", data: null },
+        { status: 400 }
+      );
+    }
+
+    if (!/^\d{4}$/.test(year)) {
+      return createSecureProxyResponse(
+        { success: false, error: "Invalid year. Must be a 4-digit year", data: null },
+        { status: 400 }
+      );
+    }
+
+    if (!SPEND_DEFINITIONS.includes(spendDefinition)) {
+      return createSecureProxyResponse(
+        {
+          success: false,
+          error: `Invalid spendDefinition. Must be one of: ${SPEND_DEFINITIONS.join(", ")}`,
+          data: null,
+        },
+        { status: 400 }
+      );
+    }
+
+    // The location must be granted to the logged-in customer
+    const access = await authorizeCustomerLocationRequest(validation.customerInfo, {
+      companyLocationId: url.searchParams.get("companyLocationId")?.trim() || "",
+    });
+
+    if (!access.authorized) {
+      return createSecureProxyResponse(
+        { success: false, error: access.error, data: null },
+        { status: access.status || 403 }
+      );
+    }
+
+    const companyLocationId = access.filters.companyLocationId;
+    if (!companyLocationId) {
+      return createSecureProxyResponse(
+        {
+          success: false,
+          error: "companyLocationId is required for customers with access to several locations",
+          data: { allowedLocationIds: access.allowedLocationIds },
+        },
+        { status: 400 }
+      );
+    }
+
+    const statement = await getMonthlyBudgetStatement({ companyLocationId, month, year, spendDefinition });
+    const pdf = await renderBudgetStatementPdf(statement);
+
+    return createSecureProxyFileResponse(pdf, {
+      filename: getBudgetStatementFilename(statement),
+      contentType: "application/pdf",
+    });
+  } catch (error) {
+    console.error("Error in budget statement API:", error);
+    return createSecureProxyResponse(
+      { success: false, error: "Failed to generate budget statement", data: null },
+      { status: 500 }
+    );
+  }
+};
@@ -6,7 +6,15 @@ import {
   validateShopifyProxyRequest,
   createSecureProxyResponse,
 } from "../utils/shopify-security.server.js";
-import { getMonthlyOrderProductsByCategoryWithRefundsByBudgetMonth } from "../actions/index.server.js";
+import {
+  getMonthlyOrderProductsByCategoryWithRefundsByBudgetMonth,
+  getBudgetMonthRange,
+  getCategorySpendForBudgetMonthRange,
+  REFUND_ATTRIBUTION_MODES,
+  getMonthlyOrderCategoriesComparison,
+} from "../actions/index.server.js";
+import { authorizeCustomerLocationRequest } from "../actions/customer-location-access.server.js";
+import { SPEND_DEFINITIONS, getDefaultSpendDefinition } from "../actions/spend-definitions.server.js";
 
 // JSON Backup Storage Configuration
 const BACKUP_BASE_DIR = path.join(process.cwd(), 'data', 'daily-backups');
@@ -171,17 +179,63 @@ async function cleanOldBackups() {
  * GET /api/monthly-orders-by-category
  *
  * Query Parameters:
- * - customerId: Customer ID to filter by
- * - locationId: Location ID to filter by
- * - companyLocationId: Company Location ID to filter by
+ * - customerId: Customer ID to filter by (must be the logged-in customer)
+ * - locationId: Not accepted (400) - it filters retail locations, while grants are company locations
+ * - companyLocationId: Company Location ID to filter by (must be granted to the customer)
  * - month: Month (01-12, defaults to current month)
  * - year: Year (YYYY, defaults to current year)
+ * - refundAttribution: order_month (default) subtracts refunds from the month of the
+ *   refunded order, refund_month from the month the refund was processed in, both
+ *   returns the order_month report with the refund_month figures in byRefundMonth
+ * - spendDefinition: gross, discounted, discounted_tax or landed (defaults to SPEND_DEFINITION);
+ *   the definition used is returned as summary.spendDefinition
+ * - period: quarter, fiscal_year or custom - switches to a range of budget months (see below)
+ * - startMonth / endMonth: First and last budget month of a custom range (MM-YYYY); for
+ *   quarter and fiscal_year, endMonth picks the quarter or fiscal year (default current month)
+ * - compare: 'true' compares the month with the prior month and the same month last year (see below)
  * - signature: HMAC signature for proxy requests (optional for enhanced security)
  * - secure: Set to 'true' to require signature validation
  *
+ * Location authorization:
+ * - Grants are managed on the admin "Customer Location Access" page
+ * - Requests for a location not granted to the logged-in customer return 403
+ * - Requests without a location are narrowed to the customer's only granted
+ *   location, or to the customer's own orders
+ *
  * Response includes:
  * - categories: Array of product categories with net quantities/values
+ *   (budget is null and budgetAvailable false when no census could be resolved)
+ *   with fullMonthBudget, proratedBudget (budget to date), burnRate (net spend per day),
+ *   projectedSpend (end of month at the current burn rate) and projectedVariance
+ *   (projected spend minus full-month budget; positive means on track to overspend)
+ * - summary.census: census used for the budget and the fallback policy that produced it
+ *   (amount is the average daily census; the month in progress is budgeted to date over budgetedDays)
  * - summary: Total orders, refund metrics, net values
+ * - byRefundMonth: categories and summary with refunds by refund month (refundAttribution=both)
+ *
+ * Range responses (period, startMonth or endMonth given) instead include:
+ * - startMonth, endMonth, months: the budget months covered (at most 24). The quarter and
+ *   fiscal year (FISCAL_YEAR_START_MONTH) in progress end at the current month, giving
+ *   quarter-to-date and year-to-date figures
+ * - monthly: per budget month, the summary figures and each category's spend and budget
+ * - categories: per category, spend over the range against its summed budgets (budget is
+ *   the budget to date, fullMonthBudget the full months), variance, utilization (%) and
+ *   monthsWithoutBudget (months without a census)
+ * - totals: spend and summed budgets over the range
+ * Range requests take refundAttribution order_month or refund_month.
+ *
+ * Comparison responses (compare=true, single month only) instead include:
+ * - periods: the current, prior_month and prior_year months compared
+ * - totals: totalOrders, totalQuantity, totalValue, refundedValue, budget (to date) and
+ *   budgetUtilization (% of budget to date spent), each as
+ *   { current, prior_month: { value, change, changePercent }, prior_year: {...} }
+ * - categories: per category quantity, value, budget and budgetUtilization compared the same way
+ * - products: per product (by SKU) net quantity and value compared the same way, and its
+ *   status against each comparison month (new, discontinued, continued)
+ * - changes: per comparison month, the newProducts and discontinuedProducts
+ * Comparison requests take refundAttribution order_month or refund_month.
+ *
+ * Only single-month order_month responses under the default spend definition are backed up.
  * 
  * Backup File Structure:
  * data/daily-backups/
@@ -261,26 +315,127 @@ export const loader = async ({ request }) => {
     });
 
     // Parse query parameters
-    const customerId = url.searchParams.get("customerId")?.trim() || "";
-    const locationId = url.searchParams.get("locationId")?.trim() || "";
-    const companyLocationId =
-      url.searchParams.get("companyLocationId")?.trim() || "";
     const month = url.searchParams.get("month")?.trim() || "";
     const year = url.searchParams.get("year")?.trim() || "";
+    const refundAttribution = url.searchParams.get("refundAttribution")?.trim() || "order_month";
+    const defaultSpendDefinition = getDefaultSpendDefinition();
+    const spendDefinition = url.searchParams.get("spendDefinition")?.trim() || defaultSpendDefinition;
 
-    // Validate that at least one filter is provided
-    if (!customerId && !locationId && !companyLocationId) {
+    if (!REFUND_ATTRIBUTION_MODES.includes(refundAttribution)) {
       return json(
         {
           success: false,
-          error:
-            "At least one filter parameter is required (customerId, locationId, or companyLocationId)",
+          error: `Invalid refundAttribution. Must be one of: ${REFUND_ATTRIBUTION_MODES.join(", ")}`,
           data: null,
         },
         { status: 400 }
       );
     }
 
+    if (!SPEND_DEFINITIONS.includes(spendDefinition)) {
+      return json(
+        {
+          success: false,
+          error: `Invalid spendDefinition. Must be one of: ${SPEND_DEFINITIONS.join(", ")}`,
+          data: null,
+        },
+        { status: 400 }
+      );
+    }
+
+    // Restrict the requested filters to the locations granted to this customer
+    const access = await authorizeCustomerLocationRequest(customerInfo, {
+      customerId: url.searchParams.get("customerId"),
+      locationId: url.searchParams.get("locationId"),
+      companyLocationId: url.searchParams.get("companyLocationId"),
+    });
+
+    if (!access.authorized) {
+      return createSecureProxyResponse(
+        {
+          success: false,
+          error: access.error,
+          data: null,
+        },
+        { status: access.status || 403 }
+      );
+    }
+
+    const customerId = access.filters.customerId || "";
+    const companyLocationId = access.filters.companyLocationId || "";
+
+    // Range of budget months (quarter, fiscal year or custom) instead of one month
+    const period = url.searchParams.get("period")?.trim() || "";
+    const startMonth = url.searchParams.get("startMonth")?.trim() || "";
+    const endMonth = url.searchParams.get("endMonth")?.trim() || "";
+
+    const compare = url.searchParams.get("compare") === "true";
+
+    if (period || startMonth || endMonth) {
+      if (compare) {
+        return json(
+          {
+            success: false,
+            error: "compare is only available for single-month requests",
+            data: null,
+          },
+          { status: 400 }
+        );
+      }
+
+      const rangeFilters = { period: period || "custom", startMonth, endMonth };
+
+      try {
+        getBudgetMonthRange(rangeFilters);
+        if (refundAttribution === "both") {
+          throw new Error("Range requests take refundAttribution order_month or refund_month");
+        }
+      } catch (rangeError) {
+        return json(
+          {
+            success: false,
+            error: rangeError.message,
+            data: null,
+          },
+          { status: 400 }
+        );
+      }
+
+      const rangeResult = await getCategorySpendForBudgetMonthRange({
+        ...rangeFilters,
+        ...(customerId && { customerId }),
+        ...(companyLocationId && { companyLocationId }),
+        refundAttribution,
+        spendDefinition,
+      });
+
+      return createSecureProxyResponse({
+        success: true,
+        error: null,
+        data: {
+          period: rangeResult.period,
+          startMonth: rangeResult.startMonth,
+          endMonth: rangeResult.endMonth,
+          months: rangeResult.months,
+          monthly: rangeResult.monthly,
+          categories: rangeResult.categories,
+          totals: rangeResult.totals,
+          summary: {
+            refundAttribution: rangeResult.refundAttribution,
+            spendDefinition: rangeResult.spendDefinition,
+            isAuthenticated: isAuthenticated,
+            filters: {
+              customerId: customerId || null,
+              companyLocationId: companyLocationId || null,
+            },
+            allowedLocationIds: access.allowedLocationIds,
+            secureMode: requireSecureAuth,
+            refundAware: true,
+          },
+        },
+      });
+    }
+
     // Set default month/year to current if not provided
     const currentDate = new Date();
     const searchMonth =
@@ -316,14 +471,58 @@ export const loader = async ({ request }) => {
     // Build filters object
     const filters = {};
     if (customerId) filters.customerId = customerId;
-    if (locationId) filters.locationId = locationId;
     if (companyLocationId) filters.companyLocationId = companyLocationId;
 
     // Add date filters
     filters.month = searchMonth;
     filters.year = searchYear;
+    filters.refundAttribution = refundAttribution;
+    filters.spendDefinition = spendDefinition;
+
+    if (compare) {
+      if (refundAttribution === "both") {
+        return json(
+          {
+            success: false,
+            error: "Comparison requests take refundAttribution order_month or refund_month",
+            data: null,
+          },
+          { status: 400 }
+        );
+      }
+
+      const comparison = await getMonthlyOrderCategoriesComparison(filters);
+
+      return createSecureProxyResponse({
+        success: true,
+        error: null,
+        data: {
+          periods: comparison.periods,
+          totals: comparison.totals,
+          categories: comparison.categories,
+          products: comparison.products,
+          changes: comparison.changes,
+          summary: {
+            refundAttribution: comparison.refundAttribution,
+            spendDefinition: comparison.spendDefinition,
+            month: searchMonth,
+            year: searchYear,
+            compare: true,
+            isAuthenticated: isAuthenticated,
+            filters: {
+              customerId: customerId || null,
+              companyLocationId: companyLocationId || null,
+            },
+            allowedLocationIds: access.allowedLocationIds,
+            secureMode: requireSecureAuth,
+            refundAware: true,
+          },
+        },
+      });
+    }
 
     const result = await getMonthlyOrderProductsByCategoryWithRefundsByBudgetMonth(filters);
+    const byRefundMonth = result.byRefundMonth;
 
     const responseData = {
       success: true,
@@ -339,6 +538,21 @@ export const loader = async ({ request }) => {
           refundedValue: result.refundedValue || 0,
           totalValue: result.totalValue || 0, // Net value after refunds
           refundRate: result.refundRate || 0,
+          census: result.budgetCalculationDetails
+            ? {
+                amount: result.budgetCalculationDetails.censusAmount,
+                daysInMonth: result.budgetCalculationDetails.daysInMonth,
+                budgetedDays: result.budgetCalculationDetails.budgetedDays,
+                patientDays: result.budgetCalculationDetails.patientDays,
+                budgetAvailable: result.budgetCalculationDetails.budgetAvailable,
+                source: result.budgetCalculationDetails.censusSource,
+                policy: result.budgetCalculationDetails.censusPolicy,
+                sourceMonths: result.budgetCalculationDetails.censusSourceMonths,
+              }
+            : null,
+          monthClose: result.monthClose || null,
+          refundAttribution,
+          spendDefinition: result.spendDefinition,
           month: searchMonth,
           year: searchYear,
           isAuthenticated: isAuthenticated,
@@ -353,19 +567,33 @@ export const loader = async ({ request }) => {
             : null,
           filters: {
             customerId: customerId || null,
-            locationId: locationId || null,
             companyLocationId: companyLocationId || null,
           },
+          allowedLocationIds: access.allowedLocationIds,
           secureMode: requireSecureAuth,
           refundAware: true, // Indicates this response includes refund calculations
         },
+        byRefundMonth: byRefundMonth
+          ? {
+              categories: byRefundMonth.categories || [],
+              summary: {
+                totalOrders: byRefundMonth.totalOrders || 0,
+                ordersWithRefunds: byRefundMonth.ordersWithRefunds || 0,
+                totalCategories: byRefundMonth.totalCategories || 0,
+                grossValue: byRefundMonth.grossValue || 0,
+                refundedValue: byRefundMonth.refundedValue || 0,
+                totalValue: byRefundMonth.totalValue || 0,
+                refundRate: byRefundMonth.refundRate || 0,
+              },
+            }
+          : null,
       },
     };
 
     // === BACKUP STORAGE FOR LAST 10 DAYS ===
     // Store JSON backup for location-based queries
-    const locationForBackup = locationId || companyLocationId;
-    if (locationForBackup) {
+    const locationForBackup = companyLocationId;
+    if (locationForBackup && refundAttribution === "order_month" && spendDefinition === defaultSpendDefinition) {
       // Use today's date as the backup filename
       const today = new Date();
       const todayDate = today.toISOString().split('T')[0]; // Format: YYYY-MM-DD
@@ -1,6 +1,44 @@
 import { json } from "@remix-run/node";
 import { authenticate } from "../shopify.server";
 import { getMonthlyOrderProducts } from "../actions/fhr-orders.server.js";
+import { getMonthlyOrderProductsComparison } from "../actions/report-comparisons.server.js";
+import { SPEND_DEFINITIONS, getDefaultSpendDefinition } from "../actions/spend-definitions.server.js";
+
+/**
+ * Comparison response (compare=true) of the GET and POST requests
+ * @param {Object} filters - Validated filters with month, year and spendDefinition
+ * @param {Object} auth - { isAuthenticated, shopifySession }
+ */
+async function getComparisonResponse(filters, { isAuthenticated, shopifySession }) {
+  const comparison = await getMonthlyOrderProductsComparison(filters);
+  // Net of refunds, unlike summary.totalValue of the plain (gross) response
+  const { totalQuantity, totalValue, ...totals } = comparison.totals;
+
+  return json({
+    success: true,
+    error: null,
+    data: {
+      periods: comparison.periods,
+      totals: { ...totals, netQuantity: totalQuantity, netValue: totalValue },
+      products: comparison.products,
+      changes: comparison.changes,
+      summary: {
+        spendDefinition: comparison.spendDefinition,
+        refundAttribution: comparison.refundAttribution,
+        month: filters.month,
+        year: filters.year,
+        compare: true,
+        isAuthenticated: isAuthenticated,
+        shopifyUser: isAuthenticated ? shopifySession?.shop || 'authenticated' : null,
+        filters: {
+          customerId: filters.customerId || null,
+          locationId: filters.locationId || null,
+          companyLocationId: filters.companyLocationId || null
+        }
+      }
+    }
+  });
+}
 
 /**
  * Public API Route for Monthly Order Products
@@ -13,6 +51,18 @@ import { getMonthlyOrderProducts } from "../actions/fhr-orders.server.js";
  * - companyLocationId: Company Location ID to filter by
  * - month: Month (01-12, defaults to current month)
  * - year: Year (YYYY, defaults to current year)
+ * - spendDefinition: gross, discounted, discounted_tax or landed (defaults to SPEND_DEFINITION);
+ *   the definition used is returned as summary.spendDefinition
+ * - compare: 'true' compares the month with the prior month and the same month last year
+ *
+ * Comparison responses (compare=true) instead include, net of refunds of each month's orders:
+ * - periods: the current, prior_month and prior_year months compared
+ * - totals: totalOrders, totalProducts, netQuantity, netValue and refundedValue, each as
+ *   { current, prior_month: { value, change, changePercent }, prior_year: {...} }. The
+ *   net figures are named apart from summary.totalValue, which is gross (before refunds)
+ * - products: per product (by SKU) net quantity and net value compared the same way, and its status
+ *   against each comparison month (new, discontinued, continued)
+ * - changes: per comparison month, the newProducts and discontinuedProducts
  */
 export const loader = async ({ request }) => {
   try {
@@ -35,6 +85,8 @@ export const loader = async ({ request }) => {
     const companyLocationId = url.searchParams.get("companyLocationId")?.trim() || "";
     const month = url.searchParams.get("month")?.trim() || "";
     const year = url.searchParams.get("year")?.trim() || "";
+    const spendDefinition = url.searchParams.get("spendDefinition")?.trim() || getDefaultSpendDefinition();
+    const compare = url.searchParams.get("compare") === "true";
 
     // Validate that at least one filter is provided
     if (!customerId && !locationId && !companyLocationId) {
@@ -70,6 +122,14 @@ export const loader = async ({ request }) => {
       }, { status: 400 });
     }
 
+    if (!SPEND_DEFINITIONS.includes(spendDefinition)) {
+      return json({
+        success: false,
+        error: `Invalid spendDefinition. Must be one of: ${SPEND_DEFINITIONS.join(", ")}`,
+        data: null
+      }, { status: 400 });
+    }
+
     // Build filters object
     const filters = {};
     if (customerId) filters.customerId = customerId;
@@ -79,6 +139,11 @@ export const loader = async ({ request }) => {
     // Add date filters
     filters.month = searchMonth;
     filters.year = searchYear;
+    filters.spendDefinition = spendDefinition;
+
+    if (compare) {
+      return getComparisonResponse(filters, { isAuthenticated, shopifySession });
+    }
 
     // Get monthly order products
     const result = await getMonthlyOrderProducts(filters);
@@ -92,6 +157,7 @@ export const loader = async ({ request }) => {
           totalOrders: result.totalOrders || 0,
           totalProducts: result.totalProducts || 0,
           totalValue: result.totalValue || 0,
+          spendDefinition: result.spendDefinition,
           month: searchMonth,
           year: searchYear,
           isAuthenticated: isAuthenticated,
@@ -146,6 +212,8 @@ export const action = async ({ request }) => {
 
     const body = await request.json();
     const { customerId, locationId, companyLocationId, month, year } = body;
+    const compare = body.compare === true || body.compare === "true";
+    const spendDefinition = body.spendDefinition || getDefaultSpendDefinition();
 
     // Validate that at least one filter is provided
     if (!customerId && !locationId && !companyLocationId) {
@@ -181,6 +249,14 @@ export const action = async ({ request }) => {
       }, { status: 400 });
     }
 
+    if (!SPEND_DEFINITIONS.includes(spendDefinition)) {
+      return json({
+        success: false,
+        error: `Invalid spendDefinition. Must be one of: ${SPEND_DEFINITIONS.join(", ")}`,
+        data: null
+      }, { status: 400 });
+    }
+
     // Build filters object
     const filters = {};
     if (customerId) filters.customerId = customerId;
@@ -190,6 +266,11 @@ export const action = async ({ request }) => {
     // Add date filters
     filters.month = searchMonth;
     filters.year = searchYear;
+    filters.spendDefinition = spendDefinition;
+
+    if (compare) {
+      return getComparisonResponse(filters, { isAuthenticated, shopifySession });
+    }
 
     // Get monthly order products
     const result = await getMonthlyOrderProducts(filters);
@@ -203,6 +284,7 @@ export const action = async ({ request }) => {
           totalOrders: result.totalOrders || 0,
           totalProducts: result.totalProducts || 0,
           totalValue: result.totalValue || 0,
+          spendDefinition: result.spendDefinition,
           month: searchMonth,
           year: searchYear,
           isAuthenticated: isAuthenticated,
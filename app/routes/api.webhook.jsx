@@ -1,7 +1,14 @@
 import { json } from "@remix-run/node";
-import mssql from "../mssql.server.js";
-import fs from "fs";
-import path from "path";
+import {
+  receiveWebhookEvent,
+  getWebhookBodyKey
+} from "../actions/webhook-inbox.server.js";
+import {
+  WEBHOOK_TYPES,
+  authenticateWebhookRequest,
+  touchWebhookIntegration,
+  logWebhookRequest
+} from "../actions/webhook-integrations.server.js";
 
 /**
  * Generic Webhook API for external systems
@@ -9,116 +16,131 @@ import path from "path";
  * 
  * This endpoint can receive webhooks from external systems and process them.
  * Supports custom webhook data processing and validation.
+ *
+ * Authentication (integrations are created and revoked on the Webhook Integrations page):
+ * - API key:     Authorization: Bearer whk_...
+ * - HMAC secret: X-Integration-Key: <key prefix shown in the admin app>
+ *                X-Integration-Timestamp: Unix time in seconds (within 5 minutes)
+ *                X-Integration-Hmac-Sha256: base64 HMAC-SHA256 of "<timestamp>.<raw body>"
+ * - Shopify:     X-Shopify-Hmac-Sha256 signed with the app's API secret, for untyped
+ *                Shopify order payloads only
+ * An integration may only send the webhook types in its scope. Every request is logged
+ * in shopify.webhook_request_log with the integration's name.
+ *
+ * The webhook is stored in the webhook inbox (keyed by X-Shopify-Webhook-Id or
+ * X-Webhook-Id, or a hash of the body when absent) and processed from there, with
+ * retries. The response only confirms the webhook was stored; see the Webhook Inbox
+ * admin page for the outcome.
  * 
  * Request Body:
  * {
- *   "type": "order_update" | "budget_sync" | "custom",
+ *   "type": "order_budget_month" | "order_update" | "budget_sync" | "custom",
  *   "data": { ... webhook payload ... },
  *   "source": "external_system_name",
  *   "timestamp": "2025-09-23T10:00:00Z"
  * }
  */
 export const action = async ({ request }) => {
-    let result = []
+  const ipAddress = (request.headers.get('X-Forwarded-For') || '').split(',')[0].trim() || null;
+  let auth = {};
+  let webhookType = null;
+
+  const reply = async (statusCode, outcome, body, extra = {}) => {
+    await logWebhookRequest({
+      integration: auth.integration,
+      authMethod: auth.authMethod,
+      webhookType,
+      statusCode,
+      outcome,
+      error: body.error,
+      ipAddress,
+      ...extra
+    });
+
+    return json({ ...body, processedAt: new Date().toISOString() }, { status: statusCode });
+  };
+
   try {
-    const body = await request.json();
-    
-     result = await handleShopifyWebhook(body);
+    const rawBody = await request.text();
+
+    auth = await authenticateWebhookRequest(request, rawBody);
+    if (!auth.authenticated) {
+      console.log(`❌ Webhook authentication failed: ${auth.error}`);
+      return reply(401, 'unauthorized', { success: false, error: auth.error });
+    }
+
+    let body;
+    try {
+      body = JSON.parse(rawBody);
+    } catch (parseError) {
+      return reply(400, 'invalid', { success: false, error: "Request body must be JSON" });
+    }
+
+    webhookType = typeof body?.type === 'string' ? body.type : null;
+    let topic;
+
+    if (auth.authMethod === 'shopify') {
+      // The app secret only covers Shopify order payloads, not integration types
+      if (webhookType) {
+        return reply(403, 'forbidden', {
+          success: false,
+          error: "Typed webhooks must be sent with an integration API key or HMAC secret"
+        });
+      }
+      topic = 'api/order';
+    } else {
+      if (!WEBHOOK_TYPES.includes(webhookType)) {
+        return reply(400, 'invalid', {
+          success: false,
+          error: `type must be one of: ${WEBHOOK_TYPES.join(', ')}`
+        });
+      }
+      if (!auth.integration.allowedTypes.includes(webhookType)) {
+        return reply(403, 'forbidden', {
+          success: false,
+          error: `Integration "${auth.integration.name}" may not send ${webhookType} webhooks`
+        });
+      }
+      topic = `api/${webhookType}`;
+    }
+
+    const deliveryId = request.headers.get('X-Shopify-Webhook-Id')
+      || request.headers.get('X-Webhook-Id')
+      || getWebhookBodyKey(rawBody);
+    // Integrations cannot collide with each other's delivery IDs
+    const webhookId = auth.integration.id ? `integration:${auth.integration.id}:${deliveryId}` : deliveryId;
+
+    const result = await receiveWebhookEvent({
+      webhookId,
+      topic,
+      shop: request.headers.get('X-Shopify-Shop-Domain'),
+      source: auth.integration.name,
+      payload: rawBody
+    });
+
+    if (auth.integration.id) {
+      await touchWebhookIntegration(auth.integration.id);
+    }
     
-    console.log('✅ Webhook processed successfully:', result);
+    console.log(`✅ ${topic} webhook from ${auth.integration.name} stored as inbox event ${result.id}${result.duplicate ? ' (duplicate)' : ''}`);
     
-    return json({
+    return reply(202, result.duplicate ? 'duplicate' : 'accepted', {
       success: true,
-      result,
-      processedAt: new Date().toISOString(),
-      message: "Webhook processed successfully"
-    });
+      result: {
+        inboxId: result.id,
+        duplicate: result.duplicate
+      },
+      message: result.duplicate ? "Webhook already received" : "Webhook queued for processing"
+    }, { inboxId: result.id });
     
   }
    catch (error) {
     console.error('❌ Error processing webhook:', error);
-    return json({
+    return reply(500, 'error', {
       success: false,
       error: error.message,
-      processedAt: new Date().toISOString(),
       message: "Failed to process webhook"
-    }, { status: 500 });
-  }
-
-  
-}
-
-/**
- * Handle Shopify webhooks
- */
-async function handleShopifyWebhook(orderData) {
-  console.log(`🛍️  Processing Shopify webhook for order ${orderData.id}`);
-
-  // Extract order details
-  const orderId = '5561200083171';
-  const orderNumber = orderData.order_number;
-  const createdAt = orderData.created_at;
-  
-  // Extract order_budget_month from note_attributes
-  let orderBudgetMonth = null;
-  if (orderData.note_attributes && Array.isArray(orderData.note_attributes)) {
-    const budgetAttribute = orderData.note_attributes.find(attr => 
-      attr.name === 'order_budget_month'
-    );
-    orderBudgetMonth = budgetAttribute?.value || null;
-  }
-  
-  // If no budget month in attributes, calculate from created_at
-  if (!orderBudgetMonth && createdAt) {
-    const date = new Date(createdAt);
-    orderBudgetMonth = `${String(date.getMonth() + 1).padStart(2, '0')}-${date.getFullYear()}`;
-  }
-  
-  console.log(`📅 Order ${orderId} budget month: ${orderBudgetMonth}`);
-  
-  try {
-    // Check if order exists in database
-    const existingOrder = await mssql.query(`
-      SELECT id, order_budget_month 
-      FROM [shopify].[order] 
-      WHERE id = @orderId
-    `, { orderId });
-    
-    if (existingOrder.length > 0) {
-      // Update existing order
-      if (orderBudgetMonth) {
-        await mssql.execute(`
-          UPDATE [shopify].[order] 
-          SET order_budget_month = @orderBudgetMonth,
-              updated_at = GETDATE()
-          WHERE id = @orderId
-        `, { orderId, orderBudgetMonth });
-        
-        console.log(`✅ Updated order ${orderId} budget month to: ${orderBudgetMonth}`);
-      }
-      
-      return {
-        orderId,
-        orderNumber,
-        orderBudgetMonth,
-        action: 'updated'
-      };
-      
-    } else {
-      console.log(`⚠️  Order ${orderId} not found in database - webhook processed but no update made`);
-      
-      return {
-        orderId,
-        orderNumber,
-        orderBudgetMonth,
-        action: 'not_found',
-        message: 'Order not found in database'
-      };
-    }
-    
-  } catch (error) {
-    console.error(`❌ Failed to process Shopify webhook for order ${orderId}:`, error);
-    throw new Error(`Database error: ${error.message}`);
+    });
   }
 }
 
@@ -128,17 +150,17 @@ async function handleShopifyWebhook(orderData) {
 export const loader = async ({ request }) => {
   return json({
     message: "Webhook API endpoint",
-    supportedTypes: [
-      "order_update",
-      "budget_sync", 
-      "order_budget_month",
-      "custom"
+    supportedTypes: WEBHOOK_TYPES,
+    authentication: [
+      "Authorization: Bearer <integration API key>",
+      "X-Integration-Key + X-Integration-Timestamp + X-Integration-Hmac-Sha256",
+      "X-Shopify-Hmac-Sha256 (untyped Shopify order payloads)"
     ],
     shopifyWebhooks: [
-      "orders/created",
+      "orders/create",
       "orders/updated",
       "orders/paid",
-      "orders/cancelled"
+      "refunds/create"
     ],
     method: "POST",
     contentType: "application/json"
@@ -26,6 +26,8 @@ import {
 import { SearchIcon } from "@shopify/polaris-icons";
 import { useState, useCallback, useEffect } from "react";
 import { loadBudgetData, handleBudgetAction } from "../actions/budget-management.server";
+import { authenticate } from "../shopify.server";
+import { getSessionUserIdentity, getSessionStaffEmail } from "../utils/session-user.server.js";
 
 export const loader = async ({ request }) => {
   const url = new URL(request.url);
@@ -39,10 +41,16 @@ export const loader = async ({ request }) => {
 };
 
 export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
   const formData = await request.formData();
   const intent = formData.get("intent");
   
-  const result = await handleBudgetAction({ intent, formData });
+  // Approval decisions are recorded against the signed-in staff member
+  if (["submit", "approve", "reject", "approveRates", "rejectRates"].includes(intent) && !getSessionStaffEmail(session)) {
+    return json({ error: "Budget approvals can only be made by a signed-in staff member" });
+  }
+
+  const result = await handleBudgetAction({ intent, formData, actor: getSessionUserIdentity(session) });
   
   if (result.redirect) {
     return redirect(result.redirect);
@@ -74,7 +82,8 @@ export default function BudgetManagement() {
   // State management
   const [selectedBudget, setSelectedBudget] = useState(null);
   const [modalActive, setModalActive] = useState(false);
-  const [modalType, setModalType] = useState(""); // delete, assign
+  const [modalType, setModalType] = useState(""); // delete, assign, approve, reject, approveRates, rejectRates
+  const [reviewComment, setReviewComment] = useState("");
   const [searchValue, setSearchValue] = useState(filters.search);
   const [toastActive, setToastActive] = useState(false);
   const [toastMessage, setToastMessage] = useState("");
@@ -88,7 +97,7 @@ export default function BudgetManagement() {
     period: "monthly",
     start_date: "",
     end_date: "",
-    status: "active"
+    status: "draft"
   });
 
   const [assignmentData, setAssignmentData] = useState({
@@ -134,7 +143,7 @@ export default function BudgetManagement() {
       period: "monthly",
       start_date: "",
       end_date: "",
-      status: "active"
+      status: "draft"
     });
     setAssignmentData({
       budgetId: "",
@@ -162,8 +171,9 @@ export default function BudgetManagement() {
     setModalActive(true);
     setAssignmentError("");
     
-    if (budget && type === "delete") {
+    if (budget && ["delete", "approve", "reject", "approveRates", "rejectRates"].includes(type)) {
       setSelectedBudget(budget);
+      setReviewComment("");
     } else if (type === "assign" && budget) {
       // Set the budget for assignment and clear previous location selection
       setSelectedBudget(budget);
@@ -219,6 +229,12 @@ export default function BudgetManagement() {
       for (let [key, value] of form.entries()) {
         console.log(`${key}: ${value}`);
       }
+    } else if (intent === "approve" || intent === "reject") {
+      form.append("id", selectedBudget.id);
+      form.append("comment", reviewComment);
+    } else if (intent === "approveRates" || intent === "rejectRates") {
+      form.append("versionId", selectedBudget.pending_version.id);
+      form.append("comment", reviewComment);
     } else {
       if (selectedBudget?.id && (intent === "update" || intent === "delete")) {
         form.append("id", selectedBudget.id);
@@ -232,7 +248,14 @@ export default function BudgetManagement() {
     }
     
     submit(form, { method: "post" });
-  }, [formData, assignmentData, selectedBudget, submit]);
+  }, [formData, assignmentData, selectedBudget, reviewComment, submit]);
+
+  const handleSubmitForApproval = useCallback((budget) => {
+    const form = new FormData();
+    form.append("intent", "submit");
+    form.append("id", budget.id);
+    submit(form, { method: "post" });
+  }, [submit]);
 
   const handleFilterChange = useCallback(() => {
     const params = new URLSearchParams();
@@ -257,11 +280,20 @@ export default function BudgetManagement() {
   ];
 
   const statusOptions = [
-    { label: "Active", value: "active" },
     { label: "Inactive", value: "inactive" },
     { label: "Draft", value: "draft" }
   ];
 
+  // Approval workflow status labels and badge tones
+  const statusBadges = {
+    draft: { label: "Draft", tone: undefined },
+    pending: { label: "Pending Approval", tone: "attention" },
+    active: { label: "Approved", tone: "success" },
+    rejected: { label: "Rejected", tone: "critical" },
+    inactive: { label: "Inactive", tone: undefined },
+    archived: { label: "Archived", tone: undefined }
+  };
+
   // Render functions
   const renderBudgetList = () => {
     if (budgets.length === 0) {
@@ -285,12 +317,50 @@ export default function BudgetManagement() {
       budget.name || "Unnamed",
       budget.amount,
       //budget.period || "N/A",
-      <Badge status={budget.status === "active" ? "success" : "attention"}>
-         {budget.status || "Unknown"} 
-      </Badge>,
+      <InlineStack gap="100" blockAlign="center">
+        <Badge tone={statusBadges[budget.status]?.tone}>
+          {statusBadges[budget.status]?.label || budget.status || "Unknown"}
+        </Badge>
+        {budget.last_review && (
+          <Text variant="bodySm" tone="subdued">
+            {`${budget.last_review.action === "submit" ? "Submitted" : budget.last_review.action === "approve" ? "Approved" : "Rejected"} by ${budget.last_review.actor} on ${new Date(budget.last_review.at).toLocaleDateString()}`}
+            {budget.last_review.comment ? `: "${budget.last_review.comment}"` : ""}
+          </Text>
+        )}
+        {budget.pending_version && (
+          <Badge tone="attention">
+            {`New rates from ${budget.pending_version.effective_from.slice(5, 7)}-${budget.pending_version.effective_from.slice(0, 4)} pending approval`}
+          </Badge>
+        )}
+      </InlineStack>,
      // budget.start_date ? new Date(budget.start_date).toLocaleDateString() : "N/A",
       //budget.end_date ? new Date(budget.end_date).toLocaleDateString() : "N/A",
       <InlineStack align="end" gap="200">
+        {["draft", "rejected", "inactive"].includes(budget.status) && (
+          <Button size="slim" onClick={() => handleSubmitForApproval(budget)} loading={isLoading}>
+            Submit for Approval
+          </Button>
+        )}
+        {budget.status === "pending" && (
+          <>
+            <Button size="slim" variant="primary" onClick={() => handleModalToggle("approve", budget)}>
+              Approve
+            </Button>
+            <Button size="slim" tone="critical" onClick={() => handleModalToggle("reject", budget)}>
+              Reject
+            </Button>
+          </>
+        )}
+        {budget.pending_version && (
+          <>
+            <Button size="slim" variant="primary" onClick={() => handleModalToggle("approveRates", budget)}>
+              Approve Rates
+            </Button>
+            <Button size="slim" tone="critical" onClick={() => handleModalToggle("rejectRates", budget)}>
+              Reject Rates
+            </Button>
+          </>
+        )}
         <Button 
           size="slim" 
           onClick={() => navigate(`/app/budget-create?id=${budget.id}`)}
@@ -340,9 +410,61 @@ export default function BudgetManagement() {
   const renderModal = () => {
     const modalTitle = {
       delete: "Delete Budget",
-      assign: "Assign Budget to Location"
+      assign: "Assign Budget to Location",
+      approve: "Approve Budget",
+      reject: "Reject Budget",
+      approveRates: "Approve New Rates",
+      rejectRates: "Reject New Rates"
     }[modalType];
 
+    if (["approve", "reject", "approveRates", "rejectRates"].includes(modalType)) {
+      const isReject = modalType === "reject" || modalType === "rejectRates";
+      const isRates = modalType === "approveRates" || modalType === "rejectRates";
+      const prompt = isRates
+        ? isReject
+          ? `Reject the new rates of "${selectedBudget?.name}"? Its approved rates stay in use.`
+          : `Approve the new rates of "${selectedBudget?.name}"? They are used from their effective month, or this month if it has passed.`
+        : isReject
+          ? `Reject "${selectedBudget?.name}"? It returns to its author for changes.`
+          : `Approve "${selectedBudget?.name}"? Approved budgets are used for location budget calculations.`;
+
+      return (
+        <Modal
+          open={modalActive}
+          onClose={() => handleModalToggle()}
+          title={modalTitle}
+          primaryAction={{
+            content: isReject ? "Reject" : "Approve",
+            destructive: isReject,
+            loading: isLoading,
+            disabled: isReject && !reviewComment.trim(),
+            onAction: () => handleSubmit(modalType)
+          }}
+          secondaryActions={[
+            {
+              content: "Cancel",
+              onAction: () => handleModalToggle()
+            }
+          ]}
+        >
+          <Modal.Section>
+            <FormLayout>
+              <Text as="p">
+                {prompt}
+              </Text>
+              <TextField
+                label={isReject ? "Reason for rejection" : "Comment (optional)"}
+                value={reviewComment}
+                onChange={setReviewComment}
+                multiline={3}
+                autoComplete="off"
+              />
+            </FormLayout>
+          </Modal.Section>
+        </Modal>
+      );
+    }
+
     if (modalType === "delete") {
       return (
         <Modal
@@ -0,0 +1,460 @@
+import { useLoaderData, useNavigation, useNavigate } from "@remix-run/react";
+import { useState } from "react";
+import { json } from "@remix-run/node";
+import {
+  Page,
+  Layout,
+  Card,
+  BlockStack,
+  Text,
+  TextField,
+  Button,
+  InlineStack,
+  Select,
+  DataTable,
+  Badge,
+  Spinner,
+} from "@shopify/polaris";
+import { TitleBar } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server.js";
+import { getAvailableLocationsForCensus } from "../actions/fhr-location-census.server.js";
+import { getLocationGroups } from "../actions/location-groups.server.js";
+import {
+  SPEND_DEFINITIONS,
+  SPEND_DEFINITION_LABELS,
+  getDefaultSpendDefinition,
+} from "../actions/spend-definitions.server.js";
+import {
+  PPD_TREND_MONTHS,
+  PPD_RANKING_MONTHS,
+  getLocationActualPpd,
+  getActualPpdRanking,
+} from "../actions/ppd-analytics.server.js";
+import { getSessionStaffEmail } from "../utils/session-user.server.js";
+
+const SOURCE_OPTIONS = [
+  { label: "Location group", value: "group" },
+  { label: "Company", value: "company" },
+  { label: "My facilities (as approver)", value: "mine" }
+];
+
+const MONTH_OPTIONS = [
+  { label: "January", value: "01" },
+  { label: "February", value: "02" },
+  { label: "March", value: "03" },
+  { label: "April", value: "04" },
+  { label: "May", value: "05" },
+  { label: "June", value: "06" },
+  { label: "July", value: "07" },
+  { label: "August", value: "08" },
+  { label: "September", value: "09" },
+  { label: "October", value: "10" },
+  { label: "November", value: "11" },
+  { label: "December", value: "12" },
+];
+
+const TREND_BADGES = {
+  rising: { tone: "warning", label: "Rising" },
+  falling: { tone: "success", label: "Falling" },
+  flat: { tone: undefined, label: "Flat" }
+};
+
+function formatPpd(value) {
+  return value === null || value === undefined ? "-" : `$${Number(value).toFixed(2)}`;
+}
+
+function formatVariance(value) {
+  if (value === null || value === undefined) return "-";
+  return `${value > 0 ? "+" : ""}${formatPpd(value)}`;
+}
+
+function formatPercent(value) {
+  return value === null || value === undefined ? "-" : `${Number(value).toFixed(1)}%`;
+}
+
+function formatShortMonth(budgetMonth) {
+  const [month, year] = budgetMonth.split("-");
+  return `${month}/${year.slice(2)}`;
+}
+
+function TrendBadge({ trend }) {
+  if (!trend) return <Text as="span" tone="subdued">-</Text>;
+  const badge = TREND_BADGES[trend.direction];
+  return <Badge tone={badge.tone}>{trend.changePercent !== null ? `${badge.label} ${formatPercent(trend.changePercent)}` : badge.label}</Badge>;
+}
+
+// An actual PPD cell, in red when it exceeds the budgeted PPD
+function PpdCell({ value, overBudget }) {
+  return (
+    <Text as="span" tone={overBudget ? "critical" : undefined} fontWeight={overBudget ? "semibold" : undefined}>
+      {formatPpd(value)}
+    </Text>
+  );
+}
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+
+  const url = new URL(request.url);
+  const currentDate = new Date();
+  const requestedSpendDefinition = url.searchParams.get("spendDefinition")?.trim() || "";
+  const filters = {
+    view: url.searchParams.get("view") || "",
+    companyLocationId: url.searchParams.get("companyLocationId") || "",
+    source: url.searchParams.get("source") || "group",
+    groupId: url.searchParams.get("groupId") || "",
+    companyId: url.searchParams.get("companyId")?.trim() || "",
+    months: url.searchParams.get("months") || "3",
+    month: url.searchParams.get("month") || (currentDate.getMonth() + 1).toString().padStart(2, "0"),
+    year: url.searchParams.get("year") || currentDate.getFullYear().toString(),
+    spendDefinition: SPEND_DEFINITIONS.includes(requestedSpendDefinition) ? requestedSpendDefinition : getDefaultSpendDefinition()
+  };
+  const spendDefinitionOptions = SPEND_DEFINITIONS.map(value => ({ label: SPEND_DEFINITION_LABELS[value], value }));
+  const windowOptions = PPD_RANKING_MONTHS.map(count => ({ label: count === 1 ? "End month only" : `Last ${count} months`, value: String(count) }));
+  const endMonth = `${filters.month}-${filters.year}`;
+
+  let locations = [];
+  let groups = [];
+  let trend = null;
+  let ranking = null;
+  let error = null;
+
+  try {
+    [locations, groups] = await Promise.all([
+      getAvailableLocationsForCensus(),
+      getLocationGroups()
+    ]);
+
+    if (filters.view === "location" && filters.companyLocationId) {
+      trend = await getLocationActualPpd({
+        companyLocationId: filters.companyLocationId,
+        endMonth,
+        months: PPD_TREND_MONTHS,
+        spendDefinition: filters.spendDefinition
+      });
+    }
+
+    // Approvers are staff emails, so "My facilities" needs the signed-in staff member
+    const staffEmail = getSessionStaffEmail(session);
+    if (filters.view === "ranking" && filters.source === "mine" && !staffEmail) {
+      error = "My facilities is only available to a signed-in staff member";
+    }
+
+    const locationSource = {
+      group: filters.groupId ? { groupId: filters.groupId } : null,
+      company: filters.companyId ? { companyId: filters.companyId } : null,
+      mine: staffEmail ? { approver: staffEmail } : null
+    }[filters.source];
+
+    if (filters.view === "ranking" && locationSource) {
+      ranking = await getActualPpdRanking({
+        ...locationSource,
+        endMonth,
+        months: filters.months,
+        spendDefinition: filters.spendDefinition
+      });
+    }
+  } catch (err) {
+    console.error("Error loading actual PPD:", err);
+    error = err.message || "Failed to load actual PPD";
+  }
+
+  return json({ locations, groups, trend, ranking, filters, spendDefinitionOptions, windowOptions, trendMonths: PPD_TREND_MONTHS, error });
+};
+
+export default function ActualPpd() {
+  const { locations, groups, trend, ranking, filters, spendDefinitionOptions, windowOptions, trendMonths, error } = useLoaderData();
+  const navigation = useNavigation();
+  const navigate = useNavigate();
+
+  const [companyLocationId, setCompanyLocationId] = useState(filters.companyLocationId);
+  const [source, setSource] = useState(filters.source);
+  const [groupId, setGroupId] = useState(filters.groupId);
+  const [companyId, setCompanyId] = useState(filters.companyId);
+  const [months, setMonths] = useState(filters.months);
+  const [month, setMonth] = useState(filters.month);
+  const [year, setYear] = useState(filters.year);
+  const [spendDefinition, setSpendDefinition] = useState(filters.spendDefinition);
+
+  const isReporting = navigation.state === "loading";
+
+  const handleTrend = () => {
+    navigate(`?${new URLSearchParams({ view: "location", companyLocationId, month, year, spendDefinition }).toString()}`);
+  };
+
+  const handleRanking = () => {
+    const params = new URLSearchParams({ view: "ranking", source, months, month, year, spendDefinition });
+    if (source === "group" && groupId) params.set("groupId", groupId);
+    if (source === "company" && companyId.trim()) params.set("companyId", companyId.trim());
+    navigate(`?${params.toString()}`);
+  };
+
+  const currentYear = new Date().getFullYear();
+  const yearOptions = [0, 1, 2].map(offset => ({ label: String(currentYear - offset), value: String(currentYear - offset) }));
+  const locationOptions = [
+    { label: "Select a location", value: "" },
+    ...locations.map(location => ({ label: `${location.location_id} - ${location.location_name}`, value: location.location_id }))
+  ];
+  const groupOptions = [
+    { label: "Select a group", value: "" },
+    ...groups.map(group => ({ label: `${group.name} (${group.location_ids.length})`, value: String(group.id) }))
+  ];
+  const rankingDisabled = (source === "group" && !groupId) || (source === "company" && !companyId.trim());
+
+  const periodFilters = (
+    <>
+      <div style={{ minWidth: 140 }}>
+        <Select label="End month" options={MONTH_OPTIONS} value={month} onChange={setMonth} />
+      </div>
+      <div style={{ minWidth: 110 }}>
+        <Select label="Year" options={yearOptions} value={year} onChange={setYear} />
+      </div>
+      <div style={{ minWidth: 240 }}>
+        <Select label="Spend definition" options={spendDefinitionOptions} value={spendDefinition} onChange={setSpendDefinition} />
+      </div>
+    </>
+  );
+
+  const trendHeadings = trend ? [
+    "Category",
+    "Budget PPD",
+    ...trend.budgetMonths.map(formatShortMonth),
+    `${trend.budgetMonths.length}-Month PPD`,
+    "Months Over",
+    "Trend"
+  ] : [];
+
+  const trendRows = (trend?.categories || []).map(category => [
+    category.category_name,
+    formatPpd(category.budgetPpd),
+    ...category.months.map(categoryMonth => (
+      <PpdCell key={`${category.category_name}-${categoryMonth.budgetMonth}`} value={categoryMonth.actualPpd} overBudget={categoryMonth.overBudget} />
+    )),
+    <PpdCell key={`${category.category_name}-total`} value={category.totals.actualPpd} overBudget={category.totals.variance > 0} />,
+    String(category.monthsOverBudget),
+    <TrendBadge key={`${category.category_name}-trend`} trend={category.trend} />
+  ]);
+
+  const trendTotals = trend ? [
+    "Budgeted categories",
+    "",
+    ...trend.months.map(trendMonth => (
+      <PpdCell key={`total-${trendMonth.budgetMonth}`} value={trendMonth.actualPpd} overBudget={trendMonth.overBudget} />
+    )),
+    <PpdCell key="total" value={trend.totals.actualPpd} overBudget={trend.totals.overBudget} />,
+    String(trend.months.filter(trendMonth => trendMonth.overBudget).length),
+    <TrendBadge key="total-trend" trend={trend.trend} />
+  ] : null;
+
+  const monthRows = (trend?.months || []).map(trendMonth => [
+    trendMonth.budgetMonth,
+    trendMonth.censusSource || "none",
+    trendMonth.patientDays !== null ? Number(trendMonth.patientDays).toLocaleString() : "-",
+    formatPpd(trendMonth.netSpend),
+    formatPpd(trendMonth.budgetPpd),
+    <PpdCell key={`month-${trendMonth.budgetMonth}`} value={trendMonth.actualPpd} overBudget={trendMonth.overBudget} />,
+    formatVariance(trendMonth.variance),
+    trendMonth.monthClose ? <Badge key={`close-${trendMonth.budgetMonth}`} tone="info">Closed</Badge> : ""
+  ]);
+
+  const rankingRow = location => [
+    location.rank ? String(location.rank) : "-",
+    `${location.location_id} - ${location.location_name || `Location ${location.location_id}`}`,
+    location.patientDays !== null ? Number(location.patientDays).toLocaleString() : "-",
+    formatPpd(location.budgetPpd),
+    <PpdCell key={`ppd-${location.location_id}`} value={location.actualPpd} overBudget={location.variance > 0} />,
+    formatVariance(location.variance),
+    formatPercent(location.ppdUtilization),
+    location.error ? (
+      <Badge key={`status-${location.location_id}`} tone="critical">Report failed</Badge>
+    ) : location.rank === null ? (
+      <Badge key={`status-${location.location_id}`}>No census</Badge>
+    ) : (
+      <InlineStack key={`status-${location.location_id}`} gap="100">
+        <TrendBadge trend={location.trend} />
+        {location.categoriesOverBudget.length > 0 && (
+          <Badge tone="critical">{`Over: ${location.categoriesOverBudget.join(", ")}`}</Badge>
+        )}
+      </InlineStack>
+    )
+  ];
+  const trendSpendDefinitionLabel = spendDefinitionOptions.find(option => option.value === trend?.spendDefinition)?.label;
+  const rankingHeadings = ["Rank", "Location", "Patient-Days", "Budget PPD", "Actual PPD", "Variance", "Of Budget", "Status"];
+  const rankingTypes = ["numeric", "text", "numeric", "numeric", "numeric", "numeric", "numeric", "text"];
+
+  return (
+    <Page fullWidth>
+      <TitleBar title="Actual PPD" />
+      <Layout>
+        <Layout.Section>
+          {error && (
+            <Card>
+              <Text as="p" tone="critical">
+                {error}
+              </Text>
+            </Card>
+          )}
+
+          <BlockStack gap="400">
+            <Card>
+              <BlockStack gap="400">
+                <BlockStack gap="100">
+                  <Text as="h2" variant="headingMd">
+                    Location PPD Trend
+                  </Text>
+                  <Text as="p" variant="bodySm" tone="subdued">
+                    {`Net spend per patient-day (census × days) by category over the ${trendMonths} months ending in the selected month. Amounts in red exceed the budgeted PPD rate.`}
+                  </Text>
+                </BlockStack>
+
+                <InlineStack gap="300" blockAlign="end">
+                  <div style={{ minWidth: 280 }}>
+                    <Select label="Location" options={locationOptions} value={companyLocationId} onChange={setCompanyLocationId} />
+                  </div>
+                  {periodFilters}
+                  <Button variant="primary" onClick={handleTrend} loading={isReporting} disabled={!companyLocationId}>
+                    Show Trend
+                  </Button>
+                </InlineStack>
+              </BlockStack>
+            </Card>
+
+            <Card>
+              <BlockStack gap="400">
+                <BlockStack gap="100">
+                  <Text as="h2" variant="headingMd">
+                    Facility Ranking
+                  </Text>
+                  <Text as="p" variant="bodySm" tone="subdued">
+                    Facilities ranked by actual PPD as a share of their budgeted PPD, best first.
+                  </Text>
+                </BlockStack>
+
+                <InlineStack gap="300" blockAlign="end">
+                  <div style={{ minWidth: 220 }}>
+                    <Select label="Locations" options={SOURCE_OPTIONS} value={source} onChange={setSource} />
+                  </div>
+                  {source === "group" && (
+                    <div style={{ minWidth: 240 }}>
+                      <Select label="Group" options={groupOptions} value={groupId} onChange={setGroupId} />
+                    </div>
+                  )}
+                  {source === "company" && (
+                    <div style={{ minWidth: 200 }}>
+                      <TextField label="Company ID" value={companyId} onChange={setCompanyId} autoComplete="off" />
+                    </div>
+                  )}
+                  <div style={{ minWidth: 170 }}>
+                    <Select label="Window" options={windowOptions} value={months} onChange={setMonths} />
+                  </div>
+                  {periodFilters}
+                  <Button variant="primary" onClick={handleRanking} loading={isReporting} disabled={rankingDisabled}>
+                    Rank
+                  </Button>
+                </InlineStack>
+              </BlockStack>
+            </Card>
+
+            {isReporting && (
+              <InlineStack align="center">
+                <Spinner accessibilityLabel="Loading actual PPD" size="large" />
+              </InlineStack>
+            )}
+
+            {trend && (
+              <Card>
+                <BlockStack gap="400">
+                  <InlineStack gap="200" blockAlign="center">
+                    <Text as="h2" variant="headingMd">
+                      {`${locations.find(location => location.location_id === trend.companyLocationId)?.location_name || `Location ${trend.companyLocationId}`} - ${trend.startMonth} to ${trend.endMonth}`}
+                    </Text>
+                    {trendSpendDefinitionLabel && <Badge>{trendSpendDefinitionLabel}</Badge>}
+                  </InlineStack>
+
+                  <DataTable
+                    columnContentTypes={["text", "numeric", ...trend.budgetMonths.map(() => "numeric"), "numeric", "numeric", "text"]}
+                    headings={trendHeadings}
+                    rows={trendRows}
+                    totals={trendTotals}
+                    showTotalsInFooter
+                  />
+
+                  <Text as="h3" variant="headingSm">
+                    Months
+                  </Text>
+                  <DataTable
+                    columnContentTypes={["text", "text", "numeric", "numeric", "numeric", "numeric", "numeric", "text"]}
+                    headings={["Budget Month", "Census", "Patient-Days", "Net Spend", "Budget PPD", "Actual PPD", "Variance", ""]}
+                    rows={monthRows}
+                  />
+
+                  <Text as="h3" variant="headingSm">
+                    {`Over Budget PPD (${trend.flags.length})`}
+                  </Text>
+                  {trend.flags.length > 0 ? (
+                    <DataTable
+                      columnContentTypes={["text", "text", "numeric", "numeric", "numeric"]}
+                      headings={["Budget Month", "Category", "Budget PPD", "Actual PPD", "Over By"]}
+                      rows={trend.flags.map(flag => [
+                        flag.budgetMonth,
+                        flag.category_name,
+                        formatPpd(flag.budgetPpd),
+                        formatPpd(flag.actualPpd),
+                        formatVariance(flag.variance)
+                      ])}
+                    />
+                  ) : (
+                    <Text as="p" tone="subdued">
+                      No category exceeded its budgeted PPD.
+                    </Text>
+                  )}
+                </BlockStack>
+              </Card>
+            )}
+
+            {ranking && (
+              <Card>
+                <BlockStack gap="400">
+                  <BlockStack gap="100">
+                    <Text as="h2" variant="headingMd">
+                      {`${ranking.label} - ${ranking.startMonth || ranking.endMonth} to ${ranking.endMonth}`}
+                    </Text>
+                    <Text as="p" variant="bodySm" tone="subdued">
+                      {`${ranking.totals.rankedLocations} of ${ranking.totals.locationCount} locations ranked; ${ranking.totals.locationsOverBudget} above budgeted PPD. Overall ${formatPpd(ranking.totals.actualPpd)} actual against ${formatPpd(ranking.totals.budgetPpd)} budgeted.`}
+                    </Text>
+                  </BlockStack>
+
+                  <InlineStack gap="400" align="start" wrap>
+                    <div style={{ flex: 1, minWidth: 420 }}>
+                      <BlockStack gap="200">
+                        <Text as="h3" variant="headingSm">Best Performers</Text>
+                        <DataTable columnContentTypes={rankingTypes} headings={rankingHeadings} rows={ranking.best.map(rankingRow)} />
+                      </BlockStack>
+                    </div>
+                    <div style={{ flex: 1, minWidth: 420 }}>
+                      <BlockStack gap="200">
+                        <Text as="h3" variant="headingSm">Worst Performers</Text>
+                        <DataTable columnContentTypes={rankingTypes} headings={rankingHeadings} rows={ranking.worst.map(rankingRow)} />
+                      </BlockStack>
+                    </div>
+                  </InlineStack>
+
+                  <Text as="h3" variant="headingSm">
+                    All Locations
+                  </Text>
+                  <DataTable columnContentTypes={rankingTypes} headings={rankingHeadings} rows={ranking.locations.map(rankingRow)} />
+
+                  {ranking.locations.length === 0 && (
+                    <Text as="p" tone="subdued" alignment="center">
+                      No locations found.
+                    </Text>
+                  )}
+                </BlockStack>
+              </Card>
+            )}
+          </BlockStack>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
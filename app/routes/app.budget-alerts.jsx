@@ -0,0 +1,460 @@
+import { useLoaderData, useSubmit, useNavigation, useActionData, useNavigate } from "@remix-run/react";
+import { useState, useCallback, useEffect } from "react";
+import { json } from "@remix-run/node";
+import {
+  Page,
+  Layout,
+  Card,
+  BlockStack,
+  Text,
+  TextField,
+  Button,
+  InlineStack,
+  FormLayout,
+  Select,
+  DataTable,
+  Badge,
+  Modal,
+  Toast,
+  Frame,
+  Pagination,
+} from "@shopify/polaris";
+import { TitleBar } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server.js";
+import { getAvailableLocationsForCensus } from "../actions/fhr-location-census.server.js";
+import { getBudgetCategoriesFromDB } from "../actions/fhr-budget.server.js";
+import {
+  getBudgetAlertThresholds,
+  createBudgetAlertThreshold,
+  deleteBudgetAlertThreshold,
+  evaluateBudgetAlerts,
+  getBudgetAlertEvents,
+  acknowledgeBudgetAlert,
+} from "../actions/budget-alerts.server.js";
+import { getSessionUserIdentity } from "../utils/session-user.server.js";
+
+const EVENTS_PER_PAGE = 50;
+
+export const loader = async ({ request }) => {
+  await authenticate.admin(request);
+
+  const url = new URL(request.url);
+  const filters = {
+    status: url.searchParams.get("status") ?? "open",
+    budgetMonth: url.searchParams.get("budgetMonth")?.trim() || "",
+    locationId: url.searchParams.get("locationId") || "",
+    page: parseInt(url.searchParams.get("page")) || 1
+  };
+
+  try {
+    const [alertEvents, thresholds, locations, categories] = await Promise.all([
+      getBudgetAlertEvents({ ...filters, limit: EVENTS_PER_PAGE }),
+      getBudgetAlertThresholds(),
+      getAvailableLocationsForCensus(),
+      getBudgetCategoriesFromDB()
+    ]);
+
+    return json({
+      ...alertEvents,
+      thresholds,
+      locations,
+      categories,
+      filters
+    });
+  } catch (error) {
+    console.error("Error loading budget alerts:", error);
+    return json({
+      events: [],
+      total: 0,
+      openCount: 0,
+      thresholds: [],
+      locations: [],
+      categories: [],
+      filters,
+      error: "Failed to load budget alerts"
+    });
+  }
+};
+
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+
+  const formData = await request.formData();
+  const actionType = formData.get("actionType");
+
+  try {
+    switch (actionType) {
+      case "acknowledge": {
+        const acknowledged = await acknowledgeBudgetAlert(
+          formData.get("eventId"),
+          getSessionUserIdentity(session)
+        );
+
+        return acknowledged
+          ? json({ success: true, message: "Alert acknowledged" })
+          : json({ success: false, error: "Alert not found or already acknowledged" });
+      }
+
+      case "evaluate": {
+        const result = await evaluateBudgetAlerts({
+          budgetMonth: formData.get("budgetMonth") || null
+        });
+
+        if (result.notificationError) {
+          return json({
+            success: false,
+            error: `${result.alerts.length} new alert(s) recorded and ${result.resent.length} earlier alert(s) retried but not delivered: ${result.notificationError}`
+          });
+        }
+
+        return json({
+          success: true,
+          message: `${result.evaluatedLocations} location(s) evaluated for ${result.budgetMonth}, ${result.alerts.length} new alert(s)`
+            + (result.resent.length > 0 ? `, ${result.resent.length} undelivered alert(s) sent again` : "")
+        });
+      }
+
+      case "createThreshold": {
+        const result = await createBudgetAlertThreshold({
+          locationId: formData.get("locationId"),
+          categoryId: formData.get("categoryId"),
+          thresholdPercent: formData.get("thresholdPercent"),
+          createdBy: getSessionUserIdentity(session)
+        });
+
+        return result.success
+          ? json({ success: true, message: "Alert threshold added" })
+          : json({ success: false, error: result.error });
+      }
+
+      case "deleteThreshold": {
+        const deleted = await deleteBudgetAlertThreshold(formData.get("thresholdId"));
+
+        return deleted
+          ? json({ success: true, message: "Alert threshold removed" })
+          : json({ success: false, error: "Alert threshold not found" });
+      }
+
+      default:
+        return json({ success: false, error: "Invalid action type" }, { status: 400 });
+    }
+  } catch (error) {
+    console.error("Error processing budget alert action:", error);
+    return json({ success: false, error: error.message || "Failed to process request" });
+  }
+};
+
+export default function BudgetAlerts() {
+  const { events, total, openCount, thresholds, locations, categories, filters, error } = useLoaderData();
+  const actionData = useActionData();
+  const submit = useSubmit();
+  const navigation = useNavigation();
+  const navigate = useNavigate();
+
+  const [statusFilter, setStatusFilter] = useState(filters.status);
+  const [monthFilter, setMonthFilter] = useState(filters.budgetMonth);
+  const [locationFilter, setLocationFilter] = useState(filters.locationId);
+
+  const [isThresholdModalOpen, setIsThresholdModalOpen] = useState(false);
+  const [thresholdLocationId, setThresholdLocationId] = useState("");
+  const [thresholdCategoryId, setThresholdCategoryId] = useState("");
+  const [thresholdPercent, setThresholdPercent] = useState("");
+
+  const [toastActive, setToastActive] = useState(false);
+  const [toastMessage, setToastMessage] = useState("");
+  const [toastError, setToastError] = useState(false);
+
+  const isLoading = navigation.state === "submitting";
+
+  useEffect(() => {
+    if (actionData) {
+      setToastMessage(actionData.success ? actionData.message : actionData.error);
+      setToastError(!actionData.success);
+      setToastActive(true);
+
+      if (actionData.success) {
+        setIsThresholdModalOpen(false);
+        setThresholdLocationId("");
+        setThresholdCategoryId("");
+        setThresholdPercent("");
+      }
+    }
+  }, [actionData]);
+
+  const locationName = useCallback((id) => {
+    const location = locations.find(loc => loc.location_id === id);
+    return location ? `${location.location_id} - ${location.location_name}` : id;
+  }, [locations]);
+
+  const submitAction = useCallback((actionType, fields = {}) => {
+    const formData = new FormData();
+    formData.append("actionType", actionType);
+    Object.entries(fields).forEach(([key, value]) => formData.append(key, value));
+    submit(formData, { method: "post" });
+  }, [submit]);
+
+  const navigateWithFilters = useCallback((page = 1) => {
+    const params = new URLSearchParams();
+    params.set("status", statusFilter);
+    if (monthFilter.trim()) params.set("budgetMonth", monthFilter.trim());
+    if (locationFilter) params.set("locationId", locationFilter);
+    if (page > 1) params.set("page", String(page));
+    navigate(`?${params.toString()}`);
+  }, [statusFilter, monthFilter, locationFilter, navigate]);
+
+  const handleDeleteThreshold = useCallback((threshold) => {
+    if (confirm(`Remove the ${Number(threshold.threshold_percent)}% alert threshold?`)) {
+      submitAction("deleteThreshold", { thresholdId: threshold.id });
+    }
+  }, [submitAction]);
+
+  const locationOptions = locations.map(location => ({
+    label: `${location.location_id} - ${location.location_name}`,
+    value: location.location_id
+  }));
+
+  const categoryOptions = categories.map(category => ({
+    label: category.name,
+    value: String(category.id)
+  }));
+
+  const eventRows = events.map(event => [
+    event.location_name ? `${event.location_id} - ${event.location_name}` : locationName(event.location_id),
+    event.budget_month,
+    event.category_name,
+    <Badge key={`threshold-${event.id}`} tone={Number(event.threshold_percent) >= 100 ? "critical" : "warning"}>
+      {`${Number(event.threshold_percent)}%`}
+    </Badge>,
+    `$${Number(event.spent_amount).toFixed(2)} / $${Number(event.budget_amount).toFixed(2)} (${Number(event.utilization_percent).toFixed(1)}%)`,
+    event.notification_error
+      ? <Badge key={`notified-${event.id}`} tone="critical">Not delivered</Badge>
+      : event.notified_at ? new Date(event.notified_at).toLocaleString() : "-",
+    new Date(event.created_at).toLocaleString(),
+    event.status === "open" ? (
+      <Button
+        key={`ack-${event.id}`}
+        size="slim"
+        onClick={() => submitAction("acknowledge", { eventId: event.id })}
+      >
+        Acknowledge
+      </Button>
+    ) : (
+      <Text key={`ack-${event.id}`} as="span" variant="bodySm" tone="subdued">
+        {`${event.acknowledged_by || "System"}, ${new Date(event.acknowledged_at).toLocaleDateString()}`}
+      </Text>
+    )
+  ]);
+
+  const thresholdRows = thresholds.map(threshold => [
+    threshold.location_id ? locationName(threshold.location_id) : "All Locations",
+    threshold.category_name || "All Categories",
+    `${Number(threshold.threshold_percent)}%`,
+    threshold.created_by || "System",
+    <Button
+      key={`delete-${threshold.id}`}
+      size="slim"
+      tone="critical"
+      onClick={() => handleDeleteThreshold(threshold)}
+    >
+      Remove
+    </Button>
+  ]);
+
+  const totalPages = Math.max(1, Math.ceil(total / EVENTS_PER_PAGE));
+
+  return (
+    <Frame>
+      {toastActive && (
+        <Toast
+          content={toastMessage}
+          error={toastError}
+          onDismiss={() => setToastActive(false)}
+        />
+      )}
+      <Page>
+        <TitleBar title="Budget Alerts" />
+        <Layout>
+          <Layout.Section>
+            {error && (
+              <Card>
+                <Text as="p" tone="critical">
+                  {error}
+                </Text>
+              </Card>
+            )}
+
+            <BlockStack gap="400">
+              <Card>
+                <BlockStack gap="400">
+                  <InlineStack align="space-between">
+                    <BlockStack gap="100">
+                      <Text as="h2" variant="headingMd">
+                        Alert Inbox
+                      </Text>
+                      <Text as="p" variant="bodySm" tone="subdued">
+                        {`${openCount} open alert(s). A threshold alerts once per location, category and budget month.`}
+                      </Text>
+                    </BlockStack>
+                    <Button
+                      onClick={() => submitAction("evaluate", { budgetMonth: monthFilter.trim() })}
+                      loading={isLoading}
+                    >
+                      {monthFilter.trim() ? `Evaluate ${monthFilter.trim()}` : "Evaluate Current Month"}
+                    </Button>
+                  </InlineStack>
+
+                  <InlineStack gap="300" blockAlign="end">
+                    <div style={{ minWidth: 160 }}>
+                      <Select
+                        label="Status"
+                        options={[
+                          { label: "Open", value: "open" },
+                          { label: "Acknowledged", value: "acknowledged" },
+                          { label: "All", value: "" }
+                        ]}
+                        value={statusFilter}
+                        onChange={setStatusFilter}
+                      />
+                    </div>
+                    <div style={{ minWidth: 140 }}>
+                      <TextField
+                        label="Budget Month"
+                        value={monthFilter}
+                        onChange={setMonthFilter}
+                        placeholder="MM-YYYY"
+                        autoComplete="off"
+                      />
+                    </div>
+                    <div style={{ minWidth: 260 }}>
+                      <Select
+                        label="Location"
+                        options={[{ label: "All Locations", value: "" }, ...locationOptions]}
+                        value={locationFilter}
+                        onChange={setLocationFilter}
+                      />
+                    </div>
+                    <Button onClick={() => navigateWithFilters()}>Apply</Button>
+                  </InlineStack>
+
+                  <DataTable
+                    columnContentTypes={["text", "text", "text", "text", "text", "text", "text", "text"]}
+                    headings={[
+                      "Location",
+                      "Budget Month",
+                      "Category",
+                      "Threshold",
+                      "Spent / Budget",
+                      "Notified",
+                      "Raised",
+                      "Acknowledged"
+                    ]}
+                    rows={eventRows}
+                  />
+
+                  {events.length === 0 && (
+                    <Text as="p" tone="subdued" alignment="center">
+                      No budget alerts found.
+                    </Text>
+                  )}
+
+                  {totalPages > 1 && (
+                    <InlineStack align="center">
+                      <Pagination
+                        hasPrevious={filters.page > 1}
+                        onPrevious={() => navigateWithFilters(filters.page - 1)}
+                        hasNext={filters.page < totalPages}
+                        onNext={() => navigateWithFilters(filters.page + 1)}
+                        label={`Page ${filters.page} of ${totalPages}`}
+                      />
+                    </InlineStack>
+                  )}
+                </BlockStack>
+              </Card>
+
+              <Card>
+                <BlockStack gap="400">
+                  <InlineStack align="space-between">
+                    <BlockStack gap="100">
+                      <Text as="h2" variant="headingMd">
+                        Alert Thresholds
+                      </Text>
+                      <Text as="p" variant="bodySm" tone="subdued">
+                        Percentages of the full-month census-based budget. The most specific thresholds
+                        for a location and category are used: location and category, location, category, then all.
+                      </Text>
+                    </BlockStack>
+                    <Button variant="primary" onClick={() => setIsThresholdModalOpen(true)}>
+                      Add Threshold
+                    </Button>
+                  </InlineStack>
+
+                  <DataTable
+                    columnContentTypes={["text", "text", "numeric", "text", "text"]}
+                    headings={["Location", "Category", "Threshold", "Added By", "Actions"]}
+                    rows={thresholdRows}
+                  />
+
+                  {thresholds.length === 0 && (
+                    <Text as="p" tone="subdued" alignment="center">
+                      No alert thresholds configured - no alerts will be raised.
+                    </Text>
+                  )}
+                </BlockStack>
+              </Card>
+            </BlockStack>
+          </Layout.Section>
+        </Layout>
+
+        <Modal
+          open={isThresholdModalOpen}
+          onClose={() => setIsThresholdModalOpen(false)}
+          title="Add Alert Threshold"
+          primaryAction={{
+            content: "Add",
+            onAction: () => submitAction("createThreshold", {
+              locationId: thresholdLocationId,
+              categoryId: thresholdCategoryId,
+              thresholdPercent
+            }),
+            loading: isLoading,
+            disabled: !thresholdPercent,
+          }}
+          secondaryActions={[
+            {
+              content: "Cancel",
+              onAction: () => setIsThresholdModalOpen(false),
+            },
+          ]}
+        >
+          <Modal.Section>
+            <FormLayout>
+              <Select
+                label="Location"
+                options={[{ label: "All Locations", value: "" }, ...locationOptions]}
+                value={thresholdLocationId}
+                onChange={setThresholdLocationId}
+              />
+              <Select
+                label="Category"
+                options={[{ label: "All Categories", value: "" }, ...categoryOptions]}
+                value={thresholdCategoryId}
+                onChange={setThresholdCategoryId}
+              />
+              <TextField
+                label="Threshold"
+                type="number"
+                value={thresholdPercent}
+                onChange={setThresholdPercent}
+                suffix="%"
+                min={1}
+                max={500}
+                placeholder="e.g., 90"
+                autoComplete="off"
+              />
+            </FormLayout>
+          </Modal.Section>
+        </Modal>
+      </Page>
+    </Frame>
+  );
+}
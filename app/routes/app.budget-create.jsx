@@ -15,11 +15,14 @@ import {
   Icon,
   Frame,
   Toast,
+  DataTable,
+  Badge,
 } from "@shopify/polaris";
 import { DeleteIcon } from "@shopify/polaris-icons";
 import { TitleBar } from "@shopify/app-bridge-react";
 import { authenticate } from "../shopify.server.js";
 import { createBudget, getBudgetCategories, getBudgetById, updateBudget } from "../actions/index.server.js";
+import { getSessionUserIdentity } from "../utils/session-user.server.js";
 
 export const loader = async ({ request }) => {
   await authenticate.admin(request);
@@ -51,7 +54,7 @@ export const loader = async ({ request }) => {
 };
 
 export const action = async ({ request }) => {
-  await authenticate.admin(request);
+  const { session } = await authenticate.admin(request);
   
   const formData = await request.formData();
   const actionType = formData.get("actionType");
@@ -62,12 +65,14 @@ export const action = async ({ request }) => {
         name: formData.get("name"),
         description: formData.get("description"),
         categories: JSON.parse(formData.get("categories") || "{}"),
+        effectiveMonth: formData.get("effectiveMonth") || null,
+        createdBy: getSessionUserIdentity(session),
       };
       
       const newBudget = await createBudget(budgetData);
       
       // Redirect back to the budget list after successful creation
-      return json({ success: true, message: "Budget created successfully", budget: newBudget });
+      return json({ success: true, message: "Budget created as a draft. Submit it for approval to use it.", budget: newBudget });
       //return redirect("/app");
     } else if (actionType === "update") 
       {
@@ -76,6 +81,8 @@ export const action = async ({ request }) => {
         name: formData.get("name"),
         description: formData.get("description"),
         categories: JSON.parse(formData.get("categories") || "{}"),
+        effectiveMonth: formData.get("effectiveMonth") || null,
+        updatedBy: getSessionUserIdentity(session),
       };
       
       const updatedBudget = await updateBudget(budgetId, budgetData);
@@ -105,6 +112,18 @@ export default function BudgetForm() {
     { id: Date.now(), categoryId: "", amount: "" }
   ]);
 
+  // Effective month options: the current month and the next 12 months
+  const effectiveMonthOptions = [];
+  const currentDate = new Date();
+  for (let i = 0; i <= 12; i++) {
+    const date = new Date(currentDate.getFullYear(), currentDate.getMonth() + i, 1);
+    effectiveMonthOptions.push({
+      label: date.toLocaleDateString('en-US', { month: 'long', year: 'numeric' }),
+      value: `${(date.getMonth() + 1).toString().padStart(2, '0')}-${date.getFullYear()}`
+    });
+  }
+  const [effectiveMonth, setEffectiveMonth] = useState(isEditMode ? effectiveMonthOptions[0].value : "");
+
   const isLoading = navigation.state === "submitting";
 
   useEffect(() => { 
@@ -163,6 +182,7 @@ export default function BudgetForm() {
     formData.append("name", budgetName);
     formData.append("description", budgetDescription);
     formData.append("categories", JSON.stringify(categoriesObject));
+    formData.append("effectiveMonth", effectiveMonth);
 
     submit(formData, { method: "post" });
   };
@@ -289,6 +309,17 @@ export default function BudgetForm() {
                   multiline={3}
                   autoComplete="off"
                 />
+                <Select
+                  label="Rates Effective From"
+                  options={isEditMode
+                    ? effectiveMonthOptions
+                    : [{ label: "All months", value: "" }, ...effectiveMonthOptions]}
+                  value={effectiveMonth}
+                  onChange={setEffectiveMonth}
+                  helpText={isEditMode
+                    ? "Budget months before this keep the rates that were in force at the time."
+                    : "Budget months before this have no rates from this budget."}
+                />
               </FormLayout>
             </BlockStack>
           </Card>
@@ -389,6 +420,38 @@ export default function BudgetForm() {
           </Card>
         </Layout.Section>
 
+        {/* Version History */}
+        {isEditMode && budgetData?.versions?.length > 0 && (
+          <Layout.Section>
+            <Card>
+              <BlockStack gap="300">
+                <Text variant="headingMd" as="h3">Rate History</Text>
+                <DataTable
+                  columnContentTypes={["text", "text", "text", "numeric", "text"]}
+                  headings={["Version", "Effective From", "Effective To", "Total PPD", "Changed By"]}
+                  rows={budgetData.versions.map(version => {
+                    const today = new Date().toISOString().slice(0, 10);
+                    const isScheduled = version.effectiveFrom && version.effectiveFrom > today;
+                    const isInForce = !isScheduled && (!version.effectiveTo || version.effectiveTo >= today);
+
+                    return [
+                      <InlineStack key={`version-${version.id}`} gap="200">
+                        <Text as="span">v{version.versionNumber}</Text>
+                        {isInForce && <Badge tone="success">In force</Badge>}
+                        {isScheduled && <Badge tone="info">Scheduled</Badge>}
+                      </InlineStack>,
+                      version.effectiveFrom || "All prior months",
+                      version.effectiveTo || "Open",
+                      formatCurrency(version.totalPpd),
+                      version.createdBy || "System"
+                    ];
+                  })}
+                />
+              </BlockStack>
+            </Card>
+          </Layout.Section>
+        )}
+
         {/* Total Amount Summary */}
         <Layout.Section>
           <Card>
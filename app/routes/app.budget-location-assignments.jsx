@@ -29,8 +29,11 @@ import {
   getAvailableLocations, 
   assignBudgetToLocation,
   getAllBudgetAssignments,
-  removeBudgetAssignment
+  removeBudgetAssignment,
+  getAssignmentEffectiveRates,
+  saveAssignmentRateOverrides
 } from "../actions/fhr-budget.server.js";
+import { getSessionUserIdentity } from "../utils/session-user.server.js";
 
 export const loader = async ({ request }) => {
   await authenticate.admin(request);
@@ -79,7 +82,12 @@ export const loader = async ({ request }) => {
     // Apply pagination
     const totalAssignments = filteredAssignments.length;
     const startIndex = (page - 1) * limit;
-    const paginatedAssignments = filteredAssignments.slice(startIndex, startIndex + limit);
+    const paginatedAssignments = await Promise.all(
+      filteredAssignments.slice(startIndex, startIndex + limit).map(async assignment => ({
+        ...assignment,
+        rates: await getAssignmentEffectiveRates(assignment.id)
+      }))
+    );
 
     return json({
       assignments: paginatedAssignments,
@@ -120,7 +128,7 @@ export const loader = async ({ request }) => {
 };
 
 export const action = async ({ request }) => {
-  await authenticate.admin(request);
+  const { session } = await authenticate.admin(request);
   
   const formData = await request.formData();
   const actionType = formData.get("actionType");
@@ -158,6 +166,27 @@ export const action = async ({ request }) => {
       }
     }
 
+    if (actionType === "saveRates") {
+      const result = await saveAssignmentRateOverrides({
+        assignmentId: formData.get("assignment_id"),
+        multiplier: formData.get("ppd_multiplier"),
+        overrides: JSON.parse(formData.get("overrides") || "{}"),
+        updatedBy: getSessionUserIdentity(session)
+      });
+
+      if (result.success) {
+        return json({
+          success: true,
+          message: "Location PPD rates saved!"
+        });
+      }
+
+      return json({
+        success: false,
+        error: result.error || "Failed to save location PPD rates"
+      });
+    }
+
     if (actionType === "delete") {
       const assignmentId = formData.get("assignment_id");
       
@@ -233,6 +262,11 @@ export default function BudgetLocationAssignments() {
   const [isDeleteModalOpen, setIsDeleteModalOpen] = useState(false);
   const [assignmentToDelete, setAssignmentToDelete] = useState(null);
 
+  // State for rate overrides modal
+  const [assignmentForRates, setAssignmentForRates] = useState(null);
+  const [ppdMultiplier, setPpdMultiplier] = useState("1");
+  const [rateOverrides, setRateOverrides] = useState({});
+
   const isLoading = navigation.state === "submitting";
 
   // Handle action data (success/error messages) with useEffect
@@ -243,6 +277,7 @@ export default function BudgetLocationAssignments() {
         setToastError(false);
         setToastActive(true);
         setIsAssignModalOpen(false);
+        setAssignmentForRates(null);
         // Reset form
         setSelectedBudget("");
         setSelectedLocation("");
@@ -367,6 +402,29 @@ export default function BudgetLocationAssignments() {
     setAssignmentToDelete(null);
   }, [assignmentToDelete, submit]);
 
+  const handleEditRatesClick = useCallback((assignment) => {
+    const overrides = {};
+    (assignment.rates || []).forEach(rate => {
+      overrides[rate.categoryId] = rate.isOverridden ? rate.overrideRate.toString() : "";
+    });
+
+    setAssignmentForRates(assignment);
+    setPpdMultiplier(parseFloat(assignment.ppd_multiplier || 1).toString());
+    setRateOverrides(overrides);
+  }, []);
+
+  const handleRatesSave = useCallback(() => {
+    if (!assignmentForRates) return;
+
+    const formData = new FormData();
+    formData.append("actionType", "saveRates");
+    formData.append("assignment_id", assignmentForRates.id);
+    formData.append("ppd_multiplier", ppdMultiplier);
+    formData.append("overrides", JSON.stringify(rateOverrides));
+
+    submit(formData, { method: "post" });
+  }, [assignmentForRates, ppdMultiplier, rateOverrides, submit]);
+
   const handleDeleteCancel = useCallback(() => {
     setIsDeleteModalOpen(false);
     setAssignmentToDelete(null);
@@ -427,19 +485,74 @@ export default function BudgetLocationAssignments() {
     // >
     //   {assignment.status}
     // </Badge>,
+    <InlineStack key={`rates-${assignment.id}`} gap="100">
+      {parseFloat(assignment.ppd_multiplier || 1) !== 1 && (
+        <Badge tone="info">{`× ${parseFloat(assignment.ppd_multiplier)}`}</Badge>
+      )}
+      {assignment.override_count > 0 && (
+        <Badge tone="attention">{`${assignment.override_count} overridden`}</Badge>
+      )}
+      {parseFloat(assignment.ppd_multiplier || 1) === 1 && !assignment.override_count && (
+        <Text as="span" tone="subdued">Template rates</Text>
+      )}
+    </InlineStack>,
     assignment.assigned_by || "System",
     new Date(assignment.created_at).toLocaleDateString(),
-    <Button
-      key={`delete-${assignment.id}`}
-      size="slim"
-      destructive
-      onClick={() => handleDeleteClick(assignment)}
-      disabled={assignment.status !== "active"}
-    >
-      Delete
-    </Button>
+    <InlineStack key={`actions-${assignment.id}`} gap="200">
+      <Button
+        size="slim"
+        onClick={() => handleEditRatesClick(assignment)}
+      >
+        PPD Rates
+      </Button>
+      <Button
+        size="slim"
+        destructive
+        onClick={() => handleDeleteClick(assignment)}
+        disabled={assignment.status !== "active"}
+      >
+        Delete
+      </Button>
+    </InlineStack>
   ]);
 
+  // Effective rate of a category in the rates modal as currently edited
+  const getEditedEffectiveRate = (rate) => {
+    const override = rateOverrides[rate.categoryId];
+    if (override !== undefined && override !== "" && !isNaN(parseFloat(override))) {
+      return parseFloat(override);
+    }
+    return rate.baseRate * (parseFloat(ppdMultiplier) || 0);
+  };
+
+  const rateRows = (assignmentForRates?.rates || []).map(rate => {
+    const isOverridden = rateOverrides[rate.categoryId] !== undefined && rateOverrides[rate.categoryId] !== "";
+
+    return [
+      rate.categoryName,
+      `$${rate.baseRate.toFixed(2)}`,
+      <div key={`override-${rate.categoryId}`} style={{ maxWidth: 140 }}>
+        <TextField
+          label="Override PPD"
+          labelHidden
+          type="number"
+          prefix="$"
+          min="0"
+          step="0.01"
+          value={rateOverrides[rate.categoryId] ?? ""}
+          onChange={(value) => setRateOverrides(prev => ({ ...prev, [rate.categoryId]: value }))}
+          placeholder={(rate.baseRate * (parseFloat(ppdMultiplier) || 0)).toFixed(2)}
+          autoComplete="off"
+        />
+      </div>,
+      isOverridden ? (
+        <Badge key={`effective-${rate.categoryId}`} tone="attention">
+          {`$${getEditedEffectiveRate(rate).toFixed(2)} (overridden)`}
+        </Badge>
+      ) : `$${getEditedEffectiveRate(rate).toFixed(2)}`
+    ];
+  });
+
   const handlePreviousPage = useCallback(() => {
     if (pagination.currentPage > 1) {
       const params = new URLSearchParams(window.location.search);
@@ -541,11 +654,12 @@ export default function BudgetLocationAssignments() {
                 />
 
                 <DataTable
-                  columnContentTypes={["text", "text", "text", "text", "text",  "text"]}
+                  columnContentTypes={["text", "text", "text", "text", "text", "text",  "text"]}
                   headings={[
                     "Budget Name",
                     "Budget Total", 
                     "Location ID & Name",
+                    "PPD Adjustments",
                     // "Status",
                     "Assigned By",
                     "Assigned Date",
@@ -636,6 +750,52 @@ export default function BudgetLocationAssignments() {
           </Modal.Section>
         </Modal>
 
+        <Modal
+          open={!!assignmentForRates}
+          onClose={() => setAssignmentForRates(null)}
+          title={assignmentForRates
+            ? `PPD Rates: ${assignmentForRates.budget_name} - ${assignmentForRates.location_name || assignmentForRates.location_id}`
+            : "PPD Rates"}
+          primaryAction={{
+            content: "Save Rates",
+            onAction: handleRatesSave,
+            loading: isLoading,
+            disabled: !(parseFloat(ppdMultiplier) > 0),
+          }}
+          secondaryActions={[
+            {
+              content: "Cancel",
+              onAction: () => setAssignmentForRates(null),
+            },
+          ]}
+          large
+        >
+          <Modal.Section>
+            <BlockStack gap="400">
+              <div style={{ maxWidth: 220 }}>
+                <TextField
+                  label="Location PPD Multiplier"
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  value={ppdMultiplier}
+                  onChange={setPpdMultiplier}
+                  helpText="Scales every template rate without an override (1 = template rates)"
+                  autoComplete="off"
+                />
+              </div>
+              <DataTable
+                columnContentTypes={["text", "numeric", "text", "text"]}
+                headings={["Category", "Template PPD", "Override PPD", "Effective PPD"]}
+                rows={rateRows}
+              />
+              <Text as="p" variant="bodySm" tone="subdued">
+                Template rates are the budget rates in force this month. Leave an override empty to use the template rate × multiplier.
+              </Text>
+            </BlockStack>
+          </Modal.Section>
+        </Modal>
+
         <Modal
           open={isDeleteModalOpen}
           onClose={handleDeleteCancel}
@@ -0,0 +1,588 @@
+import { useLoaderData, useSubmit, useNavigation, useActionData, useNavigate } from "@remix-run/react";
+import { useState, useCallback, useEffect } from "react";
+import { json } from "@remix-run/node";
+import {
+  Page,
+  Layout,
+  Card,
+  BlockStack,
+  Text,
+  TextField,
+  Button,
+  InlineStack,
+  FormLayout,
+  Select,
+  DataTable,
+  Badge,
+  Modal,
+  Toast,
+  Frame,
+  Pagination,
+} from "@shopify/polaris";
+import { TitleBar } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server.js";
+import { getAvailableLocationsForCensus } from "../actions/fhr-location-census.server.js";
+import {
+  getBudgetMonthCloses,
+  getBudgetMonthCloseCategories,
+  getBudgetMonthCloseExceptions,
+  getDefaultBudgetMonthClosePolicy,
+  closeBudgetMonth,
+  reopenBudgetMonth,
+  resolveBudgetMonthCloseException,
+} from "../actions/budget-month-close.server.js";
+import { getSessionUserIdentity } from "../utils/session-user.server.js";
+
+const EXCEPTIONS_PER_PAGE = 50;
+
+const POLICY_OPTIONS = [
+  { label: "Redirect to the current month", value: "redirect" },
+  { label: "Flag only", value: "flag" }
+];
+
+const CLOSE_STATUS_BADGES = {
+  closed: { label: "Closed", tone: "success" },
+  reopened: { label: "Reopened", tone: "attention" }
+};
+
+const ACTIVITY_LABELS = {
+  order: "Late order",
+  refund: "Late refund",
+  reassignment: "Month change"
+};
+
+function formatAmount(value) {
+  return value === null || value === undefined ? "-" : `$${Number(value).toFixed(2)}`;
+}
+
+function getPreviousBudgetMonth() {
+  const now = new Date();
+  const previous = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - 1, 1));
+  return `${String(previous.getUTCMonth() + 1).padStart(2, "0")}-${previous.getUTCFullYear()}`;
+}
+
+export const loader = async ({ request }) => {
+  await authenticate.admin(request);
+
+  const url = new URL(request.url);
+  const filters = {
+    locationId: url.searchParams.get("locationId") || "",
+    exceptionStatus: url.searchParams.get("exceptionStatus") ?? "open",
+    page: parseInt(url.searchParams.get("page")) || 1
+  };
+  const closeId = url.searchParams.get("closeId") || "";
+
+  try {
+    const [closes, exceptionResults, locations, closeCategories] = await Promise.all([
+      getBudgetMonthCloses({ locationId: filters.locationId || null }),
+      getBudgetMonthCloseExceptions({
+        status: filters.exceptionStatus || null,
+        locationId: filters.locationId || null,
+        page: filters.page,
+        limit: EXCEPTIONS_PER_PAGE
+      }),
+      getAvailableLocationsForCensus(),
+      closeId ? getBudgetMonthCloseCategories(closeId) : []
+    ]);
+
+    return json({
+      closes,
+      ...exceptionResults,
+      locations,
+      closeId,
+      closeCategories,
+      defaultPolicy: getDefaultBudgetMonthClosePolicy(),
+      filters
+    });
+  } catch (error) {
+    console.error("Error loading budget month closes:", error);
+    return json({
+      closes: [],
+      exceptions: [],
+      total: 0,
+      openCount: 0,
+      locations: [],
+      closeId,
+      closeCategories: [],
+      defaultPolicy: getDefaultBudgetMonthClosePolicy(),
+      filters,
+      error: "Failed to load budget month closes"
+    });
+  }
+};
+
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const actor = getSessionUserIdentity(session);
+
+  const formData = await request.formData();
+  const actionType = formData.get("actionType");
+
+  try {
+    switch (actionType) {
+      case "close": {
+        const result = await closeBudgetMonth({
+          locationId: formData.get("locationId"),
+          budgetMonth: formData.get("budgetMonth")?.trim(),
+          policy: formData.get("policy"),
+          actor
+        });
+
+        return result.success
+          ? json({
+              success: true,
+              message: `${formData.get("budgetMonth")} closed: ${result.categories} categories snapshotted, ${result.frozenOrders} order(s) pinned to the month`
+            })
+          : json({ success: false, error: result.error });
+      }
+
+      case "reopen": {
+        const result = await reopenBudgetMonth({
+          closeId: formData.get("closeId"),
+          reason: formData.get("reason"),
+          actor
+        });
+
+        return result.success
+          ? json({ success: true, message: `${result.budgetMonth} reopened for location ${result.locationId}` })
+          : json({ success: false, error: result.error });
+      }
+
+      case "resolveException": {
+        const resolved = await resolveBudgetMonthCloseException({
+          exceptionId: formData.get("exceptionId"),
+          note: formData.get("note"),
+          actor
+        });
+
+        return resolved
+          ? json({ success: true, message: "Exception resolved" })
+          : json({ success: false, error: "Exception not found or already resolved" });
+      }
+
+      default:
+        return json({ success: false, error: "Invalid action type" }, { status: 400 });
+    }
+  } catch (error) {
+    console.error("Error processing budget month close action:", error);
+    return json({ success: false, error: error.message || "Failed to process request" });
+  }
+};
+
+export default function BudgetMonthClose() {
+  const { closes, exceptions, total, openCount, locations, closeId, closeCategories, defaultPolicy, filters, error } = useLoaderData();
+  const actionData = useActionData();
+  const submit = useSubmit();
+  const navigation = useNavigation();
+  const navigate = useNavigate();
+
+  const [locationFilter, setLocationFilter] = useState(filters.locationId);
+  const [exceptionStatusFilter, setExceptionStatusFilter] = useState(filters.exceptionStatus);
+
+  const [closeLocationId, setCloseLocationId] = useState("");
+  const [closeMonth, setCloseMonth] = useState(getPreviousBudgetMonth());
+  const [closePolicy, setClosePolicy] = useState(defaultPolicy);
+
+  const [reopenClose, setReopenClose] = useState(null);
+  const [reopenReason, setReopenReason] = useState("");
+
+  const [resolveException, setResolveException] = useState(null);
+  const [resolutionNote, setResolutionNote] = useState("");
+
+  const [toastActive, setToastActive] = useState(false);
+  const [toastMessage, setToastMessage] = useState("");
+  const [toastError, setToastError] = useState(false);
+
+  const isLoading = navigation.state === "submitting";
+
+  useEffect(() => {
+    if (actionData) {
+      setToastMessage(actionData.success ? actionData.message : actionData.error);
+      setToastError(!actionData.success);
+      setToastActive(true);
+
+      if (actionData.success) {
+        setReopenClose(null);
+        setReopenReason("");
+        setResolveException(null);
+        setResolutionNote("");
+      }
+    }
+  }, [actionData]);
+
+  const locationName = useCallback((id, name) => {
+    if (name) return `${id} - ${name}`;
+    const location = locations.find(loc => loc.location_id === id);
+    return location ? `${location.location_id} - ${location.location_name}` : id;
+  }, [locations]);
+
+  const submitAction = useCallback((actionType, fields = {}) => {
+    const formData = new FormData();
+    formData.append("actionType", actionType);
+    Object.entries(fields).forEach(([key, value]) => formData.append(key, value));
+    submit(formData, { method: "post" });
+  }, [submit]);
+
+  const navigateWith = useCallback((changes = {}) => {
+    const params = new URLSearchParams();
+    const location = changes.locationId ?? locationFilter;
+    if (location) params.set("locationId", location);
+    params.set("exceptionStatus", changes.exceptionStatus ?? exceptionStatusFilter);
+    if (changes.page > 1) params.set("page", String(changes.page));
+    if (changes.closeId) params.set("closeId", String(changes.closeId));
+    navigate(`?${params.toString()}`);
+  }, [locationFilter, exceptionStatusFilter, navigate]);
+
+  const handleClose = () => {
+    const location = locationName(closeLocationId);
+    if (confirm(`Close ${closeMonth.trim()} for ${location}? Its figures will be frozen as they are now.`)) {
+      submitAction("close", { locationId: closeLocationId, budgetMonth: closeMonth.trim(), policy: closePolicy });
+    }
+  };
+
+  const locationOptions = locations.map(location => ({
+    label: `${location.location_id} - ${location.location_name}`,
+    value: location.location_id
+  }));
+
+  const closeRows = closes.map(close => [
+    locationName(close.location_id, close.location_name),
+    close.budget_month,
+    <BlockStack key={`status-${close.id}`} gap="050">
+      <Badge tone={CLOSE_STATUS_BADGES[close.status]?.tone}>
+        {CLOSE_STATUS_BADGES[close.status]?.label || close.status}
+      </Badge>
+      {close.status === "reopened" && (
+        <Text as="span" variant="bodySm" tone="subdued">
+          {`${close.reopened_by}, ${new Date(close.reopened_at).toLocaleDateString()}: ${close.reopen_reason}`}
+        </Text>
+      )}
+    </BlockStack>,
+    POLICY_OPTIONS.find(option => option.value === close.late_activity_policy)?.label || close.late_activity_policy,
+    formatAmount(close.allocated_amount),
+    formatAmount(close.spent_amount),
+    `${close.closed_by}, ${new Date(close.closed_at).toLocaleDateString()}`,
+    String(close.open_exceptions || 0),
+    <InlineStack key={`actions-${close.id}`} gap="200" wrap={false}>
+      <Button size="slim" onClick={() => navigateWith({ closeId: close.id, page: filters.page })}>
+        Figures
+      </Button>
+      {close.status === "closed" && (
+        <Button size="slim" tone="critical" onClick={() => setReopenClose(close)}>
+          Reopen
+        </Button>
+      )}
+    </InlineStack>
+  ]);
+
+  const exceptionRows = exceptions.map(exception => [
+    new Date(exception.detected_at).toLocaleString(),
+    locationName(exception.location_id, exception.location_name),
+    exception.budget_month,
+    ACTIVITY_LABELS[exception.activity_type] || exception.activity_type,
+    exception.order_number || String(exception.order_id),
+    formatAmount(exception.amount),
+    exception.redirected_to_month
+      ? <Badge key={`handling-${exception.id}`} tone="info">{`Redirected to ${exception.redirected_to_month}`}</Badge>
+      : <Badge key={`handling-${exception.id}`} tone="warning">Flagged</Badge>,
+    exception.detail || "-",
+    exception.status === "open" ? (
+      <Button key={`resolve-${exception.id}`} size="slim" onClick={() => setResolveException(exception)}>
+        Resolve
+      </Button>
+    ) : (
+      <Text key={`resolved-${exception.id}`} as="span" variant="bodySm" tone="subdued">
+        {`${exception.resolved_by}${exception.resolution_note ? `: ${exception.resolution_note}` : ""}`}
+      </Text>
+    )
+  ]);
+
+  const categoryRows = closeCategories.map(category => [
+    category.category_name,
+    formatAmount(category.allocated_amount),
+    formatAmount(category.gross_amount),
+    formatAmount(category.refunded_amount),
+    formatAmount(category.spent_amount),
+    formatAmount(category.remaining_amount)
+  ]);
+
+  const totalPages = Math.max(1, Math.ceil(total / EXCEPTIONS_PER_PAGE));
+  const selectedClose = closes.find(close => String(close.id) === String(closeId));
+
+  return (
+    <Frame>
+      {toastActive && (
+        <Toast
+          content={toastMessage}
+          error={toastError}
+          onDismiss={() => setToastActive(false)}
+        />
+      )}
+      <Page>
+        <TitleBar title="Month Close" />
+        <Layout>
+          <Layout.Section>
+            {error && (
+              <Card>
+                <Text as="p" tone="critical">
+                  {error}
+                </Text>
+              </Card>
+            )}
+
+            <BlockStack gap="400">
+              <Card>
+                <BlockStack gap="400">
+                  <BlockStack gap="100">
+                    <Text as="h2" variant="headingMd">
+                      Close a Budget Month
+                    </Text>
+                    <Text as="p" variant="bodySm" tone="subdued">
+                      Closing freezes the month's order budget months and snapshots its category spend and budget. Category reports of a closed month show the snapshot. Orders and refunds that arrive for the month later are redirected to the current month or flagged, as the policy says.
+                    </Text>
+                  </BlockStack>
+
+                  <InlineStack gap="300" blockAlign="end">
+                    <div style={{ minWidth: 260 }}>
+                      <Select
+                        label="Location"
+                        options={[{ label: "Select a location", value: "" }, ...locationOptions]}
+                        value={closeLocationId}
+                        onChange={setCloseLocationId}
+                      />
+                    </div>
+                    <div style={{ minWidth: 140 }}>
+                      <TextField
+                        label="Budget Month"
+                        value={closeMonth}
+                        onChange={setCloseMonth}
+                        placeholder="MM-YYYY"
+                        autoComplete="off"
+                      />
+                    </div>
+                    <div style={{ minWidth: 240 }}>
+                      <Select
+                        label="Late Orders and Refunds"
+                        options={POLICY_OPTIONS}
+                        value={closePolicy}
+                        onChange={setClosePolicy}
+                      />
+                    </div>
+                    <Button
+                      variant="primary"
+                      onClick={handleClose}
+                      loading={isLoading}
+                      disabled={!closeLocationId || !closeMonth.trim()}
+                    >
+                      Close Month
+                    </Button>
+                  </InlineStack>
+                </BlockStack>
+              </Card>
+
+              <Card>
+                <BlockStack gap="400">
+                  <Text as="h2" variant="headingMd">
+                    Closed Months
+                  </Text>
+
+                  <InlineStack gap="300" blockAlign="end">
+                    <div style={{ minWidth: 260 }}>
+                      <Select
+                        label="Location"
+                        options={[{ label: "All Locations", value: "" }, ...locationOptions]}
+                        value={locationFilter}
+                        onChange={setLocationFilter}
+                      />
+                    </div>
+                    <Button onClick={() => navigateWith()}>Apply</Button>
+                  </InlineStack>
+
+                  <DataTable
+                    columnContentTypes={["text", "text", "text", "text", "numeric", "numeric", "text", "numeric", "text"]}
+                    headings={[
+                      "Location",
+                      "Budget Month",
+                      "Status",
+                      "Late Activity",
+                      "Budget",
+                      "Spent",
+                      "Closed",
+                      "Open Exceptions",
+                      "Actions"
+                    ]}
+                    rows={closeRows}
+                  />
+
+                  {closes.length === 0 && (
+                    <Text as="p" tone="subdued" alignment="center">
+                      No budget months have been closed.
+                    </Text>
+                  )}
+                </BlockStack>
+              </Card>
+
+              <Card>
+                <BlockStack gap="400">
+                  <BlockStack gap="100">
+                    <Text as="h2" variant="headingMd">
+                      Late Activity
+                    </Text>
+                    <Text as="p" variant="bodySm" tone="subdued">
+                      {`${openCount} open exception(s). Orders, refunds and budget month changes received for closed months.`}
+                    </Text>
+                  </BlockStack>
+
+                  <InlineStack gap="300" blockAlign="end">
+                    <div style={{ minWidth: 180 }}>
+                      <Select
+                        label="Status"
+                        options={[
+                          { label: "Open", value: "open" },
+                          { label: "Resolved", value: "resolved" },
+                          { label: "All", value: "" }
+                        ]}
+                        value={exceptionStatusFilter}
+                        onChange={setExceptionStatusFilter}
+                      />
+                    </div>
+                    <Button onClick={() => navigateWith()}>Apply</Button>
+                  </InlineStack>
+
+                  <DataTable
+                    columnContentTypes={["text", "text", "text", "text", "text", "numeric", "text", "text", "text"]}
+                    headings={[
+                      "Detected",
+                      "Location",
+                      "Closed Month",
+                      "Activity",
+                      "Order",
+                      "Amount",
+                      "Handling",
+                      "Detail",
+                      "Resolution"
+                    ]}
+                    rows={exceptionRows}
+                  />
+
+                  {exceptions.length === 0 && (
+                    <Text as="p" tone="subdued" alignment="center">
+                      No exceptions found.
+                    </Text>
+                  )}
+
+                  {totalPages > 1 && (
+                    <InlineStack align="center">
+                      <Pagination
+                        hasPrevious={filters.page > 1}
+                        onPrevious={() => navigateWith({ page: filters.page - 1 })}
+                        hasNext={filters.page < totalPages}
+                        onNext={() => navigateWith({ page: filters.page + 1 })}
+                        label={`Page ${filters.page} of ${totalPages}`}
+                      />
+                    </InlineStack>
+                  )}
+                </BlockStack>
+              </Card>
+            </BlockStack>
+          </Layout.Section>
+        </Layout>
+
+        {selectedClose && (
+          <Modal
+            open
+            large
+            onClose={() => navigateWith({ page: filters.page })}
+            title={`${selectedClose.budget_month} - ${locationName(selectedClose.location_id, selectedClose.location_name)}`}
+            secondaryActions={[
+              {
+                content: "Close",
+                onAction: () => navigateWith({ page: filters.page }),
+              },
+            ]}
+          >
+            <Modal.Section>
+              <BlockStack gap="300">
+                <Text as="p" variant="bodySm" tone="subdued">
+                  {`Spend and budget per category as closed by ${selectedClose.closed_by} on ${new Date(selectedClose.closed_at).toLocaleString()}.`}
+                </Text>
+                <DataTable
+                  columnContentTypes={["text", "numeric", "numeric", "numeric", "numeric", "numeric"]}
+                  headings={["Category", "Budget", "Gross", "Refunded", "Net Spent", "Remaining"]}
+                  rows={categoryRows}
+                />
+              </BlockStack>
+            </Modal.Section>
+          </Modal>
+        )}
+
+        <Modal
+          open={reopenClose !== null}
+          onClose={() => setReopenClose(null)}
+          title={reopenClose ? `Reopen ${reopenClose.budget_month} - ${locationName(reopenClose.location_id, reopenClose.location_name)}` : "Reopen"}
+          primaryAction={{
+            content: "Reopen",
+            destructive: true,
+            onAction: () => submitAction("reopen", { closeId: reopenClose.id, reason: reopenReason }),
+            loading: isLoading,
+            disabled: !reopenReason.trim(),
+          }}
+          secondaryActions={[
+            {
+              content: "Cancel",
+              onAction: () => setReopenClose(null),
+            },
+          ]}
+        >
+          <Modal.Section>
+            <FormLayout>
+              <Text as="p">
+                The month's figures are recalculated from its orders again and refunds redirected out of it move back. Open exceptions are resolved.
+              </Text>
+              <TextField
+                label="Reason"
+                value={reopenReason}
+                onChange={setReopenReason}
+                multiline={3}
+                autoComplete="off"
+                helpText="Required"
+              />
+            </FormLayout>
+          </Modal.Section>
+        </Modal>
+
+        <Modal
+          open={resolveException !== null}
+          onClose={() => setResolveException(null)}
+          title="Resolve Exception"
+          primaryAction={{
+            content: "Resolve",
+            onAction: () => submitAction("resolveException", { exceptionId: resolveException.id, note: resolutionNote }),
+            loading: isLoading,
+          }}
+          secondaryActions={[
+            {
+              content: "Cancel",
+              onAction: () => setResolveException(null),
+            },
+          ]}
+        >
+          <Modal.Section>
+            <FormLayout>
+              {resolveException && (
+                <Text as="p">{resolveException.detail}</Text>
+              )}
+              <TextField
+                label="Note"
+                value={resolutionNote}
+                onChange={setResolutionNote}
+                multiline={3}
+                autoComplete="off"
+              />
+            </FormLayout>
+          </Modal.Section>
+        </Modal>
+      </Page>
+    </Frame>
+  );
+}
@@ -0,0 +1,49 @@
+import { json } from "@remix-run/node";
+import { authenticate } from "../shopify.server.js";
+import { getMonthlyBudgetStatement } from "../actions/budget-statements.server.js";
+import { SPEND_DEFINITIONS, getDefaultSpendDefinition } from "../actions/spend-definitions.server.js";
+import { renderBudgetStatementPdf, getBudgetStatementFilename } from "../services/budget-statement-pdf.service.js";
+
+/**
+ * Budget statement resource route
+ * GET /app/budget-statement?companyLocationId=...&month=MM&year=YYYY[&spendDefinition=...]
+ * Downloads the monthly budget-vs-actual statement of a facility as a PDF.
+ */
+export const loader = async ({ request }) => {
+  await authenticate.admin(request);
+
+  const url = new URL(request.url);
+  const currentDate = new Date();
+  const companyLocationId = url.searchParams.get("companyLocationId")?.trim() || "";
+  const month = url.searchParams.get("month")?.trim() || (currentDate.getMonth() + 1).toString().padStart(2, "0");
+  const year = url.searchParams.get("year")?.trim() || currentDate.getFullYear().toString();
+  const spendDefinition = url.searchParams.get("spendDefinition")?.trim() || getDefaultSpendDefinition();
+
+  if (!companyLocationId) {
+    return json({ error: "A company location ID is required" }, { status: 400 });
+  }
+
+  if (!(parseInt(month) >= 1 && parseInt(month) <= 12) || !/^\d{4}$/.test(year)) {
+    return json({ error: "Month must be 01-12 and year a 4-digit year" }, { status: 400 });
+  }
+
+  if (!SPEND_DEFINITIONS.includes(spendDefinition)) {
+    return json({ error: `Unknown spend definition "${spendDefinition}"` }, { status: 400 });
+  }
+
+  try {
+    const statement = await getMonthlyBudgetStatement({ companyLocationId, month, year, spendDefinition });
+    const pdf = await renderBudgetStatementPdf(statement);
+
+    return new Response(pdf, {
+      headers: {
+        "Content-Type": "application/pdf",
+        "Content-Disposition": `attachment; filename="${getBudgetStatementFilename(statement)}"`,
+        "Cache-Control": "no-store"
+      }
+    });
+  } catch (error) {
+    console.error("Error generating budget statement:", error);
+    return json({ error: "Failed to generate budget statement" }, { status: 500 });
+  }
+};
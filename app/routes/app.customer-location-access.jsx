@@ -0,0 +1,311 @@
+import { useLoaderData, useSubmit, useNavigation, useActionData, useNavigate } from "@remix-run/react";
+import { useState, useCallback, useEffect } from "react";
+import { json } from "@remix-run/node";
+import {
+  Page,
+  Layout,
+  Card,
+  BlockStack,
+  Text,
+  TextField,
+  Button,
+  InlineStack,
+  FormLayout,
+  Select,
+  DataTable,
+  Modal,
+  Toast,
+  Frame,
+} from "@shopify/polaris";
+import { TitleBar } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server.js";
+import { getAvailableLocationsForCensus } from "../actions/fhr-location-census.server.js";
+import {
+  getCustomerLocationAccess,
+  grantCustomerLocationAccess,
+  revokeCustomerLocationAccess,
+} from "../actions/customer-location-access.server.js";
+import { getSessionUserIdentity } from "../utils/session-user.server.js";
+
+export const loader = async ({ request }) => {
+  await authenticate.admin(request);
+
+  const url = new URL(request.url);
+  const customerFilter = url.searchParams.get("customerId")?.trim() || "";
+  const locationFilter = url.searchParams.get("locationId")?.trim() || "";
+
+  try {
+    const [grants, locations] = await Promise.all([
+      getCustomerLocationAccess({ customerId: customerFilter, locationId: locationFilter }),
+      getAvailableLocationsForCensus()
+    ]);
+
+    return json({
+      grants,
+      locations,
+      filters: { customerId: customerFilter, locationId: locationFilter }
+    });
+  } catch (error) {
+    console.error("Error loading customer location access:", error);
+    return json({
+      grants: [],
+      locations: [],
+      filters: { customerId: customerFilter, locationId: locationFilter },
+      error: "Failed to load customer location access"
+    });
+  }
+};
+
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+
+  const formData = await request.formData();
+  const actionType = formData.get("actionType");
+
+  try {
+    switch (actionType) {
+      case "grant": {
+        const result = await grantCustomerLocationAccess({
+          customerId: formData.get("customerId"),
+          locationId: formData.get("locationId"),
+          grantedBy: getSessionUserIdentity(session)
+        });
+
+        if (!result.success) {
+          return json({ success: false, error: result.error });
+        }
+
+        return json({ success: true, message: "Location access granted" });
+      }
+
+      case "revoke": {
+        const accessId = formData.get("accessId");
+
+        if (!accessId) {
+          return json({ success: false, error: "Access ID is required" });
+        }
+
+        const revoked = await revokeCustomerLocationAccess(accessId);
+
+        return revoked
+          ? json({ success: true, message: "Location access revoked" })
+          : json({ success: false, error: "Failed to revoke location access" });
+      }
+
+      default:
+        return json({ success: false, error: "Invalid action type" }, { status: 400 });
+    }
+  } catch (error) {
+    console.error("Error processing customer location access action:", error);
+    return json({ success: false, error: error.message || "Failed to process request" });
+  }
+};
+
+export default function CustomerLocationAccess() {
+  const { grants, locations, filters, error } = useLoaderData();
+  const actionData = useActionData();
+  const submit = useSubmit();
+  const navigation = useNavigation();
+  const navigate = useNavigate();
+
+  const [isGrantModalOpen, setIsGrantModalOpen] = useState(false);
+  const [customerId, setCustomerId] = useState("");
+  const [locationId, setLocationId] = useState("");
+
+  const [customerFilter, setCustomerFilter] = useState(filters.customerId || "");
+  const [locationFilter, setLocationFilter] = useState(filters.locationId || "");
+
+  const [toastActive, setToastActive] = useState(false);
+  const [toastMessage, setToastMessage] = useState("");
+  const [toastError, setToastError] = useState(false);
+
+  const isLoading = navigation.state === "submitting";
+
+  useEffect(() => {
+    if (actionData) {
+      setToastMessage(actionData.success ? actionData.message : actionData.error);
+      setToastError(!actionData.success);
+      setToastActive(true);
+
+      if (actionData.success) {
+        setIsGrantModalOpen(false);
+        setCustomerId("");
+        setLocationId("");
+      }
+    }
+  }, [actionData]);
+
+  const locationName = useCallback((id) => {
+    const location = locations.find(loc => loc.location_id === id);
+    return location ? `${location.location_id} - ${location.location_name}` : id;
+  }, [locations]);
+
+  const handleGrant = useCallback(() => {
+    const formData = new FormData();
+    formData.append("actionType", "grant");
+    formData.append("customerId", customerId.trim());
+    formData.append("locationId", locationId);
+    submit(formData, { method: "post" });
+  }, [customerId, locationId, submit]);
+
+  const handleRevoke = useCallback((grant) => {
+    if (confirm(`Revoke access to ${locationName(grant.location_id)} for customer ${grant.customer_id}?`)) {
+      const formData = new FormData();
+      formData.append("actionType", "revoke");
+      formData.append("accessId", grant.id);
+      submit(formData, { method: "post" });
+    }
+  }, [locationName, submit]);
+
+  const handleFiltersApply = useCallback(() => {
+    const params = new URLSearchParams();
+    if (customerFilter.trim()) params.set("customerId", customerFilter.trim());
+    if (locationFilter) params.set("locationId", locationFilter);
+    navigate(`?${params.toString()}`);
+  }, [customerFilter, locationFilter, navigate]);
+
+  const handleFiltersClear = useCallback(() => {
+    setCustomerFilter("");
+    setLocationFilter("");
+    navigate("?");
+  }, [navigate]);
+
+  const locationOptions = locations.map(location => ({
+    label: `${location.location_id} - ${location.location_name}`,
+    value: location.location_id
+  }));
+
+  const tableRows = grants.map(grant => [
+    grant.customer_id,
+    grant.location_name ? `${grant.location_id} - ${grant.location_name}` : locationName(grant.location_id),
+    grant.granted_by || "System",
+    new Date(grant.updated_at || grant.created_at).toLocaleDateString(),
+    <Button
+      key={`revoke-${grant.id}`}
+      size="slim"
+      tone="critical"
+      onClick={() => handleRevoke(grant)}
+    >
+      Revoke
+    </Button>
+  ]);
+
+  return (
+    <Frame>
+      {toastActive && (
+        <Toast
+          content={toastMessage}
+          error={toastError}
+          onDismiss={() => setToastActive(false)}
+        />
+      )}
+      <Page>
+        <TitleBar title="Customer Location Access" />
+        <Layout>
+          <Layout.Section>
+            {error && (
+              <Card>
+                <Text as="p" tone="critical">
+                  {error}
+                </Text>
+              </Card>
+            )}
+
+            <Card>
+              <BlockStack gap="400">
+                <InlineStack align="space-between">
+                  <BlockStack gap="100">
+                    <Text as="h2" variant="headingMd">
+                      Customer Location Access
+                    </Text>
+                    <Text as="p" variant="bodySm" tone="subdued">
+                      Storefront customers can only read spend for the locations granted here.
+                    </Text>
+                  </BlockStack>
+                  <Button variant="primary" onClick={() => setIsGrantModalOpen(true)}>
+                    Grant Location Access
+                  </Button>
+                </InlineStack>
+
+                <InlineStack gap="300" blockAlign="end">
+                  <div style={{ minWidth: 220 }}>
+                    <TextField
+                      label="Customer ID"
+                      value={customerFilter}
+                      onChange={setCustomerFilter}
+                      autoComplete="off"
+                    />
+                  </div>
+                  <div style={{ minWidth: 260 }}>
+                    <Select
+                      label="Location"
+                      options={[{ label: "All Locations", value: "" }, ...locationOptions]}
+                      value={locationFilter}
+                      onChange={setLocationFilter}
+                    />
+                  </div>
+                  <Button onClick={handleFiltersApply}>Apply</Button>
+                  <Button variant="tertiary" onClick={handleFiltersClear}>Clear</Button>
+                </InlineStack>
+
+                <DataTable
+                  columnContentTypes={["text", "text", "text", "text", "text"]}
+                  headings={[
+                    "Customer ID",
+                    "Location ID & Name",
+                    "Granted By",
+                    "Granted Date",
+                    "Actions"
+                  ]}
+                  rows={tableRows}
+                />
+
+                {grants.length === 0 && (
+                  <Text as="p" tone="subdued" alignment="center">
+                    No location access grants found.
+                  </Text>
+                )}
+              </BlockStack>
+            </Card>
+          </Layout.Section>
+        </Layout>
+
+        <Modal
+          open={isGrantModalOpen}
+          onClose={() => setIsGrantModalOpen(false)}
+          title="Grant Location Access"
+          primaryAction={{
+            content: "Grant",
+            onAction: handleGrant,
+            loading: isLoading,
+            disabled: !customerId.trim() || !locationId,
+          }}
+          secondaryActions={[
+            {
+              content: "Cancel",
+              onAction: () => setIsGrantModalOpen(false),
+            },
+          ]}
+        >
+          <Modal.Section>
+            <FormLayout>
+              <TextField
+                label="Customer ID"
+                value={customerId}
+                onChange={setCustomerId}
+                placeholder="Shopify customer ID (e.g., 7436043714787)"
+                autoComplete="off"
+              />
+              <Select
+                label="Location"
+                options={[{ label: "Select a location", value: "" }, ...locationOptions]}
+                value={locationId}
+                onChange={setLocationId}
+              />
+            </FormLayout>
+          </Modal.Section>
+        </Modal>
+      </Page>
+    </Frame>
+  );
+}
@@ -0,0 +1,37 @@
+import { json } from "@remix-run/node";
+import { authenticate } from "../shopify.server.js";
+import { REPORT_EXPORT_NAMES, getReportExport } from "../actions/report-exports.server.js";
+import { REPORT_EXPORT_FORMATS, createReportExportResponse } from "../services/report-export.service.js";
+
+/**
+ * Report export resource route
+ * GET /app/export/:report?format=csv|xlsx&<the report page's filters>
+ * Streams the report as a file download; see app/actions/report-exports.server.js for
+ * the reports.
+ */
+export const loader = async ({ request, params }) => {
+  await authenticate.admin(request);
+
+  const url = new URL(request.url);
+  const format = url.searchParams.get("format") || "csv";
+
+  if (!REPORT_EXPORT_NAMES.includes(params.report)) {
+    return json({ error: `Unknown report "${params.report}"` }, { status: 404 });
+  }
+
+  if (!REPORT_EXPORT_FORMATS.includes(format)) {
+    return json({ error: `Format must be one of: ${REPORT_EXPORT_FORMATS.join(", ")}` }, { status: 400 });
+  }
+
+  try {
+    const report = await getReportExport(params.report, url.searchParams);
+    if (!report.success) {
+      return json({ error: report.error }, { status: 400 });
+    }
+
+    return createReportExportResponse(format, report);
+  } catch (error) {
+    console.error("Error exporting report:", error);
+    return json({ error: "Failed to export report" }, { status: 500 });
+  }
+};
@@ -26,6 +26,15 @@ export default function App() {
           <Link to="/app/budget-categories" rel="manage Categories">Categories Management</Link>
           <Link to="/app/budget-location-assignments" rel="budget assignments">Budget Location Assignments</Link>
           <Link to="/app/location-census" rel="location census">Location Census & Budget Management</Link>
+          <Link to="/app/customer-location-access" rel="customer location access">Customer Location Access</Link>
+          <Link to="/app/budget-alerts" rel="budget alerts">Budget Alerts</Link>
+          <Link to="/app/order-approvals" rel="order approvals">Order Approvals</Link>
+          <Link to="/app/budget-month-close" rel="month close">Month Close</Link>
+          <Link to="/app/location-rollup" rel="location rollup">Location Rollup</Link>
+          <Link to="/app/actual-ppd" rel="actual ppd">Actual PPD</Link>
+          <Link to="/app/report-subscriptions" rel="report subscriptions">Report Subscriptions</Link>
+          <Link to="/app/webhook-inbox" rel="webhook inbox">Webhook Inbox</Link>
+          <Link to="/app/webhook-integrations" rel="webhook integrations">Webhook Integrations</Link>
 
         </NavMenu>
         <Outlet />
@@ -18,11 +18,21 @@ import {
   Toast,
   Frame,
   Spinner,
+  Select,
+  InlineGrid,
 } from "@shopify/polaris";
 import { SearchIcon } from '@shopify/polaris-icons';
 import { TitleBar } from "@shopify/app-bridge-react";
 import  { authenticate } from "../shopify.server.js";
-import { getAllLocationCensus,getAvailableLocationsForCensus,deleteLocationCensus, createOrUpdateLocationCensus , } from "../actions/fhr-location-census.server.js";
+import { getAllLocationCensus,getAvailableLocationsForCensus,deleteLocationCensus, createOrUpdateLocationCensus , getAllLocationCensusPolicies, saveLocationCensusPolicy, CENSUS_FALLBACK_POLICIES, getDailyCensusForMonth, saveDailyCensusForMonth } from "../actions/fhr-location-census.server.js";
+import { getSessionUserIdentity } from "../utils/session-user.server.js";
+
+const CENSUS_POLICY_LABELS = {
+  carry_forward: "Carry forward last known census",
+  trailing_average: "Average of trailing months",
+  default: "Configured default census",
+  unavailable: "Mark budget unavailable"
+};
 
 
 
@@ -46,17 +56,39 @@ export const loader = async ({ request }) => {
 
     const locations = await getAvailableLocationsForCensus();
     const censusRecords = await getAllLocationCensus(filters);
+    const censusPolicies = await getAllLocationCensusPolicies();
+
+    // Daily census grid for the selected location and month
+    const dailyLocationId = url.searchParams.get("dailyLocationId");
+    const dailyMonth = url.searchParams.get("dailyMonth");
+    const dailyCensus = dailyLocationId && dailyMonth
+      ? {
+          locationId: dailyLocationId,
+          censusMonth: dailyMonth,
+          entries: await getDailyCensusForMonth(dailyLocationId, dailyMonth)
+        }
+      : null;
 
     return json({
       locations,
-      censusRecords
+      censusRecords,
+      censusPolicies,
+      dailyCensus,
+      censusFallbackPolicies: CENSUS_FALLBACK_POLICIES,
+      defaultCensusPolicy: CENSUS_FALLBACK_POLICIES.includes(process.env.CENSUS_FALLBACK_POLICY)
+        ? process.env.CENSUS_FALLBACK_POLICY
+        : "unavailable"
     });
   } catch (error) {
     console.error("Loader error:", error);
     return json({
       error: error.message,
       locations: [],
-      censusRecords: []
+      censusRecords: [],
+      censusPolicies: [],
+      dailyCensus: null,
+      censusFallbackPolicies: CENSUS_FALLBACK_POLICIES,
+      defaultCensusPolicy: "unavailable"
     });
   }
 };
@@ -64,7 +96,7 @@ export const loader = async ({ request }) => {
 export const action = async ({ request }) => {
 
   
-  await authenticate.admin(request);
+  const { session } = await authenticate.admin(request);
 
   const formData = await request.formData();
   const actionType = formData.get("actionType");
@@ -87,6 +119,37 @@ export const action = async ({ request }) => {
         });
       }
 
+      case "savePolicy": {
+        await saveLocationCensusPolicy({
+          locationId: formData.get("locationId"),
+          policy: formData.get("policy"),
+          trailingMonths: formData.get("trailingMonths"),
+          defaultCensus: formData.get("defaultCensus"),
+          updatedBy: getSessionUserIdentity(session)
+        });
+
+        return json({
+          success: true,
+          message: "Census fallback policy saved successfully"
+        });
+      }
+
+      case "saveDaily": {
+        const totals = await saveDailyCensusForMonth({
+          locationId: formData.get("locationId"),
+          censusMonth: formData.get("censusMonth"),
+          entries: JSON.parse(formData.get("entries") || "[]"),
+          updatedBy: getSessionUserIdentity(session)
+        });
+
+        return json({
+          success: true,
+          message: totals.daysEntered > 0
+            ? `Daily census saved: ${totals.daysEntered} days, average daily census ${totals.averageDailyCensus}`
+            : "Daily census cleared"
+        });
+      }
+
       case "delete": {
         const locationId = formData.get("locationId");
         const censusMonth = formData.get("censusMonth");
@@ -115,7 +178,7 @@ export const action = async ({ request }) => {
 };
 
 export default function LocationCensusManagement() {
-  const { locations, censusRecords, error } = useLoaderData();
+  const { locations, censusRecords, censusPolicies, dailyCensus, censusFallbackPolicies, defaultCensusPolicy, error } = useLoaderData();
   const submit = useSubmit();
   const navigation = useNavigation();
   const actionData = useActionData();
@@ -130,6 +193,29 @@ export default function LocationCensusManagement() {
     censusAmount: ""
   });
 
+  // Census fallback policy form state
+  const [policyForm, setPolicyForm] = useState({
+    locationId: "",
+    policy: "carry_forward",
+    trailingMonths: "3",
+    defaultCensus: ""
+  });
+
+  // Daily census grid state
+  const [dailySelection, setDailySelection] = useState({
+    locationId: dailyCensus?.locationId || "",
+    censusMonth: dailyCensus?.censusMonth || ""
+  });
+  const [dailyValues, setDailyValues] = useState({});
+
+  useEffect(() => {
+    const values = {};
+    (dailyCensus?.entries || []).forEach(entry => {
+      values[entry.day] = parseFloat(entry.census_count).toString();
+    });
+    setDailyValues(values);
+  }, [dailyCensus]);
+
   // Filter autocomplete states
   const [locationInputValue, setLocationInputValue] = useState('');
   const [selectedLocationOptions, setSelectedLocationOptions] = useState([]);
@@ -432,6 +518,121 @@ export default function LocationCensusManagement() {
     setSearchParams(new URLSearchParams()); // Clear URL params and trigger server fetch
   };
 
+  const dailyDaysInMonth = useMemo(() => {
+    if (!dailyCensus) return 0;
+    const [month, year] = dailyCensus.censusMonth.split('-');
+    return new Date(parseInt(year), parseInt(month), 0).getDate();
+  }, [dailyCensus]);
+
+  const dailyTotals = useMemo(() => {
+    const counts = Object.values(dailyValues)
+      .filter(value => value !== "" && !isNaN(parseFloat(value)))
+      .map(value => parseFloat(value));
+    const patientDays = counts.reduce((sum, count) => sum + count, 0);
+
+    return {
+      daysEntered: counts.length,
+      patientDays,
+      averageDailyCensus: counts.length > 0 ? (patientDays / counts.length).toFixed(2) : null
+    };
+  }, [dailyValues]);
+
+  const handleLoadDaily = useCallback(() => {
+    setSearchParams(prev => {
+      const params = new URLSearchParams(prev);
+      params.set("dailyLocationId", dailySelection.locationId);
+      params.set("dailyMonth", dailySelection.censusMonth);
+      return params;
+    });
+  }, [dailySelection, setSearchParams]);
+
+  const handleSaveDaily = useCallback(() => {
+    const entries = Array.from({ length: dailyDaysInMonth }, (_, index) => ({
+      day: index + 1,
+      count: dailyValues[index + 1] ?? ""
+    }));
+
+    const submitData = new FormData();
+    submitData.append("actionType", "saveDaily");
+    submitData.append("locationId", dailyCensus.locationId);
+    submitData.append("censusMonth", dailyCensus.censusMonth);
+    submitData.append("entries", JSON.stringify(entries));
+    submit(submitData, { method: "post" });
+  }, [dailyCensus, dailyDaysInMonth, dailyValues, submit]);
+
+  // Copy the first entered day into every empty day of the month
+  const handleFillEmptyDays = useCallback(() => {
+    const firstValue = Object.keys(dailyValues)
+      .sort((a, b) => parseInt(a) - parseInt(b))
+      .map(day => dailyValues[day])
+      .find(value => value !== "");
+    if (firstValue === undefined) return;
+
+    setDailyValues(prev => {
+      const values = { ...prev };
+      for (let day = 1; day <= dailyDaysInMonth; day++) {
+        if (values[day] === undefined || values[day] === "") {
+          values[day] = firstValue;
+        }
+      }
+      return values;
+    });
+  }, [dailyValues, dailyDaysInMonth]);
+
+  const handleSavePolicy = useCallback(() => {
+    const submitData = new FormData();
+    submitData.append("actionType", "savePolicy");
+    submitData.append("locationId", policyForm.locationId);
+    submitData.append("policy", policyForm.policy);
+    submitData.append("trailingMonths", policyForm.trailingMonths);
+    submitData.append("defaultCensus", policyForm.defaultCensus);
+    submit(submitData, { method: "post" });
+  }, [policyForm, submit]);
+
+  const handleEditPolicy = useCallback((policy) => {
+    setPolicyForm({
+      locationId: policy.location_id,
+      policy: policy.policy,
+      trailingMonths: policy.trailing_months ? policy.trailing_months.toString() : "3",
+      defaultCensus: policy.default_census ? policy.default_census.toString() : ""
+    });
+  }, []);
+
+  const policyOptions = censusFallbackPolicies.map(policy => ({
+    label: CENSUS_POLICY_LABELS[policy],
+    value: policy
+  }));
+
+  const policyLocationOptions = [
+    { label: "Select a location", value: "" },
+    ...locations.map(loc => ({
+      label: `${loc.location_id}-${loc.location_name}`,
+      value: loc.location_id
+    }))
+  ];
+
+  const policyRows = censusPolicies.map(policy => {
+    const locationInfo = locations.find(loc => loc.location_id === policy.location_id);
+
+    return [
+      locationInfo ? `${policy.location_id}-${locationInfo.location_name}` : policy.location_id,
+      CENSUS_POLICY_LABELS[policy.policy] || policy.policy,
+      policy.policy === "trailing_average"
+        ? `${policy.trailing_months} months`
+        : policy.policy === "default"
+          ? `${parseFloat(policy.default_census)}`
+          : "-",
+      policy.updated_by || "System",
+      <Button key={`policy-${policy.location_id}`} size="slim" onClick={() => handleEditPolicy(policy)}>
+        Edit
+      </Button>
+    ];
+  });
+
+  const isPolicyFormValid = policyForm.locationId &&
+    (policyForm.policy !== "default" || parseFloat(policyForm.defaultCensus) > 0) &&
+    (policyForm.policy !== "trailing_average" || parseInt(policyForm.trailingMonths) > 0);
+
   // Prepare table rows
   const tableRows = censusRecords.map(record => {
     const locationInfo = locations.find(loc => loc.location_id === record.location_id);
@@ -552,6 +753,150 @@ export default function LocationCensusManagement() {
               </BlockStack>
             </Card>
           </Layout.Section>
+
+          <Layout.Section>
+            <Card>
+              <BlockStack gap="400">
+                <BlockStack gap="100">
+                  <Text variant="headingMd">Daily Census</Text>
+                  <Text variant="bodySm" tone="subdued">
+                    Enter the patient census for each day. Budgets use the daily entries instead of the monthly census while the month has any; the monthly census is left as entered.
+                  </Text>
+                </BlockStack>
+
+                <InlineStack gap="300" blockAlign="end">
+                  <div style={{minWidth: '220px'}}>
+                    <Select
+                      label="Location"
+                      options={policyLocationOptions}
+                      value={dailySelection.locationId}
+                      onChange={(value) => setDailySelection(prev => ({ ...prev, locationId: value }))}
+                    />
+                  </div>
+                  <div style={{minWidth: '180px'}}>
+                    <Select
+                      label="Month"
+                      options={[{ label: "Select a month", value: "" }, ...allMonthOptions]}
+                      value={dailySelection.censusMonth}
+                      onChange={(value) => setDailySelection(prev => ({ ...prev, censusMonth: value }))}
+                    />
+                  </div>
+                  <Button
+                    onClick={handleLoadDaily}
+                    disabled={!dailySelection.locationId || !dailySelection.censusMonth}
+                  >
+                    Load Month
+                  </Button>
+                </InlineStack>
+
+                {dailyCensus && (
+                  <BlockStack gap="300">
+                    <InlineGrid columns={7} gap="200">
+                      {Array.from({ length: dailyDaysInMonth }, (_, index) => index + 1).map(day => (
+                        <TextField
+                          key={`daily-${day}`}
+                          label={`Day ${day}`}
+                          type="number"
+                          min="0"
+                          value={dailyValues[day] ?? ""}
+                          onChange={(value) => setDailyValues(prev => ({ ...prev, [day]: value }))}
+                          autoComplete="off"
+                        />
+                      ))}
+                    </InlineGrid>
+
+                    <InlineStack align="space-between" blockAlign="center">
+                      <Text variant="bodyMd" tone="subdued">
+                        {dailyTotals.daysEntered} of {dailyDaysInMonth} days entered · {dailyTotals.patientDays} patient-days
+                        {dailyTotals.averageDailyCensus !== null && ` · Average daily census ${dailyTotals.averageDailyCensus}`}
+                      </Text>
+                      <InlineStack gap="200">
+                        <Button onClick={handleFillEmptyDays} disabled={dailyTotals.daysEntered === 0}>
+                          Fill Empty Days
+                        </Button>
+                        <Button
+                          variant="primary"
+                          onClick={handleSaveDaily}
+                          loading={navigation.state === "submitting"}
+                        >
+                          Save Daily Census
+                        </Button>
+                      </InlineStack>
+                    </InlineStack>
+                  </BlockStack>
+                )}
+              </BlockStack>
+            </Card>
+          </Layout.Section>
+
+          <Layout.Section>
+            <Card>
+              <BlockStack gap="400">
+                <BlockStack gap="100">
+                  <Text variant="headingMd">Census Fallback Policies</Text>
+                  <Text variant="bodySm" tone="subdued">
+                    Used when a location has no census for a budget month. Locations without a policy use "{CENSUS_POLICY_LABELS[defaultCensusPolicy]}".
+                  </Text>
+                </BlockStack>
+
+                <InlineStack gap="300" blockAlign="end">
+                  <div style={{minWidth: '220px'}}>
+                    <Select
+                      label="Location"
+                      options={policyLocationOptions}
+                      value={policyForm.locationId}
+                      onChange={(value) => setPolicyForm(prev => ({ ...prev, locationId: value }))}
+                    />
+                  </div>
+                  <div style={{minWidth: '220px'}}>
+                    <Select
+                      label="Policy"
+                      options={policyOptions}
+                      value={policyForm.policy}
+                      onChange={(value) => setPolicyForm(prev => ({ ...prev, policy: value }))}
+                    />
+                  </div>
+                  {policyForm.policy === "trailing_average" && (
+                    <TextField
+                      label="Trailing Months"
+                      type="number"
+                      min="1"
+                      max="24"
+                      value={policyForm.trailingMonths}
+                      onChange={(value) => setPolicyForm(prev => ({ ...prev, trailingMonths: value }))}
+                      autoComplete="off"
+                    />
+                  )}
+                  {policyForm.policy === "default" && (
+                    <TextField
+                      label="Default Census"
+                      type="number"
+                      min="0"
+                      step="0.1"
+                      value={policyForm.defaultCensus}
+                      onChange={(value) => setPolicyForm(prev => ({ ...prev, defaultCensus: value }))}
+                      autoComplete="off"
+                    />
+                  )}
+                  <Button
+                    variant="primary"
+                    onClick={handleSavePolicy}
+                    disabled={!isPolicyFormValid || navigation.state === "submitting"}
+                  >
+                    Save Policy
+                  </Button>
+                </InlineStack>
+
+                {policyRows.length > 0 && (
+                  <DataTable
+                    columnContentTypes={["text", "text", "text", "text", "text"]}
+                    headings={["Location ID & Name", "Policy", "Setting", "Updated By", "Actions"]}
+                    rows={policyRows}
+                  />
+                )}
+              </BlockStack>
+            </Card>
+          </Layout.Section>
         </Layout>
 
         {/* Modal */}
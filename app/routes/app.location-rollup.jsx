@@ -0,0 +1,565 @@
+import { useLoaderData, useSubmit, useNavigation, useActionData, useNavigate } from "@remix-run/react";
+import { useState, useCallback, useEffect } from "react";
+import { json } from "@remix-run/node";
+import {
+  Page,
+  Layout,
+  Card,
+  BlockStack,
+  Text,
+  TextField,
+  Button,
+  InlineStack,
+  FormLayout,
+  Select,
+  DataTable,
+  Badge,
+  Modal,
+  Toast,
+  Frame,
+  ChoiceList,
+  Spinner,
+} from "@shopify/polaris";
+import { TitleBar } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server.js";
+import { getAvailableLocationsForCensus } from "../actions/fhr-location-census.server.js";
+import {
+  SPEND_DEFINITIONS,
+  SPEND_DEFINITION_LABELS,
+  getDefaultSpendDefinition,
+} from "../actions/spend-definitions.server.js";
+import {
+  getLocationGroups,
+  createLocationGroup,
+  updateLocationGroup,
+  deleteLocationGroup,
+  getLocationRollup,
+} from "../actions/location-groups.server.js";
+import { getSessionUserIdentity, getSessionStaffEmail } from "../utils/session-user.server.js";
+import { BudgetStatementButton } from "../components/BudgetStatementButton.jsx";
+
+const SOURCE_OPTIONS = [
+  { label: "Location group", value: "group" },
+  { label: "Company", value: "company" },
+  { label: "My facilities (as approver)", value: "mine" }
+];
+
+const MONTH_OPTIONS = [
+  { label: "January", value: "01" },
+  { label: "February", value: "02" },
+  { label: "March", value: "03" },
+  { label: "April", value: "04" },
+  { label: "May", value: "05" },
+  { label: "June", value: "06" },
+  { label: "July", value: "07" },
+  { label: "August", value: "08" },
+  { label: "September", value: "09" },
+  { label: "October", value: "10" },
+  { label: "November", value: "11" },
+  { label: "December", value: "12" },
+];
+
+function formatAmount(value) {
+  return value === null || value === undefined ? "-" : `$${Number(value).toFixed(2)}`;
+}
+
+function formatVariance(value) {
+  if (value === null || value === undefined) return "-";
+  return `${value > 0 ? "+" : ""}${formatAmount(value)}`;
+}
+
+function formatPercent(value) {
+  return value === null || value === undefined ? "-" : `${Number(value).toFixed(1)}%`;
+}
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+
+  const url = new URL(request.url);
+  const currentDate = new Date();
+  const requestedSpendDefinition = url.searchParams.get("spendDefinition")?.trim() || "";
+  const filters = {
+    source: url.searchParams.get("source") || "group",
+    groupId: url.searchParams.get("groupId") || "",
+    companyId: url.searchParams.get("companyId")?.trim() || "",
+    month: url.searchParams.get("month") || (currentDate.getMonth() + 1).toString().padStart(2, "0"),
+    year: url.searchParams.get("year") || currentDate.getFullYear().toString(),
+    spendDefinition: SPEND_DEFINITIONS.includes(requestedSpendDefinition) ? requestedSpendDefinition : getDefaultSpendDefinition()
+  };
+  const spendDefinitionOptions = SPEND_DEFINITIONS.map(value => ({ label: SPEND_DEFINITION_LABELS[value], value }));
+
+  let groups = [];
+  let locations = [];
+  let rollup = null;
+  let error = null;
+
+  try {
+    [groups, locations] = await Promise.all([
+      getLocationGroups(),
+      getAvailableLocationsForCensus()
+    ]);
+
+    // Approvers are staff emails, so "My facilities" needs the signed-in staff member
+    const staffEmail = getSessionStaffEmail(session);
+    if (filters.source === "mine" && !staffEmail) {
+      error = "My facilities is only available to a signed-in staff member";
+    }
+
+    const locationSource = {
+      group: filters.groupId ? { groupId: filters.groupId } : null,
+      company: filters.companyId ? { companyId: filters.companyId } : null,
+      mine: staffEmail ? { approver: staffEmail } : null
+    }[filters.source];
+
+    if (locationSource && url.searchParams.has("month")) {
+      rollup = await getLocationRollup({
+        ...locationSource,
+        month: filters.month,
+        year: filters.year,
+        spendDefinition: filters.spendDefinition
+      });
+    }
+  } catch (err) {
+    console.error("Error loading location rollup:", err);
+    error = err.message || "Failed to load location rollup";
+  }
+
+  return json({ groups, locations, rollup, filters, spendDefinitionOptions, error });
+};
+
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const actor = getSessionUserIdentity(session);
+
+  const formData = await request.formData();
+  const actionType = formData.get("actionType");
+  const group = {
+    name: formData.get("name"),
+    description: formData.get("description"),
+    locationIds: formData.getAll("locationIds"),
+    actor
+  };
+
+  try {
+    switch (actionType) {
+      case "createGroup": {
+        const result = await createLocationGroup(group);
+        return result.success
+          ? json({ success: true, message: `Location group "${group.name.trim()}" created` })
+          : json({ success: false, error: result.error });
+      }
+
+      case "updateGroup": {
+        const result = await updateLocationGroup(formData.get("groupId"), group);
+        return result.success
+          ? json({ success: true, message: `Location group "${group.name.trim()}" updated` })
+          : json({ success: false, error: result.error });
+      }
+
+      case "deleteGroup": {
+        const result = await deleteLocationGroup(formData.get("groupId"));
+        return result.success
+          ? json({ success: true, message: "Location group deleted" })
+          : json({ success: false, error: result.error });
+      }
+
+      default:
+        return json({ success: false, error: "Invalid action type" }, { status: 400 });
+    }
+  } catch (error) {
+    console.error("Error processing location group action:", error);
+    return json({ success: false, error: error.message || "Failed to process request" });
+  }
+};
+
+export default function LocationRollup() {
+  const { groups, locations, rollup, filters, spendDefinitionOptions, error } = useLoaderData();
+  const actionData = useActionData();
+  const submit = useSubmit();
+  const navigation = useNavigation();
+  const navigate = useNavigate();
+
+  const [source, setSource] = useState(filters.source);
+  const [groupId, setGroupId] = useState(filters.groupId);
+  const [companyId, setCompanyId] = useState(filters.companyId);
+  const [month, setMonth] = useState(filters.month);
+  const [year, setYear] = useState(filters.year);
+  const [spendDefinition, setSpendDefinition] = useState(filters.spendDefinition);
+
+  // null when the group modal is closed; groupId is empty for a new group
+  const [groupForm, setGroupForm] = useState(null);
+
+  const [toastActive, setToastActive] = useState(false);
+  const [toastMessage, setToastMessage] = useState("");
+  const [toastError, setToastError] = useState(false);
+
+  const isLoading = navigation.state === "submitting";
+  const isReporting = navigation.state === "loading";
+
+  useEffect(() => {
+    if (actionData) {
+      setToastMessage(actionData.success ? actionData.message : actionData.error);
+      setToastError(!actionData.success);
+      setToastActive(true);
+
+      if (actionData.success) {
+        setGroupForm(null);
+      }
+    }
+  }, [actionData]);
+
+  const submitAction = useCallback((actionType, fields = {}) => {
+    const formData = new FormData();
+    formData.append("actionType", actionType);
+    Object.entries(fields).forEach(([key, value]) => {
+      (Array.isArray(value) ? value : [value]).forEach(item => formData.append(key, item));
+    });
+    submit(formData, { method: "post" });
+  }, [submit]);
+
+  const handleRun = () => {
+    const params = new URLSearchParams({ source, month, year, spendDefinition });
+    if (source === "group" && groupId) params.set("groupId", groupId);
+    if (source === "company" && companyId.trim()) params.set("companyId", companyId.trim());
+    navigate(`?${params.toString()}`);
+  };
+
+  const handleSaveGroup = () => {
+    const fields = {
+      name: groupForm.name,
+      description: groupForm.description,
+      locationIds: groupForm.locationIds
+    };
+    if (groupForm.groupId) {
+      submitAction("updateGroup", { ...fields, groupId: groupForm.groupId });
+    } else {
+      submitAction("createGroup", fields);
+    }
+  };
+
+  const handleDeleteGroup = (group) => {
+    if (confirm(`Delete location group "${group.name}"? Its locations are not changed.`)) {
+      submitAction("deleteGroup", { groupId: group.id });
+    }
+  };
+
+  const currentYear = new Date().getFullYear();
+  const yearOptions = [0, 1, 2].map(offset => ({ label: String(currentYear - offset), value: String(currentYear - offset) }));
+
+  const groupOptions = groups.map(group => ({
+    label: `${group.name} (${group.location_ids.length})`,
+    value: String(group.id)
+  }));
+
+  const runDisabled = (source === "group" && !groupId) || (source === "company" && !companyId.trim());
+
+  const locationRows = (rollup?.locations || []).map(location => [
+    location.rank ? String(location.rank) : "-",
+    `${location.location_id} - ${location.location_name || `Location ${location.location_id}`}`,
+    location.error ? "-" : String(location.totalOrders),
+    formatAmount(location.spent),
+    formatAmount(location.budget),
+    formatAmount(location.fullMonthBudget),
+    formatVariance(location.variance),
+    formatPercent(location.utilization),
+    location.error ? (
+      <Badge key={`status-${location.location_id}`} tone="critical">Report failed</Badge>
+    ) : (
+      <InlineStack key={`status-${location.location_id}`} gap="100">
+        {location.budget === null && <Badge>No census</Badge>}
+        {location.variance > 0 && (
+          <Badge tone="critical">{`Over: ${location.overBudgetCategories.join(", ")}`}</Badge>
+        )}
+        {location.variance !== null && location.variance <= 0 && <Badge tone="success">Within budget</Badge>}
+        {location.monthClose && <Badge tone="info">Closed</Badge>}
+      </InlineStack>
+    ),
+    <BudgetStatementButton
+      key={`statement-${location.location_id}`}
+      companyLocationId={String(location.location_id)}
+      month={filters.month}
+      year={filters.year}
+      spendDefinition={filters.spendDefinition}
+      plain
+    />
+  ]);
+
+  const totals = rollup?.totals;
+  const totalsRow = totals ? [
+    "",
+    "Total",
+    String(totals.totalOrders),
+    formatAmount(totals.spent),
+    formatAmount(totals.budget),
+    formatAmount(totals.fullMonthBudget),
+    formatVariance(totals.variance),
+    formatPercent(totals.utilization),
+    `${totals.locationsOverBudget} of ${totals.locationCount} over budget`,
+    ""
+  ] : null;
+
+  const categoryRows = (rollup?.categories || []).map(category => [
+    category.category_name,
+    formatAmount(category.spent),
+    formatAmount(category.budget),
+    formatAmount(category.fullMonthBudget),
+    formatVariance(category.variance),
+    formatPercent(category.utilization),
+    `${category.locationsOverBudget} of ${category.locationCount}`
+  ]);
+
+  const groupRows = groups.map(group => [
+    group.name,
+    group.description || "-",
+    String(group.location_ids.length),
+    group.created_by || "-",
+    <InlineStack key={`actions-${group.id}`} gap="200" wrap={false}>
+      <Button
+        size="slim"
+        onClick={() => setGroupForm({
+          groupId: String(group.id),
+          name: group.name,
+          description: group.description || "",
+          locationIds: group.location_ids
+        })}
+      >
+        Edit
+      </Button>
+      <Button size="slim" tone="critical" onClick={() => handleDeleteGroup(group)}>
+        Delete
+      </Button>
+    </InlineStack>
+  ]);
+
+  const spendDefinitionLabel = spendDefinitionOptions.find(option => option.value === rollup?.spendDefinition)?.label;
+  const monthName = MONTH_OPTIONS.find(option => option.value === filters.month)?.label;
+
+  return (
+    <Frame>
+      {toastActive && (
+        <Toast
+          content={toastMessage}
+          error={toastError}
+          onDismiss={() => setToastActive(false)}
+        />
+      )}
+      <Page>
+        <TitleBar title="Location Rollup" />
+        <Layout>
+          <Layout.Section>
+            {error && (
+              <Card>
+                <Text as="p" tone="critical">
+                  {error}
+                </Text>
+              </Card>
+            )}
+
+            <BlockStack gap="400">
+              <Card>
+                <BlockStack gap="400">
+                  <BlockStack gap="100">
+                    <Text as="h2" variant="headingMd">
+                      Compare Locations
+                    </Text>
+                    <Text as="p" variant="bodySm" tone="subdued">
+                      Category spend of every location in a group, a company or your own facilities against its census-based budget to date, ranked by variance.
+                    </Text>
+                  </BlockStack>
+
+                  <InlineStack gap="300" blockAlign="end">
+                    <div style={{ minWidth: 220 }}>
+                      <Select label="Locations" options={SOURCE_OPTIONS} value={source} onChange={setSource} />
+                    </div>
+                    {source === "group" && (
+                      <div style={{ minWidth: 240 }}>
+                        <Select
+                          label="Group"
+                          options={[{ label: "Select a group", value: "" }, ...groupOptions]}
+                          value={groupId}
+                          onChange={setGroupId}
+                        />
+                      </div>
+                    )}
+                    {source === "company" && (
+                      <div style={{ minWidth: 200 }}>
+                        <TextField
+                          label="Company ID"
+                          value={companyId}
+                          onChange={setCompanyId}
+                          autoComplete="off"
+                        />
+                      </div>
+                    )}
+                    <div style={{ minWidth: 140 }}>
+                      <Select label="Month" options={MONTH_OPTIONS} value={month} onChange={setMonth} />
+                    </div>
+                    <div style={{ minWidth: 110 }}>
+                      <Select label="Year" options={yearOptions} value={year} onChange={setYear} />
+                    </div>
+                    <div style={{ minWidth: 240 }}>
+                      <Select
+                        label="Spend definition"
+                        options={spendDefinitionOptions}
+                        value={spendDefinition}
+                        onChange={setSpendDefinition}
+                      />
+                    </div>
+                    <Button variant="primary" onClick={handleRun} loading={isReporting} disabled={runDisabled}>
+                      Compare
+                    </Button>
+                  </InlineStack>
+                </BlockStack>
+              </Card>
+
+              {isReporting && (
+                <InlineStack align="center">
+                  <Spinner accessibilityLabel="Loading rollup" size="large" />
+                </InlineStack>
+              )}
+
+              {rollup && (
+                <Card>
+                  <BlockStack gap="400">
+                    <InlineStack gap="200" blockAlign="center">
+                      <Text as="h2" variant="headingMd">
+                        {`${rollup.label} - ${monthName} ${filters.year}`}
+                      </Text>
+                      {spendDefinitionLabel && <Badge>{spendDefinitionLabel}</Badge>}
+                    </InlineStack>
+                    {(totals.locationsWithoutBudget > 0 || totals.locationsFailed > 0) && (
+                      <Text as="p" variant="bodySm" tone="subdued">
+                        {`Locations without a census for the month (${totals.locationsWithoutBudget}) or whose report failed (${totals.locationsFailed}) are left out of the budget totals.`}
+                      </Text>
+                    )}
+
+                    <DataTable
+                      columnContentTypes={["numeric", "text", "numeric", "numeric", "numeric", "numeric", "numeric", "numeric", "text", "text"]}
+                      headings={[
+                        "Rank",
+                        "Location",
+                        "Orders",
+                        "Spent",
+                        "Budget to Date",
+                        "Full-Month Budget",
+                        "Variance",
+                        "Utilization",
+                        "Status",
+                        "Statement"
+                      ]}
+                      rows={locationRows}
+                      totals={totalsRow}
+                      showTotalsInFooter
+                    />
+
+                    {rollup.locations.length === 0 && (
+                      <Text as="p" tone="subdued" alignment="center">
+                        No locations found.
+                      </Text>
+                    )}
+                  </BlockStack>
+                </Card>
+              )}
+
+              {rollup && categoryRows.length > 0 && (
+                <Card>
+                  <BlockStack gap="400">
+                    <Text as="h2" variant="headingMd">
+                      Categories Across Locations
+                    </Text>
+                    <DataTable
+                      columnContentTypes={["text", "numeric", "numeric", "numeric", "numeric", "numeric", "text"]}
+                      headings={[
+                        "Category",
+                        "Spent",
+                        "Budget to Date",
+                        "Full-Month Budget",
+                        "Variance",
+                        "Utilization",
+                        "Locations Over Budget"
+                      ]}
+                      rows={categoryRows}
+                    />
+                  </BlockStack>
+                </Card>
+              )}
+
+              <Card>
+                <BlockStack gap="400">
+                  <InlineStack align="space-between" blockAlign="center">
+                    <Text as="h2" variant="headingMd">
+                      Location Groups
+                    </Text>
+                    <Button onClick={() => setGroupForm({ groupId: "", name: "", description: "", locationIds: [] })}>
+                      New Group
+                    </Button>
+                  </InlineStack>
+
+                  <DataTable
+                    columnContentTypes={["text", "text", "numeric", "text", "text"]}
+                    headings={["Name", "Description", "Locations", "Created By", "Actions"]}
+                    rows={groupRows}
+                  />
+
+                  {groups.length === 0 && (
+                    <Text as="p" tone="subdued" alignment="center">
+                      No location groups yet.
+                    </Text>
+                  )}
+                </BlockStack>
+              </Card>
+            </BlockStack>
+          </Layout.Section>
+        </Layout>
+
+        <Modal
+          open={groupForm !== null}
+          onClose={() => setGroupForm(null)}
+          title={groupForm?.groupId ? "Edit Location Group" : "New Location Group"}
+          primaryAction={{
+            content: "Save",
+            onAction: handleSaveGroup,
+            loading: isLoading,
+            disabled: !groupForm?.name.trim() || groupForm?.locationIds.length === 0,
+          }}
+          secondaryActions={[
+            {
+              content: "Cancel",
+              onAction: () => setGroupForm(null),
+            },
+          ]}
+        >
+          <Modal.Section>
+            {groupForm && (
+              <FormLayout>
+                <TextField
+                  label="Name"
+                  value={groupForm.name}
+                  onChange={name => setGroupForm({ ...groupForm, name })}
+                  autoComplete="off"
+                />
+                <TextField
+                  label="Description"
+                  value={groupForm.description}
+                  onChange={description => setGroupForm({ ...groupForm, description })}
+                  multiline={2}
+                  autoComplete="off"
+                />
+                <ChoiceList
+                  title="Locations"
+                  allowMultiple
+                  choices={locations.map(location => ({
+                    label: `${location.location_id} - ${location.location_name}`,
+                    value: location.location_id
+                  }))}
+                  selected={groupForm.locationIds}
+                  onChange={locationIds => setGroupForm({ ...groupForm, locationIds })}
+                />
+              </FormLayout>
+            )}
+          </Modal.Section>
+        </Modal>
+      </Page>
+    </Frame>
+  );
+}
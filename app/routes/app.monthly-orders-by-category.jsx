@@ -17,10 +17,23 @@ import {
   Box,
   Divider,
   Tooltip,
+  Checkbox,
 } from "@shopify/polaris";
 import { TitleBar } from "@shopify/app-bridge-react";
+import { ReportExportButtons } from "../components/ReportExportButtons.jsx";
+import { BudgetStatementButton } from "../components/BudgetStatementButton.jsx";
+import { ReportComparison } from "../components/ReportComparison.jsx";
 import { authenticate } from "../shopify.server";
-import { getMonthlyOrderProductsByCategoryWithRefundsByBudgetMonth as getMonthlyOrderProductsByCategory } from "../actions/index.server.js";
+import {
+  SPEND_DEFINITIONS,
+  SPEND_DEFINITION_LABELS,
+  getDefaultSpendDefinition,
+} from "../actions/spend-definitions.server.js";
+import {
+  getMonthlyOrderProductsByCategoryWithRefundsByBudgetMonth as getMonthlyOrderProductsByCategory,
+  REFUND_ATTRIBUTION_MODES,
+  getMonthlyOrderCategoriesComparison,
+} from "../actions/index.server.js";
 
 export const loader = async ({ request }) => {
   await authenticate.admin(request);
@@ -31,6 +44,11 @@ export const loader = async ({ request }) => {
   const companyLocationId = url.searchParams.get("companyLocationId")?.trim() || "";
   const month = url.searchParams.get("month")?.trim() || "";
   const year = url.searchParams.get("year")?.trim() || "";
+  const requestedSpendDefinition = url.searchParams.get("spendDefinition")?.trim() || "";
+  const spendDefinition = SPEND_DEFINITIONS.includes(requestedSpendDefinition) ? requestedSpendDefinition : getDefaultSpendDefinition();
+  const requestedAttribution = url.searchParams.get("refundAttribution")?.trim() || "";
+  const refundAttribution = REFUND_ATTRIBUTION_MODES.includes(requestedAttribution) ? requestedAttribution : "order_month";
+  const compare = url.searchParams.get("compare") === "true";
 
   let categorizedData = [];
   let error = null;
@@ -41,6 +59,9 @@ export const loader = async ({ request }) => {
   let refundedValue = 0;
   let totalValue = 0;
   let refundRate = 0;
+  let monthClose = null;
+  let byRefundMonth = null;
+  let comparison = null;
 
   // Set default month/year to current if not provided
   const currentDate = new Date();
@@ -58,6 +79,8 @@ export const loader = async ({ request }) => {
       // Add date filters
       filters.month = searchMonth;
       filters.year = searchYear;
+      filters.spendDefinition = spendDefinition;
+      filters.refundAttribution = refundAttribution;
 
       // Get monthly order products grouped by category (with refunds accounted for)
       const result = await getMonthlyOrderProductsByCategory(filters);
@@ -69,6 +92,26 @@ export const loader = async ({ request }) => {
       refundedValue = result.refundedValue || 0;
       totalValue = result.totalValue || 0;
       refundRate = result.refundRate || 0;
+      monthClose = result.monthClose || null;
+      if (result.byRefundMonth) {
+        byRefundMonth = {
+          grossValue: result.byRefundMonth.grossValue || 0,
+          refundedValue: result.byRefundMonth.refundedValue || 0,
+          totalValue: result.byRefundMonth.totalValue || 0,
+          ordersWithRefunds: result.byRefundMonth.ordersWithRefunds || 0,
+          categoryNetValues: Object.fromEntries(
+            (result.byRefundMonth.categories || []).map(category => [category.category_name, category.total_value])
+          )
+        };
+      }
+
+      // Prior month and same month last year alongside (refunds by order month when both are shown)
+      if (compare) {
+        comparison = await getMonthlyOrderCategoriesComparison({
+          ...filters,
+          refundAttribution: refundAttribution === "both" ? "order_month" : refundAttribution
+        });
+      }
 
     } catch (err) {
       console.error("Database query error:", err);
@@ -77,7 +120,8 @@ export const loader = async ({ request }) => {
   }
 
   return json({ 
-    filters: { customerId, location, companyLocationId, month: searchMonth, year: searchYear }, 
+    filters: { customerId, location, companyLocationId, month: searchMonth, year: searchYear, refundAttribution, spendDefinition }, 
+    spendDefinitionOptions: SPEND_DEFINITIONS.map(value => ({ label: SPEND_DEFINITION_LABELS[value], value })),
     categorizedData,
     error,
     totalOrders,
@@ -86,13 +130,18 @@ export const loader = async ({ request }) => {
     grossValue,
     refundedValue,
     totalValue,
-    refundRate
+    refundRate,
+    monthClose,
+    byRefundMonth,
+    compare,
+    comparison
   });
 };
 
 export default function MonthlyOrdersByCategory() {
   const { 
     filters, 
+    spendDefinitionOptions,
     categorizedData, 
     error, 
     totalOrders, 
@@ -101,7 +150,11 @@ export default function MonthlyOrdersByCategory() {
     grossValue,
     refundedValue,
     totalValue,
-    refundRate
+    refundRate,
+    monthClose,
+    byRefundMonth,
+    compare: compareLoaded,
+    comparison
   } = useLoaderData();
   const submit = useSubmit();
   const navigation = useNavigation();
@@ -111,6 +164,9 @@ export default function MonthlyOrdersByCategory() {
   const [companyLocationId, setCompanyLocationId] = useState(filters.companyLocationId || "");
   const [month, setMonth] = useState(filters.month || "");
   const [year, setYear] = useState(filters.year || "");
+  const [spendDefinition, setSpendDefinition] = useState(filters.spendDefinition || "");
+  const [refundAttribution, setRefundAttribution] = useState(filters.refundAttribution || "order_month");
+  const [compare, setCompare] = useState(compareLoaded);
 
   // Update state when URL parameters change
   useEffect(() => {
@@ -119,7 +175,10 @@ export default function MonthlyOrdersByCategory() {
     setCompanyLocationId(filters.companyLocationId || "");
     setMonth(filters.month || "");
     setYear(filters.year || "");
-  }, [filters]);
+    setSpendDefinition(filters.spendDefinition || "");
+    setRefundAttribution(filters.refundAttribution || "order_month");
+    setCompare(compareLoaded);
+  }, [filters, compareLoaded]);
 
   // Generate month options
   const monthOptions = [
@@ -137,6 +196,12 @@ export default function MonthlyOrdersByCategory() {
     { label: 'December', value: '12' },
   ];
 
+  const refundAttributionOptions = [
+    { label: 'Order month', value: 'order_month' },
+    { label: 'Refund month', value: 'refund_month' },
+    { label: 'Both side by side', value: 'both' },
+  ];
+
   // Generate year options (current year and previous 2 years)
   const currentYear = new Date().getFullYear();
   const yearOptions = [];
@@ -154,6 +219,9 @@ export default function MonthlyOrdersByCategory() {
     if (companyLocationId.trim()) formData.append("companyLocationId", companyLocationId.trim());
     if (month) formData.append("month", month);
     if (year) formData.append("year", year);
+    if (spendDefinition) formData.append("spendDefinition", spendDefinition);
+    if (refundAttribution !== "order_month") formData.append("refundAttribution", refundAttribution);
+    if (compare) formData.append("compare", "true");
     
     submit(formData, { method: "get" });
   };
@@ -178,6 +246,7 @@ export default function MonthlyOrdersByCategory() {
 
   // Get selected month name
   const selectedMonthName = monthOptions.find(m => m.value === month)?.label || month;
+  const spendDefinitionLabel = spendDefinitionOptions.find(option => option.value === filters.spendDefinition)?.label;
 
   return (
     <Page>
@@ -244,7 +313,32 @@ export default function MonthlyOrdersByCategory() {
                         disabled={isSearching}
                       />
                     </div>
+                    <div style={{ minWidth: 200 }}>
+                      <Select
+                        label="Spend definition"
+                        options={spendDefinitionOptions}
+                        value={spendDefinition}
+                        onChange={setSpendDefinition}
+                        disabled={isSearching}
+                      />
+                    </div>
+                    <div style={{ minWidth: 200 }}>
+                      <Select
+                        label="Attribute refunds to"
+                        options={refundAttributionOptions}
+                        value={refundAttribution}
+                        onChange={setRefundAttribution}
+                        disabled={isSearching}
+                        helpText="Month of the refunded order, or month the refund was processed"
+                      />
+                    </div>
                   </InlineStack>
+                  <Checkbox
+                    label="Compare with prior month and same month last year"
+                    checked={compare}
+                    onChange={setCompare}
+                    disabled={isSearching}
+                  />
                   <InlineStack gap="200" align="start">
                     <Button 
                       submit 
@@ -257,6 +351,15 @@ export default function MonthlyOrdersByCategory() {
                     <Button onClick={handleClear} disabled={isSearching}>
                       Clear Filters
                     </Button>
+                    <ReportExportButtons report="monthly-orders-by-category" filters={filters} disabled={!filters.customerId && !filters.location && !filters.companyLocationId} />
+                    {filters.companyLocationId && (
+                      <BudgetStatementButton
+                        companyLocationId={filters.companyLocationId}
+                        month={filters.month}
+                        year={filters.year}
+                        spendDefinition={filters.spendDefinition}
+                      />
+                    )}
                   </InlineStack>
                 </BlockStack>
               </form>
@@ -280,6 +383,13 @@ export default function MonthlyOrdersByCategory() {
                     <Badge tone="info">
                       {selectedMonthName} {year}
                     </Badge>
+                    {monthClose && (
+                      <Tooltip content={`Closed by ${monthClose.closedBy} on ${new Date(monthClose.closedAt).toLocaleDateString()}; figures are the snapshot taken at close`}>
+                        <Badge tone="success">
+                          Month closed
+                        </Badge>
+                      </Tooltip>
+                    )}
                     {ordersWithRefunds > 0 && (
                       <Tooltip content={`${ordersWithRefunds} orders had refunds (${refundRate.toFixed(1)}%)`}>
                         <Badge tone="warning">
@@ -319,6 +429,9 @@ export default function MonthlyOrdersByCategory() {
                     <Badge tone="warning">
                       After Refunds
                     </Badge>
+                    <Badge>
+                      {spendDefinitionLabel}
+                    </Badge>
                     {refundedValue > 0 && (
                       <Tooltip content={`Gross: $${grossValue.toFixed(2)} - Refunds: $${refundedValue.toFixed(2)} = Net: $${totalValue.toFixed(2)}`}>
                         <Badge tone="critical">
@@ -333,6 +446,50 @@ export default function MonthlyOrdersByCategory() {
           </Layout.Section>
         )}
 
+        {!isSearching && byRefundMonth && (
+          <Layout.Section>
+            <Card>
+              <BlockStack gap="400">
+                <Text as="h2" variant="headingMd">
+                  Refund Attribution - {selectedMonthName} {year}
+                </Text>
+                <DataTable
+                  columnContentTypes={["text", "numeric", "numeric"]}
+                  headings={["", "By Order Month", "By Refund Month"]}
+                  rows={[
+                    ["Gross Revenue", `$${grossValue.toFixed(2)}`, `$${byRefundMonth.grossValue.toFixed(2)}`],
+                    ["Refunds", `$${refundedValue.toFixed(2)}`, `$${byRefundMonth.refundedValue.toFixed(2)}`],
+                    ["Net Revenue", `$${totalValue.toFixed(2)}`, `$${byRefundMonth.totalValue.toFixed(2)}`],
+                    ["Orders with Refunds", String(ordersWithRefunds), String(byRefundMonth.ordersWithRefunds)],
+                  ]}
+                />
+                <Text as="p" color="subdued">
+                  By order month subtracts refunds of this month's orders, whenever they were processed.
+                  By refund month subtracts the refunds processed this month, whichever month the order was placed in.
+                  Categories below are by order month, with their net value by refund month alongside.
+                </Text>
+              </BlockStack>
+            </Card>
+          </Layout.Section>
+        )}
+
+        {!isSearching && comparison && (
+          <Layout.Section>
+            <ReportComparison
+              comparison={comparison}
+              figures={[
+                { key: "totalOrders", label: "Orders" },
+                { key: "totalQuantity", label: "Net Quantity" },
+                { key: "totalValue", label: "Net Revenue", format: "currency" },
+                { key: "refundedValue", label: "Refunds", format: "currency" },
+                { key: "budget", label: "Budget to Date", format: "currency" },
+                { key: "budgetUtilization", label: "Budget Utilization", format: "percent" },
+              ]}
+              valueLabel="Net Value"
+            />
+          </Layout.Section>
+        )}
+
         <Layout.Section>
           <Card>
             <BlockStack gap="400">
@@ -383,8 +540,36 @@ export default function MonthlyOrdersByCategory() {
                                 <Badge tone="warning">
                                   ${category.total_value.toFixed(2)}
                                 </Badge>
+                                {byRefundMonth && (
+                                  <Tooltip content="Net value with refunds counted in the month they were processed">
+                                    <Badge>
+                                      ${(byRefundMonth.categoryNetValues[category.category_name] || 0).toFixed(2)} by refund month
+                                    </Badge>
+                                  </Tooltip>
+                                )}
                               </InlineStack>
                             </InlineStack>
+
+                            {category.projectedSpend !== null && category.projectedSpend !== undefined && (
+                              <InlineStack gap="200">
+                                <Tooltip content={`Full month budget: $${category.fullMonthBudget}`}>
+                                  <Badge>
+                                    Budget to date ${category.proratedBudget}
+                                  </Badge>
+                                </Tooltip>
+                                <Badge>
+                                  Burn rate ${category.burnRate}/day
+                                </Badge>
+                                <Badge tone="info">
+                                  Projected ${category.projectedSpend}
+                                </Badge>
+                                <Badge tone={category.projectedOverBudget ? "critical" : "success"}>
+                                  {category.projectedOverBudget
+                                    ? `Projected over by $${category.projectedVariance}`
+                                    : `Projected under by $${Math.abs(parseFloat(category.projectedVariance)).toFixed(2)}`}
+                                </Badge>
+                              </InlineStack>
+                            )}
                             
                             <DataTable
                               columnContentTypes={["text", "text", "text", "numeric", "numeric", "numeric", "numeric"]}
@@ -19,7 +19,15 @@ import {
 } from "@shopify/polaris";
 import { TitleBar } from "@shopify/app-bridge-react";
 import { authenticate } from "../shopify.server";
-import { getMonthlyOrderProductsWithRefunds } from "../actions/fhr-orders-refunds.server.js";
+import {
+  SPEND_DEFINITIONS,
+  SPEND_DEFINITION_LABELS,
+  getDefaultSpendDefinition,
+} from "../actions/spend-definitions.server.js";
+import {
+  getMonthlyOrderProductsWithRefunds,
+  REFUND_ATTRIBUTION_MODES,
+} from "../actions/fhr-orders-refunds.server.js";
 
 export const loader = async ({ request }) => {
   await authenticate.admin(request);
@@ -30,6 +38,10 @@ export const loader = async ({ request }) => {
   const companyLocationId = url.searchParams.get("companyLocationId")?.trim() || "";
   const month = url.searchParams.get("month")?.trim() || "";
   const year = url.searchParams.get("year")?.trim() || "";
+  const requestedSpendDefinition = url.searchParams.get("spendDefinition")?.trim() || "";
+  const spendDefinition = SPEND_DEFINITIONS.includes(requestedSpendDefinition) ? requestedSpendDefinition : getDefaultSpendDefinition();
+  const requestedAttribution = url.searchParams.get("refundAttribution")?.trim() || "";
+  const refundAttribution = REFUND_ATTRIBUTION_MODES.includes(requestedAttribution) ? requestedAttribution : "order_month";
 
   let productSummary = [];
   let error = null;
@@ -40,6 +52,7 @@ export const loader = async ({ request }) => {
   let refundedValue = 0;
   let totalValue = 0;
   let refundRate = 0;
+  let byRefundMonth = null;
 
   // Set default month/year to current if not provided
   const currentDate = new Date();
@@ -57,6 +70,8 @@ export const loader = async ({ request }) => {
       // Add date filters
       filters.month = searchMonth;
       filters.year = searchYear;
+      filters.spendDefinition = spendDefinition;
+      filters.refundAttribution = refundAttribution;
 
       // Get monthly order products summary with refunds (corrected version)
       const result = await getMonthlyOrderProductsWithRefunds(filters);
@@ -68,6 +83,14 @@ export const loader = async ({ request }) => {
       refundedValue = result.refundedValue || 0;
       totalValue = result.totalValue || 0;
       refundRate = result.refundRate || 0;
+      if (result.byRefundMonth) {
+        byRefundMonth = {
+          grossValue: result.byRefundMonth.grossValue || 0,
+          refundedValue: result.byRefundMonth.refundedValue || 0,
+          totalValue: result.byRefundMonth.totalValue || 0,
+          ordersWithRefunds: result.byRefundMonth.ordersWithRefunds || 0
+        };
+      }
 
     } catch (err) {
       console.error("Database query error:", err);
@@ -76,7 +99,8 @@ export const loader = async ({ request }) => {
   }
 
   return json({ 
-    filters: { customerId, location, companyLocationId, month: searchMonth, year: searchYear }, 
+    filters: { customerId, location, companyLocationId, month: searchMonth, year: searchYear, refundAttribution, spendDefinition }, 
+    spendDefinitionOptions: SPEND_DEFINITIONS.map(value => ({ label: SPEND_DEFINITION_LABELS[value], value })),
     productSummary,
     error,
     totalOrders,
@@ -85,13 +109,15 @@ export const loader = async ({ request }) => {
     grossValue,
     refundedValue,
     totalValue,
-    refundRate
+    refundRate,
+    byRefundMonth
   });
 };
 
 export default function MonthlyOrdersCorrectedRefunds() {
   const { 
     filters, 
+    spendDefinitionOptions,
     productSummary, 
     error, 
     totalOrders, 
@@ -100,7 +126,8 @@ export default function MonthlyOrdersCorrectedRefunds() {
     grossValue,
     refundedValue,
     totalValue,
-    refundRate
+    refundRate,
+    byRefundMonth
   } = useLoaderData();
   const submit = useSubmit();
   const navigation = useNavigation();
@@ -110,6 +137,8 @@ export default function MonthlyOrdersCorrectedRefunds() {
   const [companyLocationId, setCompanyLocationId] = useState(filters.companyLocationId || "");
   const [month, setMonth] = useState(filters.month || "");
   const [year, setYear] = useState(filters.year || "");
+  const [spendDefinition, setSpendDefinition] = useState(filters.spendDefinition || "");
+  const [refundAttribution, setRefundAttribution] = useState(filters.refundAttribution || "order_month");
 
   // Update state when URL parameters change
   useEffect(() => {
@@ -118,6 +147,8 @@ export default function MonthlyOrdersCorrectedRefunds() {
     setCompanyLocationId(filters.companyLocationId || "");
     setMonth(filters.month || "");
     setYear(filters.year || "");
+    setSpendDefinition(filters.spendDefinition || "");
+    setRefundAttribution(filters.refundAttribution || "order_month");
   }, [filters]);
 
   // Generate month options
@@ -136,6 +167,12 @@ export default function MonthlyOrdersCorrectedRefunds() {
     { label: 'December', value: '12' },
   ];
 
+  const refundAttributionOptions = [
+    { label: 'Order month', value: 'order_month' },
+    { label: 'Refund month', value: 'refund_month' },
+    { label: 'Both side by side', value: 'both' },
+  ];
+
   // Generate year options (current year and previous 2 years)
   const currentYear = new Date().getFullYear();
   const yearOptions = [];
@@ -153,6 +190,8 @@ export default function MonthlyOrdersCorrectedRefunds() {
     if (companyLocationId.trim()) formData.append("companyLocationId", companyLocationId.trim());
     if (month) formData.append("month", month);
     if (year) formData.append("year", year);
+    if (spendDefinition) formData.append("spendDefinition", spendDefinition);
+    if (refundAttribution !== "order_month") formData.append("refundAttribution", refundAttribution);
     
     submit(formData, { method: "get" });
   };
@@ -191,6 +230,7 @@ export default function MonthlyOrdersCorrectedRefunds() {
 
   // Get selected month name
   const selectedMonthName = monthOptions.find(m => m.value === month)?.label || month;
+  const spendDefinitionLabel = spendDefinitionOptions.find(option => option.value === filters.spendDefinition)?.label;
 
   return (
     <Page>
@@ -260,6 +300,25 @@ export default function MonthlyOrdersCorrectedRefunds() {
                         disabled={isSearching}
                       />
                     </div>
+                    <div style={{ minWidth: 200 }}>
+                      <Select
+                        label="Spend definition"
+                        options={spendDefinitionOptions}
+                        value={spendDefinition}
+                        onChange={setSpendDefinition}
+                        disabled={isSearching}
+                      />
+                    </div>
+                    <div style={{ minWidth: 200 }}>
+                      <Select
+                        label="Attribute refunds to"
+                        options={refundAttributionOptions}
+                        value={refundAttribution}
+                        onChange={setRefundAttribution}
+                        disabled={isSearching}
+                        helpText="Month of the refunded order, or month the refund was processed"
+                      />
+                    </div>
                   </InlineStack>
                   <InlineStack gap="200" align="start">
                     <Button 
@@ -335,6 +394,9 @@ export default function MonthlyOrdersCorrectedRefunds() {
                     <Badge tone="warning">
                       After Refunds
                     </Badge>
+                    <Badge>
+                      {spendDefinitionLabel}
+                    </Badge>
                     {refundedValue > 0 && (
                       <Tooltip content={`Gross: $${grossValue.toFixed(2)} - Refunds: $${refundedValue.toFixed(2)} = Net: $${totalValue.toFixed(2)}`}>
                         <Badge tone="critical">
@@ -349,6 +411,33 @@ export default function MonthlyOrdersCorrectedRefunds() {
           </Layout.Section>
         )}
 
+        {!isSearching && byRefundMonth && (
+          <Layout.Section>
+            <Card>
+              <BlockStack gap="400">
+                <Text as="h2" variant="headingMd">
+                  Refund Attribution - {selectedMonthName} {year}
+                </Text>
+                <DataTable
+                  columnContentTypes={["text", "numeric", "numeric"]}
+                  headings={["", "By Order Month", "By Refund Month"]}
+                  rows={[
+                    ["Gross Revenue", `$${grossValue.toFixed(2)}`, `$${byRefundMonth.grossValue.toFixed(2)}`],
+                    ["Refunds", `$${refundedValue.toFixed(2)}`, `$${byRefundMonth.refundedValue.toFixed(2)}`],
+                    ["Net Revenue", `$${totalValue.toFixed(2)}`, `$${byRefundMonth.totalValue.toFixed(2)}`],
+                    ["Orders with Refunds", String(ordersWithRefunds), String(byRefundMonth.ordersWithRefunds)],
+                  ]}
+                />
+                <Text as="p" color="subdued">
+                  By order month subtracts refunds of this month's orders, whenever they were processed.
+                  By refund month subtracts the refunds processed this month, whichever month the order was placed in.
+                  The product summary below is by order month.
+                </Text>
+              </BlockStack>
+            </Card>
+          </Layout.Section>
+        )}
+
         <Layout.Section>
           <Card>
             <BlockStack gap="400">
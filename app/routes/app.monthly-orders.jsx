@@ -15,10 +15,19 @@ import {
   Select,
   Badge,
   Box,
+  Checkbox,
 } from "@shopify/polaris";
 import { TitleBar } from "@shopify/app-bridge-react";
+import { ReportExportButtons } from "../components/ReportExportButtons.jsx";
+import { ReportComparison } from "../components/ReportComparison.jsx";
 import { authenticate } from "../shopify.server";
+import {
+  SPEND_DEFINITIONS,
+  SPEND_DEFINITION_LABELS,
+  getDefaultSpendDefinition,
+} from "../actions/spend-definitions.server.js";
 import { getMonthlyOrderProducts } from "../actions/fhr-orders.server.js";
+import { getMonthlyOrderProductsComparison } from "../actions/report-comparisons.server.js";
 
 export const loader = async ({ request }) => {
   await authenticate.admin(request);
@@ -29,12 +38,16 @@ export const loader = async ({ request }) => {
   const companyLocationId = url.searchParams.get("companyLocationId")?.trim() || "";
   const month = url.searchParams.get("month")?.trim() || "";
   const year = url.searchParams.get("year")?.trim() || "";
+  const requestedSpendDefinition = url.searchParams.get("spendDefinition")?.trim() || "";
+  const spendDefinition = SPEND_DEFINITIONS.includes(requestedSpendDefinition) ? requestedSpendDefinition : getDefaultSpendDefinition();
+  const compare = url.searchParams.get("compare") === "true";
 
   let productSummary = [];
   let error = null;
   let totalOrders = 0;
   let totalProducts = 0;
   let totalValue = 0;
+  let comparison = null;
 
   // Set default month/year to current if not provided
   const currentDate = new Date();
@@ -52,6 +65,7 @@ export const loader = async ({ request }) => {
       // Add date filters
       filters.month = searchMonth;
       filters.year = searchYear;
+      filters.spendDefinition = spendDefinition;
 
       // Get monthly order products summary
       const result = await getMonthlyOrderProducts(filters);
@@ -60,6 +74,11 @@ export const loader = async ({ request }) => {
       totalProducts = result.totalProducts || 0;
       totalValue = result.totalValue || 0;
 
+      // Prior month and same month last year alongside
+      if (compare) {
+        comparison = await getMonthlyOrderProductsComparison(filters);
+      }
+
     } catch (err) {
       console.error("Database query error:", err);
       error = "Failed to fetch monthly order data. Please try again.";
@@ -67,17 +86,20 @@ export const loader = async ({ request }) => {
   }
 
   return json({ 
-    filters: { customerId, location, companyLocationId, month: searchMonth, year: searchYear }, 
+    filters: { customerId, location, companyLocationId, month: searchMonth, year: searchYear, spendDefinition }, 
+    spendDefinitionOptions: SPEND_DEFINITIONS.map(value => ({ label: SPEND_DEFINITION_LABELS[value], value })),
     productSummary,
     error,
     totalOrders,
     totalProducts,
-    totalValue
+    totalValue,
+    compare,
+    comparison
   });
 };
 
 export default function MonthlyOrders() {
-  const { filters, productSummary, error, totalOrders, totalProducts, totalValue } = useLoaderData();
+  const { filters, spendDefinitionOptions, productSummary, error, totalOrders, totalProducts, totalValue, compare: compareLoaded, comparison } = useLoaderData();
   const submit = useSubmit();
   const navigation = useNavigation();
   
@@ -86,6 +108,8 @@ export default function MonthlyOrders() {
   const [companyLocationId, setCompanyLocationId] = useState(filters.companyLocationId || "");
   const [month, setMonth] = useState(filters.month || "");
   const [year, setYear] = useState(filters.year || "");
+  const [spendDefinition, setSpendDefinition] = useState(filters.spendDefinition || "");
+  const [compare, setCompare] = useState(compareLoaded);
 
   // Update state when URL parameters change
   useEffect(() => {
@@ -94,7 +118,9 @@ export default function MonthlyOrders() {
     setCompanyLocationId(filters.companyLocationId || "");
     setMonth(filters.month || "");
     setYear(filters.year || "");
-  }, [filters]);
+    setSpendDefinition(filters.spendDefinition || "");
+    setCompare(compareLoaded);
+  }, [filters, compareLoaded]);
 
   // Generate month options
   const monthOptions = [
@@ -129,6 +155,8 @@ export default function MonthlyOrders() {
     if (companyLocationId.trim()) formData.append("companyLocationId", companyLocationId.trim());
     if (month) formData.append("month", month);
     if (year) formData.append("year", year);
+    if (spendDefinition) formData.append("spendDefinition", spendDefinition);
+    if (compare) formData.append("compare", "true");
     
     submit(formData, { method: "get" });
   };
@@ -166,6 +194,7 @@ export default function MonthlyOrders() {
 
   // Get selected month name
   const selectedMonthName = monthOptions.find(m => m.value === month)?.label || month;
+  const spendDefinitionLabel = spendDefinitionOptions.find(option => option.value === filters.spendDefinition)?.label;
 
   return (
     <Page>
@@ -232,7 +261,22 @@ export default function MonthlyOrders() {
                         disabled={isSearching}
                       />
                     </div>
+                    <div style={{ minWidth: 200 }}>
+                      <Select
+                        label="Spend definition"
+                        options={spendDefinitionOptions}
+                        value={spendDefinition}
+                        onChange={setSpendDefinition}
+                        disabled={isSearching}
+                      />
+                    </div>
                   </InlineStack>
+                  <Checkbox
+                    label="Compare with prior month and same month last year"
+                    checked={compare}
+                    onChange={setCompare}
+                    disabled={isSearching}
+                  />
                   <InlineStack gap="200" align="start">
                     <Button 
                       submit 
@@ -245,6 +289,7 @@ export default function MonthlyOrders() {
                     <Button onClick={handleClear} disabled={isSearching}>
                       Clear Filters
                     </Button>
+                    <ReportExportButtons report="monthly-orders" filters={filters} disabled={!filters.customerId && !filters.location && !filters.companyLocationId} />
                   </InlineStack>
                 </BlockStack>
               </form>
@@ -300,6 +345,9 @@ export default function MonthlyOrders() {
                     <Badge tone="warning">
                       Revenue
                     </Badge>
+                    <Badge>
+                      {spendDefinitionLabel}
+                    </Badge>
                   </BlockStack>
                 </Box>
               </Card>
@@ -307,6 +355,22 @@ export default function MonthlyOrders() {
           </Layout.Section>
         )}
 
+        {!isSearching && comparison && (
+          <Layout.Section>
+            <ReportComparison
+              comparison={comparison}
+              figures={[
+                { key: "totalOrders", label: "Orders" },
+                { key: "totalProducts", label: "Unique Products" },
+                { key: "totalQuantity", label: "Net Quantity" },
+                { key: "totalValue", label: "Net Value", format: "currency" },
+                { key: "refundedValue", label: "Refunds", format: "currency" },
+              ]}
+              valueLabel="Net Value"
+            />
+          </Layout.Section>
+        )}
+
         <Layout.Section>
           <Card>
             <BlockStack gap="400">
@@ -0,0 +1,532 @@
+import { useLoaderData, useSubmit, useNavigation, useActionData, useNavigate } from "@remix-run/react";
+import { useState, useCallback, useEffect } from "react";
+import { json } from "@remix-run/node";
+import {
+  Page,
+  Layout,
+  Card,
+  BlockStack,
+  Text,
+  TextField,
+  Button,
+  InlineStack,
+  FormLayout,
+  Select,
+  DataTable,
+  Badge,
+  Modal,
+  Toast,
+  Frame,
+  Pagination,
+} from "@shopify/polaris";
+import { TitleBar } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server.js";
+import { getAvailableLocationsForCensus } from "../actions/fhr-location-census.server.js";
+import {
+  getOrderApprovalHolds,
+  getOrderApprovalAudit,
+  decideOrderApprovalHold,
+  syncOrderHoldDecision,
+  getLocationApprovers,
+  addLocationApprover,
+  removeLocationApprover,
+} from "../actions/order-approval-holds.server.js";
+import { getSessionUserIdentity, getSessionStaffEmail, isApproverAdmin } from "../utils/session-user.server.js";
+
+const HOLDS_PER_PAGE = 50;
+
+const HOLD_STATUS_BADGES = {
+  pending: { label: "Pending Approval", tone: "attention" },
+  approved: { label: "Approved", tone: "success" },
+  rejected: { label: "Rejected", tone: "critical" }
+};
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const canManageApprovers = isApproverAdmin(session);
+
+  const url = new URL(request.url);
+  const filters = {
+    status: url.searchParams.get("status") ?? "pending",
+    locationId: url.searchParams.get("locationId") || "",
+    page: parseInt(url.searchParams.get("page")) || 1
+  };
+  const auditHoldId = url.searchParams.get("auditHoldId") || "";
+
+  try {
+    const [holdResults, approvers, locations, audit] = await Promise.all([
+      getOrderApprovalHolds({ ...filters, limit: HOLDS_PER_PAGE }),
+      getLocationApprovers(),
+      getAvailableLocationsForCensus(),
+      auditHoldId ? getOrderApprovalAudit(auditHoldId) : []
+    ]);
+
+    return json({
+      ...holdResults,
+      approvers,
+      locations,
+      audit,
+      auditHoldId,
+      filters,
+      canManageApprovers
+    });
+  } catch (error) {
+    console.error("Error loading order approvals:", error);
+    return json({
+      holds: [],
+      total: 0,
+      pendingCount: 0,
+      approvers: [],
+      locations: [],
+      audit: [],
+      auditHoldId,
+      filters,
+      canManageApprovers,
+      error: "Failed to load order approvals"
+    });
+  }
+};
+
+export const action = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const actor = getSessionUserIdentity(session);
+
+  const formData = await request.formData();
+  const actionType = formData.get("actionType");
+
+  try {
+    switch (actionType) {
+      case "approve":
+      case "reject": {
+        const staffEmail = getSessionStaffEmail(session);
+        if (!staffEmail) {
+          return json({ success: false, error: "Orders can only be decided by a signed-in staff member" });
+        }
+
+        const result = await decideOrderApprovalHold({
+          holdId: formData.get("holdId"),
+          decision: actionType,
+          actor: staffEmail,
+          approverAdmin: isApproverAdmin(session),
+          comment: formData.get("comment"),
+          admin
+        });
+
+        if (!result.success) {
+          return json({ success: false, error: result.error });
+        }
+
+        if (!result.shopifySynced) {
+          return json({
+            success: false,
+            error: `Order ${result.status}, but the Shopify order was not updated: ${result.shopifyError}`
+          });
+        }
+
+        return json({ success: true, message: `Order ${result.status} and tagged in Shopify` });
+      }
+
+      case "retrySync": {
+        const sync = await syncOrderHoldDecision(admin, formData.get("holdId"), actor);
+
+        return sync.synced
+          ? json({ success: true, message: "Shopify order updated" })
+          : json({ success: false, error: `Shopify order not updated: ${sync.error}` });
+      }
+
+      case "addApprover": {
+        if (!isApproverAdmin(session)) {
+          return json({ success: false, error: "Only approver admins can manage approvers" });
+        }
+
+        const result = await addLocationApprover({
+          locationId: formData.get("locationId"),
+          approver: formData.get("approver"),
+          createdBy: actor
+        });
+
+        return result.success
+          ? json({ success: true, message: "Approver added" })
+          : json({ success: false, error: result.error });
+      }
+
+      case "removeApprover": {
+        if (!isApproverAdmin(session)) {
+          return json({ success: false, error: "Only approver admins can manage approvers" });
+        }
+
+        const removed = await removeLocationApprover(formData.get("approverId"));
+
+        return removed
+          ? json({ success: true, message: "Approver removed" })
+          : json({ success: false, error: "Approver not found" });
+      }
+
+      default:
+        return json({ success: false, error: "Invalid action type" }, { status: 400 });
+    }
+  } catch (error) {
+    console.error("Error processing order approval action:", error);
+    return json({ success: false, error: error.message || "Failed to process request" });
+  }
+};
+
+export default function OrderApprovals() {
+  const { holds, total, pendingCount, approvers, locations, audit, auditHoldId, filters, canManageApprovers, error } = useLoaderData();
+  const actionData = useActionData();
+  const submit = useSubmit();
+  const navigation = useNavigation();
+  const navigate = useNavigate();
+
+  const [statusFilter, setStatusFilter] = useState(filters.status);
+  const [locationFilter, setLocationFilter] = useState(filters.locationId);
+
+  const [decision, setDecision] = useState(null); // { hold, type: approve | reject }
+  const [comment, setComment] = useState("");
+
+  const [isApproverModalOpen, setIsApproverModalOpen] = useState(false);
+  const [approverLocationId, setApproverLocationId] = useState("");
+  const [approver, setApprover] = useState("");
+
+  const [toastActive, setToastActive] = useState(false);
+  const [toastMessage, setToastMessage] = useState("");
+  const [toastError, setToastError] = useState(false);
+
+  const isLoading = navigation.state === "submitting";
+
+  useEffect(() => {
+    if (actionData) {
+      setToastMessage(actionData.success ? actionData.message : actionData.error);
+      setToastError(!actionData.success);
+      setToastActive(true);
+
+      // Decisions are saved even when the Shopify update fails, so close the modal either way
+      setDecision(null);
+      setComment("");
+
+      if (actionData.success) {
+        setIsApproverModalOpen(false);
+        setApproverLocationId("");
+        setApprover("");
+      }
+    }
+  }, [actionData]);
+
+  const locationName = useCallback((id) => {
+    const location = locations.find(loc => loc.location_id === id);
+    return location ? `${location.location_id} - ${location.location_name}` : id;
+  }, [locations]);
+
+  const submitAction = useCallback((actionType, fields = {}) => {
+    const formData = new FormData();
+    formData.append("actionType", actionType);
+    Object.entries(fields).forEach(([key, value]) => formData.append(key, value));
+    submit(formData, { method: "post" });
+  }, [submit]);
+
+  const navigateWith = useCallback((changes = {}) => {
+    const params = new URLSearchParams();
+    params.set("status", changes.status ?? statusFilter);
+    const location = changes.locationId ?? locationFilter;
+    if (location) params.set("locationId", location);
+    if (changes.page > 1) params.set("page", String(changes.page));
+    if (changes.auditHoldId) params.set("auditHoldId", String(changes.auditHoldId));
+    navigate(`?${params.toString()}`);
+  }, [statusFilter, locationFilter, navigate]);
+
+  const locationOptions = locations.map(location => ({
+    label: `${location.location_id} - ${location.location_name}`,
+    value: location.location_id
+  }));
+
+  const holdRows = holds.map(hold => [
+    hold.order_number || hold.order_id,
+    hold.location_name ? `${hold.location_id} - ${hold.location_name}` : locationName(hold.location_id),
+    hold.budget_month,
+    `$${Number(hold.amount_over).toFixed(2)}`,
+    <BlockStack key={`categories-${hold.id}`} gap="050">
+      {hold.categories.map(category => (
+        <Text key={category.category} as="span" variant="bodySm">
+          {`${category.category}: $${category.amountOver} over ($${category.spent} of $${category.budget})`}
+        </Text>
+      ))}
+    </BlockStack>,
+    hold.required_approvers || "Approver admins",
+    <BlockStack key={`status-${hold.id}`} gap="050">
+      <Badge tone={HOLD_STATUS_BADGES[hold.status]?.tone}>
+        {HOLD_STATUS_BADGES[hold.status]?.label || hold.status}
+      </Badge>
+      {hold.decided_by && (
+        <Text as="span" variant="bodySm" tone="subdued">
+          {`${hold.decided_by}, ${new Date(hold.decided_at).toLocaleDateString()}`}
+        </Text>
+      )}
+      {hold.shopify_sync_error && (
+        <Badge tone="critical">Shopify not updated</Badge>
+      )}
+    </BlockStack>,
+    <InlineStack key={`actions-${hold.id}`} gap="200" wrap={false}>
+      {hold.status === "pending" && (
+        <>
+          <Button size="slim" variant="primary" onClick={() => setDecision({ hold, type: "approve" })}>
+            Approve
+          </Button>
+          <Button size="slim" tone="critical" onClick={() => setDecision({ hold, type: "reject" })}>
+            Reject
+          </Button>
+        </>
+      )}
+      {hold.status !== "pending" && hold.shopify_sync_error && (
+        <Button size="slim" onClick={() => submitAction("retrySync", { holdId: hold.id })} loading={isLoading}>
+          Retry Shopify Update
+        </Button>
+      )}
+      <Button size="slim" variant="tertiary" onClick={() => navigateWith({ auditHoldId: hold.id, page: filters.page })}>
+        History
+      </Button>
+    </InlineStack>
+  ]);
+
+  const approverRows = approvers.map(row => [
+    row.location_name ? `${row.location_id} - ${row.location_name}` : locationName(row.location_id),
+    row.approver,
+    row.created_by || "System",
+    canManageApprovers ? (
+      <Button
+        key={`remove-${row.id}`}
+        size="slim"
+        tone="critical"
+        onClick={() => {
+          if (confirm(`Remove ${row.approver} as approver for ${locationName(row.location_id)}?`)) {
+            submitAction("removeApprover", { approverId: row.id });
+          }
+        }}
+      >
+        Remove
+      </Button>
+    ) : ""
+  ]);
+
+  const totalPages = Math.max(1, Math.ceil(total / HOLDS_PER_PAGE));
+  const auditHold = holds.find(hold => String(hold.id) === String(auditHoldId));
+
+  return (
+    <Frame>
+      {toastActive && (
+        <Toast
+          content={toastMessage}
+          error={toastError}
+          onDismiss={() => setToastActive(false)}
+        />
+      )}
+      <Page>
+        <TitleBar title="Order Approvals" />
+        <Layout>
+          <Layout.Section>
+            {error && (
+              <Card>
+                <Text as="p" tone="critical">
+                  {error}
+                </Text>
+              </Card>
+            )}
+
+            <BlockStack gap="400">
+              <Card>
+                <BlockStack gap="400">
+                  <BlockStack gap="100">
+                    <Text as="h2" variant="headingMd">
+                      Over-Budget Orders
+                    </Text>
+                    <Text as="p" variant="bodySm" tone="subdued">
+                      {`${pendingCount} order(s) awaiting approval. Orders are held when they take a category over its full-month census-based budget; decisions tag the Shopify order "budget-approved" or "budget-rejected".`}
+                    </Text>
+                  </BlockStack>
+
+                  <InlineStack gap="300" blockAlign="end">
+                    <div style={{ minWidth: 180 }}>
+                      <Select
+                        label="Status"
+                        options={[
+                          { label: "Pending Approval", value: "pending" },
+                          { label: "Approved", value: "approved" },
+                          { label: "Rejected", value: "rejected" },
+                          { label: "All", value: "" }
+                        ]}
+                        value={statusFilter}
+                        onChange={setStatusFilter}
+                      />
+                    </div>
+                    <div style={{ minWidth: 260 }}>
+                      <Select
+                        label="Location"
+                        options={[{ label: "All Locations", value: "" }, ...locationOptions]}
+                        value={locationFilter}
+                        onChange={setLocationFilter}
+                      />
+                    </div>
+                    <Button onClick={() => navigateWith()}>Apply</Button>
+                  </InlineStack>
+
+                  <DataTable
+                    columnContentTypes={["text", "text", "text", "numeric", "text", "text", "text", "text"]}
+                    headings={[
+                      "Order",
+                      "Location",
+                      "Budget Month",
+                      "Amount Over",
+                      "Categories",
+                      "Approvers",
+                      "Status",
+                      "Actions"
+                    ]}
+                    rows={holdRows}
+                  />
+
+                  {holds.length === 0 && (
+                    <Text as="p" tone="subdued" alignment="center">
+                      No held orders found.
+                    </Text>
+                  )}
+
+                  {totalPages > 1 && (
+                    <InlineStack align="center">
+                      <Pagination
+                        hasPrevious={filters.page > 1}
+                        onPrevious={() => navigateWith({ page: filters.page - 1 })}
+                        hasNext={filters.page < totalPages}
+                        onNext={() => navigateWith({ page: filters.page + 1 })}
+                        label={`Page ${filters.page} of ${totalPages}`}
+                      />
+                    </InlineStack>
+                  )}
+                </BlockStack>
+              </Card>
+
+              <Card>
+                <BlockStack gap="400">
+                  <InlineStack align="space-between">
+                    <BlockStack gap="100">
+                      <Text as="h2" variant="headingMd">
+                        Location Approvers
+                      </Text>
+                      <Text as="p" variant="bodySm" tone="subdued">
+                        Regional managers who must approve held orders of a location.
+                      </Text>
+                    </BlockStack>
+                    {canManageApprovers && (
+                      <Button variant="primary" onClick={() => setIsApproverModalOpen(true)}>
+                        Add Approver
+                      </Button>
+                    )}
+                  </InlineStack>
+
+                  <DataTable
+                    columnContentTypes={["text", "text", "text", "text"]}
+                    headings={["Location", "Approver", "Added By", "Actions"]}
+                    rows={approverRows}
+                  />
+
+                  {approvers.length === 0 && (
+                    <Text as="p" tone="subdued" alignment="center">
+                      No location approvers configured.
+                    </Text>
+                  )}
+                </BlockStack>
+              </Card>
+            </BlockStack>
+          </Layout.Section>
+        </Layout>
+
+        <Modal
+          open={!!decision}
+          onClose={() => setDecision(null)}
+          title={decision?.type === "reject" ? "Reject Order" : "Approve Order"}
+          primaryAction={{
+            content: decision?.type === "reject" ? "Reject" : "Approve",
+            destructive: decision?.type === "reject",
+            loading: isLoading,
+            disabled: decision?.type === "reject" && !comment.trim(),
+            onAction: () => submitAction(decision.type, { holdId: decision.hold.id, comment })
+          }}
+          secondaryActions={[
+            {
+              content: "Cancel",
+              onAction: () => setDecision(null),
+            },
+          ]}
+        >
+          <Modal.Section>
+            <FormLayout>
+              <Text as="p">
+                {decision && `Order ${decision.hold.order_number || decision.hold.order_id} is $${Number(decision.hold.amount_over).toFixed(2)} over budget for ${decision.hold.budget_month}.`}
+              </Text>
+              <TextField
+                label={decision?.type === "reject" ? "Reason for rejection" : "Comment (optional)"}
+                value={comment}
+                onChange={setComment}
+                multiline={3}
+                autoComplete="off"
+              />
+            </FormLayout>
+          </Modal.Section>
+        </Modal>
+
+        <Modal
+          open={!!auditHoldId}
+          onClose={() => navigateWith({ page: filters.page })}
+          title={`Approval History${auditHold ? ` - Order ${auditHold.order_number || auditHold.order_id}` : ""}`}
+        >
+          <Modal.Section>
+            <DataTable
+              columnContentTypes={["text", "text", "text", "text"]}
+              headings={["Date", "Action", "By", "Comment"]}
+              rows={audit.map(entry => [
+                new Date(entry.created_at).toLocaleString(),
+                entry.action.replace(/_/g, " "),
+                entry.actor,
+                entry.comment || "-"
+              ])}
+            />
+          </Modal.Section>
+        </Modal>
+
+        <Modal
+          open={isApproverModalOpen}
+          onClose={() => setIsApproverModalOpen(false)}
+          title="Add Location Approver"
+          primaryAction={{
+            content: "Add",
+            onAction: () => submitAction("addApprover", { locationId: approverLocationId, approver }),
+            loading: isLoading,
+            disabled: !approverLocationId || !approver.trim(),
+          }}
+          secondaryActions={[
+            {
+              content: "Cancel",
+              onAction: () => setIsApproverModalOpen(false),
+            },
+          ]}
+        >
+          <Modal.Section>
+            <FormLayout>
+              <Select
+                label="Location"
+                options={[{ label: "Select a location", value: "" }, ...locationOptions]}
+                value={approverLocationId}
+                onChange={setApproverLocationId}
+              />
+              <TextField
+                label="Approver"
+                value={approver}
+                onChange={setApprover}
+                placeholder="Staff email (e.g., manager@example.com)"
+                autoComplete="off"
+              />
+            </FormLayout>
+          </Modal.Section>
+        </Modal>
+      </Page>
+    </Frame>
+  );
+}
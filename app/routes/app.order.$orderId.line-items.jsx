@@ -1,4 +1,5 @@
-import { useLoaderData } from "@remix-run/react";
+import { useLoaderData, useActionData, useSubmit, useNavigation } from "@remix-run/react";
+import { useState, useCallback, useEffect } from "react";
 import { json } from "@remix-run/node";
 import {
   Page,
@@ -10,9 +11,23 @@ import {
   Badge,
   InlineStack,
   Box,
+  Button,
+  Modal,
+  FormLayout,
+  TextField,
+  Toast,
+  Frame,
 } from "@shopify/polaris";
 import { TitleBar } from "@shopify/app-bridge-react";
 import { authenticate } from "../shopify.server";
+import { getSessionUserIdentity } from "../utils/session-user.server.js";
+
+const historySourceLabels = {
+  admin: "Admin",
+  admin_bulk: "Bulk reassignment",
+  shopify: "Shopify",
+  integration: "Integration"
+};
 
 export const loader = async ({ request, params }) => {
   await authenticate.admin(request);
@@ -22,7 +37,8 @@ export const loader = async ({ request, params }) => {
     getOrderById, 
     getOrderLineItemsByOrderId, 
     getOrderLineItemStats,
-    getOrderWithLineItems 
+    getOrderWithLineItems,
+    getOrderBudgetMonthHistory
   } = await import("../actions/index.server.js");
 
   const orderId = params.orderId;
@@ -34,14 +50,16 @@ export const loader = async ({ request, params }) => {
   let order = null;
   let lineItems = [];
   let stats = {};
+  let budgetMonthHistory = [];
   let error = null;
 
   try {
     // Get order with line items and stats
-    [order, lineItems, stats] = await Promise.all([
+    [order, lineItems, stats, budgetMonthHistory] = await Promise.all([
       getOrderById(orderId),
       getOrderLineItemsByOrderId(orderId),
-      getOrderLineItemStats(orderId)
+      getOrderLineItemStats(orderId),
+      getOrderBudgetMonthHistory(orderId)
     ]);
 
     
@@ -55,12 +73,121 @@ export const loader = async ({ request, params }) => {
     error = "Failed to fetch order details. Please try again.";
   }
 
-  return json({ order, lineItems, stats, error });
+  return json({ order, lineItems, stats, budgetMonthHistory, error });
+};
+
+export const action = async ({ request, params }) => {
+  const { admin, session } = await authenticate.admin(request);
+
+  const { reassignOrderBudgetMonth, syncOrderBudgetMonthToShopify } = await import("../actions/index.server.js");
+
+  const formData = await request.formData();
+  const actionType = formData.get("actionType");
+
+  try {
+    switch (actionType) {
+      case "reassignBudgetMonth": {
+        const result = await reassignOrderBudgetMonth({
+          orderId: params.orderId,
+          budgetMonth: formData.get("budgetMonth"),
+          reason: formData.get("reason"),
+          actor: getSessionUserIdentity(session),
+          admin
+        });
+
+        if (!result.success) {
+          return json({ success: false, error: result.error });
+        }
+
+        if (!result.shopifySynced) {
+          return json({
+            success: false,
+            error: `Moved to ${result.budgetMonth}, but the Shopify order was not updated: ${result.shopifyError}`
+          });
+        }
+
+        return json({
+          success: true,
+          message: `Order moved from ${result.previousBudgetMonth} to ${result.budgetMonth}`
+        });
+      }
+
+      case "syncBudgetMonth": {
+        const sync = await syncOrderBudgetMonthToShopify(admin, formData.get("historyId"));
+
+        return sync.synced
+          ? json({ success: true, message: "Shopify order updated" })
+          : json({ success: false, error: `Shopify order not updated: ${sync.error}` });
+      }
+
+      default:
+        return json({ success: false, error: "Invalid action type" }, { status: 400 });
+    }
+  } catch (error) {
+    console.error("Error processing order action:", error);
+    return json({ success: false, error: error.message || "Failed to process request" });
+  }
 };
 
 export default function OrderLineItems() {
-    console.log(useLoaderData());
-  const { order, lineItems, stats, error } = useLoaderData();
+  const { order, lineItems, stats, budgetMonthHistory, error } = useLoaderData();
+  const actionData = useActionData();
+  const submit = useSubmit();
+  const navigation = useNavigation();
+
+  const [isReassignModalOpen, setIsReassignModalOpen] = useState(false);
+  const [budgetMonth, setBudgetMonth] = useState("");
+  const [reason, setReason] = useState("");
+
+  const [toastActive, setToastActive] = useState(false);
+  const [toastMessage, setToastMessage] = useState("");
+  const [toastError, setToastError] = useState(false);
+
+  const isLoading = navigation.state === "submitting";
+
+  useEffect(() => {
+    if (actionData) {
+      setToastMessage(actionData.success ? actionData.message : actionData.error);
+      setToastError(!actionData.success);
+      setToastActive(true);
+
+      if (actionData.success) {
+        setIsReassignModalOpen(false);
+        setBudgetMonth("");
+        setReason("");
+      }
+    }
+  }, [actionData]);
+
+  const submitAction = useCallback((actionType, fields = {}) => {
+    const formData = new FormData();
+    formData.append("actionType", actionType);
+    Object.entries(fields).forEach(([key, value]) => formData.append(key, value));
+    submit(formData, { method: "post" });
+  }, [submit]);
+
+  const currentBudgetMonth = order?.order_budget_month
+    || (order?.created_at
+      ? `${String(new Date(order.created_at).getUTCMonth() + 1).padStart(2, "0")}-${new Date(order.created_at).getUTCFullYear()}`
+      : null);
+
+  const historyRows = (budgetMonthHistory || []).map((entry) => [
+    new Date(entry.created_at).toLocaleString(),
+    `${entry.previous_budget_month || "-"} → ${entry.new_budget_month}`,
+    entry.reason,
+    entry.changed_by,
+    historySourceLabels[entry.source] || entry.source,
+    entry.source === "shopify" ? "-" : entry.shopify_synced_at ? (
+      <Badge key={`sync-${entry.id}`} tone="success">Synced</Badge>
+    ) : (
+      <InlineStack key={`sync-${entry.id}`} gap="200" blockAlign="center" wrap={false}>
+        <Badge tone="critical">Not synced</Badge>
+        <Button size="slim" onClick={() => submitAction("syncBudgetMonth", { historyId: entry.id })}>
+          Retry
+        </Button>
+      </InlineStack>
+    ),
+  ]);
 
   const lineItemRows = (lineItems || []).map((item) => [
     item.name || "",
@@ -80,6 +207,14 @@ export default function OrderLineItems() {
   ]);
 
   return (
+    <Frame>
+      {toastActive && (
+        <Toast
+          content={toastMessage}
+          error={toastError}
+          onDismiss={() => setToastActive(false)}
+        />
+      )}
     <Page
       backAction={{
         content: "Orders",
@@ -152,11 +287,46 @@ export default function OrderLineItems() {
                         </Badge>
                       </BlockStack>
                     </Box>
+
+                    <Box>
+                      <BlockStack gap="100">
+                        <Text as="p" variant="bodySmall" color="subdued">Budget Month</Text>
+                        <InlineStack gap="200" blockAlign="center">
+                          <Text as="p" variant="bodyMd" fontWeight="semibold">{currentBudgetMonth || 'N/A'}</Text>
+                          <Button size="slim" onClick={() => setIsReassignModalOpen(true)}>
+                            Reassign
+                          </Button>
+                        </InlineStack>
+                      </BlockStack>
+                    </Box>
                   </InlineStack>
                 </BlockStack>
               </Card>
             </Layout.Section>
 
+            {/* Budget Month History */}
+            <Layout.Section>
+              <Card>
+                <BlockStack gap="400">
+                  <Text as="h2" variant="headingMd">
+                    Budget Month History
+                  </Text>
+
+                  {historyRows.length > 0 ? (
+                    <DataTable
+                      columnContentTypes={["text", "text", "text", "text", "text", "text"]}
+                      headings={["Changed", "Budget Month", "Reason", "Changed By", "Source", "Shopify"]}
+                      rows={historyRows}
+                    />
+                  ) : (
+                    <Text as="p" color="subdued">
+                      The budget month has not been changed since the order was placed.
+                    </Text>
+                  )}
+                </BlockStack>
+              </Card>
+            </Layout.Section>
+
             {/* Line Items Statistics */}
             <Layout.Section>
               <Card>
@@ -259,6 +429,48 @@ export default function OrderLineItems() {
           </>
         )}
       </Layout>
+
+      <Modal
+        open={isReassignModalOpen}
+        onClose={() => setIsReassignModalOpen(false)}
+        title={`Reassign Budget Month - Order #${order?.order_number || ''}`}
+        primaryAction={{
+          content: "Reassign",
+          onAction: () => submitAction("reassignBudgetMonth", { budgetMonth: budgetMonth.trim(), reason }),
+          loading: isLoading,
+          disabled: !budgetMonth.trim() || !reason.trim(),
+        }}
+        secondaryActions={[
+          {
+            content: "Cancel",
+            onAction: () => setIsReassignModalOpen(false),
+          },
+        ]}
+      >
+        <Modal.Section>
+          <FormLayout>
+            <Text as="p">
+              {`The order counts toward ${currentBudgetMonth || 'its creation month'}. Budget spend is reconciled for both months and the new month is written to the order's order_budget_month attribute in Shopify.`}
+            </Text>
+            <TextField
+              label="New Budget Month"
+              value={budgetMonth}
+              onChange={setBudgetMonth}
+              placeholder="MM-YYYY"
+              autoComplete="off"
+            />
+            <TextField
+              label="Reason"
+              value={reason}
+              onChange={setReason}
+              multiline={3}
+              autoComplete="off"
+              helpText="Required - kept in the order's budget month history"
+            />
+          </FormLayout>
+        </Modal.Section>
+      </Modal>
     </Page>
+    </Frame>
   );
 }
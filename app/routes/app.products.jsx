@@ -17,6 +17,7 @@ import {
   Box,
 } from "@shopify/polaris";
 import { TitleBar } from "@shopify/app-bridge-react";
+import { ReportExportButtons } from "../components/ReportExportButtons.jsx";
 import { authenticate } from "../shopify.server";
 
 import { 
@@ -326,6 +327,7 @@ export default function SearchProducts() {
                     <Button onClick={handleClear} disabled={isSearching}>
                       Clear Filters
                     </Button>
+                    <ReportExportButtons report="products" filters={filters} disabled={!products || products.length === 0} />
                   </InlineStack>
                 </BlockStack>
               </form>
@@ -0,0 +1,488 @@
+import { useLoaderData, useSubmit, useNavigation, useActionData } from "@remix-run/react";
+import { useState, useCallback, useEffect } from "react";
+import { json } from "@remix-run/node";
+import {
+  Page,
+  Layout,
+  Card,
+  BlockStack,
+  Text,
+  TextField,
+  Button,
+  InlineStack,
+  FormLayout,
+  Select,
+  DataTable,
+  Badge,
+  Modal,
+  Toast,
+  Frame,
+  ChoiceList,
+} from "@shopify/polaris";
+import { TitleBar } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server.js";
+import { getAvailableLocationsForCensus } from "../actions/fhr-location-census.server.js";
+import {
+  SPEND_DEFINITIONS,
+  SPEND_DEFINITION_LABELS,
+  getDefaultSpendDefinition,
+} from "../actions/spend-definitions.server.js";
+import {
+  REPORT_SUBSCRIPTION_REPORTS,
+  getReportSubscriptions,
+  getReportSubscriptionDeliveries,
+  createReportSubscription,
+  updateReportSubscription,
+  setReportSubscriptionActive,
+  deleteReportSubscription,
+  sendReportSubscription,
+  describeReportSubscriptionCadence,
+} from "../actions/report-subscriptions.server.js";
+import { getSessionUserIdentity } from "../utils/session-user.server.js";
+
+const CADENCE_OPTIONS = [
+  { label: "Weekly", value: "weekly" },
+  { label: "Month end (on the 1st, for the month that ended)", value: "month_end" },
+  { label: "Monthly on a day (for the previous month)", value: "monthly_day" }
+];
+
+const WEEKDAY_OPTIONS = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"]
+  .map((label, index) => ({ label, value: String(index) }));
+
+const FORMAT_LABELS = { pdf: "PDF", xlsx: "Excel", csv: "CSV" };
+
+const EMPTY_FORM = {
+  subscriptionId: "",
+  name: "",
+  report: "budget-statement",
+  format: "pdf",
+  spendDefinition: "",
+  recipients: "",
+  cadence: "month_end",
+  cadenceDay: "",
+  locationIds: []
+};
+
+function formatDateTime(value) {
+  return value ? new Date(value).toLocaleString() : "-";
+}
+
+export const loader = async ({ request }) => {
+  await authenticate.admin(request);
+
+  const reportOptions = Object.entries(REPORT_SUBSCRIPTION_REPORTS).map(([value, report]) => ({
+    label: report.label,
+    value,
+    formats: report.formats
+  }));
+  const spendDefinitionOptions = [
+    { label: `Default (${SPEND_DEFINITION_LABELS[getDefaultSpendDefinition()]})`, value: "" },
+    ...SPEND_DEFINITIONS.map(value => ({ label: SPEND_DEFINITION_LABELS[value], value }))
+  ];
+
+  try {
+    const [subscriptions, deliveries, locations] = await Promise.all([
+      getReportSubscriptions(),
+      getReportSubscriptionDeliveries({ limit: 50 }),
+      getAvailableLocationsForCensus()
+    ]);
+
+    return json({
+      subscriptions: subscriptions.map(subscription => ({
+        ...subscription,
+        cadenceLabel: describeReportSubscriptionCadence(subscription)
+      })),
+      deliveries,
+      locations,
+      reportOptions,
+      spendDefinitionOptions,
+      error: null
+    });
+  } catch (error) {
+    console.error("Error loading report subscriptions:", error);
+    return json({
+      subscriptions: [],
+      deliveries: [],
+      locations: [],
+      reportOptions,
+      spendDefinitionOptions,
+      error: error.message || "Failed to load report subscriptions"
+    });
+  }
+};
+
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const actor = getSessionUserIdentity(session);
+
+  const formData = await request.formData();
+  const actionType = formData.get("actionType");
+  const subscriptionId = formData.get("subscriptionId");
+  const subscription = {
+    name: formData.get("name"),
+    report: formData.get("report"),
+    format: formData.get("format"),
+    spendDefinition: formData.get("spendDefinition"),
+    recipients: formData.get("recipients"),
+    cadence: formData.get("cadence"),
+    cadenceDay: formData.get("cadenceDay"),
+    locationIds: formData.getAll("locationIds"),
+    actor
+  };
+
+  try {
+    switch (actionType) {
+      case "createSubscription": {
+        const result = await createReportSubscription(subscription);
+        return result.success
+          ? json({ success: true, message: `Report subscription "${subscription.name.trim()}" created` })
+          : json({ success: false, error: result.error });
+      }
+
+      case "updateSubscription": {
+        const result = await updateReportSubscription(subscriptionId, subscription);
+        return result.success
+          ? json({ success: true, message: `Report subscription "${subscription.name.trim()}" updated` })
+          : json({ success: false, error: result.error });
+      }
+
+      case "setActive": {
+        const isActive = formData.get("isActive") === "true";
+        const result = await setReportSubscriptionActive(subscriptionId, isActive);
+        return result.success
+          ? json({ success: true, message: isActive ? "Report subscription resumed" : "Report subscription paused" })
+          : json({ success: false, error: result.error });
+      }
+
+      case "deleteSubscription": {
+        const result = await deleteReportSubscription(subscriptionId);
+        return result.success
+          ? json({ success: true, message: "Report subscription deleted" })
+          : json({ success: false, error: result.error });
+      }
+
+      case "sendNow": {
+        const result = await sendReportSubscription(subscriptionId, { actor });
+        return result.success
+          ? json({
+            success: true,
+            message: `Sent ${result.attachmentCount} report(s) for ${result.budgetMonth}${result.failedLocations.length > 0 ? `; ${result.failedLocations.length} location(s) failed` : ""}`
+          })
+          : json({ success: false, error: result.error });
+      }
+
+      default:
+        return json({ success: false, error: "Invalid action type" }, { status: 400 });
+    }
+  } catch (error) {
+    console.error("Error processing report subscription action:", error);
+    return json({ success: false, error: error.message || "Failed to process request" });
+  }
+};
+
+export default function ReportSubscriptions() {
+  const { subscriptions, deliveries, locations, reportOptions, spendDefinitionOptions, error } = useLoaderData();
+  const actionData = useActionData();
+  const submit = useSubmit();
+  const navigation = useNavigation();
+
+  // null when the subscription modal is closed; subscriptionId is empty for a new subscription
+  const [form, setForm] = useState(null);
+
+  const [toastActive, setToastActive] = useState(false);
+  const [toastMessage, setToastMessage] = useState("");
+  const [toastError, setToastError] = useState(false);
+
+  const isLoading = navigation.state === "submitting";
+  const pendingAction = isLoading ? navigation.formData?.get("actionType") : null;
+  const pendingSubscriptionId = isLoading ? navigation.formData?.get("subscriptionId") : null;
+
+  useEffect(() => {
+    if (actionData) {
+      setToastMessage(actionData.success ? actionData.message : actionData.error);
+      setToastError(!actionData.success);
+      setToastActive(true);
+
+      if (actionData.success) {
+        setForm(null);
+      }
+    }
+  }, [actionData]);
+
+  const submitAction = useCallback((actionType, fields = {}) => {
+    const formData = new FormData();
+    formData.append("actionType", actionType);
+    Object.entries(fields).forEach(([key, value]) => {
+      (Array.isArray(value) ? value : [value]).forEach(item => formData.append(key, item));
+    });
+    submit(formData, { method: "post" });
+  }, [submit]);
+
+  const formatsOf = (report) => reportOptions.find(option => option.value === report)?.formats || [];
+
+  const handleReportChange = (report) => {
+    const formats = formatsOf(report);
+    setForm({ ...form, report, format: formats.includes(form.format) ? form.format : formats[0] });
+  };
+
+  const handleCadenceChange = (cadence) => {
+    setForm({ ...form, cadence, cadenceDay: cadence === "weekly" ? "1" : cadence === "monthly_day" ? "5" : "" });
+  };
+
+  const handleSave = () => {
+    const { subscriptionId, ...fields } = form;
+    if (subscriptionId) {
+      submitAction("updateSubscription", { ...fields, subscriptionId });
+    } else {
+      submitAction("createSubscription", fields);
+    }
+  };
+
+  const handleDelete = (subscription) => {
+    if (confirm(`Delete report subscription "${subscription.name}" and its delivery history?`)) {
+      submitAction("deleteSubscription", { subscriptionId: subscription.id });
+    }
+  };
+
+  const reportLabel = (report) => reportOptions.find(option => option.value === report)?.label || report;
+
+  const subscriptionRows = subscriptions.map(subscription => [
+    subscription.name,
+    `${reportLabel(subscription.report)} (${FORMAT_LABELS[subscription.format]})`,
+    String(subscription.location_ids.length),
+    subscription.recipients,
+    subscription.cadenceLabel,
+    subscription.last_delivery ? (
+      <InlineStack key={`last-${subscription.id}`} gap="100">
+        <Badge tone={subscription.last_delivery.status === "sent" ? "success" : "critical"}>
+          {subscription.last_delivery.status === "sent" ? "Sent" : "Failed"}
+        </Badge>
+        <Text as="span" variant="bodySm">{formatDateTime(subscription.last_delivery.created_at)}</Text>
+      </InlineStack>
+    ) : "-",
+    subscription.is_active ? <Badge key={`status-${subscription.id}`} tone="success">Active</Badge> : <Badge key={`status-${subscription.id}`}>Paused</Badge>,
+    <InlineStack key={`actions-${subscription.id}`} gap="200" wrap={false}>
+      <Button
+        size="slim"
+        onClick={() => setForm({
+          subscriptionId: String(subscription.id),
+          name: subscription.name,
+          report: subscription.report,
+          format: subscription.format,
+          spendDefinition: subscription.spend_definition || "",
+          recipients: subscription.recipients,
+          cadence: subscription.cadence,
+          cadenceDay: subscription.cadence_day === null ? "" : String(subscription.cadence_day),
+          locationIds: subscription.location_ids
+        })}
+      >
+        Edit
+      </Button>
+      <Button
+        size="slim"
+        onClick={() => submitAction("sendNow", { subscriptionId: subscription.id })}
+        loading={pendingAction === "sendNow" && pendingSubscriptionId === String(subscription.id)}
+        disabled={isLoading}
+      >
+        Send Now
+      </Button>
+      <Button
+        size="slim"
+        onClick={() => submitAction("setActive", { subscriptionId: subscription.id, isActive: String(!subscription.is_active) })}
+        disabled={isLoading}
+      >
+        {subscription.is_active ? "Pause" : "Resume"}
+      </Button>
+      <Button size="slim" tone="critical" onClick={() => handleDelete(subscription)} disabled={isLoading}>
+        Delete
+      </Button>
+    </InlineStack>
+  ]);
+
+  const deliveryRows = deliveries.map(delivery => [
+    formatDateTime(delivery.created_at),
+    delivery.subscription_name,
+    delivery.budget_month,
+    delivery.triggered_by === "schedule" ? `Schedule (${delivery.scheduled_for})` : delivery.triggered_by,
+    String(delivery.attachment_count),
+    <Badge key={`delivery-${delivery.id}`} tone={delivery.status === "sent" ? "success" : "critical"}>
+      {delivery.status === "sent" ? "Sent" : "Failed"}
+    </Badge>,
+    delivery.error || "-"
+  ]);
+
+  return (
+    <Frame>
+      {toastActive && (
+        <Toast
+          content={toastMessage}
+          error={toastError}
+          onDismiss={() => setToastActive(false)}
+        />
+      )}
+      <Page>
+        <TitleBar title="Report Subscriptions" />
+        <Layout>
+          <Layout.Section>
+            {error && (
+              <Card>
+                <Text as="p" tone="critical">
+                  {error}
+                </Text>
+              </Card>
+            )}
+
+            <BlockStack gap="400">
+              <Card>
+                <BlockStack gap="400">
+                  <InlineStack align="space-between" blockAlign="center">
+                    <BlockStack gap="100">
+                      <Text as="h2" variant="headingMd">
+                        Subscriptions
+                      </Text>
+                      <Text as="p" variant="bodySm" tone="subdued">
+                        Reports emailed on a schedule, one attachment per location. Weekly deliveries cover the current month to date; month-end and monthly deliveries cover the previous month.
+                      </Text>
+                    </BlockStack>
+                    <Button onClick={() => setForm({ ...EMPTY_FORM })}>
+                      New Subscription
+                    </Button>
+                  </InlineStack>
+
+                  <DataTable
+                    columnContentTypes={["text", "text", "numeric", "text", "text", "text", "text", "text"]}
+                    headings={["Name", "Report", "Locations", "Recipients", "Cadence", "Last Delivery", "Status", "Actions"]}
+                    rows={subscriptionRows}
+                  />
+
+                  {subscriptions.length === 0 && (
+                    <Text as="p" tone="subdued" alignment="center">
+                      No report subscriptions yet.
+                    </Text>
+                  )}
+                </BlockStack>
+              </Card>
+
+              <Card>
+                <BlockStack gap="400">
+                  <Text as="h2" variant="headingMd">
+                    Recent Deliveries
+                  </Text>
+
+                  <DataTable
+                    columnContentTypes={["text", "text", "text", "text", "numeric", "text", "text"]}
+                    headings={["Sent At", "Subscription", "Budget Month", "Triggered By", "Attachments", "Status", "Details"]}
+                    rows={deliveryRows}
+                  />
+
+                  {deliveries.length === 0 && (
+                    <Text as="p" tone="subdued" alignment="center">
+                      No deliveries yet.
+                    </Text>
+                  )}
+                </BlockStack>
+              </Card>
+            </BlockStack>
+          </Layout.Section>
+        </Layout>
+
+        <Modal
+          open={form !== null}
+          onClose={() => setForm(null)}
+          title={form?.subscriptionId ? "Edit Report Subscription" : "New Report Subscription"}
+          primaryAction={{
+            content: "Save",
+            onAction: handleSave,
+            loading: pendingAction === "createSubscription" || pendingAction === "updateSubscription",
+            disabled: !form?.name.trim() || !form?.recipients.trim() || form?.locationIds.length === 0,
+          }}
+          secondaryActions={[
+            {
+              content: "Cancel",
+              onAction: () => setForm(null),
+            },
+          ]}
+        >
+          <Modal.Section>
+            {form && (
+              <FormLayout>
+                <TextField
+                  label="Name"
+                  value={form.name}
+                  onChange={name => setForm({ ...form, name })}
+                  autoComplete="off"
+                />
+                <FormLayout.Group>
+                  <Select
+                    label="Report"
+                    options={reportOptions.map(({ label, value }) => ({ label, value }))}
+                    value={form.report}
+                    onChange={handleReportChange}
+                  />
+                  <Select
+                    label="Format"
+                    options={formatsOf(form.report).map(format => ({ label: FORMAT_LABELS[format], value: format }))}
+                    value={form.format}
+                    onChange={format => setForm({ ...form, format })}
+                  />
+                </FormLayout.Group>
+                <Select
+                  label="Spend definition"
+                  options={spendDefinitionOptions}
+                  value={form.spendDefinition}
+                  onChange={spendDefinition => setForm({ ...form, spendDefinition })}
+                />
+                <TextField
+                  label="Recipients"
+                  value={form.recipients}
+                  onChange={recipients => setForm({ ...form, recipients })}
+                  helpText="Email addresses, separated by commas"
+                  multiline={2}
+                  autoComplete="off"
+                />
+                <FormLayout.Group>
+                  <Select
+                    label="Cadence"
+                    options={CADENCE_OPTIONS}
+                    value={form.cadence}
+                    onChange={handleCadenceChange}
+                  />
+                  {form.cadence === "weekly" && (
+                    <Select
+                      label="Weekday"
+                      options={WEEKDAY_OPTIONS}
+                      value={form.cadenceDay}
+                      onChange={cadenceDay => setForm({ ...form, cadenceDay })}
+                    />
+                  )}
+                  {form.cadence === "monthly_day" && (
+                    <TextField
+                      label="Day of month"
+                      type="number"
+                      min={1}
+                      max={28}
+                      value={form.cadenceDay}
+                      onChange={cadenceDay => setForm({ ...form, cadenceDay })}
+                      helpText="1 to 28"
+                      autoComplete="off"
+                    />
+                  )}
+                </FormLayout.Group>
+                <ChoiceList
+                  title="Locations"
+                  allowMultiple
+                  choices={locations.map(location => ({
+                    label: `${location.location_id} - ${location.location_name}`,
+                    value: location.location_id
+                  }))}
+                  selected={form.locationIds}
+                  onChange={locationIds => setForm({ ...form, locationIds })}
+                />
+              </FormLayout>
+            )}
+          </Modal.Section>
+        </Modal>
+      </Page>
+    </Frame>
+  );
+}
@@ -1,4 +1,4 @@
-import { useLoaderData, useSubmit, useNavigation, Link } from "@remix-run/react";
+import { useLoaderData, useActionData, useSubmit, useNavigation, Link } from "@remix-run/react";
 import { useState, useEffect } from "react";
 import { json } from "@remix-run/node";
 import {
@@ -12,11 +12,19 @@ import {
   InlineStack,
   DataTable,
   Spinner,
+  Checkbox,
+  Modal,
+  FormLayout,
+  Toast,
+  Frame,
 } from "@shopify/polaris";
 import { TitleBar } from "@shopify/app-bridge-react";
+import { ReportExportButtons } from "../components/ReportExportButtons.jsx";
 import { authenticate } from "../shopify.server";
 
 import { getOrders, getOrdersCount } from "../actions/fhr-orders.server.js";
+import { bulkReassignOrderBudgetMonth } from "../actions/order-budget-month.server.js";
+import { getSessionUserIdentity } from "../utils/session-user.server.js";
 
 export const loader = async ({ request }) => {
   await authenticate.admin(request);
@@ -60,11 +68,77 @@ export const loader = async ({ request }) => {
   });
 };
 
+export const action = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+
+  const formData = await request.formData();
+
+  if (formData.get("actionType") !== "bulkReassignBudgetMonth") {
+    return json({ success: false, error: "Invalid action type" }, { status: 400 });
+  }
+
+  const result = await bulkReassignOrderBudgetMonth({
+    orderIds: formData.getAll("orderIds"),
+    budgetMonth: formData.get("budgetMonth"),
+    reason: formData.get("reason"),
+    actor: getSessionUserIdentity(session),
+    admin
+  });
+
+  if (!result.success) {
+    return json({ success: false, error: result.error });
+  }
+
+  const failures = result.results
+    .filter(entry => !entry.success)
+    .map(entry => entry.error);
+
+  return json({
+    success: result.failed === 0 && result.notSynced === 0,
+    message: `${result.reassigned} order(s) reassigned`,
+    error: [
+      `${result.reassigned} order(s) reassigned, ${result.failed} failed, ${result.notSynced} not updated in Shopify`,
+      ...failures.slice(0, 3)
+    ].join(". "),
+    reassigned: result.reassigned
+  });
+};
+
 export default function SearchOrders() {
   
   const { filters, orders, error, totalCount } = useLoaderData();
+  const actionData = useActionData();
   const submit = useSubmit();
   const navigation = useNavigation();
+
+  const [selectedOrderIds, setSelectedOrderIds] = useState([]);
+  const [isReassignModalOpen, setIsReassignModalOpen] = useState(false);
+  const [budgetMonth, setBudgetMonth] = useState("");
+  const [reason, setReason] = useState("");
+
+  const [toastActive, setToastActive] = useState(false);
+  const [toastMessage, setToastMessage] = useState("");
+  const [toastError, setToastError] = useState(false);
+
+  useEffect(() => {
+    if (actionData) {
+      setToastMessage(actionData.success ? actionData.message : actionData.error);
+      setToastError(!actionData.success);
+      setToastActive(true);
+
+      if (actionData.reassigned > 0) {
+        setIsReassignModalOpen(false);
+        setSelectedOrderIds([]);
+        setBudgetMonth("");
+        setReason("");
+      }
+    }
+  }, [actionData]);
+
+  // Selection only covers the orders currently listed
+  useEffect(() => {
+    setSelectedOrderIds([]);
+  }, [orders]);
   
   const [customerId, setCustomerId] = useState(filters.customerId || "");
   const [companyId, setCompanyId] = useState(filters.companyId || "");
@@ -101,9 +175,38 @@ export default function SearchOrders() {
   };
 
   const isSearching = navigation.state === "loading";
+  const isReassigning = navigation.state === "submitting";
+
+  const allSelected = orders.length > 0 && selectedOrderIds.length === orders.length;
+
+  const toggleOrder = (orderId) => {
+    setSelectedOrderIds(current => current.includes(orderId)
+      ? current.filter(id => id !== orderId)
+      : [...current, orderId]);
+  };
+
+  const toggleAll = () => {
+    setSelectedOrderIds(allSelected ? [] : orders.map(o => String(o.id)));
+  };
+
+  const handleBulkReassign = () => {
+    const formData = new FormData();
+    formData.append("actionType", "bulkReassignBudgetMonth");
+    selectedOrderIds.forEach(orderId => formData.append("orderIds", orderId));
+    formData.append("budgetMonth", budgetMonth.trim());
+    formData.append("reason", reason);
+    submit(formData, { method: "post" });
+  };
 
 
   const rows = (orders || []).map((o) => [
+    <Checkbox
+      key={`select-${o.id}`}
+      label={`Select order ${o.order_number || o.id}`}
+      labelHidden
+      checked={selectedOrderIds.includes(String(o.id))}
+      onChange={() => toggleOrder(String(o.id))}
+    />,
     o.order_number ? (
       <Link 
         to={`/app/order/${o.id}/line-items`} 
@@ -118,10 +221,19 @@ export default function SearchOrders() {
     String(o.company_location_id ?? ""),
     String(o.currency ?? ""),
     typeof o.total_price === "number" ? o.total_price.toFixed(2) : String(o.total_price ?? ""),
+    String(o.order_budget_month ?? ""),
     o.created_at ? new Date(o.created_at).toLocaleString() : "",
   ]);
 
   return (
+    <Frame>
+      {toastActive && (
+        <Toast
+          content={toastMessage}
+          error={toastError}
+          onDismiss={() => setToastActive(false)}
+        />
+      )}
     <Page>
       <TitleBar title="Search Orders" />
       <Layout>
@@ -191,6 +303,7 @@ export default function SearchOrders() {
                     <Button onClick={handleClear} disabled={isSearching}>
                       Clear
                     </Button>
+                    <ReportExportButtons report="search" filters={filters} disabled={!orders || orders.length === 0} />
                   </InlineStack>
                 </BlockStack>
               </form>
@@ -201,9 +314,19 @@ export default function SearchOrders() {
         <Layout.Section>
           <Card>
             <BlockStack gap="400">
-              <Text as="h2" variant="headingMd">
-                Results {orders && orders.length > 0 && totalCount && `(${orders.length} of ${totalCount} orders found)`}
-              </Text>
+              <InlineStack align="space-between" blockAlign="center">
+                <Text as="h2" variant="headingMd">
+                  Results {orders && orders.length > 0 && totalCount && `(${orders.length} of ${totalCount} orders found)`}
+                </Text>
+                {orders && orders.length > 0 && (
+                  <Button
+                    onClick={() => setIsReassignModalOpen(true)}
+                    disabled={selectedOrderIds.length === 0}
+                  >
+                    {`Reassign Budget Month (${selectedOrderIds.length})`}
+                  </Button>
+                )}
+              </InlineStack>
               
               {error && (
                 <Text as="p" color="critical">
@@ -226,8 +349,17 @@ export default function SearchOrders() {
               
               {!isSearching && orders && orders.length > 0 && (
                 <DataTable
-                  columnContentTypes={["text", "text", "text", "text", "text", "text", "numeric", "text"]}
-                  headings={["Order # (Click to View)", "Customer ID", "Company ID", "Location ID", "Company Location ID", "Currency", "Total", "Created at"]}
+                  columnContentTypes={["text", "text", "text", "text", "text", "text", "text", "numeric", "text", "text"]}
+                  headings={[
+                    <Checkbox
+                      key="select-all"
+                      label="Select all orders"
+                      labelHidden
+                      checked={allSelected ? true : selectedOrderIds.length > 0 ? "indeterminate" : false}
+                      onChange={toggleAll}
+                    />,
+                    "Order # (Click to View)", "Customer ID", "Company ID", "Location ID", "Company Location ID", "Currency", "Total", "Budget Month", "Created at"
+                  ]}
                   rows={rows}
                 />
               )}
@@ -241,6 +373,48 @@ export default function SearchOrders() {
           </Card>
         </Layout.Section>
       </Layout>
+
+      <Modal
+        open={isReassignModalOpen}
+        onClose={() => setIsReassignModalOpen(false)}
+        title={`Reassign Budget Month - ${selectedOrderIds.length} order(s)`}
+        primaryAction={{
+          content: "Reassign",
+          onAction: handleBulkReassign,
+          loading: isReassigning,
+          disabled: !budgetMonth.trim() || !reason.trim(),
+        }}
+        secondaryActions={[
+          {
+            content: "Cancel",
+            onAction: () => setIsReassignModalOpen(false),
+          },
+        ]}
+      >
+        <Modal.Section>
+          <FormLayout>
+            <Text as="p">
+              All selected orders are moved to the new budget month with the same reason. Orders already in that month are skipped.
+            </Text>
+            <TextField
+              label="New Budget Month"
+              value={budgetMonth}
+              onChange={setBudgetMonth}
+              placeholder="MM-YYYY"
+              autoComplete="off"
+            />
+            <TextField
+              label="Reason"
+              value={reason}
+              onChange={setReason}
+              multiline={3}
+              autoComplete="off"
+              helpText="Required - kept in each order's budget month history"
+            />
+          </FormLayout>
+        </Modal.Section>
+      </Modal>
     </Page>
+    </Frame>
   );
 }
\ No newline at end of file
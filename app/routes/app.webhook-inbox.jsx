@@ -0,0 +1,383 @@
+import { useLoaderData, useSubmit, useNavigation, useActionData, useNavigate } from "@remix-run/react";
+import { useState, useCallback, useEffect } from "react";
+import { json } from "@remix-run/node";
+import {
+  Page,
+  Layout,
+  Card,
+  BlockStack,
+  Text,
+  Button,
+  InlineStack,
+  Select,
+  DataTable,
+  Badge,
+  Modal,
+  Toast,
+  Frame,
+  Pagination,
+} from "@shopify/polaris";
+import { TitleBar } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server.js";
+import {
+  getWebhookInboxEvents,
+  getWebhookInboxEvent,
+  processDueWebhookEvents,
+  replayWebhookEvent,
+} from "../actions/webhook-inbox.server.js";
+import { getSessionUserIdentity } from "../utils/session-user.server.js";
+
+const EVENTS_PER_PAGE = 50;
+
+const TOPIC_OPTIONS = [
+  { label: "All Topics", value: "" },
+  { label: "orders/create", value: "orders/create" },
+  { label: "orders/updated", value: "orders/updated" },
+  { label: "orders/paid", value: "orders/paid" },
+  { label: "refunds/create", value: "refunds/create" },
+  { label: "api/order (Shopify-signed /api/webhook)", value: "api/order" },
+  { label: "api/order_budget_month", value: "api/order_budget_month" },
+  { label: "api/order_update", value: "api/order_update" },
+  { label: "api/budget_sync", value: "api/budget_sync" },
+  { label: "api/custom", value: "api/custom" }
+];
+
+const statusBadges = {
+  pending: { tone: "info", label: "Pending" },
+  processing: { tone: "attention", label: "Processing" },
+  processed: { tone: "success", label: "Processed" },
+  failed: { tone: "warning", label: "Failed" },
+  dead_letter: { tone: "critical", label: "Dead Letter" }
+};
+
+function formatJson(value) {
+  if (!value) {
+    return "";
+  }
+  try {
+    return JSON.stringify(JSON.parse(value), null, 2);
+  } catch (error) {
+    return value;
+  }
+}
+
+export const loader = async ({ request }) => {
+  await authenticate.admin(request);
+
+  const url = new URL(request.url);
+  const filters = {
+    status: url.searchParams.get("status") ?? "",
+    topic: url.searchParams.get("topic") || "",
+    page: parseInt(url.searchParams.get("page")) || 1
+  };
+  const eventId = url.searchParams.get("eventId") || "";
+
+  try {
+    const [inbox, selectedEvent] = await Promise.all([
+      getWebhookInboxEvents({
+        status: filters.status || null,
+        topic: filters.topic || null,
+        page: filters.page,
+        limit: EVENTS_PER_PAGE
+      }),
+      eventId ? getWebhookInboxEvent(eventId) : null
+    ]);
+
+    return json({
+      ...inbox,
+      selectedEvent,
+      filters
+    });
+  } catch (error) {
+    console.error("Error loading webhook inbox:", error);
+    return json({
+      events: [],
+      statusCounts: {},
+      pagination: { page: 1, limit: EVENTS_PER_PAGE, total: 0, totalPages: 0 },
+      selectedEvent: null,
+      filters,
+      error: "Failed to load webhook inbox"
+    });
+  }
+};
+
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+
+  const formData = await request.formData();
+  const actionType = formData.get("actionType");
+
+  try {
+    switch (actionType) {
+      case "replay": {
+        const result = await replayWebhookEvent(formData.get("eventId"), getSessionUserIdentity(session));
+
+        return result.status === "processed"
+          ? json({ success: true, message: `Event ${result.id} replayed and processed` })
+          : json({ success: false, error: `Event ${result.id} replayed but failed again: ${result.error}` });
+      }
+
+      case "processDue": {
+        const result = await processDueWebhookEvents();
+
+        return json({
+          success: true,
+          message: `${result.events.length} due event(s): ${result.processed} processed, ${result.failed} failed, ${result.deadLettered} dead-lettered`
+        });
+      }
+
+      default:
+        return json({ success: false, error: "Invalid action type" }, { status: 400 });
+    }
+  } catch (error) {
+    console.error("Error processing webhook inbox action:", error);
+    return json({ success: false, error: error.message || "Failed to process request" });
+  }
+};
+
+export default function WebhookInbox() {
+  const { events, statusCounts, pagination, selectedEvent, filters, error } = useLoaderData();
+  const actionData = useActionData();
+  const submit = useSubmit();
+  const navigation = useNavigation();
+  const navigate = useNavigate();
+
+  const [statusFilter, setStatusFilter] = useState(filters.status);
+  const [topicFilter, setTopicFilter] = useState(filters.topic);
+
+  const [toastActive, setToastActive] = useState(false);
+  const [toastMessage, setToastMessage] = useState("");
+  const [toastError, setToastError] = useState(false);
+
+  const isLoading = navigation.state === "submitting";
+
+  useEffect(() => {
+    if (actionData) {
+      setToastMessage(actionData.success ? actionData.message : actionData.error);
+      setToastError(!actionData.success);
+      setToastActive(true);
+    }
+  }, [actionData]);
+
+  const submitAction = useCallback((actionType, fields = {}) => {
+    const formData = new FormData();
+    formData.append("actionType", actionType);
+    Object.entries(fields).forEach(([key, value]) => formData.append(key, value));
+    submit(formData, { method: "post" });
+  }, [submit]);
+
+  const navigateWithFilters = useCallback((page = 1, eventId = "") => {
+    const params = new URLSearchParams();
+    if (statusFilter) params.set("status", statusFilter);
+    if (topicFilter) params.set("topic", topicFilter);
+    if (page > 1) params.set("page", String(page));
+    if (eventId) params.set("eventId", String(eventId));
+    navigate(`?${params.toString()}`);
+  }, [statusFilter, topicFilter, navigate]);
+
+  const canReplay = (event) => event.status === "failed" || event.status === "dead_letter";
+
+  const eventRows = events.map(event => {
+    const badge = statusBadges[event.status] || { tone: undefined, label: event.status };
+
+    return [
+      String(event.id),
+      event.topic,
+      <Badge key={`status-${event.id}`} tone={badge.tone}>{badge.label}</Badge>,
+      String(event.attempts),
+      new Date(event.received_at).toLocaleString(),
+      event.status === "failed"
+        ? new Date(event.next_attempt_at).toLocaleString()
+        : event.processed_at ? new Date(event.processed_at).toLocaleString() : "-",
+      event.last_error
+        ? <Text key={`error-${event.id}`} as="span" variant="bodySm" tone="critical">
+            {event.last_error.length > 80 ? `${event.last_error.slice(0, 80)}…` : event.last_error}
+          </Text>
+        : "-",
+      <InlineStack key={`actions-${event.id}`} gap="200" wrap={false}>
+        <Button size="slim" onClick={() => navigateWithFilters(filters.page, event.id)}>
+          Inspect
+        </Button>
+        {canReplay(event) && (
+          <Button
+            size="slim"
+            variant="primary"
+            onClick={() => submitAction("replay", { eventId: event.id })}
+            loading={isLoading}
+          >
+            Replay
+          </Button>
+        )}
+      </InlineStack>
+    ];
+  });
+
+  const statusOptions = [
+    { label: "All", value: "" },
+    ...Object.entries(statusBadges).map(([value, badge]) => ({
+      label: `${badge.label} (${statusCounts[value] || 0})`,
+      value
+    }))
+  ];
+
+  return (
+    <Frame>
+      {toastActive && (
+        <Toast
+          content={toastMessage}
+          error={toastError}
+          onDismiss={() => setToastActive(false)}
+        />
+      )}
+      <Page>
+        <TitleBar title="Webhook Inbox" />
+        <Layout>
+          <Layout.Section>
+            {error && (
+              <Card>
+                <Text as="p" tone="critical">
+                  {error}
+                </Text>
+              </Card>
+            )}
+
+            <Card>
+              <BlockStack gap="400">
+                <InlineStack align="space-between">
+                  <BlockStack gap="100">
+                    <Text as="h2" variant="headingMd">
+                      Webhook Events
+                    </Text>
+                    <Text as="p" variant="bodySm" tone="subdued">
+                      {`${statusCounts.failed || 0} failed and ${statusCounts.dead_letter || 0} dead-lettered event(s). Failed events are retried automatically with backoff; dead-lettered events need a replay.`}
+                    </Text>
+                  </BlockStack>
+                  <Button onClick={() => submitAction("processDue")} loading={isLoading}>
+                    Process Due Events
+                  </Button>
+                </InlineStack>
+
+                <InlineStack gap="300" blockAlign="end">
+                  <div style={{ minWidth: 200 }}>
+                    <Select
+                      label="Status"
+                      options={statusOptions}
+                      value={statusFilter}
+                      onChange={setStatusFilter}
+                    />
+                  </div>
+                  <div style={{ minWidth: 220 }}>
+                    <Select
+                      label="Topic"
+                      options={TOPIC_OPTIONS}
+                      value={topicFilter}
+                      onChange={setTopicFilter}
+                    />
+                  </div>
+                  <Button onClick={() => navigateWithFilters()}>Apply</Button>
+                </InlineStack>
+
+                <DataTable
+                  columnContentTypes={["numeric", "text", "text", "numeric", "text", "text", "text", "text"]}
+                  headings={[
+                    "ID",
+                    "Topic",
+                    "Status",
+                    "Attempts",
+                    "Received",
+                    "Processed / Next Retry",
+                    "Last Error",
+                    "Actions"
+                  ]}
+                  rows={eventRows}
+                />
+
+                {events.length === 0 && (
+                  <Text as="p" tone="subdued" alignment="center">
+                    No webhook events found.
+                  </Text>
+                )}
+
+                {pagination.totalPages > 1 && (
+                  <InlineStack align="center">
+                    <Pagination
+                      hasPrevious={filters.page > 1}
+                      onPrevious={() => navigateWithFilters(filters.page - 1)}
+                      hasNext={filters.page < pagination.totalPages}
+                      onNext={() => navigateWithFilters(filters.page + 1)}
+                      label={`Page ${filters.page} of ${pagination.totalPages}`}
+                    />
+                  </InlineStack>
+                )}
+              </BlockStack>
+            </Card>
+          </Layout.Section>
+        </Layout>
+
+        {selectedEvent && (
+          <Modal
+            open
+            large
+            onClose={() => navigateWithFilters(filters.page)}
+            title={`Webhook Event ${selectedEvent.id} - ${selectedEvent.topic}`}
+            primaryAction={canReplay(selectedEvent) ? {
+              content: "Replay",
+              onAction: () => submitAction("replay", { eventId: selectedEvent.id }),
+              loading: isLoading,
+            } : undefined}
+            secondaryActions={[
+              {
+                content: "Close",
+                onAction: () => navigateWithFilters(filters.page),
+              },
+            ]}
+          >
+            <Modal.Section>
+              <BlockStack gap="300">
+                <InlineStack gap="200">
+                  <Badge tone={statusBadges[selectedEvent.status]?.tone}>
+                    {statusBadges[selectedEvent.status]?.label || selectedEvent.status}
+                  </Badge>
+                  <Text as="span" variant="bodySm" tone="subdued">
+                    {`${selectedEvent.attempts} attempt(s) · ${selectedEvent.source}${selectedEvent.shop ? ` · ${selectedEvent.shop}` : ""}`}
+                  </Text>
+                </InlineStack>
+                <Text as="p" variant="bodySm">
+                  <strong>Webhook ID:</strong> {selectedEvent.webhook_id}
+                </Text>
+                <Text as="p" variant="bodySm">
+                  <strong>Received:</strong> {new Date(selectedEvent.received_at).toLocaleString()}
+                  {selectedEvent.processed_at && ` · Processed: ${new Date(selectedEvent.processed_at).toLocaleString()}`}
+                </Text>
+                {selectedEvent.replayed_at && (
+                  <Text as="p" variant="bodySm">
+                    <strong>Replayed:</strong> {`${selectedEvent.replayed_by || "System"}, ${new Date(selectedEvent.replayed_at).toLocaleString()}`}
+                  </Text>
+                )}
+                {selectedEvent.last_error && (
+                  <Text as="p" variant="bodySm" tone="critical">
+                    <strong>Last error:</strong> {selectedEvent.last_error}
+                  </Text>
+                )}
+                {selectedEvent.result && (
+                  <BlockStack gap="100">
+                    <Text as="h3" variant="headingSm">Result</Text>
+                    <pre style={{ whiteSpace: "pre-wrap", fontSize: 12, margin: 0 }}>
+                      {formatJson(selectedEvent.result)}
+                    </pre>
+                  </BlockStack>
+                )}
+                <BlockStack gap="100">
+                  <Text as="h3" variant="headingSm">Payload</Text>
+                  <pre style={{ whiteSpace: "pre-wrap", fontSize: 12, maxHeight: 400, overflow: "auto", margin: 0 }}>
+                    {formatJson(selectedEvent.payload)}
+                  </pre>
+                </BlockStack>
+              </BlockStack>
+            </Modal.Section>
+          </Modal>
+        )}
+      </Page>
+    </Frame>
+  );
+}
@@ -0,0 +1,427 @@
+import { useLoaderData, useSubmit, useNavigation, useActionData, useNavigate } from "@remix-run/react";
+import { useState, useCallback, useEffect } from "react";
+import { json } from "@remix-run/node";
+import {
+  Page,
+  Layout,
+  Card,
+  BlockStack,
+  Text,
+  TextField,
+  Button,
+  InlineStack,
+  FormLayout,
+  Select,
+  ChoiceList,
+  DataTable,
+  Badge,
+  Banner,
+  Modal,
+  Toast,
+  Frame,
+  Pagination,
+} from "@shopify/polaris";
+import { TitleBar } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server.js";
+import {
+  WEBHOOK_TYPES,
+  getWebhookIntegrations,
+  createWebhookIntegration,
+  revokeWebhookIntegration,
+  getWebhookRequestLog,
+} from "../actions/webhook-integrations.server.js";
+import { getSessionUserIdentity } from "../utils/session-user.server.js";
+
+const REQUESTS_PER_PAGE = 50;
+
+const authMethodLabels = {
+  api_key: "API key",
+  hmac: "HMAC secret",
+  shopify: "Shopify signature"
+};
+
+const outcomeBadges = {
+  accepted: { tone: "success", label: "Accepted" },
+  duplicate: { tone: "info", label: "Duplicate" },
+  unauthorized: { tone: "critical", label: "Unauthorized" },
+  forbidden: { tone: "critical", label: "Forbidden" },
+  invalid: { tone: "warning", label: "Invalid" },
+  error: { tone: "critical", label: "Error" }
+};
+
+export const loader = async ({ request }) => {
+  await authenticate.admin(request);
+
+  const url = new URL(request.url);
+  const filters = {
+    integrationId: url.searchParams.get("integrationId") || "",
+    outcome: url.searchParams.get("outcome") || "",
+    page: parseInt(url.searchParams.get("page")) || 1
+  };
+
+  try {
+    const [integrations, requestLog] = await Promise.all([
+      getWebhookIntegrations(),
+      getWebhookRequestLog({
+        integrationId: filters.integrationId || null,
+        outcome: filters.outcome || null,
+        page: filters.page,
+        limit: REQUESTS_PER_PAGE
+      })
+    ]);
+
+    return json({
+      integrations,
+      ...requestLog,
+      webhookTypes: WEBHOOK_TYPES,
+      filters
+    });
+  } catch (error) {
+    console.error("Error loading webhook integrations:", error);
+    return json({
+      integrations: [],
+      requests: [],
+      pagination: { page: 1, limit: REQUESTS_PER_PAGE, total: 0, totalPages: 0 },
+      webhookTypes: WEBHOOK_TYPES,
+      filters,
+      error: "Failed to load webhook integrations"
+    });
+  }
+};
+
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+
+  const formData = await request.formData();
+  const actionType = formData.get("actionType");
+
+  try {
+    switch (actionType) {
+      case "create": {
+        const result = await createWebhookIntegration({
+          name: formData.get("name"),
+          authMethod: formData.get("authMethod"),
+          allowedTypes: formData.getAll("allowedTypes"),
+          createdBy: getSessionUserIdentity(session)
+        });
+
+        if (!result.success) {
+          return json({ success: false, error: result.error });
+        }
+
+        return json({
+          success: true,
+          message: `Integration "${result.data.integration.name}" created`,
+          created: result.data
+        });
+      }
+
+      case "revoke": {
+        const revoked = await revokeWebhookIntegration(
+          formData.get("integrationId"),
+          getSessionUserIdentity(session)
+        );
+
+        return revoked
+          ? json({ success: true, message: "Integration revoked" })
+          : json({ success: false, error: "Integration not found or already revoked" });
+      }
+
+      default:
+        return json({ success: false, error: "Invalid action type" }, { status: 400 });
+    }
+  } catch (error) {
+    console.error("Error processing webhook integration action:", error);
+    return json({ success: false, error: error.message || "Failed to process request" });
+  }
+};
+
+export default function WebhookIntegrations() {
+  const { integrations, requests, pagination, webhookTypes, filters, error } = useLoaderData();
+  const actionData = useActionData();
+  const submit = useSubmit();
+  const navigation = useNavigation();
+  const navigate = useNavigate();
+
+  const [integrationFilter, setIntegrationFilter] = useState(filters.integrationId);
+  const [outcomeFilter, setOutcomeFilter] = useState(filters.outcome);
+
+  const [isCreateModalOpen, setIsCreateModalOpen] = useState(false);
+  const [name, setName] = useState("");
+  const [authMethod, setAuthMethod] = useState("api_key");
+  const [allowedTypes, setAllowedTypes] = useState([]);
+  const [createdCredential, setCreatedCredential] = useState(null);
+
+  const [toastActive, setToastActive] = useState(false);
+  const [toastMessage, setToastMessage] = useState("");
+  const [toastError, setToastError] = useState(false);
+
+  const isLoading = navigation.state === "submitting";
+
+  useEffect(() => {
+    if (actionData) {
+      setToastMessage(actionData.success ? actionData.message : actionData.error);
+      setToastError(!actionData.success);
+      setToastActive(true);
+
+      if (actionData.created) {
+        setCreatedCredential(actionData.created);
+        setIsCreateModalOpen(false);
+        setName("");
+        setAuthMethod("api_key");
+        setAllowedTypes([]);
+      }
+    }
+  }, [actionData]);
+
+  const submitAction = useCallback((actionType, fields = {}) => {
+    const formData = new FormData();
+    formData.append("actionType", actionType);
+    Object.entries(fields).forEach(([key, value]) => {
+      (Array.isArray(value) ? value : [value]).forEach(item => formData.append(key, item));
+    });
+    submit(formData, { method: "post" });
+  }, [submit]);
+
+  const navigateWithFilters = useCallback((page = 1) => {
+    const params = new URLSearchParams();
+    if (integrationFilter) params.set("integrationId", integrationFilter);
+    if (outcomeFilter) params.set("outcome", outcomeFilter);
+    if (page > 1) params.set("page", String(page));
+    navigate(`?${params.toString()}`);
+  }, [integrationFilter, outcomeFilter, navigate]);
+
+  const handleRevoke = useCallback((integration) => {
+    if (confirm(`Revoke "${integration.name}"? Its ${authMethodLabels[integration.authMethod]} stops working immediately.`)) {
+      submitAction("revoke", { integrationId: integration.id });
+    }
+  }, [submitAction]);
+
+  const integrationRows = integrations.map(integration => [
+    integration.name,
+    authMethodLabels[integration.authMethod] || integration.authMethod,
+    <Text key={`prefix-${integration.id}`} as="span" variant="bodySm">
+      <code>{`${integration.keyPrefix}…`}</code>
+    </Text>,
+    integration.allowedTypes.join(", "),
+    integration.status === "active"
+      ? <Badge key={`status-${integration.id}`} tone="success">Active</Badge>
+      : <Badge key={`status-${integration.id}`}>{`Revoked ${integration.revokedAt ? new Date(integration.revokedAt).toLocaleDateString() : ""}`}</Badge>,
+    integration.lastUsedAt ? new Date(integration.lastUsedAt).toLocaleString() : "Never",
+    integration.createdBy || "System",
+    integration.status === "active" ? (
+      <Button
+        key={`revoke-${integration.id}`}
+        size="slim"
+        tone="critical"
+        onClick={() => handleRevoke(integration)}
+      >
+        Revoke
+      </Button>
+    ) : "-"
+  ]);
+
+  const requestRows = requests.map(entry => {
+    const badge = outcomeBadges[entry.outcome] || { tone: undefined, label: entry.outcome };
+
+    return [
+      new Date(entry.received_at).toLocaleString(),
+      entry.integration_name || "Unknown",
+      authMethodLabels[entry.auth_method] || entry.auth_method || "-",
+      entry.webhook_type || "-",
+      <Badge key={`outcome-${entry.id}`} tone={badge.tone}>{`${badge.label} (${entry.status_code})`}</Badge>,
+      entry.inbox_id ? String(entry.inbox_id) : "-",
+      entry.error || "-",
+      entry.ip_address || "-"
+    ];
+  });
+
+  const integrationOptions = [
+    { label: "All Integrations", value: "" },
+    ...integrations.map(integration => ({ label: integration.name, value: String(integration.id) }))
+  ];
+
+  const outcomeOptions = [
+    { label: "All Outcomes", value: "" },
+    ...Object.entries(outcomeBadges).map(([value, badge]) => ({ label: badge.label, value }))
+  ];
+
+  return (
+    <Frame>
+      {toastActive && (
+        <Toast
+          content={toastMessage}
+          error={toastError}
+          onDismiss={() => setToastActive(false)}
+        />
+      )}
+      <Page>
+        <TitleBar title="Webhook Integrations" />
+        <Layout>
+          <Layout.Section>
+            {error && (
+              <Card>
+                <Text as="p" tone="critical">
+                  {error}
+                </Text>
+              </Card>
+            )}
+
+            <BlockStack gap="400">
+              {createdCredential && (
+                <Banner
+                  tone="success"
+                  title={`Credential for "${createdCredential.integration.name}"`}
+                  onDismiss={() => setCreatedCredential(null)}
+                >
+                  <BlockStack gap="200">
+                    <Text as="p">
+                      Copy it now - it is not stored in a readable form and cannot be shown again.
+                    </Text>
+                    <Text as="p">
+                      <code>{createdCredential.credential}</code>
+                    </Text>
+                    <Text as="p" variant="bodySm" tone="subdued">
+                      {createdCredential.integration.authMethod === "api_key"
+                        ? "Send it as: Authorization: Bearer <API key>"
+                        : `Send X-Integration-Key: ${createdCredential.integration.keyPrefix} X-Integration-Timestamp: Unix time in seconds, and X-Integration-Hmac-Sha256: base64 HMAC-SHA256 of "<timestamp>.<raw body>", keyed with this secret`}
+                    </Text>
+                  </BlockStack>
+                </Banner>
+              )}
+
+              <Card>
+                <BlockStack gap="400">
+                  <InlineStack align="space-between">
+                    <BlockStack gap="100">
+                      <Text as="h2" variant="headingMd">
+                        Integrations
+                      </Text>
+                      <Text as="p" variant="bodySm" tone="subdued">
+                        External systems authenticate to /api/webhook with their own API key or HMAC shared
+                        secret and may only send the webhook types in their scope.
+                      </Text>
+                    </BlockStack>
+                    <Button variant="primary" onClick={() => setIsCreateModalOpen(true)}>
+                      Add Integration
+                    </Button>
+                  </InlineStack>
+
+                  <DataTable
+                    columnContentTypes={["text", "text", "text", "text", "text", "text", "text", "text"]}
+                    headings={["Name", "Authentication", "Key", "Allowed Types", "Status", "Last Used", "Created By", "Actions"]}
+                    rows={integrationRows}
+                  />
+
+                  {integrations.length === 0 && (
+                    <Text as="p" tone="subdued" alignment="center">
+                      No integrations yet - only Shopify-signed order payloads are accepted.
+                    </Text>
+                  )}
+                </BlockStack>
+              </Card>
+
+              <Card>
+                <BlockStack gap="400">
+                  <Text as="h2" variant="headingMd">
+                    Request Log
+                  </Text>
+
+                  <InlineStack gap="300" blockAlign="end">
+                    <div style={{ minWidth: 220 }}>
+                      <Select
+                        label="Integration"
+                        options={integrationOptions}
+                        value={integrationFilter}
+                        onChange={setIntegrationFilter}
+                      />
+                    </div>
+                    <div style={{ minWidth: 180 }}>
+                      <Select
+                        label="Outcome"
+                        options={outcomeOptions}
+                        value={outcomeFilter}
+                        onChange={setOutcomeFilter}
+                      />
+                    </div>
+                    <Button onClick={() => navigateWithFilters()}>Apply</Button>
+                  </InlineStack>
+
+                  <DataTable
+                    columnContentTypes={["text", "text", "text", "text", "text", "numeric", "text", "text"]}
+                    headings={["Received", "Integration", "Authentication", "Type", "Outcome", "Inbox Event", "Error", "IP Address"]}
+                    rows={requestRows}
+                  />
+
+                  {requests.length === 0 && (
+                    <Text as="p" tone="subdued" alignment="center">
+                      No webhook requests logged.
+                    </Text>
+                  )}
+
+                  {pagination.totalPages > 1 && (
+                    <InlineStack align="center">
+                      <Pagination
+                        hasPrevious={filters.page > 1}
+                        onPrevious={() => navigateWithFilters(filters.page - 1)}
+                        hasNext={filters.page < pagination.totalPages}
+                        onNext={() => navigateWithFilters(filters.page + 1)}
+                        label={`Page ${filters.page} of ${pagination.totalPages}`}
+                      />
+                    </InlineStack>
+                  )}
+                </BlockStack>
+              </Card>
+            </BlockStack>
+          </Layout.Section>
+        </Layout>
+
+        <Modal
+          open={isCreateModalOpen}
+          onClose={() => setIsCreateModalOpen(false)}
+          title="Add Webhook Integration"
+          primaryAction={{
+            content: "Create",
+            onAction: () => submitAction("create", { name, authMethod, allowedTypes }),
+            loading: isLoading,
+            disabled: !name.trim() || allowedTypes.length === 0,
+          }}
+          secondaryActions={[
+            {
+              content: "Cancel",
+              onAction: () => setIsCreateModalOpen(false),
+            },
+          ]}
+        >
+          <Modal.Section>
+            <FormLayout>
+              <TextField
+                label="Name"
+                value={name}
+                onChange={setName}
+                placeholder="e.g. NetSuite ERP"
+                autoComplete="off"
+              />
+              <Select
+                label="Authentication"
+                options={[
+                  { label: "API key (Authorization: Bearer)", value: "api_key" },
+                  { label: "HMAC shared secret (signed body)", value: "hmac" }
+                ]}
+                value={authMethod}
+                onChange={setAuthMethod}
+              />
+              <ChoiceList
+                title="Allowed webhook types"
+                allowMultiple
+                choices={webhookTypes.map(type => ({ label: type, value: type }))}
+                selected={allowedTypes}
+                onChange={setAllowedTypes}
+              />
+            </FormLayout>
+          </Modal.Section>
+        </Modal>
+      </Page>
+    </Frame>
+  );
+}
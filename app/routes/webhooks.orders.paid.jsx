@@ -0,0 +1,20 @@
+import { authenticate } from "../shopify.server";
+import { receiveWebhookEvent } from "../actions/webhook-inbox.server.js";
+
+export const action = async ({ request }) => {
+  // Verifies the X-Shopify-Hmac-Sha256 signature and responds 401 when it does not match
+  const { shop, topic, webhookId, payload } = await authenticate.webhook(request);
+
+  console.log(`Received ${topic} webhook ${webhookId} for ${shop}`);
+
+  try {
+    // Stored in the webhook inbox and processed (with retries) from there
+    await receiveWebhookEvent({ webhookId, topic: 'orders/paid', shop, payload });
+  } catch (error) {
+    console.error(`❌ ${topic} webhook ${webhookId} could not be stored:`, error);
+    // A non-2xx response makes Shopify retry the delivery
+    return new Response(null, { status: 500 });
+  }
+
+  return new Response();
+};
@@ -0,0 +1,100 @@
+import 'dotenv/config';
+import fs from 'fs';
+import path from 'path';
+import { createSmtpTransport } from './smtp-transport.service.js';
+
+/**
+ * Budget alert notifiers
+ *
+ * ALERT_NOTIFIER selects how new budget alerts are delivered:
+ * - console - logs alerts (default, for development)
+ * - file    - appends alerts as JSON lines to ALERT_NOTIFIER_FILE (default logs/budget-alerts.log)
+ * - smtp    - emails alerts to ALERT_EMAIL_TO through SMTP_HOST
+ *
+ * Other notifiers can be added with registerAlertNotifier(name, { send(alerts) }).
+ */
+
+function formatAlert(alert) {
+  return `${alert.categoryName} at location ${alert.locationId} (${alert.budgetMonth}): ` +
+    `$${Number(alert.spentAmount).toFixed(2)} of $${Number(alert.budgetAmount).toFixed(2)} ` +
+    `(${Number(alert.utilizationPercent).toFixed(1)}%) crossed the ${Number(alert.thresholdPercent)}% threshold`;
+}
+
+const notifiers = {
+  console: {
+    async send(alerts) {
+      alerts.forEach(alert => console.log(`🔔 Budget alert: ${formatAlert(alert)}`));
+    }
+  },
+
+  file: {
+    async send(alerts) {
+      const filePath = path.resolve(process.env.ALERT_NOTIFIER_FILE || 'logs/budget-alerts.log');
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+      const notifiedAt = new Date().toISOString();
+      const lines = alerts.map(alert => JSON.stringify({ ...alert, notifiedAt })).join('\n');
+      await fs.promises.appendFile(filePath, `${lines}\n`, 'utf8');
+    }
+  },
+
+  smtp: {
+    async send(alerts) {
+      const recipients = process.env.ALERT_EMAIL_TO;
+      if (!process.env.SMTP_HOST || !recipients) {
+        throw new Error('SMTP_HOST and ALERT_EMAIL_TO are required for the smtp alert notifier');
+      }
+
+      const transporter = createSmtpTransport();
+
+      await transporter.sendMail({
+        from: process.env.ALERT_EMAIL_FROM || process.env.SMTP_USER,
+        to: recipients,
+        subject: `Budget alert: ${alerts.length} threshold${alerts.length === 1 ? '' : 's'} crossed`,
+        text: [
+          'The following budget thresholds were crossed:',
+          '',
+          ...alerts.map(alert => `- ${formatAlert(alert)}`),
+          '',
+          'Review and acknowledge them in the Budget Alerts inbox.'
+        ].join('\n')
+      });
+    }
+  }
+};
+
+/**
+ * Register a notifier that ALERT_NOTIFIER can select
+ * @param {string} name - Notifier name
+ * @param {Object} notifier - Object with an async send(alerts) method
+ */
+export function registerAlertNotifier(name, notifier) {
+  if (!notifier || typeof notifier.send !== 'function') {
+    throw new Error(`Alert notifier '${name}' must have a send(alerts) method`);
+  }
+  notifiers[name] = notifier;
+}
+
+export const AlertNotifier = {
+  // Name of the notifier selected by ALERT_NOTIFIER
+  get name() {
+    return process.env.ALERT_NOTIFIER || 'console';
+  },
+
+  // Deliver alerts through the selected notifier
+  async send(alerts) {
+    if (!alerts || alerts.length === 0) return;
+
+    const notifier = notifiers[this.name];
+    if (!notifier) {
+      throw new Error(`Unknown alert notifier '${this.name}'`);
+    }
+
+    try {
+      await notifier.send(alerts);
+    } catch (error) {
+      console.error(`Error sending budget alerts through ${this.name}:`, error);
+      throw error;
+    }
+  }
+};
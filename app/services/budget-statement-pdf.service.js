@@ -0,0 +1,262 @@
+import PDFDocument from 'pdfkit';
+import { SPEND_DEFINITION_LABELS } from '../actions/spend-definitions.server.js';
+
+/**
+ * Budget statement PDF
+ *
+ * Renders a monthly budget statement (see getMonthlyBudgetStatement) to a Letter-size
+ * PDF with PDFKit's built-in fonts, so no external rendering service or font files are
+ * needed: a census summary, the budget-vs-actual table per category and a top-products
+ * appendix.
+ */
+
+const MARGIN = 50;
+const ROW_HEIGHT = 18;
+const FONT = 'Helvetica';
+const FONT_BOLD = 'Helvetica-Bold';
+
+const MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+function formatAmount(value) {
+  if (value === null || value === undefined) return '-';
+  const sign = value < 0 ? '-' : '';
+  return `${sign}$${Math.abs(value).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+function formatVariance(value) {
+  if (value === null || value === undefined) return '-';
+  return value > 0 ? `+${formatAmount(value)}` : formatAmount(value);
+}
+
+function formatNumber(value, digits = 0) {
+  if (value === null || value === undefined) return '-';
+  return Number(value).toLocaleString('en-US', { minimumFractionDigits: digits, maximumFractionDigits: digits });
+}
+
+function formatBudgetMonth(budgetMonth) {
+  const [month, year] = budgetMonth.split('-');
+  return `${MONTH_NAMES[parseInt(month) - 1]} ${year}`;
+}
+
+/**
+ * Draw a table at the current position, starting a new page (and repeating the
+ * header) when the next row does not fit
+ * @param {PDFDocument} doc
+ * @param {Array} columns - [{ header, width, align }]; widths are fractions of the page width
+ * @param {Array<Array<string>>} rows - Cell text per row
+ * @param {Array<string>} totals - Optional totals row, in bold
+ */
+function drawTable(doc, columns, rows, totals = null) {
+  const tableWidth = doc.page.width - MARGIN * 2;
+  const widths = columns.map(column => column.width * tableWidth);
+
+  const drawRow = (cells, { bold = false, shade = false, rule = false } = {}) => {
+    if (doc.y + ROW_HEIGHT > doc.page.height - MARGIN - 20) {
+      doc.addPage();
+      drawRow(columns.map(column => column.header), { bold: true, shade: true });
+    }
+
+    const y = doc.y;
+    if (shade) {
+      doc.rect(MARGIN, y, tableWidth, ROW_HEIGHT).fill('#f1f1f1');
+    }
+    if (rule) {
+      doc.moveTo(MARGIN, y).lineTo(MARGIN + tableWidth, y).lineWidth(0.75).stroke('#333333');
+    }
+
+    doc.font(bold ? FONT_BOLD : FONT).fontSize(8.5).fillColor('#000000');
+    let x = MARGIN;
+    cells.forEach((cell, index) => {
+      doc.text(cell ?? '', x + 4, y + 5, {
+        width: widths[index] - 8,
+        align: columns[index].align || 'left',
+        // One line per cell; longer text is cut with an ellipsis
+        height: ROW_HEIGHT - 8,
+        ellipsis: true
+      });
+      x += widths[index];
+    });
+
+    doc.x = MARGIN;
+    doc.y = y + ROW_HEIGHT;
+  };
+
+  drawRow(columns.map(column => column.header), { bold: true, shade: true });
+  rows.forEach(row => drawRow(row));
+  if (totals) {
+    drawRow(totals, { bold: true, rule: true });
+  }
+}
+
+function drawHeading(doc, text) {
+  doc.moveDown(1);
+  doc.x = MARGIN;
+  doc.font(FONT_BOLD).fontSize(12).fillColor('#000000').text(text);
+  doc.moveDown(0.4);
+}
+
+function drawSummary(doc, entries) {
+  const labelWidth = 140;
+  entries.forEach(([label, value]) => {
+    const y = doc.y;
+    doc.font(FONT_BOLD).fontSize(9.5).text(label, MARGIN, y, { width: labelWidth });
+    doc.font(FONT).fontSize(9.5).text(value, MARGIN + labelWidth, y);
+    doc.x = MARGIN;
+  });
+}
+
+function drawStatement(doc, statement) {
+  const { census, totals } = statement;
+
+  doc.font(FONT_BOLD).fontSize(18).text('Monthly Budget Statement');
+  doc.font(FONT).fontSize(11).fillColor('#333333')
+    .text(`${statement.location.name} (${statement.location.id}) - ${formatBudgetMonth(statement.budgetMonth)}`);
+  doc.fillColor('#000000');
+
+  drawHeading(doc, 'Census');
+  drawSummary(doc, [
+    ['Average daily census', census.available ? formatNumber(census.amount, 2) : 'No census for the month'],
+    ['Census source', [census.source, census.policy].filter(Boolean).join(', ') || '-'],
+    ['Days in month', formatNumber(census.daysInMonth)],
+    ['Days budgeted', formatNumber(census.budgetedDays)],
+    ['Patient days', formatNumber(census.patientDays, 2)],
+    ['Orders', formatNumber(totals.orders)],
+    ['Spend definition', SPEND_DEFINITION_LABELS[statement.spendDefinition] || statement.spendDefinition || '-']
+  ]);
+
+  drawHeading(doc, 'Budget vs Actual');
+  drawTable(doc, [
+    { header: 'Category', width: 0.25 },
+    { header: 'PPD', width: 0.09, align: 'right' },
+    { header: 'Budget', width: 0.12, align: 'right' },
+    { header: 'Gross', width: 0.12, align: 'right' },
+    { header: 'Refunds', width: 0.11, align: 'right' },
+    { header: 'Net Spend', width: 0.12, align: 'right' },
+    { header: 'Variance', width: 0.12, align: 'right' },
+    { header: 'Used', width: 0.07, align: 'right' }
+  ], statement.categories.map(category => [
+    category.category_name,
+    category.ppdRate !== null ? formatAmount(category.ppdRate) : '-',
+    formatAmount(category.budget),
+    formatAmount(category.gross),
+    formatAmount(category.refunds),
+    formatAmount(category.net),
+    formatVariance(category.variance),
+    category.utilization !== null ? `${category.utilization.toFixed(0)}%` : '-'
+  ]), [
+    'Total',
+    '',
+    formatAmount(totals.budget),
+    formatAmount(totals.gross),
+    formatAmount(totals.refunds),
+    formatAmount(totals.net),
+    formatVariance(totals.variance),
+    totals.budget > 0 ? `${((totals.net / totals.budget) * 100).toFixed(0)}%` : '-'
+  ]);
+
+  const notes = [
+    'Budget = patient days × PPD rate. Net spend = gross less refunds of the month\'s orders. Variance = net spend less budget; positive is over budget.'
+  ];
+  if (census.available && census.budgetedDays < census.daysInMonth) {
+    notes.push(`The month is in progress: the budget covers ${census.budgetedDays} of ${census.daysInMonth} days (full-month budget ${formatAmount(totals.fullMonthBudget)}).`);
+  }
+  if (statement.monthClose) {
+    notes.push(`The month was closed by ${statement.monthClose.closedBy} on ${new Date(statement.monthClose.closedAt).toLocaleDateString('en-US')}; figures are as closed.`);
+  }
+  doc.moveDown(0.8);
+  doc.font(FONT).fontSize(8).fillColor('#555555');
+  notes.forEach(note => doc.text(note, MARGIN, doc.y, { width: doc.page.width - MARGIN * 2 }));
+  doc.fillColor('#000000');
+
+  doc.addPage();
+  doc.font(FONT_BOLD).fontSize(14).text('Appendix: Top Products');
+  doc.font(FONT).fontSize(9).fillColor('#555555').text(`By net spend, ${statement.topProducts.length} product(s)`);
+  doc.fillColor('#000000');
+  doc.moveDown(0.5);
+
+  if (statement.topProducts.length === 0) {
+    doc.font(FONT).fontSize(9.5).text('No products were ordered in the month.');
+    return;
+  }
+
+  drawTable(doc, [
+    { header: '#', width: 0.04, align: 'right' },
+    { header: 'Product', width: 0.3 },
+    { header: 'SKU', width: 0.12 },
+    { header: 'Category', width: 0.16 },
+    { header: 'Qty', width: 0.07, align: 'right' },
+    { header: 'Gross', width: 0.11, align: 'right' },
+    { header: 'Refunds', width: 0.1, align: 'right' },
+    { header: 'Net', width: 0.1, align: 'right' }
+  ], statement.topProducts.map((product, index) => [
+    String(index + 1),
+    product.product_name || 'Unknown Product',
+    product.sku || '-',
+    product.category_name,
+    formatNumber(product.quantity),
+    formatAmount(product.gross),
+    formatAmount(product.refunds),
+    formatAmount(product.net)
+  ]));
+}
+
+function drawFooters(doc, statement) {
+  const range = doc.bufferedPageRange();
+  for (let index = range.start; index < range.start + range.count; index++) {
+    doc.switchToPage(index);
+    // Writing below the bottom margin would otherwise add a page
+    const bottomMargin = doc.page.margins.bottom;
+    doc.page.margins.bottom = 0;
+    doc.font(FONT).fontSize(7.5).fillColor('#777777').text(
+      `${statement.location.name} - ${formatBudgetMonth(statement.budgetMonth)} - generated ${new Date(statement.generatedAt).toLocaleString('en-US')} - page ${index + 1} of ${range.count}`,
+      MARGIN,
+      doc.page.height - MARGIN + 15,
+      { width: doc.page.width - MARGIN * 2, align: 'center', lineBreak: false }
+    );
+    doc.page.margins.bottom = bottomMargin;
+  }
+}
+
+/**
+ * Render a monthly budget statement to PDF
+ * @param {Object} statement - Result of getMonthlyBudgetStatement
+ * @returns {Promise<Buffer>} PDF document
+ */
+export function renderBudgetStatementPdf(statement) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: 'LETTER',
+      margin: MARGIN,
+      bufferPages: true,
+      info: {
+        Title: `Budget Statement ${statement.location.name} ${statement.budgetMonth}`,
+        Subject: 'Monthly budget vs actual'
+      }
+    });
+
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    try {
+      drawStatement(doc, statement);
+      drawFooters(doc, statement);
+      doc.end();
+    } catch (error) {
+      reject(error);
+    }
+  });
+}
+
+/**
+ * File name of a statement download
+ * @param {Object} statement - Result of getMonthlyBudgetStatement
+ * @returns {string} e.g. budget-statement-2348220643-10-2025.pdf
+ */
+export function getBudgetStatementFilename(statement) {
+  return `budget-statement-${statement.location.id}-${statement.budgetMonth}.pdf`.replace(/[^A-Za-z0-9_.-]/g, '_');
+}
@@ -0,0 +1,136 @@
+import { once } from 'events';
+import { PassThrough } from 'stream';
+import ExcelJS from 'exceljs';
+import { createReadableStreamFromReadable } from '@remix-run/node';
+
+/**
+ * Report export writer
+ *
+ * Streams a report as CSV or XLSX: a metadata header (filters, generated-at), a blank
+ * row, the column headings and the rows. Rows are read from an iterable or async
+ * iterable one at a time and written as they arrive, so a paged source is never held
+ * in memory as a whole.
+ *
+ * A report is { title, filename, metadata: [[label, value]], columns: [{ key, header }], rows }
+ * where each row is an object keyed by column key.
+ */
+
+export const REPORT_EXPORT_FORMATS = ['csv', 'xlsx'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+// Excel limits worksheet names to 31 characters without []:*?/\
+function getWorksheetName(title) {
+  return (title || 'Report').replace(/[[\]:*?/\\]/g, ' ').slice(0, 31);
+}
+
+function toCsvValue(value) {
+  if (value === null || value === undefined) return '';
+
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+async function writeCsv(stream, report) {
+  const write = async (values) => {
+    if (!stream.write(`${values.map(toCsvValue).join(',')}\r\n`)) {
+      await once(stream, 'drain');
+    }
+  };
+
+  // Byte order mark so Excel opens the file as UTF-8
+  stream.write('\uFEFF');
+
+  for (const [label, value] of report.metadata) {
+    await write([label, value]);
+  }
+  await write([]);
+  await write(report.columns.map(column => column.header));
+
+  for await (const row of report.rows) {
+    await write(report.columns.map(column => row[column.key]));
+  }
+
+  stream.end();
+}
+
+async function writeXlsx(stream, report) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: true });
+  const worksheet = workbook.addWorksheet(getWorksheetName(report.title));
+
+  for (const [label, value] of report.metadata) {
+    const row = worksheet.addRow([label, value ?? '']);
+    row.getCell(1).font = { bold: true };
+    row.commit();
+  }
+  worksheet.addRow([]).commit();
+
+  const header = worksheet.addRow(report.columns.map(column => column.header));
+  header.font = { bold: true };
+  header.commit();
+
+  for await (const row of report.rows) {
+    worksheet.addRow(report.columns.map(column => row[column.key] ?? null)).commit();
+  }
+
+  worksheet.commit();
+  // Finishes the zip and ends the stream
+  await workbook.commit();
+}
+
+/**
+ * Create a download response that streams a report
+ * @param {string} format - csv or xlsx
+ * @param {Object} report - { title, filename, metadata, columns, rows }
+ * @returns {Response} Streaming attachment response
+ */
+export function createReportExportResponse(format, report) {
+  if (!REPORT_EXPORT_FORMATS.includes(format)) {
+    throw new Error(`Unknown export format "${format}". Use one of: ${REPORT_EXPORT_FORMATS.join(', ')}`);
+  }
+
+  const stream = new PassThrough();
+  const write = format === 'xlsx' ? writeXlsx : writeCsv;
+
+  write(stream, report).catch(error => {
+    console.error(`Error streaming ${format} export of ${report.title}:`, error);
+    stream.destroy(error);
+  });
+
+  return new Response(createReadableStreamFromReadable(stream), {
+    headers: {
+      'Content-Type': CONTENT_TYPES[format],
+      'Content-Disposition': `attachment; filename="${report.filename}.${format}"`,
+      'Cache-Control': 'no-store'
+    }
+  });
+}
+
+/**
+ * Render a report to a file held in memory, e.g. to attach it to an email
+ * @param {string} format - csv or xlsx
+ * @param {Object} report - { title, filename, metadata, columns, rows }
+ * @returns {Promise<Object>} { filename, content: Buffer, contentType }
+ */
+export async function createReportExportAttachment(format, report) {
+  if (!REPORT_EXPORT_FORMATS.includes(format)) {
+    throw new Error(`Unknown export format "${format}". Use one of: ${REPORT_EXPORT_FORMATS.join(', ')}`);
+  }
+
+  const stream = new PassThrough();
+  const chunks = [];
+  stream.on('data', chunk => chunks.push(Buffer.from(chunk)));
+  const finished = once(stream, 'end');
+
+  await (format === 'xlsx' ? writeXlsx : writeCsv)(stream, report);
+  await finished;
+
+  return {
+    filename: `${report.filename}.${format}`,
+    content: Buffer.concat(chunks),
+    contentType: CONTENT_TYPES[format]
+  };
+}
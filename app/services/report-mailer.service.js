@@ -0,0 +1,72 @@
+import 'dotenv/config';
+import fs from 'fs';
+import path from 'path';
+import nodemailer from 'nodemailer';
+import { createSmtpTransport } from './smtp-transport.service.js';
+
+/**
+ * Report mailer
+ *
+ * REPORT_MAIL_TRANSPORT selects how scheduled reports are emailed:
+ * - smtp - sent through SMTP_HOST (default); point it at a local SMTP sink in development
+ * - file - each message is written as an .eml file (attachments included) to
+ *          REPORT_MAIL_DIR (default logs/report-mail), for development without a mail server
+ */
+
+const transports = {
+  smtp: {
+    async send(message) {
+      const info = await createSmtpTransport().sendMail(message);
+      return { messageId: info.messageId };
+    }
+  },
+
+  file: {
+    async send(message) {
+      const directory = path.resolve(process.env.REPORT_MAIL_DIR || 'logs/report-mail');
+      await fs.promises.mkdir(directory, { recursive: true });
+
+      const info = await nodemailer
+        .createTransport({ streamTransport: true, buffer: true, newline: 'unix' })
+        .sendMail(message);
+
+      const slug = message.subject.replace(/[^A-Za-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 80);
+      const filePath = path.join(directory, `${new Date().toISOString().replace(/[:.]/g, '-')}-${slug}.eml`);
+      await fs.promises.writeFile(filePath, info.message);
+
+      return { messageId: info.messageId, filePath };
+    }
+  }
+};
+
+export const ReportMailer = {
+  // Name of the transport selected by REPORT_MAIL_TRANSPORT
+  get transport() {
+    return process.env.REPORT_MAIL_TRANSPORT || 'smtp';
+  },
+
+  /**
+   * Email a report
+   * @param {Object} message - { to: string[], subject, text, attachments: [{ filename, content, contentType }] }
+   * @returns {Promise<Object>} { messageId, filePath } (filePath for the file transport)
+   */
+  async send({ to, subject, text, attachments = [] }) {
+    const transport = transports[this.transport];
+    if (!transport) {
+      throw new Error(`Unknown report mail transport '${this.transport}'`);
+    }
+
+    try {
+      return await transport.send({
+        from: process.env.REPORT_EMAIL_FROM || process.env.ALERT_EMAIL_FROM || process.env.SMTP_USER,
+        to: to.join(', '),
+        subject,
+        text,
+        attachments
+      });
+    } catch (error) {
+      console.error(`Error sending report email through ${this.transport}:`, error);
+      throw error;
+    }
+  }
+};
@@ -0,0 +1,28 @@
+import 'dotenv/config';
+import nodemailer from 'nodemailer';
+
+/**
+ * SMTP transport shared by the app's email deliveries (budget alerts, report
+ * subscriptions), configured by SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER and
+ * SMTP_PASSWORD. A local SMTP sink (e.g. Mailpit on localhost:1025) works with
+ * SMTP_HOST=localhost SMTP_PORT=1025 and no user.
+ */
+
+/**
+ * Create a nodemailer transport for SMTP_HOST
+ * @returns {Object} nodemailer transport
+ */
+export function createSmtpTransport() {
+  if (!process.env.SMTP_HOST) {
+    throw new Error('SMTP_HOST is required to send email');
+  }
+
+  return nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT || '587'),
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+      : undefined
+  });
+}
@@ -0,0 +1,30 @@
+/**
+ * Budget Month Utilities
+ * Budget months (MM-YYYY) of dates, in UTC like the FORMAT(created_at, 'MM-yyyy')
+ * fallback of the budget month reports
+ */
+
+/**
+ * Get the budget month a date falls in
+ * @param {Date|string} date - Date, or a value Date can parse (defaults to now)
+ * @returns {string|null} Budget month (MM-YYYY), null for an invalid date
+ */
+export function getBudgetMonthOfDate(date = new Date()) {
+  const value = date instanceof Date ? date : new Date(date);
+  if (isNaN(value.getTime())) return null;
+
+  return `${String(value.getUTCMonth() + 1).padStart(2, '0')}-${value.getUTCFullYear()}`;
+}
+
+/**
+ * Get the month an order is budgeted to: its order_budget_month, falling back to the
+ * month it was created in (the same rule the budget month reports use)
+ * @param {Object} order - Order with order_budget_month and created_at
+ * @returns {string|null} Budget month (MM-YYYY)
+ */
+export function getOrderBudgetMonth(order) {
+  if (order?.order_budget_month) return order.order_budget_month;
+  if (!order?.created_at) return null;
+
+  return getBudgetMonthOfDate(order.created_at);
+}
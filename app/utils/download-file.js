@@ -0,0 +1,31 @@
+/**
+ * Download Utilities
+ * Client-side file downloads from the app's resource routes
+ */
+
+/**
+ * Fetch a file from the app and save it in the browser.
+ * Embedded admin pages cannot navigate to a resource route directly (the request would
+ * lack the session token App Bridge adds to fetch), so the response is saved as a blob.
+ *
+ * @param {string} url - App URL of the file
+ * @param {string} fallbackFilename - Name used when the response has no Content-Disposition
+ * @returns {Promise<void>} Rejects with the route's error message when the request fails
+ */
+export async function downloadFile(url, fallbackFilename) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    const body = await response.json().catch(() => ({}));
+    throw new Error(body.error || `Download failed (${response.status})`);
+  }
+
+  const filename = response.headers.get("Content-Disposition")?.match(/filename="([^"]+)"/)?.[1] || fallbackFilename;
+  const objectUrl = URL.createObjectURL(await response.blob());
+  const link = document.createElement("a");
+  link.href = objectUrl;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(objectUrl);
+}
@@ -0,0 +1,62 @@
+/**
+ * Session User Utilities
+ * Resolves a display identity for the admin user behind a Shopify session
+ */
+
+/**
+ * Get the identity of the user behind an admin session
+ * Online sessions carry the associated staff user; offline sessions only know the shop.
+ *
+ * @param {Object} session - Shopify session from authenticate.admin
+ * @returns {string} - Staff email, staff name, shop domain or 'system'
+ */
+export function getSessionUserIdentity(session) {
+  const user = session?.onlineAccessInfo?.associated_user;
+
+  if (user?.email) {
+    return user.email;
+  }
+
+  if (user?.first_name || user?.last_name) {
+    return [user.first_name, user.last_name].filter(Boolean).join(' ');
+  }
+
+  return session?.shop || 'system';
+}
+
+/**
+ * Get the email of the staff member behind an admin session
+ * Use for authorization: unlike getSessionUserIdentity it never falls back to the shop.
+ *
+ * @param {Object} session - Shopify session from authenticate.admin
+ * @returns {string|null} - Lowercased staff email, or null for offline sessions
+ */
+export function getSessionStaffEmail(session) {
+  const email = session?.onlineAccessInfo?.associated_user?.email;
+
+  return email ? email.trim().toLowerCase() : null;
+}
+
+/**
+ * Whether the staff member behind an admin session manages approvers: the store owner,
+ * or a staff email listed in APPROVER_ADMINS (comma separated)
+ *
+ * @param {Object} session - Shopify session from authenticate.admin
+ * @returns {boolean}
+ */
+export function isApproverAdmin(session) {
+  const email = getSessionStaffEmail(session);
+
+  if (!email) {
+    return false;
+  }
+
+  if (session.onlineAccessInfo.associated_user.account_owner) {
+    return true;
+  }
+
+  return (process.env.APPROVER_ADMINS || '')
+    .split(',')
+    .map(admin => admin.trim().toLowerCase())
+    .includes(email);
+}
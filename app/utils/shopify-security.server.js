@@ -201,3 +201,28 @@ export function createSecureProxyResponse(data, options = {}) {
     headers: securityHeaders
   });
 }
+
+/**
+ * Creates a secure file download response for Shopify proxy
+ * 
+ * @param {Buffer|Uint8Array} body - File content
+ * @param {Object} options - { filename, contentType, status, headers }
+ * @returns {Response} - Remix Response with security headers
+ */
+export function createSecureProxyFileResponse(body, options = {}) {
+  const { filename, contentType = "application/octet-stream", status = 200, headers = {} } = options;
+
+  return new Response(body, {
+    status,
+    headers: {
+      "Content-Type": contentType,
+      "Content-Disposition": `attachment; filename="${filename}"`,
+      "Cache-Control": "no-store",
+      "X-Content-Type-Options": "nosniff",
+      "X-Frame-Options": "DENY",
+      "X-XSS-Protection": "1; mode=block",
+      "Referrer-Policy": "strict-origin-when-cross-origin",
+      ...headers
+    }
+  });
+}
@@ -0,0 +1,83 @@
+-- Create Budget Alert Tables
+-- budget_alert_thresholds holds the percentages of the census-based budget that raise an
+-- alert. A threshold can apply to every location and category (NULL location_id /
+-- category_id) or narrow down to one location, one category or both; the most specific
+-- thresholds configured for a location and category are used.
+-- budget_alert_events records each threshold a category crossed, once per budget month.
+-- PREREQUISITE: shopify.budget_categories_master must exist
+
+USE brdjdb;
+GO
+
+IF NOT EXISTS (SELECT * FROM INFORMATION_SCHEMA.TABLES WHERE TABLE_SCHEMA = 'shopify' AND TABLE_NAME = 'budget_alert_thresholds')
+BEGIN
+    CREATE TABLE shopify.budget_alert_thresholds (
+        id BIGINT IDENTITY(1,1) PRIMARY KEY,
+        location_id NVARCHAR(255) NULL,           -- NULL = every location
+        category_id BIGINT NULL,                  -- NULL = every category
+        threshold_percent DECIMAL(5,2) NOT NULL,
+        created_by NVARCHAR(255) NULL,
+        created_at DATETIME2 NOT NULL DEFAULT GETUTCDATE(),
+
+        CONSTRAINT FK_budget_alert_thresholds_category_id
+            FOREIGN KEY (category_id) REFERENCES shopify.budget_categories_master(id)
+            ON DELETE CASCADE,
+
+        CONSTRAINT CK_budget_alert_thresholds_percent
+            CHECK (threshold_percent > 0 AND threshold_percent <= 500),
+
+        CONSTRAINT UQ_budget_alert_thresholds_scope_percent
+            UNIQUE (location_id, category_id, threshold_percent)
+    );
+
+    -- Default thresholds for every location and category
+    INSERT INTO shopify.budget_alert_thresholds (location_id, category_id, threshold_percent, created_by)
+    VALUES (NULL, NULL, 75, 'migration'), (NULL, NULL, 90, 'migration'), (NULL, NULL, 100, 'migration');
+
+    PRINT 'Budget alert thresholds table created successfully';
+END
+ELSE
+BEGIN
+    PRINT 'Budget alert thresholds table already exists';
+END
+GO
+
+IF NOT EXISTS (SELECT * FROM INFORMATION_SCHEMA.TABLES WHERE TABLE_SCHEMA = 'shopify' AND TABLE_NAME = 'budget_alert_events')
+BEGIN
+    CREATE TABLE shopify.budget_alert_events (
+        id BIGINT IDENTITY(1,1) PRIMARY KEY,
+        location_id NVARCHAR(255) NOT NULL,
+        budget_month NVARCHAR(7) NOT NULL,        -- MM-YYYY
+        category_id BIGINT NOT NULL,
+        threshold_percent DECIMAL(5,2) NOT NULL,
+        budget_amount DECIMAL(18,2) NOT NULL,     -- Full-month census-based budget at evaluation
+        spent_amount DECIMAL(18,2) NOT NULL,      -- Net spend (after refunds) at evaluation
+        utilization_percent DECIMAL(9,2) NOT NULL,
+        status NVARCHAR(50) NOT NULL DEFAULT 'open',
+        notified_at DATETIME2 NULL,
+        notification_error NVARCHAR(MAX) NULL,
+        acknowledged_by NVARCHAR(255) NULL,
+        acknowledged_at DATETIME2 NULL,
+        created_at DATETIME2 NOT NULL DEFAULT GETUTCDATE(),
+
+        CONSTRAINT FK_budget_alert_events_category_id
+            FOREIGN KEY (category_id) REFERENCES shopify.budget_categories_master(id),
+
+        CONSTRAINT CK_budget_alert_events_status
+            CHECK (status IN ('open', 'acknowledged')),
+
+        -- A threshold alerts once per location, category and budget month
+        CONSTRAINT UQ_budget_alert_events_location_month_category_threshold
+            UNIQUE (location_id, budget_month, category_id, threshold_percent)
+    );
+
+    CREATE INDEX IX_budget_alert_events_status ON shopify.budget_alert_events(status);
+    CREATE INDEX IX_budget_alert_events_location_month ON shopify.budget_alert_events(location_id, budget_month);
+
+    PRINT 'Budget alert events table created successfully';
+END
+ELSE
+BEGIN
+    PRINT 'Budget alert events table already exists';
+END
+GO
@@ -0,0 +1,93 @@
+-- Budget Approval Workflow
+-- Budgets move draft -> pending -> active (approved) or rejected. Only active budgets
+-- are used by budget calculations. Rate changes of an active budget are saved as a
+-- pending budget version; the budget stays active with its approved rates until the
+-- version is approved. Every transition is recorded in budget_approvals.
+-- PREREQUISITE: shopify.budget and shopify.budget_versions must exist
+
+USE brdjdb;
+GO
+
+-- Allow the pending and rejected workflow states
+IF EXISTS (SELECT * FROM sys.check_constraints WHERE name = 'CK_budget_status')
+BEGIN
+    ALTER TABLE shopify.budget DROP CONSTRAINT CK_budget_status;
+END
+GO
+
+ALTER TABLE shopify.budget
+    ADD CONSTRAINT CK_budget_status
+        CHECK (status IN ('active', 'inactive', 'draft', 'pending', 'rejected', 'archived'));
+GO
+
+IF NOT EXISTS (SELECT * FROM INFORMATION_SCHEMA.TABLES WHERE TABLE_SCHEMA = 'shopify' AND TABLE_NAME = 'budget_approvals')
+BEGIN
+    CREATE TABLE shopify.budget_approvals (
+        id BIGINT IDENTITY(1,1) PRIMARY KEY,
+        budget_id BIGINT NOT NULL,
+        action NVARCHAR(50) NOT NULL,
+        from_status NVARCHAR(50) NOT NULL,
+        to_status NVARCHAR(50) NOT NULL,
+        actor NVARCHAR(255) NOT NULL,
+        comment NVARCHAR(MAX) NULL,
+        created_at DATETIME2 NOT NULL DEFAULT GETUTCDATE(),
+
+        CONSTRAINT FK_budget_approvals_budget_id
+            FOREIGN KEY (budget_id) REFERENCES shopify.budget(id)
+            ON DELETE CASCADE,
+
+        CONSTRAINT CK_budget_approvals_action
+            CHECK (action IN ('submit', 'approve', 'reject'))
+    );
+
+    CREATE INDEX IX_budget_approvals_budget_id ON shopify.budget_approvals(budget_id);
+
+    PRINT 'Budget approvals table created successfully';
+END
+ELSE
+BEGIN
+    PRINT 'Budget approvals table already exists';
+END
+GO
+
+-- Approval state of each budget version; existing versions are approved
+IF NOT EXISTS (SELECT * FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_SCHEMA = 'shopify' AND TABLE_NAME = 'budget_versions' AND COLUMN_NAME = 'approval_status')
+BEGIN
+    ALTER TABLE shopify.budget_versions
+        ADD approval_status NVARCHAR(50) NOT NULL
+                CONSTRAINT DF_budget_versions_approval_status DEFAULT 'approved'
+                CONSTRAINT CK_budget_versions_approval_status
+                    CHECK (approval_status IN ('pending', 'approved', 'rejected')),
+            decided_by NVARCHAR(255) NULL,
+            decided_at DATETIME2 NULL;
+
+    PRINT 'Approval status added to budget versions';
+END
+GO
+
+-- Only approved versions are unique per effective date; pending and rejected versions
+-- of the same month sit next to them
+IF EXISTS (SELECT * FROM sys.key_constraints WHERE name = 'UQ_budget_versions_budget_effective_from')
+BEGIN
+    ALTER TABLE shopify.budget_versions DROP CONSTRAINT UQ_budget_versions_budget_effective_from;
+END
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.indexes WHERE name = 'UX_budget_versions_approved_effective_from')
+BEGIN
+    CREATE UNIQUE INDEX UX_budget_versions_approved_effective_from
+        ON shopify.budget_versions(budget_id, effective_from)
+        WHERE approval_status = 'approved';
+
+    PRINT 'Approved budget version index created successfully';
+END
+GO
+
+-- Approval records of a rate change point at its version
+IF NOT EXISTS (SELECT * FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_SCHEMA = 'shopify' AND TABLE_NAME = 'budget_approvals' AND COLUMN_NAME = 'version_id')
+BEGIN
+    ALTER TABLE shopify.budget_approvals ADD version_id BIGINT NULL;
+
+    PRINT 'Version reference added to budget approvals';
+END
+GO
@@ -0,0 +1,64 @@
+-- Create Budget Assignment Overrides
+-- Lets one budget template serve many locations with small adjustments:
+-- - ppd_multiplier scales every category rate of an assignment (1.0 = template rates)
+-- - budget_assignment_overrides replaces individual category rates of an assignment
+-- PREREQUISITE: shopify.budget_location_assignments must exist
+
+USE brdjdb;
+GO
+
+IF NOT EXISTS (
+    SELECT * FROM INFORMATION_SCHEMA.COLUMNS
+    WHERE TABLE_SCHEMA = 'shopify' AND TABLE_NAME = 'budget_location_assignments' AND COLUMN_NAME = 'ppd_multiplier'
+)
+BEGIN
+    ALTER TABLE shopify.budget_location_assignments
+        ADD ppd_multiplier DECIMAL(9,4) NOT NULL
+            CONSTRAINT DF_budget_location_assignments_ppd_multiplier DEFAULT 1.0000;
+
+    PRINT 'ppd_multiplier column added to budget location assignments';
+END
+GO
+
+IF NOT EXISTS (
+    SELECT * FROM sys.check_constraints WHERE name = 'CK_budget_location_assignments_ppd_multiplier'
+)
+BEGIN
+    ALTER TABLE shopify.budget_location_assignments
+        ADD CONSTRAINT CK_budget_location_assignments_ppd_multiplier CHECK (ppd_multiplier > 0);
+END
+GO
+
+IF NOT EXISTS (SELECT * FROM INFORMATION_SCHEMA.TABLES WHERE TABLE_SCHEMA = 'shopify' AND TABLE_NAME = 'budget_assignment_overrides')
+BEGIN
+    CREATE TABLE shopify.budget_assignment_overrides (
+        id BIGINT IDENTITY(1,1) PRIMARY KEY,
+        assignment_id BIGINT NOT NULL,
+        category_id BIGINT NOT NULL,
+        ppd_rate DECIMAL(18,2) NOT NULL,
+        updated_by NVARCHAR(255) NULL,
+        created_at DATETIME2 NOT NULL DEFAULT GETUTCDATE(),
+        updated_at DATETIME2 NOT NULL DEFAULT GETUTCDATE(),
+
+        CONSTRAINT FK_budget_assignment_overrides_assignment_id
+            FOREIGN KEY (assignment_id) REFERENCES shopify.budget_location_assignments(id)
+            ON DELETE CASCADE,
+        CONSTRAINT FK_budget_assignment_overrides_category_id
+            FOREIGN KEY (category_id) REFERENCES shopify.budget_categories_master(id),
+
+        CONSTRAINT CK_budget_assignment_overrides_ppd_rate CHECK (ppd_rate >= 0),
+
+        -- One override per category per assignment
+        CONSTRAINT UQ_budget_assignment_overrides_assignment_category
+            UNIQUE (assignment_id, category_id)
+    );
+
+    CREATE INDEX IX_budget_assignment_overrides_assignment_id ON shopify.budget_assignment_overrides(assignment_id);
+
+    PRINT 'Budget assignment overrides table created successfully';
+END
+ELSE
+BEGIN
+    PRINT 'Budget assignment overrides table already exists';
+END
+GO
@@ -0,0 +1,46 @@
+-- Create Budget Category Spend Ledger
+-- budget_categories rows are PPD rate templates shared by every location a budget is
+-- assigned to, so spend is kept per location and budget month instead. Rows are
+-- rewritten by the spend reconciliation (scripts/reconcile-budget-spend.js) and by order
+-- webhooks; remaining_amount can be read directly by reports.
+-- PREREQUISITE: shopify.budget and shopify.budget_categories_master must exist
+
+USE brdjdb;
+GO
+
+IF NOT EXISTS (SELECT * FROM INFORMATION_SCHEMA.TABLES WHERE TABLE_SCHEMA = 'shopify' AND TABLE_NAME = 'budget_category_spend')
+BEGIN
+    CREATE TABLE shopify.budget_category_spend (
+        id BIGINT IDENTITY(1,1) PRIMARY KEY,
+        location_id NVARCHAR(255) NOT NULL,
+        budget_month NVARCHAR(7) NOT NULL,             -- MM-YYYY
+        budget_id BIGINT NOT NULL,
+        category_id BIGINT NOT NULL,
+        allocated_amount DECIMAL(18,2) NULL,           -- Full-month budget (NULL = no census available)
+        gross_amount DECIMAL(18,2) NOT NULL DEFAULT 0.00,
+        refunded_amount DECIMAL(18,2) NOT NULL DEFAULT 0.00,
+        spent_amount DECIMAL(18,2) NOT NULL DEFAULT 0.00, -- Net spend: gross less refunds
+        remaining_amount AS (allocated_amount - spent_amount) PERSISTED,
+        reconciled_at DATETIME2 NOT NULL DEFAULT GETUTCDATE(),
+
+        CONSTRAINT FK_budget_category_spend_budget_id
+            FOREIGN KEY (budget_id) REFERENCES shopify.budget(id)
+            ON DELETE CASCADE,
+        CONSTRAINT FK_budget_category_spend_category_id
+            FOREIGN KEY (category_id) REFERENCES shopify.budget_categories_master(id),
+
+        -- One row per category per location per budget month
+        CONSTRAINT UQ_budget_category_spend_location_month_category
+            UNIQUE (location_id, budget_month, category_id)
+    );
+
+    CREATE INDEX IX_budget_category_spend_location_month ON shopify.budget_category_spend(location_id, budget_month);
+    CREATE INDEX IX_budget_category_spend_budget_id ON shopify.budget_category_spend(budget_id);
+
+    PRINT 'Budget category spend table created successfully';
+END
+ELSE
+BEGIN
+    PRINT 'Budget category spend table already exists';
+END
+GO
@@ -0,0 +1,122 @@
+-- Create Budget Month Close Tables
+-- A location's budget month is closed once it is reported to corporate. Closing freezes
+-- order_budget_month of the month's orders and snapshots the category report and the
+-- spend ledger; reports of a closed month read the snapshot. Orders and refunds that
+-- arrive for a closed month later are recorded as exceptions and, under the close's
+-- policy, redirected to the current open month or only flagged.
+-- PREREQUISITE: shopify.budget_categories_master and shopify.budget_category_spend must exist
+
+USE brdjdb;
+GO
+
+IF NOT EXISTS (SELECT * FROM INFORMATION_SCHEMA.TABLES WHERE TABLE_SCHEMA = 'shopify' AND TABLE_NAME = 'budget_month_closes')
+BEGIN
+    CREATE TABLE shopify.budget_month_closes (
+        id BIGINT IDENTITY(1,1) PRIMARY KEY,
+        location_id NVARCHAR(255) NOT NULL,
+        budget_month NVARCHAR(7) NOT NULL,        -- MM-YYYY
+        status NVARCHAR(50) NOT NULL DEFAULT 'closed',
+        late_activity_policy NVARCHAR(50) NOT NULL DEFAULT 'flag',
+        report_snapshot NVARCHAR(MAX) NOT NULL,   -- JSON: category report as it was at close
+        closed_by NVARCHAR(255) NOT NULL,
+        closed_at DATETIME2 NOT NULL DEFAULT GETUTCDATE(),
+        reopened_by NVARCHAR(255) NULL,
+        reopened_at DATETIME2 NULL,
+        reopen_reason NVARCHAR(MAX) NULL,
+
+        CONSTRAINT CK_budget_month_closes_status
+            CHECK (status IN ('closed', 'reopened')),
+        CONSTRAINT CK_budget_month_closes_policy
+            CHECK (late_activity_policy IN ('redirect', 'flag')),
+
+        -- One close per location per budget month; closing again after a reopen replaces it
+        CONSTRAINT UQ_budget_month_closes_location_month
+            UNIQUE (location_id, budget_month)
+    );
+
+    CREATE INDEX IX_budget_month_closes_budget_month ON shopify.budget_month_closes(budget_month, status);
+
+    PRINT 'Budget month closes table created successfully';
+END
+ELSE
+BEGIN
+    PRINT 'Budget month closes table already exists';
+END
+GO
+
+IF NOT EXISTS (SELECT * FROM INFORMATION_SCHEMA.TABLES WHERE TABLE_SCHEMA = 'shopify' AND TABLE_NAME = 'budget_month_close_categories')
+BEGIN
+    CREATE TABLE shopify.budget_month_close_categories (
+        id BIGINT IDENTITY(1,1) PRIMARY KEY,
+        close_id BIGINT NOT NULL,
+        budget_id BIGINT NOT NULL,
+        category_id BIGINT NOT NULL,
+        category_name NVARCHAR(255) NOT NULL,
+        allocated_amount DECIMAL(18,2) NULL,      -- Full-month budget (NULL = no census available)
+        gross_amount DECIMAL(18,2) NOT NULL DEFAULT 0.00,
+        refunded_amount DECIMAL(18,2) NOT NULL DEFAULT 0.00,
+        spent_amount DECIMAL(18,2) NOT NULL DEFAULT 0.00,
+        remaining_amount AS (allocated_amount - spent_amount) PERSISTED,
+
+        CONSTRAINT FK_budget_month_close_categories_close_id
+            FOREIGN KEY (close_id) REFERENCES shopify.budget_month_closes(id)
+            ON DELETE CASCADE,
+
+        CONSTRAINT UQ_budget_month_close_categories_close_category
+            UNIQUE (close_id, category_id)
+    );
+
+    PRINT 'Budget month close categories table created successfully';
+END
+ELSE
+BEGIN
+    PRINT 'Budget month close categories table already exists';
+END
+GO
+
+IF NOT EXISTS (SELECT * FROM INFORMATION_SCHEMA.TABLES WHERE TABLE_SCHEMA = 'shopify' AND TABLE_NAME = 'budget_month_close_exceptions')
+BEGIN
+    CREATE TABLE shopify.budget_month_close_exceptions (
+        id BIGINT IDENTITY(1,1) PRIMARY KEY,
+        close_id BIGINT NOT NULL,
+        location_id NVARCHAR(255) NOT NULL,
+        budget_month NVARCHAR(7) NOT NULL,        -- Closed month the activity landed in
+        activity_type NVARCHAR(50) NOT NULL,      -- order, refund, reassignment
+        order_id BIGINT NOT NULL,
+        refund_id BIGINT NULL,
+        amount DECIMAL(18,2) NULL,
+        policy NVARCHAR(50) NOT NULL,             -- redirect, flag (reassignments are always flagged)
+        redirected_to_month NVARCHAR(7) NULL,     -- MM-YYYY the activity was counted in instead
+        detail NVARCHAR(MAX) NULL,
+        status NVARCHAR(50) NOT NULL DEFAULT 'open',
+        resolved_by NVARCHAR(255) NULL,
+        resolved_at DATETIME2 NULL,
+        resolution_note NVARCHAR(MAX) NULL,
+        detected_at DATETIME2 NOT NULL DEFAULT GETUTCDATE(),
+
+        CONSTRAINT FK_budget_month_close_exceptions_close_id
+            FOREIGN KEY (close_id) REFERENCES shopify.budget_month_closes(id)
+            ON DELETE CASCADE,
+        CONSTRAINT CK_budget_month_close_exceptions_activity_type
+            CHECK (activity_type IN ('order', 'refund', 'reassignment')),
+        CONSTRAINT CK_budget_month_close_exceptions_policy
+            CHECK (policy IN ('redirect', 'flag')),
+        CONSTRAINT CK_budget_month_close_exceptions_status
+            CHECK (status IN ('open', 'resolved')),
+
+        -- Webhook redeliveries must not record the same activity twice
+        CONSTRAINT UQ_budget_month_close_exceptions_activity
+            UNIQUE (close_id, activity_type, order_id, refund_id)
+    );
+
+    CREATE INDEX IX_budget_month_close_exceptions_status ON shopify.budget_month_close_exceptions(status);
+    CREATE INDEX IX_budget_month_close_exceptions_redirected
+        ON shopify.budget_month_close_exceptions(location_id, redirected_to_month);
+
+    PRINT 'Budget month close exceptions table created successfully';
+END
+ELSE
+BEGIN
+    PRINT 'Budget month close exceptions table already exists';
+END
+GO
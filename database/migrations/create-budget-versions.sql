@@ -0,0 +1,86 @@
+-- Create Budget Versions Tables
+-- Keeps every PPD rate change of a budget with the months it applies to, so budget
+-- months computed in the past keep using the rates that were in force at the time.
+-- PREREQUISITE: shopify.budget and shopify.budget_categories must exist
+
+USE brdjdb;
+GO
+
+IF NOT EXISTS (SELECT * FROM INFORMATION_SCHEMA.TABLES WHERE TABLE_SCHEMA = 'shopify' AND TABLE_NAME = 'budget_versions')
+BEGIN
+    CREATE TABLE shopify.budget_versions (
+        id BIGINT IDENTITY(1,1) PRIMARY KEY,
+        budget_id BIGINT NOT NULL,
+        version_number INT NOT NULL,
+        effective_from DATE NOT NULL,      -- First day of the first month the rates apply to
+        effective_to DATE NULL,            -- Last day the rates apply to (NULL = open ended)
+        created_by NVARCHAR(255) NULL,
+        created_at DATETIME2 NOT NULL DEFAULT GETUTCDATE(),
+
+        CONSTRAINT FK_budget_versions_budget_id
+            FOREIGN KEY (budget_id) REFERENCES shopify.budget(id)
+            ON DELETE CASCADE,
+
+        CONSTRAINT CK_budget_versions_dates
+            CHECK (effective_to IS NULL OR effective_to >= effective_from),
+
+        CONSTRAINT UQ_budget_versions_budget_effective_from
+            UNIQUE (budget_id, effective_from)
+    );
+
+    CREATE INDEX IX_budget_versions_budget_id ON shopify.budget_versions(budget_id);
+
+    PRINT 'Budget versions table created successfully';
+END
+ELSE
+BEGIN
+    PRINT 'Budget versions table already exists';
+END
+GO
+
+IF NOT EXISTS (SELECT * FROM INFORMATION_SCHEMA.TABLES WHERE TABLE_SCHEMA = 'shopify' AND TABLE_NAME = 'budget_version_categories')
+BEGIN
+    CREATE TABLE shopify.budget_version_categories (
+        id BIGINT IDENTITY(1,1) PRIMARY KEY,
+        version_id BIGINT NOT NULL,
+        category_id BIGINT NOT NULL,
+        ppd_rate DECIMAL(18,2) NOT NULL DEFAULT 0.00,
+
+        CONSTRAINT FK_budget_version_categories_version_id
+            FOREIGN KEY (version_id) REFERENCES shopify.budget_versions(id)
+            ON DELETE CASCADE,
+        CONSTRAINT FK_budget_version_categories_category_id
+            FOREIGN KEY (category_id) REFERENCES shopify.budget_categories_master(id),
+
+        CONSTRAINT CK_budget_version_categories_ppd_rate CHECK (ppd_rate >= 0),
+
+        CONSTRAINT UQ_budget_version_categories_version_category
+            UNIQUE (version_id, category_id)
+    );
+
+    CREATE INDEX IX_budget_version_categories_version_id ON shopify.budget_version_categories(version_id);
+
+    PRINT 'Budget version categories table created successfully';
+END
+ELSE
+BEGIN
+    PRINT 'Budget version categories table already exists';
+END
+GO
+
+-- Seed version 1 of every existing budget from its current rates, applying to all past months
+INSERT INTO shopify.budget_versions (budget_id, version_number, effective_from, effective_to, created_by)
+SELECT b.id, 1, '2000-01-01', NULL, 'migration'
+FROM shopify.budget b
+WHERE NOT EXISTS (SELECT 1 FROM shopify.budget_versions bv WHERE bv.budget_id = b.id);
+
+INSERT INTO shopify.budget_version_categories (version_id, category_id, ppd_rate)
+SELECT bv.id, bc.category_id, bc.allocated_amount
+FROM shopify.budget_versions bv
+INNER JOIN shopify.budget_categories bc ON bc.budget_id = bv.budget_id
+WHERE bv.version_number = 1
+  AND bv.created_by = 'migration'
+  AND NOT EXISTS (SELECT 1 FROM shopify.budget_version_categories bvc WHERE bvc.version_id = bv.id);
+
+PRINT 'Budget versions seeded from current budget categories';
+GO
@@ -0,0 +1,37 @@
+-- Create Customer Location Access Table
+-- Maps storefront customers to the company locations whose spend they may read
+-- through the app proxy (e.g. /api/monthly-orders-by-category)
+
+USE brdjdb;
+GO
+
+IF NOT EXISTS (SELECT * FROM INFORMATION_SCHEMA.TABLES WHERE TABLE_SCHEMA = 'shopify' AND TABLE_NAME = 'customer_location_access')
+BEGIN
+    CREATE TABLE shopify.customer_location_access (
+        id BIGINT IDENTITY(1,1) PRIMARY KEY,
+        customer_id NVARCHAR(255) NOT NULL,
+        location_id NVARCHAR(255) NOT NULL,
+        status NVARCHAR(50) NOT NULL DEFAULT 'active',
+        granted_by NVARCHAR(255) NULL,
+        created_at DATETIME2 NOT NULL DEFAULT GETUTCDATE(),
+        updated_at DATETIME2 NOT NULL DEFAULT GETUTCDATE(),
+
+        -- Check constraints
+        CONSTRAINT CK_customer_location_access_status
+            CHECK (status IN ('active', 'revoked')),
+
+        -- One row per customer/location pair; revoking flips the status
+        CONSTRAINT UQ_customer_location_access_customer_location
+            UNIQUE (customer_id, location_id)
+    );
+
+    CREATE INDEX IX_customer_location_access_customer_id ON shopify.customer_location_access(customer_id);
+    CREATE INDEX IX_customer_location_access_location_id ON shopify.customer_location_access(location_id);
+
+    PRINT 'Customer location access table created successfully';
+END
+ELSE
+BEGIN
+    PRINT 'Customer location access table already exists';
+END
+GO
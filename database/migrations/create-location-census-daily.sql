@@ -0,0 +1,34 @@
+USE brdjdb;
+GO
+
+-- Daily patient census per location. A month with daily entries is budgeted from them
+-- (average daily census of the entered days) instead of its shopify.location_census row,
+-- which is left as entered.
+IF NOT EXISTS (SELECT * FROM INFORMATION_SCHEMA.TABLES WHERE TABLE_SCHEMA = 'shopify' AND TABLE_NAME = 'location_census_daily')
+BEGIN
+    CREATE TABLE shopify.location_census_daily (
+        id BIGINT IDENTITY(1,1) PRIMARY KEY,
+        location_id NVARCHAR(255) NOT NULL,
+        census_date DATE NOT NULL,
+        census_count DECIMAL(18,2) NOT NULL DEFAULT 0.00,
+        updated_by NVARCHAR(255) NULL,
+        created_at DATETIME2 NOT NULL DEFAULT GETUTCDATE(),
+        updated_at DATETIME2 NOT NULL DEFAULT GETUTCDATE(),
+
+        -- Check constraints
+        CONSTRAINT CK_location_census_daily_count CHECK (census_count >= 0),
+
+        -- One census per location per day
+        CONSTRAINT UQ_location_census_daily_location_date
+            UNIQUE (location_id, census_date)
+    );
+
+    CREATE INDEX IX_location_census_daily_date ON shopify.location_census_daily(census_date);
+
+    PRINT 'Location census daily table created successfully';
+END
+ELSE
+BEGIN
+    PRINT 'Location census daily table already exists';
+END
+GO
@@ -0,0 +1,35 @@
+USE brdjdb;
+GO
+
+-- Per-location policy used when shopify.location_census has no row for a budget month
+IF NOT EXISTS (SELECT * FROM INFORMATION_SCHEMA.TABLES WHERE TABLE_SCHEMA = 'shopify' AND TABLE_NAME = 'location_census_policy')
+BEGIN
+    CREATE TABLE shopify.location_census_policy (
+        id BIGINT IDENTITY(1,1) PRIMARY KEY,
+        location_id NVARCHAR(255) NOT NULL,
+        policy NVARCHAR(50) NOT NULL DEFAULT 'unavailable',
+        trailing_months INT NULL,          -- Used by 'trailing_average'
+        default_census DECIMAL(18,2) NULL, -- Used by 'default'
+        updated_by NVARCHAR(255) NULL,
+        created_at DATETIME2 NOT NULL DEFAULT GETUTCDATE(),
+        updated_at DATETIME2 NOT NULL DEFAULT GETUTCDATE(),
+
+        -- Check constraints
+        CONSTRAINT CK_location_census_policy_policy
+            CHECK (policy IN ('carry_forward', 'trailing_average', 'default', 'unavailable')),
+        CONSTRAINT CK_location_census_policy_trailing_months
+            CHECK (trailing_months IS NULL OR trailing_months BETWEEN 1 AND 24),
+        CONSTRAINT CK_location_census_policy_default_census
+            CHECK (default_census IS NULL OR default_census >= 0),
+
+        -- One policy per location
+        CONSTRAINT UQ_location_census_policy_location UNIQUE (location_id)
+    );
+
+    PRINT 'Location census policy table created successfully';
+END
+ELSE
+BEGIN
+    PRINT 'Location census policy table already exists';
+END
+GO
@@ -0,0 +1,54 @@
+-- Create Location Group Tables
+-- Named sets of company locations (e.g. a regional manager's facilities) that the
+-- multi-location rollup report compares for a budget month
+
+USE brdjdb;
+GO
+
+IF NOT EXISTS (SELECT * FROM INFORMATION_SCHEMA.TABLES WHERE TABLE_SCHEMA = 'shopify' AND TABLE_NAME = 'location_groups')
+BEGIN
+    CREATE TABLE shopify.location_groups (
+        id BIGINT IDENTITY(1,1) PRIMARY KEY,
+        name NVARCHAR(255) NOT NULL,
+        description NVARCHAR(1000) NULL,
+        created_by NVARCHAR(255) NULL,
+        created_at DATETIME2 NOT NULL DEFAULT GETUTCDATE(),
+        updated_at DATETIME2 NOT NULL DEFAULT GETUTCDATE(),
+
+        CONSTRAINT UQ_location_groups_name UNIQUE (name)
+    );
+
+    PRINT 'Location groups table created successfully';
+END
+ELSE
+BEGIN
+    PRINT 'Location groups table already exists';
+END
+GO
+
+IF NOT EXISTS (SELECT * FROM INFORMATION_SCHEMA.TABLES WHERE TABLE_SCHEMA = 'shopify' AND TABLE_NAME = 'location_group_members')
+BEGIN
+    CREATE TABLE shopify.location_group_members (
+        id BIGINT IDENTITY(1,1) PRIMARY KEY,
+        group_id BIGINT NOT NULL,
+        location_id NVARCHAR(255) NOT NULL,       -- company_location.id
+        created_by NVARCHAR(255) NULL,
+        created_at DATETIME2 NOT NULL DEFAULT GETUTCDATE(),
+
+        CONSTRAINT FK_location_group_members_group
+            FOREIGN KEY (group_id) REFERENCES shopify.location_groups(id) ON DELETE CASCADE,
+
+        -- A location is listed once per group; it may belong to several groups
+        CONSTRAINT UQ_location_group_members_group_location
+            UNIQUE (group_id, location_id)
+    );
+
+    CREATE INDEX IX_location_group_members_location_id ON shopify.location_group_members(location_id);
+
+    PRINT 'Location group members table created successfully';
+END
+ELSE
+BEGIN
+    PRINT 'Location group members table already exists';
+END
+GO
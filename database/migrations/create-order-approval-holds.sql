@@ -0,0 +1,107 @@
+-- Create Order Approval Hold Tables
+-- Orders that take a location's category spend over its census-based budget are held
+-- for approval by the location's approvers (regional managers). Decisions are written
+-- back to the Shopify order as tags and every step is kept in order_approval_audit.
+-- PREREQUISITE: shopify.[order] must exist
+
+USE brdjdb;
+GO
+
+IF NOT EXISTS (SELECT * FROM INFORMATION_SCHEMA.TABLES WHERE TABLE_SCHEMA = 'shopify' AND TABLE_NAME = 'location_approvers')
+BEGIN
+    CREATE TABLE shopify.location_approvers (
+        id BIGINT IDENTITY(1,1) PRIMARY KEY,
+        location_id NVARCHAR(255) NOT NULL,
+        approver NVARCHAR(255) NOT NULL,          -- Staff email of the regional manager
+        created_by NVARCHAR(255) NULL,
+        created_at DATETIME2 NOT NULL DEFAULT GETUTCDATE(),
+
+        CONSTRAINT UQ_location_approvers_location_approver
+            UNIQUE (location_id, approver)
+    );
+
+    PRINT 'Location approvers table created successfully';
+END
+ELSE
+BEGIN
+    PRINT 'Location approvers table already exists';
+END
+GO
+
+IF NOT EXISTS (SELECT * FROM INFORMATION_SCHEMA.TABLES WHERE TABLE_SCHEMA = 'shopify' AND TABLE_NAME = 'order_approval_holds')
+BEGIN
+    CREATE TABLE shopify.order_approval_holds (
+        id BIGINT IDENTITY(1,1) PRIMARY KEY,
+        order_id BIGINT NOT NULL,
+        order_number NVARCHAR(50) NULL,
+        location_id NVARCHAR(255) NOT NULL,
+        budget_month NVARCHAR(7) NOT NULL,        -- MM-YYYY
+        amount_over DECIMAL(18,2) NOT NULL,       -- Spend of the order beyond the remaining budget
+        categories NVARCHAR(MAX) NOT NULL,        -- JSON: [{ category, budget, spent, orderAmount, amountOver }]
+        required_approvers NVARCHAR(MAX) NULL,    -- Comma separated approvers of the location when held
+        status NVARCHAR(50) NOT NULL DEFAULT 'pending',
+        decided_by NVARCHAR(255) NULL,
+        decision_comment NVARCHAR(MAX) NULL,
+        decided_at DATETIME2 NULL,
+        shopify_synced_at DATETIME2 NULL,
+        shopify_sync_error NVARCHAR(MAX) NULL,
+        created_at DATETIME2 NOT NULL DEFAULT GETUTCDATE(),
+        updated_at DATETIME2 NOT NULL DEFAULT GETUTCDATE(),
+
+        CONSTRAINT CK_order_approval_holds_status
+            CHECK (status IN ('pending', 'approved', 'rejected')),
+
+        -- One hold per order
+        CONSTRAINT UQ_order_approval_holds_order_id UNIQUE (order_id)
+    );
+
+    CREATE INDEX IX_order_approval_holds_status ON shopify.order_approval_holds(status);
+    CREATE INDEX IX_order_approval_holds_location_id ON shopify.order_approval_holds(location_id);
+
+    PRINT 'Order approval holds table created successfully';
+END
+ELSE
+BEGIN
+    PRINT 'Order approval holds table already exists';
+END
+GO
+
+IF NOT EXISTS (SELECT * FROM INFORMATION_SCHEMA.TABLES WHERE TABLE_SCHEMA = 'shopify' AND TABLE_NAME = 'order_approval_audit')
+BEGIN
+    CREATE TABLE shopify.order_approval_audit (
+        id BIGINT IDENTITY(1,1) PRIMARY KEY,
+        hold_id BIGINT NOT NULL,
+        action NVARCHAR(50) NOT NULL,
+        actor NVARCHAR(255) NOT NULL,
+        comment NVARCHAR(MAX) NULL,
+        created_at DATETIME2 NOT NULL DEFAULT GETUTCDATE(),
+
+        CONSTRAINT FK_order_approval_audit_hold_id
+            FOREIGN KEY (hold_id) REFERENCES shopify.order_approval_holds(id)
+            ON DELETE CASCADE,
+
+        CONSTRAINT CK_order_approval_audit_action
+            CHECK (action IN ('held', 'updated', 'approved', 'rejected', 'decision_refused', 'shopify_synced', 'shopify_sync_failed'))
+    );
+
+    CREATE INDEX IX_order_approval_audit_hold_id ON shopify.order_approval_audit(hold_id);
+
+    PRINT 'Order approval audit table created successfully';
+END
+ELSE
+BEGIN
+    PRINT 'Order approval audit table already exists';
+END
+GO
+
+-- Record decisions refused to users who are not approvers of the hold
+IF EXISTS (SELECT * FROM sys.check_constraints WHERE name = 'CK_order_approval_audit_action')
+BEGIN
+    ALTER TABLE shopify.order_approval_audit DROP CONSTRAINT CK_order_approval_audit_action;
+END
+GO
+
+ALTER TABLE shopify.order_approval_audit
+    ADD CONSTRAINT CK_order_approval_audit_action
+        CHECK (action IN ('held', 'updated', 'approved', 'rejected', 'decision_refused', 'shopify_synced', 'shopify_sync_failed'));
+GO
@@ -0,0 +1,39 @@
+-- Create Order Budget Month History Table
+-- Every change of an order's order_budget_month: reassignments by finance (single or bulk,
+-- with a required reason) and changes received from Shopify or integrations. Admin
+-- reassignments are written back to the order's order_budget_month note attribute in
+-- Shopify; shopify_synced_at records when that succeeded.
+-- PREREQUISITE: shopify.[order] must exist
+
+USE brdjdb;
+GO
+
+IF NOT EXISTS (SELECT * FROM INFORMATION_SCHEMA.TABLES WHERE TABLE_SCHEMA = 'shopify' AND TABLE_NAME = 'order_budget_month_history')
+BEGIN
+    CREATE TABLE shopify.order_budget_month_history (
+        id BIGINT IDENTITY(1,1) PRIMARY KEY,
+        order_id BIGINT NOT NULL,
+        previous_budget_month NVARCHAR(7) NULL,   -- MM-YYYY
+        new_budget_month NVARCHAR(7) NOT NULL,    -- MM-YYYY
+        reason NVARCHAR(MAX) NOT NULL,
+        source NVARCHAR(50) NOT NULL,             -- admin, admin_bulk, shopify, integration
+        batch_id NVARCHAR(36) NULL,               -- Shared by the orders of one bulk reassignment
+        changed_by NVARCHAR(255) NOT NULL,
+        shopify_synced_at DATETIME2 NULL,
+        shopify_sync_error NVARCHAR(MAX) NULL,
+        created_at DATETIME2 NOT NULL DEFAULT GETUTCDATE(),
+
+        CONSTRAINT CK_order_budget_month_history_source
+            CHECK (source IN ('admin', 'admin_bulk', 'shopify', 'integration'))
+    );
+
+    CREATE INDEX IX_order_budget_month_history_order_id ON shopify.order_budget_month_history(order_id, created_at DESC);
+    CREATE INDEX IX_order_budget_month_history_batch_id ON shopify.order_budget_month_history(batch_id);
+
+    PRINT 'Order budget month history table created successfully';
+END
+ELSE
+BEGIN
+    PRINT 'Order budget month history table already exists';
+END
+GO
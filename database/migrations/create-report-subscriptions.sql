@@ -0,0 +1,102 @@
+-- Create Report Subscription Tables
+-- report_subscriptions holds scheduled email deliveries of a report (the budget statement
+-- PDF or a monthly report export) for one or more company locations to a list of
+-- recipients, on a cadence: weekly on a weekday, at month end or on the Nth of each month.
+-- report_subscription_deliveries logs every delivery; a scheduled occurrence is sent once.
+
+USE brdjdb;
+GO
+
+IF NOT EXISTS (SELECT * FROM INFORMATION_SCHEMA.TABLES WHERE TABLE_SCHEMA = 'shopify' AND TABLE_NAME = 'report_subscriptions')
+BEGIN
+    CREATE TABLE shopify.report_subscriptions (
+        id BIGINT IDENTITY(1,1) PRIMARY KEY,
+        name NVARCHAR(255) NOT NULL,
+        report NVARCHAR(100) NOT NULL,            -- budget-statement, monthly-orders-by-category, ...
+        format NVARCHAR(10) NOT NULL,             -- pdf, csv or xlsx
+        spend_definition NVARCHAR(50) NULL,       -- NULL = SPEND_DEFINITION at delivery
+        recipients NVARCHAR(2000) NOT NULL,       -- Comma separated email addresses
+        cadence NVARCHAR(20) NOT NULL,
+        cadence_day INT NULL,                     -- weekly: 0-6 (Sunday = 0), monthly_day: 1-28
+        is_active BIT NOT NULL DEFAULT 1,
+        created_by NVARCHAR(255) NULL,
+        created_at DATETIME2 NOT NULL DEFAULT GETUTCDATE(),
+        updated_at DATETIME2 NOT NULL DEFAULT GETUTCDATE(),
+
+        CONSTRAINT CK_report_subscriptions_cadence
+            CHECK (
+                (cadence = 'weekly' AND cadence_day BETWEEN 0 AND 6) OR
+                (cadence = 'month_end' AND cadence_day IS NULL) OR
+                (cadence = 'monthly_day' AND cadence_day BETWEEN 1 AND 28)
+            ),
+
+        CONSTRAINT CK_report_subscriptions_format
+            CHECK (format IN ('pdf', 'csv', 'xlsx'))
+    );
+
+    PRINT 'Report subscriptions table created successfully';
+END
+ELSE
+BEGIN
+    PRINT 'Report subscriptions table already exists';
+END
+GO
+
+IF NOT EXISTS (SELECT * FROM INFORMATION_SCHEMA.TABLES WHERE TABLE_SCHEMA = 'shopify' AND TABLE_NAME = 'report_subscription_locations')
+BEGIN
+    CREATE TABLE shopify.report_subscription_locations (
+        id BIGINT IDENTITY(1,1) PRIMARY KEY,
+        subscription_id BIGINT NOT NULL,
+        location_id NVARCHAR(255) NOT NULL,       -- company_location.id
+
+        CONSTRAINT FK_report_subscription_locations_subscription
+            FOREIGN KEY (subscription_id) REFERENCES shopify.report_subscriptions(id) ON DELETE CASCADE,
+
+        CONSTRAINT UQ_report_subscription_locations_subscription_location
+            UNIQUE (subscription_id, location_id)
+    );
+
+    PRINT 'Report subscription locations table created successfully';
+END
+ELSE
+BEGIN
+    PRINT 'Report subscription locations table already exists';
+END
+GO
+
+IF NOT EXISTS (SELECT * FROM INFORMATION_SCHEMA.TABLES WHERE TABLE_SCHEMA = 'shopify' AND TABLE_NAME = 'report_subscription_deliveries')
+BEGIN
+    CREATE TABLE shopify.report_subscription_deliveries (
+        id BIGINT IDENTITY(1,1) PRIMARY KEY,
+        subscription_id BIGINT NOT NULL,
+        scheduled_for DATE NULL,                  -- Occurrence delivered; NULL = sent on demand
+        budget_month NVARCHAR(7) NOT NULL,        -- MM-YYYY covered by the report
+        status NVARCHAR(50) NOT NULL,
+        recipients NVARCHAR(2000) NOT NULL,
+        attachment_count INT NOT NULL DEFAULT 0,
+        error NVARCHAR(MAX) NULL,                 -- Delivery error, or the locations that failed
+        triggered_by NVARCHAR(255) NOT NULL,      -- 'schedule' or the staff member who sent it
+        created_at DATETIME2 NOT NULL DEFAULT GETUTCDATE(),
+
+        CONSTRAINT FK_report_subscription_deliveries_subscription
+            FOREIGN KEY (subscription_id) REFERENCES shopify.report_subscriptions(id) ON DELETE CASCADE,
+
+        CONSTRAINT CK_report_subscription_deliveries_status
+            CHECK (status IN ('sent', 'failed'))
+    );
+
+    -- A scheduled occurrence is sent once; failed ones are retried on the next run
+    CREATE UNIQUE INDEX UQ_report_subscription_deliveries_sent_occurrence
+        ON shopify.report_subscription_deliveries(subscription_id, scheduled_for)
+        WHERE status = 'sent' AND scheduled_for IS NOT NULL;
+
+    CREATE INDEX IX_report_subscription_deliveries_subscription
+        ON shopify.report_subscription_deliveries(subscription_id, created_at);
+
+    PRINT 'Report subscription deliveries table created successfully';
+END
+ELSE
+BEGIN
+    PRINT 'Report subscription deliveries table already exists';
+END
+GO
@@ -0,0 +1,46 @@
+-- Create Webhook Inbox Table
+-- Every incoming webhook is stored here before it is processed, keyed by the
+-- X-Shopify-Webhook-Id header so redelivered webhooks are dropped. Failed events are
+-- retried with backoff and move to dead_letter once they run out of attempts; they can
+-- be inspected and replayed from the Webhook Inbox admin page.
+
+USE brdjdb;
+GO
+
+IF NOT EXISTS (SELECT * FROM INFORMATION_SCHEMA.TABLES WHERE TABLE_SCHEMA = 'shopify' AND TABLE_NAME = 'webhook_inbox')
+BEGIN
+    CREATE TABLE shopify.webhook_inbox (
+        id BIGINT IDENTITY(1,1) PRIMARY KEY,
+        webhook_id NVARCHAR(255) NOT NULL,        -- X-Shopify-Webhook-Id (or a hash of the body when absent)
+        topic NVARCHAR(100) NOT NULL,             -- e.g. orders/create, api/order
+        shop NVARCHAR(255) NULL,
+        source NVARCHAR(50) NOT NULL DEFAULT 'shopify',
+        payload NVARCHAR(MAX) NOT NULL,           -- Raw JSON body
+        status NVARCHAR(50) NOT NULL DEFAULT 'pending',
+        attempts INT NOT NULL DEFAULT 0,
+        next_attempt_at DATETIME2 NOT NULL DEFAULT GETUTCDATE(),
+        locked_at DATETIME2 NULL,                 -- Set while an attempt is running
+        last_error NVARCHAR(MAX) NULL,
+        result NVARCHAR(MAX) NULL,                -- JSON result of the successful attempt
+        received_at DATETIME2 NOT NULL DEFAULT GETUTCDATE(),
+        processed_at DATETIME2 NULL,
+        replayed_by NVARCHAR(255) NULL,
+        replayed_at DATETIME2 NULL,
+
+        CONSTRAINT CK_webhook_inbox_status
+            CHECK (status IN ('pending', 'processing', 'processed', 'failed', 'dead_letter')),
+
+        -- Duplicate deliveries of the same webhook are dropped
+        CONSTRAINT UQ_webhook_inbox_webhook_id UNIQUE (webhook_id)
+    );
+
+    CREATE INDEX IX_webhook_inbox_status_next_attempt ON shopify.webhook_inbox(status, next_attempt_at);
+    CREATE INDEX IX_webhook_inbox_received_at ON shopify.webhook_inbox(received_at DESC);
+
+    PRINT 'Webhook inbox table created successfully';
+END
+ELSE
+BEGIN
+    PRINT 'Webhook inbox table already exists';
+END
+GO
@@ -0,0 +1,79 @@
+-- Create Webhook Integration Tables
+-- External systems (ERP, procurement) authenticate to /api/webhook with a per-integration
+-- API key or HMAC shared secret created in the admin app. Each integration may only send
+-- the webhook types in its scope, and every request is logged with the integration name.
+
+USE brdjdb;
+GO
+
+IF NOT EXISTS (SELECT * FROM INFORMATION_SCHEMA.TABLES WHERE TABLE_SCHEMA = 'shopify' AND TABLE_NAME = 'webhook_integrations')
+BEGIN
+    CREATE TABLE shopify.webhook_integrations (
+        id BIGINT IDENTITY(1,1) PRIMARY KEY,
+        name NVARCHAR(255) NOT NULL,
+        auth_method NVARCHAR(20) NOT NULL,        -- api_key or hmac
+        key_prefix NVARCHAR(20) NOT NULL,         -- First characters of the key, to recognise it
+        key_hash NVARCHAR(64) NULL,               -- SHA-256 of the API key (api_key only)
+        encrypted_secret NVARCHAR(MAX) NULL,      -- AES-256-GCM encrypted shared secret (hmac only)
+        allowed_types NVARCHAR(MAX) NOT NULL,     -- Comma separated webhook types the integration may send
+        status NVARCHAR(20) NOT NULL DEFAULT 'active',
+        created_by NVARCHAR(255) NULL,
+        created_at DATETIME2 NOT NULL DEFAULT GETUTCDATE(),
+        revoked_by NVARCHAR(255) NULL,
+        revoked_at DATETIME2 NULL,
+        last_used_at DATETIME2 NULL,
+
+        CONSTRAINT CK_webhook_integrations_auth_method
+            CHECK (auth_method IN ('api_key', 'hmac')),
+        CONSTRAINT CK_webhook_integrations_status
+            CHECK (status IN ('active', 'revoked')),
+        CONSTRAINT UQ_webhook_integrations_name UNIQUE (name)
+    );
+
+    CREATE INDEX IX_webhook_integrations_key_hash ON shopify.webhook_integrations(key_hash);
+
+    PRINT 'Webhook integrations table created successfully';
+END
+ELSE
+BEGIN
+    PRINT 'Webhook integrations table already exists';
+END
+GO
+
+-- The key prefix identifies an HMAC integration, so no two active integrations may share it
+IF NOT EXISTS (SELECT * FROM sys.indexes WHERE name = 'UX_webhook_integrations_active_key_prefix' AND object_id = OBJECT_ID('shopify.webhook_integrations'))
+BEGIN
+    CREATE UNIQUE INDEX UX_webhook_integrations_active_key_prefix
+        ON shopify.webhook_integrations(key_prefix)
+        WHERE status = 'active';
+
+    PRINT 'Unique active key prefix index created successfully';
+END
+GO
+
+IF NOT EXISTS (SELECT * FROM INFORMATION_SCHEMA.TABLES WHERE TABLE_SCHEMA = 'shopify' AND TABLE_NAME = 'webhook_request_log')
+BEGIN
+    CREATE TABLE shopify.webhook_request_log (
+        id BIGINT IDENTITY(1,1) PRIMARY KEY,
+        integration_id BIGINT NULL,               -- NULL when the request could not be authenticated
+        integration_name NVARCHAR(255) NULL,
+        auth_method NVARCHAR(20) NULL,            -- api_key, hmac or shopify
+        webhook_type NVARCHAR(100) NULL,
+        status_code INT NOT NULL,
+        outcome NVARCHAR(20) NOT NULL,            -- accepted, duplicate, unauthorized, forbidden, invalid, error
+        error NVARCHAR(MAX) NULL,
+        inbox_id BIGINT NULL,                     -- shopify.webhook_inbox event of an accepted request
+        ip_address NVARCHAR(100) NULL,
+        received_at DATETIME2 NOT NULL DEFAULT GETUTCDATE()
+    );
+
+    CREATE INDEX IX_webhook_request_log_received_at ON shopify.webhook_request_log(received_at DESC);
+    CREATE INDEX IX_webhook_request_log_integration_id ON shopify.webhook_request_log(integration_id);
+
+    PRINT 'Webhook request log table created successfully';
+END
+ELSE
+BEGIN
+    PRINT 'Webhook request log table already exists';
+END
+GO
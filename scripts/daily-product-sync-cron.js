@@ -9,53 +9,93 @@ const __dirname = dirname(__filename);
 
 // Configure when to run the sync (default: daily at 2:00 AM)
 const CRON_SCHEDULE = process.env.PRODUCT_SYNC_CRON || '0 2 * * *'; // minute hour day month dayOfWeek
+// Budget spend reconciliation runs after the product sync so categories are current
+const BUDGET_SPEND_CRON_SCHEDULE = process.env.BUDGET_SPEND_CRON || '30 2 * * *';
+// Budget alert thresholds are evaluated through the day so alerts arrive while spend happens
+const BUDGET_ALERT_CRON_SCHEDULE = process.env.BUDGET_ALERT_CRON || '0 */6 * * *';
+// Webhook inbox retries are picked up every few minutes
+const WEBHOOK_INBOX_CRON_SCHEDULE = process.env.WEBHOOK_INBOX_CRON || '*/5 * * * *';
+// Report subscriptions are delivered once a day, after the spend reconciliation
+const REPORT_SUBSCRIPTION_CRON_SCHEDULE = process.env.REPORT_SUBSCRIPTION_CRON || '0 6 * * *';
 
 console.log('🕐 Product Sync Cron Job Starting...');
 console.log('═'.repeat(80));
 console.log(`📅 Schedule: ${CRON_SCHEDULE}`);
 console.log(`🔄 Next run will execute: node scripts/shopify-metafields-sync.js`);
+console.log(`📅 Budget spend schedule: ${BUDGET_SPEND_CRON_SCHEDULE}`);
+console.log(`🔄 Next run will execute: node scripts/reconcile-budget-spend.js`);
+console.log(`📅 Budget alert schedule: ${BUDGET_ALERT_CRON_SCHEDULE}`);
+console.log(`🔄 Next run will execute: node scripts/evaluate-budget-alerts.js`);
+console.log(`📅 Webhook inbox schedule: ${WEBHOOK_INBOX_CRON_SCHEDULE}`);
+console.log(`🔄 Next run will execute: node scripts/process-webhook-inbox.js`);
+console.log(`📅 Report subscription schedule: ${REPORT_SUBSCRIPTION_CRON_SCHEDULE}`);
+console.log(`🔄 Next run will execute: node scripts/deliver-report-subscriptions.js`);
 console.log('═'.repeat(80));
 
-// Function to run the sync script
-function runSync() {
+// Function to run a script of this folder as a child process
+function runScript(label, scriptName) {
   const startTime = new Date();
-  console.log(`\n🚀 Starting product sync at ${startTime.toISOString()}`);
+  console.log(`\n🚀 Starting ${label} at ${startTime.toISOString()}`);
   console.log('─'.repeat(80));
 
-  const syncScriptPath = join(__dirname, 'shopify-metafields-sync.js');
+  const scriptPath = join(__dirname, scriptName);
   
-  // Spawn the sync process
-  const syncProcess = spawn('node', [syncScriptPath], {
+  // Spawn the script process
+  const scriptProcess = spawn('node', [scriptPath], {
     stdio: 'inherit', // This will pipe output to the parent process
     env: process.env
   });
 
-  syncProcess.on('error', (error) => {
-    console.error('❌ Failed to start sync process:', error);
+  scriptProcess.on('error', (error) => {
+    console.error(`❌ Failed to start ${label} process:`, error);
   });
 
-  syncProcess.on('exit', (code) => {
+  scriptProcess.on('exit', (code) => {
     const endTime = new Date();
     const duration = (endTime - startTime) / 1000; // in seconds
     
     console.log('─'.repeat(80));
     if (code === 0) {
-      console.log(`✅ Product sync completed successfully at ${endTime.toISOString()}`);
+      console.log(`✅ ${label} completed successfully at ${endTime.toISOString()}`);
       console.log(`⏱️  Duration: ${duration.toFixed(2)} seconds`);
     } else {
-      console.error(`❌ Product sync failed with exit code ${code} at ${endTime.toISOString()}`);
+      console.error(`❌ ${label} failed with exit code ${code} at ${endTime.toISOString()}`);
       console.error(`⏱️  Duration: ${duration.toFixed(2)} seconds`);
     }
     console.log('─'.repeat(80));
   });
 }
 
+function runSync() {
+  runScript('Product sync', 'shopify-metafields-sync.js');
+}
+
 // Schedule the job
 const job = scheduleJob(CRON_SCHEDULE, () => {
   console.log('\n⏰ Cron trigger fired!');
   runSync();
 });
 
+const budgetSpendJob = scheduleJob(BUDGET_SPEND_CRON_SCHEDULE, () => {
+  console.log('\n⏰ Budget spend cron trigger fired!');
+  runScript('Budget spend reconciliation', 'reconcile-budget-spend.js');
+});
+
+const budgetAlertJob = scheduleJob(BUDGET_ALERT_CRON_SCHEDULE, () => {
+  console.log('\n⏰ Budget alert cron trigger fired!');
+  runScript('Budget alert evaluation', 'evaluate-budget-alerts.js');
+});
+
+const webhookInboxJob = scheduleJob(WEBHOOK_INBOX_CRON_SCHEDULE, () => {
+  console.log('\n⏰ Webhook inbox cron trigger fired!');
+  runScript('Webhook inbox processing', 'process-webhook-inbox.js');
+});
+
+const reportSubscriptionJob = scheduleJob(REPORT_SUBSCRIPTION_CRON_SCHEDULE, () => {
+  console.log('\n⏰ Report subscription cron trigger fired!');
+  runScript('Report subscription delivery', 'deliver-report-subscriptions.js');
+});
+
 // Verify job was scheduled
 if (job) {
   const nextInvocation = job.nextInvocation();
@@ -67,6 +107,38 @@ if (job) {
   process.exit(1);
 }
 
+if (budgetSpendJob) {
+  const nextInvocation = budgetSpendJob.nextInvocation();
+  console.log(`⏭️  Next budget spend run: ${nextInvocation ? nextInvocation.toISOString() : 'N/A'}`);
+} else {
+  console.error('❌ Failed to schedule budget spend job. Please check BUDGET_SPEND_CRON.');
+  process.exit(1);
+}
+
+if (budgetAlertJob) {
+  const nextInvocation = budgetAlertJob.nextInvocation();
+  console.log(`⏭️  Next budget alert run: ${nextInvocation ? nextInvocation.toISOString() : 'N/A'}`);
+} else {
+  console.error('❌ Failed to schedule budget alert job. Please check BUDGET_ALERT_CRON.');
+  process.exit(1);
+}
+
+if (webhookInboxJob) {
+  const nextInvocation = webhookInboxJob.nextInvocation();
+  console.log(`⏭️  Next webhook inbox run: ${nextInvocation ? nextInvocation.toISOString() : 'N/A'}`);
+} else {
+  console.error('❌ Failed to schedule webhook inbox job. Please check WEBHOOK_INBOX_CRON.');
+  process.exit(1);
+}
+
+if (reportSubscriptionJob) {
+  const nextInvocation = reportSubscriptionJob.nextInvocation();
+  console.log(`⏭️  Next report subscription run: ${nextInvocation ? nextInvocation.toISOString() : 'N/A'}`);
+} else {
+  console.error('❌ Failed to schedule report subscription job. Please check REPORT_SUBSCRIPTION_CRON.');
+  process.exit(1);
+}
+
 // Optional: Run sync immediately on startup (comment out if not needed)
 // Uncomment the line below if you want to run sync on startup
 // setTimeout(() => runSync(), 5000); // Run 5 seconds after startup
@@ -78,6 +150,18 @@ process.on('SIGINT', () => {
     job.cancel();
     console.log('✅ Cron job cancelled successfully');
   }
+  if (budgetSpendJob) {
+    budgetSpendJob.cancel();
+  }
+  if (budgetAlertJob) {
+    budgetAlertJob.cancel();
+  }
+  if (webhookInboxJob) {
+    webhookInboxJob.cancel();
+  }
+  if (reportSubscriptionJob) {
+    reportSubscriptionJob.cancel();
+  }
   process.exit(0);
 });
 
@@ -86,5 +170,17 @@ process.on('SIGTERM', () => {
   if (job) {
     job.cancel();
   }
+  if (budgetSpendJob) {
+    budgetSpendJob.cancel();
+  }
+  if (budgetAlertJob) {
+    budgetAlertJob.cancel();
+  }
+  if (webhookInboxJob) {
+    webhookInboxJob.cancel();
+  }
+  if (reportSubscriptionJob) {
+    reportSubscriptionJob.cancel();
+  }
   process.exit(0);
 });
@@ -0,0 +1,44 @@
+import 'dotenv/config';
+import mssql from '../app/mssql.server.js';
+import { deliverDueReportSubscriptions } from '../app/actions/report-subscriptions.server.js';
+
+/**
+ * Email the report subscriptions due today (or on a given date) through REPORT_MAIL_TRANSPORT
+ *
+ * Usage:
+ *   node scripts/deliver-report-subscriptions.js                # subscriptions due today
+ *   node scripts/deliver-report-subscriptions.js 2025-11-01     # subscriptions due on a date
+ */
+
+// Main execution
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const args = process.argv.slice(2);
+
+  if (args[0] && !/^\d{4}-\d{2}-\d{2}$/.test(args[0])) {
+    console.error('❌ Invalid date. Usage: node scripts/deliver-report-subscriptions.js [YYYY-MM-DD]');
+    process.exit(1);
+  }
+
+  const [year, month, day] = args[0] ? args[0].split('-').map(Number) : [];
+
+  deliverDueReportSubscriptions({
+    date: args[0] ? new Date(year, month - 1, day) : new Date()
+  })
+    .then(async (result) => {
+      console.log(`\n📧 Report subscriptions for ${result.date}: ${result.due} due, ${result.sent.length} sent, ${result.failed.length} failed`);
+      result.sent.forEach(delivery => {
+        console.log(`  ✅ ${delivery.name} (${delivery.budgetMonth}): ${delivery.attachmentCount} attachment(s)${delivery.error ? ` - ${delivery.error}` : ''}`);
+      });
+      result.failed.forEach(delivery => {
+        console.error(`  ❌ ${delivery.name}: ${delivery.error}`);
+      });
+
+      await mssql.close();
+      process.exit(result.failed.length > 0 ? 1 : 0);
+    })
+    .catch(async (error) => {
+      console.error('💥 Report subscription delivery failed:', error);
+      await mssql.close();
+      process.exit(1);
+    });
+}
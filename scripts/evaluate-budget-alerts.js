@@ -0,0 +1,44 @@
+import 'dotenv/config';
+import mssql from '../app/mssql.server.js';
+import { evaluateBudgetAlerts } from '../app/actions/budget-alerts.server.js';
+
+/**
+ * Evaluate budget alert thresholds and deliver new alerts through ALERT_NOTIFIER
+ *
+ * Usage:
+ *   node scripts/evaluate-budget-alerts.js                      # current budget month, all locations
+ *   node scripts/evaluate-budget-alerts.js 09-2025              # one budget month, all locations
+ *   node scripts/evaluate-budget-alerts.js 09-2025 12345678     # one budget month, one location
+ */
+
+// Main execution
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const args = process.argv.slice(2);
+
+  if (args[0] && !/^\d{2}-\d{4}$/.test(args[0])) {
+    console.error('❌ Invalid budget month. Usage: node scripts/evaluate-budget-alerts.js [MM-YYYY] [locationId]');
+    process.exit(1);
+  }
+
+  evaluateBudgetAlerts({
+    budgetMonth: args[0] || null,
+    locationIds: args[1] ? [args[1]] : null
+  })
+    .then(async (result) => {
+      console.log(`\n🔔 Budget alerts for ${result.budgetMonth}: ${result.evaluatedLocations} location(s) evaluated, ${result.alerts.length} new alert(s), ${result.resent.length} undelivered alert(s) sent again`);
+      result.failed.forEach(location => {
+        console.error(`  ❌ Location ${location.locationId}: ${location.error}`);
+      });
+      if (result.notificationError) {
+        console.error(`  ❌ Alerts recorded but not delivered: ${result.notificationError}`);
+      }
+
+      await mssql.close();
+      process.exit(result.failed.length > 0 || result.notificationError ? 1 : 0);
+    })
+    .catch(async (error) => {
+      console.error('💥 Budget alert evaluation failed:', error);
+      await mssql.close();
+      process.exit(1);
+    });
+}
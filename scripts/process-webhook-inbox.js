@@ -0,0 +1,48 @@
+import 'dotenv/config';
+import mssql from '../app/mssql.server.js';
+import { processDueWebhookEvents } from '../app/actions/webhook-inbox.server.js';
+import { syncPendingOrderBudgetMonths } from '../app/actions/order-budget-month.server.js';
+
+/**
+ * Process webhook inbox events that are due: new events that were not processed on
+ * receipt, failed events past their backoff and events stuck in processing. Then writes
+ * budget month changes that are not in Shopify yet to the orders' note attribute, using
+ * the offline session of the SHOPIFY_STORE_URL shop.
+ *
+ * Usage:
+ *   node scripts/process-webhook-inbox.js          # up to 100 events
+ *   node scripts/process-webhook-inbox.js 500      # up to 500 events
+ */
+
+// Main execution
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const args = process.argv.slice(2);
+  const limit = args[0] ? parseInt(args[0]) : 100;
+
+  if (!(limit > 0)) {
+    console.error('❌ Invalid limit. Usage: node scripts/process-webhook-inbox.js [limit]');
+    process.exit(1);
+  }
+
+  processDueWebhookEvents({ limit })
+    .then(async (result) => {
+      console.log(`\n📥 Webhook inbox: ${result.events.length} due event(s), ${result.processed} processed, ${result.failed} failed, ${result.deadLettered} dead-lettered`);
+      result.events
+        .filter(event => event.error)
+        .forEach(event => {
+          console.error(`  ❌ Event ${event.id} (${event.status}, attempt ${event.attempts}): ${event.error}`);
+        });
+
+      const budgetMonths = await syncPendingOrderBudgetMonths({ limit });
+      console.log(`📅 Budget months written to Shopify: ${budgetMonths.synced} of ${budgetMonths.pending} pending order(s)`);
+      budgetMonths.errors.forEach(error => console.error(`  ❌ ${error}`));
+
+      await mssql.close();
+      process.exit(0);
+    })
+    .catch(async (error) => {
+      console.error('💥 Webhook inbox processing failed:', error);
+      await mssql.close();
+      process.exit(1);
+    });
+}
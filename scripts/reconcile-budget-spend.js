@@ -0,0 +1,80 @@
+import 'dotenv/config';
+import mssql from '../app/mssql.server.js';
+import { reconcileBudgetSpendForMonth } from '../app/actions/fhr-orders-refunds.server.js';
+import { getDefaultSpendDefinition } from '../app/actions/spend-definitions.server.js';
+
+/**
+ * Rebuild the budget category spend ledger (shopify.budget_category_spend)
+ *
+ * Usage:
+ *   node scripts/reconcile-budget-spend.js                      # current and previous budget month
+ *   node scripts/reconcile-budget-spend.js 09-2025              # one budget month, all locations
+ *   node scripts/reconcile-budget-spend.js 09-2025 12345678     # one budget month, one location
+ *
+ * The previous month is included by default because refunds of its orders keep arriving.
+ * Spend is counted under SPEND_DEFINITION; rerun for open months after changing it.
+ */
+
+function formatBudgetMonth(date) {
+  return `${String(date.getMonth() + 1).padStart(2, '0')}-${date.getFullYear()}`;
+}
+
+async function reconcileBudgetSpend(budgetMonths, locationIds) {
+  let failures = 0;
+
+  for (const budgetMonth of budgetMonths) {
+    console.log(`\n🔄 Reconciling budget spend for ${budgetMonth} (${getDefaultSpendDefinition()} spend)...`);
+    const result = await reconcileBudgetSpendForMonth(budgetMonth, locationIds);
+
+    result.reconciled.forEach(location => {
+      if (location.closed) {
+        console.log(`  🔒 Location ${location.locationId}: month closed, ledger kept`);
+        return;
+      }
+      console.log(`  ✅ Location ${location.locationId}: ${location.categories} categories, $${location.spentAmount} spent`);
+    });
+    result.failed.forEach(location => {
+      console.error(`  ❌ Location ${location.locationId}: ${location.error}`);
+    });
+
+    failures += result.failed.length;
+  }
+
+  return failures;
+}
+
+// Main execution
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const args = process.argv.slice(2);
+  let budgetMonths;
+
+  if (args[0]) {
+    if (!/^\d{2}-\d{4}$/.test(args[0])) {
+      console.error('❌ Invalid budget month. Usage: node scripts/reconcile-budget-spend.js [MM-YYYY] [locationId]');
+      process.exit(1);
+    }
+    budgetMonths = [args[0]];
+  } else {
+    const now = new Date();
+    budgetMonths = [
+      formatBudgetMonth(new Date(now.getFullYear(), now.getMonth() - 1, 1)),
+      formatBudgetMonth(now)
+    ];
+  }
+
+  const locationIds = args[1] ? [args[1]] : null;
+
+  reconcileBudgetSpend(budgetMonths, locationIds)
+    .then(async (failures) => {
+      await mssql.close();
+      console.log(failures > 0 ? `\n⚠️  Completed with ${failures} failed location(s)` : '\n🏁 Budget spend reconciled');
+      process.exit(failures > 0 ? 1 : 0);
+    })
+    .catch(async (error) => {
+      console.error('💥 Budget spend reconciliation failed:', error);
+      await mssql.close();
+      process.exit(1);
+    });
+}
+
+export { reconcileBudgetSpend };
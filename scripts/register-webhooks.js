@@ -29,6 +29,11 @@ async function registerWebhooks() {
         topic: 'orders/paid',
         endpoint: `${APP_URL}/webhooks/orders/paid`,
         description: 'Handle order payment and update budget tracking'
+      },
+      {
+        topic: 'refunds/create',
+        endpoint: `${APP_URL}/webhooks/refunds/create`,
+        description: 'Store refunds and reconcile budget spend'
       }
     ];
     
@@ -60,6 +65,9 @@ async function registerWebhooks() {
       console.log(`      Format: JSON`);
     });
     
+    console.log('\n🔧 Or deploy the app config (the topics are declared in shopify.app.toml):');
+    console.log('shopify app deploy');
+
     console.log('\n🔧 Or use Shopify CLI:');
     console.log('shopify app generate webhook');
     
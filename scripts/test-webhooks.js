@@ -1,11 +1,23 @@
 /**
  * Test script for webhook endpoints
  * Tests both Shopify webhooks and custom API webhook
+ *
+ * WEBHOOK_API_KEY must be an integration API key (Webhook Integrations page) allowed to
+ * send order_budget_month, order_update and budget_sync webhooks.
  */
 import fetch from 'node-fetch';
+import crypto from 'crypto';
 
 const BASE_URL = process.env.APP_URL || 'http://localhost:3000';
 
+// Webhook endpoints verify an HMAC-SHA256 signature of the raw body made with the app secret
+function signBody(body) {
+  return crypto
+    .createHmac('sha256', process.env.SHOPIFY_API_SECRET || '')
+    .update(body, 'utf8')
+    .digest('base64');
+}
+
 // Sample Shopify order payload for testing
 const sampleOrderPayload = {
   id: 6686804508899,
@@ -83,10 +95,12 @@ async function testCustomWebhookAPI() {
     try {
       console.log(`\n📝 Testing: ${testCase.name}`);
       
+      // Typed webhooks need an integration API key created on the Webhook Integrations page
       const response = await fetch(`${BASE_URL}/api/webhook`, {
         method: 'POST',
         headers: {
-          'Content-Type': 'application/json'
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${process.env.WEBHOOK_API_KEY || ''}`
         },
         body: JSON.stringify(testCase.payload)
       });
@@ -122,22 +136,23 @@ async function testWebhookInfo() {
   }
 }
 
-// Note: Testing Shopify webhooks requires proper authentication headers
-async function simulateShopifyWebhook(endpoint, payload) {
+// Signs the payload with SHOPIFY_API_SECRET like Shopify does
+async function simulateShopifyWebhook(endpoint, payload, { topic = 'orders/create', shop = 'shop-name.myshopify.com' } = {}) {
   console.log(`\n🔗 Simulating Shopify webhook: ${endpoint}`);
   
   try {
-    // This would normally include Shopify webhook headers for authentication
+    const body = JSON.stringify(payload);
     const response = await fetch(`${BASE_URL}${endpoint}`, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
-        // Note: In real Shopify webhooks, these headers are required:
-        // 'X-Shopify-Topic': 'orders/create',
-        // 'X-Shopify-Hmac-Sha256': 'calculated_hmac',
-        // 'X-Shopify-Shop-Domain': 'shop-name.myshopify.com'
+        'X-Shopify-Topic': topic,
+        'X-Shopify-Hmac-Sha256': signBody(body),
+        'X-Shopify-Shop-Domain': shop,
+        'X-Shopify-API-Version': '2025-07',
+        'X-Shopify-Webhook-Id': crypto.randomUUID()
       },
-      body: JSON.stringify(payload)
+      body
     });
     
     const result = await response.text();